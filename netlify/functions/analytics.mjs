@@ -0,0 +1,79 @@
+/**
+ * /api/analytics
+ * GET /analytics/dashboard                               Space counters for today
+ * GET /analytics/availability?date=YYYY-MM-DD&tipo&sotano Availability of a date
+ * Needs the server key (see lib/auth.mjs).
+ */
+
+import {
+    HttpError,
+    json,
+    getPathSegments,
+    methodNotAllowed,
+    withErrorHandling
+} from '../lib/http.mjs';
+import { withApiKey } from '../lib/auth.mjs';
+import { readData, applyCalendar } from '../lib/store.mjs';
+import { getCurrentDate, calculateDailyAvailability } from '../../public/src/js/utils/helpers.js';
+import { ASSIGNMENT_STATUS } from '../../public/src/js/utils/constants.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Compute the availability of a date with the stored assignments and loans
+ * @param {Object} data - Data document
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} filters - Optional { tipo, sotano }
+ * @returns {Object} calculateDailyAvailability result
+ */
+function getAvailability(data, date, filters = {}) {
+    applyCalendar(data);
+    const spaces = data.parqueaderos.filter(space =>
+        (!filters.tipo || space.tipo === filters.tipo) &&
+        (!filters.sotano || space.sotano === filters.sotano)
+    );
+
+    return calculateDailyAvailability(spaces, data.empleados, date, {
+        assignments: data.asignaciones,
+        loans: data.prestamosDiarios
+    });
+}
+
+export const handler = withApiKey(withErrorHandling(async (event) => {
+    if (event.httpMethod !== 'GET') throw methodNotAllowed(['GET']);
+
+    const [report, extra] = getPathSegments(event, 'analytics');
+    if (extra !== undefined) throw new HttpError(404, 'Ruta no encontrada');
+
+    const data = await readData();
+    const params = event.queryStringParameters || {};
+
+    switch (report) {
+    case 'dashboard': {
+        const { summary } = getAvailability(data, getCurrentDate());
+        return json(200, {
+            totalSpaces: data.parqueaderos.length,
+            availableSpaces: summary.totalAvailable,
+            occupiedSpaces: summary.occupied,
+            picoPlacaSpaces: summary.picoPlacaAvailable,
+            releasedSpaces: summary.released,
+            loanedSpaces: summary.loaned,
+            totalEmployees: data.empleados.length,
+            activeAssignments: data.asignaciones.filter(a => a.estado === ASSIGNMENT_STATUS.ACTIVA).length
+        });
+    }
+
+    case 'availability': {
+        const date = params.date || getCurrentDate();
+        if (!DATE_PATTERN.test(date) || Number.isNaN(Date.parse(date))) {
+            throw new HttpError(400, `Fecha inválida: ${date}. Use el formato AAAA-MM-DD`);
+        }
+
+        const availability = getAvailability(data, date, { tipo: params.tipo, sotano: params.sotano });
+        return json(200, { date, ...availability });
+    }
+
+    default:
+        throw new HttpError(404, `Reporte no encontrado: ${report || '(vacío)'}`);
+    }
+}));
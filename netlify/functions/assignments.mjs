@@ -0,0 +1,232 @@
+/**
+ * /api/assignments
+ * GET    /assignments              List assignments
+ * GET    /assignments/:id          Get one assignment
+ * POST   /assignments              Create an individual or shared assignment
+ * POST   /assignments/auto-assign  Assign free spaces to employees without one ({ estrategia, prioridades })
+ * PUT    /assignments/:id          Change the period or state of an assignment
+ * DELETE /assignments/:id          Delete an assignment
+ * PUT and DELETE honour If-Match: <version> and answer 409 when the assignment changed meanwhile
+ */
+
+import {
+    HttpError,
+    json,
+    parseBody,
+    parseId,
+    getExpectedVersion,
+    getPathSegments,
+    methodNotAllowed,
+    withErrorHandling
+} from '../lib/http.mjs';
+import { withIdempotency } from '../lib/idempotency.mjs';
+import { withApiKey } from '../lib/auth.mjs';
+import { readData, updateData, applyCalendar, pickRecordId, assertVersion, stampVersion } from '../lib/store.mjs';
+import { findOverlap, validateAssignment } from '../lib/validation.mjs';
+import {
+    generateId,
+    getCurrentDate,
+    getAssignmentStatus,
+    getAssignmentEmployeeIds,
+    getAssignmentHolderOn,
+    isSharedAssignment,
+    getWorkSchedule,
+    isSpaceAssignable
+} from '../../public/src/js/utils/helpers.js';
+import { getNextWorkingDay } from '../../public/src/js/utils/holidays.js';
+import { buildAssignmentPlan, getBasementLoad } from '../../public/src/js/utils/assignmentStrategies.js';
+import {
+    ASSIGNMENT_STATUS,
+    ASSIGNMENT_TYPES,
+    AUTO_ASSIGNMENT_STRATEGIES,
+    PARKING_STATUS
+} from '../../public/src/js/utils/constants.js';
+
+/**
+ * Find an assignment or fail with 404
+ * @param {Object} data - Data document
+ * @param {number} id - Assignment ID
+ * @returns {Object} Assignment
+ */
+function findAssignment(data, id) {
+    const assignment = data.asignaciones.find(a => a.id === id);
+    if (!assignment) throw new HttpError(404, 'Asignación no encontrada');
+    return assignment;
+}
+
+/**
+ * Set the state of an assignment and the holder of its space, like AssignmentManager.buildAssignment
+ * @param {Object} assignment - Assignment
+ * @param {Object} data - Data document
+ */
+function applyState(assignment, data) {
+    const today = getCurrentDate();
+    if (assignment.estado !== ASSIGNMENT_STATUS.CANCELADA) {
+        assignment.estado = getAssignmentStatus(assignment, today);
+    }
+    assignment.activa = assignment.estado === ASSIGNMENT_STATUS.ACTIVA;
+
+    const space = data.parqueaderos.find(s => s.id === assignment.parqueaderoId);
+    if (!space) return;
+
+    const employeeIds = getAssignmentEmployeeIds(assignment);
+    if (assignment.activa) {
+        space.empleadoAsignado = getAssignmentHolderOn(assignment, today) || employeeIds[0];
+        space.estado = PARKING_STATUS.OCUPADO;
+    } else if (employeeIds.includes(space.empleadoAsignado)) {
+        space.empleadoAsignado = null;
+        space.estado = PARKING_STATUS.DISPONIBLE;
+    }
+}
+
+/**
+ * Build an assignment from a request body
+ * @param {Object} body - Request data
+ * @returns {Object} Assignment
+ */
+function buildAssignment(body) {
+    const shared = body.tipo === ASSIGNMENT_TYPES.COMPARTIDA;
+    const assignment = {
+        id: generateId(),
+        parqueaderoId: Number(body.parqueaderoId),
+        fechaInicio: body.fechaInicio || getCurrentDate(),
+        fechaFin: body.fechaFin || null,
+        fechaCreacion: body.fechaCreacion || getCurrentDate()
+    };
+
+    if (shared) {
+        assignment.tipo = ASSIGNMENT_TYPES.COMPARTIDA;
+        assignment.empleadoIds = (body.empleadoIds || []).map(Number);
+        assignment.patronSemanal = body.patronSemanal || {};
+    } else {
+        assignment.empleadoId = Number(body.empleadoId);
+    }
+    return assignment;
+}
+
+/**
+ * Assign free spaces to employees without one, like AssignmentManager.confirmAutoAssignment
+ * @param {Object} body - { estrategia, prioridades }
+ * @returns {Promise<Object>} { assignments, unassigned }
+ */
+function autoAssign(body) {
+    return updateData(data => {
+        applyCalendar(data);
+        const period = { fechaInicio: getNextWorkingDay(getCurrentDate()), fechaFin: null };
+
+        const employees = data.empleados.filter(emp =>
+            getWorkSchedule(emp).dias.length > 0 && !findOverlap(data.asignaciones, 'empleadoId', emp.id, period)
+        );
+        const usableSpaces = data.parqueaderos.filter(space => isSpaceAssignable(space));
+        const freeSpaces = usableSpaces.filter(space => !findOverlap(data.asignaciones, 'parqueaderoId', space.id, period));
+
+        const plan = buildAssignmentPlan(
+            body.estrategia || AUTO_ASSIGNMENT_STRATEGIES.PRIMERO_DISPONIBLE,
+            employees,
+            freeSpaces,
+            { basementLoad: getBasementLoad(usableSpaces, freeSpaces), prioridades: body.prioridades || [] }
+        );
+
+        const assignments = plan.pairs.map(({ employee, space }, index) => {
+            const assignment = {
+                ...buildAssignment({ empleadoId: employee.id, parqueaderoId: space.id, ...period }),
+                id: generateId() + index
+            };
+            applyState(assignment, data);
+            stampVersion(assignment);
+            data.asignaciones.push(assignment);
+            return assignment;
+        });
+
+        return { assignments, unassigned: plan.unassigned.map(emp => emp.id) };
+    });
+}
+
+export const handler = withApiKey(withIdempotency(withErrorHandling(async (event) => {
+    const [idSegment, extra] = getPathSegments(event, 'assignments');
+    if (extra !== undefined) throw new HttpError(404, 'Ruta no encontrada');
+
+    if (idSegment === 'auto-assign') {
+        if (event.httpMethod !== 'POST') throw methodNotAllowed(['POST']);
+        const body = event.body ? parseBody(event) : {};
+        const { assignments, unassigned } = await autoAssign(body);
+        return json(200, { success: true, assigned: assignments.length, assignments, unassigned });
+    }
+
+    const id = idSegment !== undefined ? parseId(idSegment) : null;
+
+    switch (event.httpMethod) {
+    case 'GET': {
+        const data = await readData();
+        return json(200, id === null ? data.asignaciones : findAssignment(data, id));
+    }
+
+    case 'POST': {
+        if (id !== null) throw methodNotAllowed(['GET', 'PUT', 'DELETE']);
+        const body = parseBody(event);
+
+        const assignment = await updateData(data => {
+            applyCalendar(data);
+            const created = { ...buildAssignment(body), id: pickRecordId(body.id, data.asignaciones) };
+            validateAssignment(created, data);
+            applyState(created, data);
+            stampVersion(created);
+            data.asignaciones.push(created);
+            return created;
+        });
+
+        return json(201, { success: true, id: assignment.id, assignment });
+    }
+
+    case 'PUT': {
+        if (id === null) throw methodNotAllowed(['GET', 'POST']);
+        const body = parseBody(event);
+        const expectedVersion = getExpectedVersion(event);
+
+        const assignment = await updateData(data => {
+            applyCalendar(data);
+            const current = findAssignment(data, id);
+            assertVersion(current, expectedVersion);
+
+            // Only the period, pattern and cancellation can change; members and space need a new assignment
+            const updated = {
+                ...current,
+                fechaInicio: body.fechaInicio ?? current.fechaInicio,
+                fechaFin: body.fechaFin === undefined ? current.fechaFin : body.fechaFin,
+                estado: body.estado === ASSIGNMENT_STATUS.CANCELADA ? ASSIGNMENT_STATUS.CANCELADA : current.estado
+            };
+            if (isSharedAssignment(current) && body.patronSemanal) updated.patronSemanal = body.patronSemanal;
+
+            if (updated.estado !== ASSIGNMENT_STATUS.CANCELADA) validateAssignment(updated, data);
+            stampVersion(updated, current.version || 0);
+            Object.assign(current, updated);
+            applyState(current, data);
+            return current;
+        });
+
+        return json(200, { success: true, assignment });
+    }
+
+    case 'DELETE': {
+        if (id === null) throw methodNotAllowed(['GET', 'POST']);
+        const expectedVersion = getExpectedVersion(event);
+
+        await updateData(data => {
+            const assignment = findAssignment(data, id);
+            assertVersion(assignment, expectedVersion);
+            data.asignaciones = data.asignaciones.filter(a => a.id !== id);
+
+            const space = data.parqueaderos.find(s => s.id === assignment.parqueaderoId);
+            if (space && getAssignmentEmployeeIds(assignment).includes(space.empleadoAsignado)) {
+                space.empleadoAsignado = null;
+                space.estado = PARKING_STATUS.DISPONIBLE;
+            }
+        });
+
+        return json(200, { success: true });
+    }
+
+    default:
+        throw methodNotAllowed(id === null ? ['GET', 'POST'] : ['GET', 'PUT', 'DELETE']);
+    }
+})));
@@ -0,0 +1,96 @@
+/**
+ * /api/backup
+ * GET  /backup/download    Download the data document as a JSON file
+ * POST /backup/upload      Restore a backup sent as the "backup" field of a
+ *                          multipart form (APIService.uploadBackup) or as a JSON body
+ * Both need the server key (see lib/auth.mjs). Downloads leave out PIN hashes;
+ * uploads pass the same record validations as the record endpoints (see lib/validation.mjs).
+ */
+
+import {
+    HttpError,
+    json,
+    getHeader,
+    getRawBody,
+    getPathSegments,
+    methodNotAllowed,
+    withErrorHandling
+} from '../lib/http.mjs';
+import { withApiKey } from '../lib/auth.mjs';
+import { assertValidDocument } from '../lib/validation.mjs';
+import { readData, replaceData, findDocumentErrors, toPublicDocument } from '../lib/store.mjs';
+import { getCurrentDate } from '../../public/src/js/utils/helpers.js';
+
+/**
+ * Extract a file field from a multipart/form-data body
+ * @param {string} body - Raw body
+ * @param {string} contentType - Content-Type header with the boundary
+ * @param {string} field - Field name
+ * @returns {string|null} Field content or null if missing
+ */
+function getMultipartField(body, contentType, field) {
+    const boundary = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+    if (!boundary) return null;
+
+    const parts = body.split(`--${boundary[1] || boundary[2]}`);
+    const part = parts.find(p => new RegExp(`name="${field}"`).test(p.slice(0, p.indexOf('\r\n\r\n'))));
+    if (!part) return null;
+
+    return part.slice(part.indexOf('\r\n\r\n') + 4).replace(/\r\n$/, '');
+}
+
+/**
+ * Read the backup document from the request
+ * @param {Object} event - Netlify Function event
+ * @returns {Object} Backup document
+ */
+function readBackup(event) {
+    const contentType = getHeader(event, 'content-type');
+    const raw = getRawBody(event);
+    const content = contentType.includes('multipart/form-data') ?
+        getMultipartField(raw, contentType, 'backup') :
+        raw;
+
+    if (!content) throw new HttpError(400, 'No se recibió el archivo de respaldo');
+
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        throw new HttpError(422, 'El archivo de respaldo no es un JSON válido');
+    }
+}
+
+export const handler = withApiKey(withErrorHandling(async (event) => {
+    const [action, extra] = getPathSegments(event, 'backup');
+    if (extra !== undefined) throw new HttpError(404, 'Ruta no encontrada');
+
+    switch (action) {
+    case 'download': {
+        if (event.httpMethod !== 'GET') throw methodNotAllowed(['GET']);
+        const data = toPublicDocument(await readData());
+        return json(200, { ...data, exportedAt: new Date().toISOString() }, {
+            'Content-Disposition': `attachment; filename="parqueaderos-backup-${getCurrentDate()}.json"`
+        });
+    }
+
+    case 'upload': {
+        if (event.httpMethod !== 'POST') throw methodNotAllowed(['POST']);
+        const backup = readBackup(event);
+        const errors = findDocumentErrors(backup);
+        if (errors.length > 0) throw new HttpError(422, 'El respaldo no tiene el formato esperado', errors);
+        assertValidDocument(backup);
+
+        const { exportedAt, ...data } = backup;
+        const stored = await replaceData(data);
+        return json(200, {
+            success: true,
+            empleados: stored.empleados.length,
+            parqueaderos: stored.parqueaderos.length,
+            asignaciones: stored.asignaciones.length
+        });
+    }
+
+    default:
+        throw new HttpError(404, `Acción de respaldo no encontrada: ${action || '(vacía)'}`);
+    }
+}));
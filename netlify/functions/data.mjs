@@ -0,0 +1,81 @@
+/**
+ * /api/data
+ * Whole data document
+ * GET    /data    Read the document
+ * POST   /data    Replace the document
+ * PATCH  /data    Replace only the collections sent, e.g. { reglasPicoPlaca: [...] } (outbox replays)
+ * DELETE /data    Reset to an empty document
+ * Every method needs the server key (see lib/auth.mjs); employees are sent
+ * without their PIN hash and keep the stored one when written back.
+ * POST runs the record validations (see lib/validation.mjs) and answers 409
+ * when a record is older than the stored one. PATCH only takes collections
+ * without their own endpoint: employees, spaces and assignments go through
+ * those, with their validations and If-Match.
+ */
+
+import {
+    HttpError,
+    json,
+    parseBody,
+    methodNotAllowed,
+    withErrorHandling
+} from '../lib/http.mjs';
+import { withIdempotency } from '../lib/idempotency.mjs';
+import { withApiKey } from '../lib/auth.mjs';
+import { assertValidDocument, findStaleRecords } from '../lib/validation.mjs';
+import {
+    COLLECTIONS,
+    RECORD_COLLECTIONS,
+    readData,
+    updateData,
+    replaceData,
+    getDefaultData,
+    findDocumentErrors,
+    toPublicDocument
+} from '../lib/store.mjs';
+import { ERROR_MESSAGES } from '../../public/src/js/utils/constants.js';
+
+export const handler = withApiKey(withIdempotency(withErrorHandling(async (event) => {
+    switch (event.httpMethod) {
+    case 'GET':
+        return json(200, toPublicDocument(await readData()));
+
+    case 'POST': {
+        const body = parseBody(event);
+        assertValidDocument(body);
+
+        const stale = findStaleRecords(body, await readData());
+        if (stale.length > 0) throw new HttpError(409, ERROR_MESSAGES.STALE_RECORD, stale);
+
+        const stored = await replaceData(body);
+        return json(200, { success: true, lastUpdated: stored.lastUpdated });
+    }
+
+    case 'PATCH': {
+        const body = parseBody(event);
+        const unknown = Object.keys(body).filter(name => !COLLECTIONS.includes(name));
+        if (unknown.length > 0) {
+            throw new HttpError(422, 'Colecciones desconocidas', unknown);
+        }
+        const records = Object.keys(body).filter(name => RECORD_COLLECTIONS.includes(name));
+        if (records.length > 0) {
+            throw new HttpError(422, 'Estas colecciones se modifican registro por registro en su propio recurso', records);
+        }
+
+        const errors = findDocumentErrors(body);
+        if (errors.length > 0) throw new HttpError(422, 'Los datos no tienen el formato esperado', errors);
+
+        await updateData(data => {
+            Object.assign(data, body);
+        });
+        return json(200, { success: true, collections: Object.keys(body) });
+    }
+
+    case 'DELETE':
+        await replaceData(getDefaultData());
+        return json(200, { success: true });
+
+    default:
+        throw methodNotAllowed(['GET', 'POST', 'PATCH', 'DELETE']);
+    }
+})));
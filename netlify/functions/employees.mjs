@@ -0,0 +1,133 @@
+/**
+ * /api/employees
+ * GET    /employees        List employees
+ * GET    /employees/:id    Get one employee
+ * POST   /employees        Create an employee
+ * PUT    /employees/:id    Update an employee
+ * DELETE /employees/:id    Delete an employee and their assignments
+ * PUT and DELETE honour If-Match: <version> and answer 409 when the employee changed meanwhile
+ */
+
+import {
+    HttpError,
+    json,
+    parseBody,
+    parseId,
+    getExpectedVersion,
+    getPathSegments,
+    methodNotAllowed,
+    withErrorHandling
+} from '../lib/http.mjs';
+import { withIdempotency } from '../lib/idempotency.mjs';
+import { withApiKey } from '../lib/auth.mjs';
+import {
+    readData,
+    updateData,
+    pickRecordId,
+    assertVersion,
+    stampVersion,
+    toPublicEmployee
+} from '../lib/store.mjs';
+import { validateEmployee } from '../lib/validation.mjs';
+import {
+    getCurrentDate,
+    getAssignmentEmployeeIds
+} from '../../public/src/js/utils/helpers.js';
+import { ERROR_MESSAGES, PARKING_STATUS } from '../../public/src/js/utils/constants.js';
+
+/**
+ * Find an employee or fail with 404
+ * @param {Object} data - Data document
+ * @param {number} id - Employee ID
+ * @returns {Object} Employee
+ */
+function findEmployee(data, id) {
+    const employee = data.empleados.find(emp => emp.id === id);
+    if (!employee) throw new HttpError(404, ERROR_MESSAGES.EMPLOYEE_NOT_FOUND);
+    return employee;
+}
+
+export const handler = withApiKey(withIdempotency(withErrorHandling(async (event) => {
+    const [idSegment, extra] = getPathSegments(event, 'employees');
+    if (extra !== undefined) throw new HttpError(404, 'Ruta no encontrada');
+    const id = idSegment !== undefined ? parseId(idSegment) : null;
+
+    switch (event.httpMethod) {
+    case 'GET': {
+        const data = await readData();
+        return id === null ?
+            json(200, data.empleados.map(toPublicEmployee)) :
+            json(200, toPublicEmployee(findEmployee(data, id)));
+    }
+
+    case 'POST': {
+        if (id !== null) throw methodNotAllowed(['GET', 'PUT', 'DELETE']);
+        const body = parseBody(event);
+
+        const employee = await updateData(data => {
+            // Same shape as EmployeeManager.addEmployee; outbox replays send the whole record
+            const created = {
+                ...body,
+                id: pickRecordId(body.id, data.empleados),
+                placa: (body.placa || '').trim().toUpperCase(),
+                picoPlacaManual: body.picoPlacaManual ?? Boolean(body.picoPlaca),
+                fechaRegistro: body.fechaRegistro || getCurrentDate()
+            };
+
+            validateEmployee(created, data.empleados);
+            stampVersion(created);
+            data.empleados.push(created);
+            return created;
+        });
+
+        return json(201, { success: true, id: employee.id, employee: toPublicEmployee(employee) });
+    }
+
+    case 'PUT': {
+        if (id === null) throw methodNotAllowed(['GET', 'POST']);
+        const body = parseBody(event);
+        const expectedVersion = getExpectedVersion(event);
+
+        const employee = await updateData(data => {
+            const current = findEmployee(data, id);
+            assertVersion(current, expectedVersion, toPublicEmployee);
+
+            const updated = { ...current, ...body, id };
+            if (body.placa) updated.placa = body.placa.trim().toUpperCase();
+
+            validateEmployee(updated, data.empleados);
+            stampVersion(updated, current.version || 0);
+            Object.assign(current, updated);
+            return current;
+        });
+
+        return json(200, { success: true, employee: toPublicEmployee(employee) });
+    }
+
+    case 'DELETE': {
+        if (id === null) throw methodNotAllowed(['GET', 'POST']);
+        const expectedVersion = getExpectedVersion(event);
+
+        const removedAssignments = await updateData(data => {
+            assertVersion(findEmployee(data, id), expectedVersion, toPublicEmployee);
+            data.empleados = data.empleados.filter(emp => emp.id !== id);
+
+            // Like the browser, the employee's assignments go with them
+            const before = data.asignaciones.length;
+            data.asignaciones = data.asignaciones.filter(a => !getAssignmentEmployeeIds(a).includes(id));
+            data.parqueaderos
+                .filter(space => space.empleadoAsignado === id)
+                .forEach(space => {
+                    space.empleadoAsignado = null;
+                    space.estado = PARKING_STATUS.DISPONIBLE;
+                });
+            return before - data.asignaciones.length;
+        });
+
+        return json(200, { success: true, asignacionesEliminadas: removedAssignments });
+    }
+
+    default:
+        throw methodNotAllowed(id === null ? ['GET', 'POST'] : ['GET', 'PUT', 'DELETE']);
+    }
+})));
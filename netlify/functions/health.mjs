@@ -0,0 +1,25 @@
+/**
+ * /api/health
+ * GET /health    Report that the API and its data store respond
+ */
+
+import { json, methodNotAllowed, withErrorHandling } from '../lib/http.mjs';
+import { readData } from '../lib/store.mjs';
+import { APP_CONFIG } from '../../public/src/js/utils/constants.js';
+
+export const handler = withErrorHandling(async (event) => {
+    if (event.httpMethod !== 'GET') throw methodNotAllowed(['GET']);
+
+    try {
+        const data = await readData();
+        return json(200, {
+            status: 'ok',
+            version: APP_CONFIG.VERSION,
+            lastUpdated: data.lastUpdated,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Health check failed:', error);
+        return json(503, { status: 'error', error: 'El almacenamiento de datos no responde' });
+    }
+});
@@ -0,0 +1,174 @@
+/**
+ * /api/parking-spaces
+ * GET    /parking-spaces         List parking spaces
+ * GET    /parking-spaces/:id     Get one parking space
+ * POST   /parking-spaces         Create a parking space
+ * POST   /parking-spaces/bulk    Create several parking spaces ({ spaces })
+ * PUT    /parking-spaces/:id     Update a parking space
+ * DELETE /parking-spaces/:id     Delete a parking space without current or future assignments
+ * PUT and DELETE honour If-Match: <version> and answer 409 when the space changed meanwhile
+ */
+
+import {
+    HttpError,
+    json,
+    parseBody,
+    parseId,
+    getExpectedVersion,
+    getPathSegments,
+    methodNotAllowed,
+    withErrorHandling
+} from '../lib/http.mjs';
+import { withIdempotency } from '../lib/idempotency.mjs';
+import { withApiKey } from '../lib/auth.mjs';
+import { readData, updateData, pickRecordId, assertVersion, stampVersion } from '../lib/store.mjs';
+import { validateSpace } from '../lib/validation.mjs';
+import {
+    generateId,
+    getCurrentDate,
+    sanitizeString
+} from '../../public/src/js/utils/helpers.js';
+import {
+    APP_CONFIG,
+    ASSIGNMENT_STATUS,
+    ERROR_MESSAGES,
+    PARKING_STATUS
+} from '../../public/src/js/utils/constants.js';
+
+/**
+ * Find a parking space or fail with 404
+ * @param {Object} data - Data document
+ * @param {number} id - Parking space ID
+ * @returns {Object} Parking space
+ */
+function findSpace(data, id) {
+    const space = data.parqueaderos.find(s => s.id === id);
+    if (!space) throw new HttpError(404, ERROR_MESSAGES.PARKING_NOT_FOUND);
+    return space;
+}
+
+/**
+ * Build a new parking space like ParkingManager.addParkingSpace
+ * Outbox replays send the whole record, holder and creation date included.
+ * @param {Object} body - Request data
+ * @returns {Object} Parking space
+ */
+function buildSpace(body) {
+    return {
+        ...body,
+        numero: sanitizeString(body.numero || ''),
+        estado: body.estado || PARKING_STATUS.DISPONIBLE,
+        id: generateId(),
+        empleadoAsignado: body.empleadoAsignado ?? null,
+        fechaCreacion: body.fechaCreacion || getCurrentDate()
+    };
+}
+
+/**
+ * Fail with 422 when the total would exceed the configured maximum
+ * @param {Array} spaces - Stored parking spaces
+ * @param {number} adding - Spaces being created
+ */
+function checkCapacity(spaces, adding) {
+    if (spaces.length + adding > APP_CONFIG.MAX_PARKING_SPACES) {
+        throw new HttpError(422, `No se pueden registrar más de ${APP_CONFIG.MAX_PARKING_SPACES} parqueaderos`);
+    }
+}
+
+export const handler = withApiKey(withIdempotency(withErrorHandling(async (event) => {
+    const [idSegment, extra] = getPathSegments(event, 'parking-spaces');
+    if (extra !== undefined) throw new HttpError(404, 'Ruta no encontrada');
+
+    if (idSegment === 'bulk') {
+        if (event.httpMethod !== 'POST') throw methodNotAllowed(['POST']);
+        const { spaces } = parseBody(event);
+        if (!Array.isArray(spaces) || spaces.length === 0) {
+            throw new HttpError(422, 'Se requiere una lista de parqueaderos en "spaces"');
+        }
+
+        const created = await updateData(data => {
+            checkCapacity(data.parqueaderos, spaces.length);
+            const batch = spaces.map((body, index) => ({ ...buildSpace(body), id: generateId() + index }));
+
+            // Validate against stored spaces and earlier spaces of the batch
+            batch.forEach((space, index) => {
+                validateSpace(space, [...data.parqueaderos, ...batch.slice(0, index)]);
+                stampVersion(space);
+            });
+            data.parqueaderos.push(...batch);
+            return batch;
+        });
+
+        return json(201, { success: true, created: created.length });
+    }
+
+    const id = idSegment !== undefined ? parseId(idSegment) : null;
+
+    switch (event.httpMethod) {
+    case 'GET': {
+        const data = await readData();
+        return json(200, id === null ? data.parqueaderos : findSpace(data, id));
+    }
+
+    case 'POST': {
+        if (id !== null) throw methodNotAllowed(['GET', 'PUT', 'DELETE']);
+        const body = parseBody(event);
+
+        const space = await updateData(data => {
+            const created = { ...buildSpace(body), id: pickRecordId(body.id, data.parqueaderos) };
+            validateSpace(created, data.parqueaderos);
+            checkCapacity(data.parqueaderos, 1);
+            stampVersion(created);
+            data.parqueaderos.push(created);
+            return created;
+        });
+
+        return json(201, { success: true, id: space.id, parkingSpace: space });
+    }
+
+    case 'PUT': {
+        if (id === null) throw methodNotAllowed(['GET', 'POST']);
+        const body = parseBody(event);
+        const expectedVersion = getExpectedVersion(event);
+
+        const space = await updateData(data => {
+            const current = findSpace(data, id);
+            assertVersion(current, expectedVersion);
+
+            const updated = { ...current, ...body, id };
+            if (body.numero !== undefined) updated.numero = sanitizeString(body.numero);
+
+            validateSpace(updated, data.parqueaderos);
+            stampVersion(updated, current.version || 0);
+            Object.assign(current, updated);
+            return current;
+        });
+
+        return json(200, { success: true, parkingSpace: space });
+    }
+
+    case 'DELETE': {
+        if (id === null) throw methodNotAllowed(['GET', 'POST']);
+        const expectedVersion = getExpectedVersion(event);
+
+        await updateData(data => {
+            assertVersion(findSpace(data, id), expectedVersion);
+
+            const inUse = data.asignaciones.some(a =>
+                a.parqueaderoId === id &&
+                (a.estado === ASSIGNMENT_STATUS.ACTIVA || a.estado === ASSIGNMENT_STATUS.PROGRAMADA)
+            );
+            if (inUse) {
+                throw new HttpError(409, 'El parqueadero tiene una asignación activa o programada');
+            }
+
+            data.parqueaderos = data.parqueaderos.filter(s => s.id !== id);
+        });
+
+        return json(200, { success: true });
+    }
+
+    default:
+        throw methodNotAllowed(id === null ? ['GET', 'POST'] : ['GET', 'PUT', 'DELETE']);
+    }
+})));
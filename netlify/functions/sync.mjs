@@ -0,0 +1,51 @@
+/**
+ * /api/sync
+ * POST /sync    Reconcile the browser data with the server copy
+ * The browser copy only seeds an empty server; otherwise the server copy
+ * wins, since browser changes reach it record by record through the outbox
+ * and a whole-document overwrite would undo other administrators' edits.
+ * The response carries the data the browser should keep
+ * ({ success, source: 'client' | 'server', data }), without PIN hashes.
+ * Needs the server key (see lib/auth.mjs); seeding also needs records that
+ * pass the record validations (see lib/validation.mjs).
+ */
+
+import {
+    HttpError,
+    json,
+    parseBody,
+    methodNotAllowed,
+    withErrorHandling
+} from '../lib/http.mjs';
+import { withApiKey } from '../lib/auth.mjs';
+import { assertValidDocument } from '../lib/validation.mjs';
+import { readData, updateData, findDocumentErrors, toPublicDocument, COLLECTIONS } from '../lib/store.mjs';
+
+/**
+ * Check if a stored document has no records at all
+ * @param {Object} data - Data document
+ * @returns {boolean} True if every collection is empty
+ */
+function isEmptyDocument(data) {
+    return COLLECTIONS.every(name => data[name].length === 0);
+}
+
+export const handler = withApiKey(withErrorHandling(async (event) => {
+    if (event.httpMethod !== 'POST') throw methodNotAllowed(['POST']);
+
+    const localData = parseBody(event);
+    const errors = findDocumentErrors(localData);
+    if (errors.length > 0) throw new HttpError(422, 'Los datos no tienen el formato esperado', errors);
+
+    let source = 'server';
+    await updateData(serverData => {
+        if (!isEmptyDocument(serverData)) return;
+        assertValidDocument(localData);
+
+        source = 'client';
+        Object.keys(serverData).forEach(key => delete serverData[key]);
+        Object.assign(serverData, localData);
+    });
+
+    return json(200, { success: true, source, data: toPublicDocument(await readData()) });
+}));
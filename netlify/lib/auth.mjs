@@ -0,0 +1,66 @@
+/**
+ * Access to the Netlify Functions
+ * Staff accounts live in each browser, so the server cannot check roles.
+ * Instead every request must carry the shared key set in PARKING_API_TOKEN,
+ * sent as `Authorization: Bearer <key>` (an administrator enters it in the
+ * Usuarios dialog): reads too, since the data holds the employees' personal
+ * details. Without PARKING_API_TOKEN the server refuses every request.
+ * Only /health stays open.
+ */
+
+import { timingSafeEqual } from 'node:crypto';
+import { json, getHeader } from './http.mjs';
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+    const left = Buffer.from(a);
+    const right = Buffer.from(b);
+    return left.length === right.length && timingSafeEqual(left, right);
+}
+
+/**
+ * Check the key of a request
+ * @param {Object} event - Netlify Function event
+ * @returns {Object|null} Error response, or null when the request may go on
+ */
+export function checkApiKey(event) {
+    const expected = process.env.PARKING_API_TOKEN;
+    if (!expected) {
+        return json(503, {
+            success: false,
+            error: 'El servidor no tiene configurada su clave de acceso (PARKING_API_TOKEN)',
+            details: []
+        });
+    }
+
+    const [scheme, token] = getHeader(event, 'authorization').split(' ');
+    if (scheme !== 'Bearer' || !token || !safeEqual(token, expected)) {
+        return json(401, {
+            success: false,
+            error: 'Clave del servidor ausente o incorrecta',
+            details: []
+        }, { 'WWW-Authenticate': 'Bearer' });
+    }
+
+    return null;
+}
+
+/**
+ * Wrap a handler so it runs only with the key
+ * Goes outside withIdempotency so a refused write is not stored under its
+ * key and can be replayed once the key is set.
+ * @param {Function} handler - Netlify Function handler
+ * @returns {Function} Netlify Function handler
+ */
+export function withApiKey(handler) {
+    return async (event, context) => {
+        const refused = checkApiKey(event);
+        if (refused) return refused;
+        return handler(event, context);
+    };
+}
@@ -0,0 +1,157 @@
+/**
+ * HTTP helpers shared by the Netlify Functions
+ * Responses are JSON; errors carry { success: false, error, details }
+ */
+
+const JSON_HEADERS = {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store'
+};
+
+/**
+ * Error with an HTTP status code, turned into a JSON response by withErrorHandling
+ */
+export class HttpError extends Error {
+    /**
+     * @param {number} statusCode - HTTP status code
+     * @param {string} message - Error message (Spanish, shown to the user)
+     * @param {Array} details - Optional list of validation errors
+     */
+    constructor(statusCode, message, details = []) {
+        super(message);
+        this.name = 'HttpError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+/**
+ * Build a JSON response
+ * @param {number} statusCode - HTTP status code
+ * @param {*} body - Response body
+ * @param {Object} headers - Extra headers
+ * @returns {Object} Netlify Function response
+ */
+export function json(statusCode, body, headers = {}) {
+    return {
+        statusCode,
+        headers: { ...JSON_HEADERS, ...headers },
+        body: JSON.stringify(body)
+    };
+}
+
+/**
+ * Get the request body as text, decoding base64 bodies
+ * @param {Object} event - Netlify Function event
+ * @returns {string} Body text
+ */
+export function getRawBody(event) {
+    if (!event.body) return '';
+    return event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+}
+
+/**
+ * Get a header regardless of its case
+ * @param {Object} event - Netlify Function event
+ * @param {string} name - Header name in lower case
+ * @returns {string} Header value or ''
+ */
+export function getHeader(event, name) {
+    const entry = Object.entries(event.headers || {}).find(([key]) => key.toLowerCase() === name);
+    return entry ? entry[1] : '';
+}
+
+/**
+ * Get the record version a write was based on, from the If-Match header
+ * @param {Object} event - Netlify Function event
+ * @returns {number|null} Expected version, or null when the client sent none
+ */
+export function getExpectedVersion(event) {
+    const header = getHeader(event, 'if-match');
+    if (!header) return null;
+
+    const version = Number(header.replace(/^W\//, '').replace(/"/g, ''));
+    if (!Number.isInteger(version) || version < 0) {
+        throw new HttpError(400, `If-Match inválido: ${header}`);
+    }
+    return version;
+}
+
+/**
+ * Parse the JSON body of a request
+ * @param {Object} event - Netlify Function event
+ * @returns {Object} Parsed body
+ */
+export function parseBody(event) {
+    const raw = getRawBody(event);
+    if (!raw) throw new HttpError(400, 'El cuerpo de la petición es requerido');
+
+    try {
+        const body = JSON.parse(raw);
+        if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+            throw new Error('Not an object');
+        }
+        return body;
+    } catch (error) {
+        throw new HttpError(400, 'El cuerpo de la petición no es un JSON válido');
+    }
+}
+
+/**
+ * Get the path segments after the function name
+ * Works for both /api/<name>/... and /.netlify/functions/<name>/...
+ * @param {Object} event - Netlify Function event
+ * @param {string} functionName - Function name
+ * @returns {Array} Path segments, e.g. ['12'] for /api/employees/12
+ */
+export function getPathSegments(event, functionName) {
+    const segments = (event.path || '').split('/').filter(Boolean);
+    const index = segments.indexOf(functionName);
+    return index === -1 ? [] : segments.slice(index + 1).map(decodeURIComponent);
+}
+
+/**
+ * Parse a numeric ID from the path
+ * @param {string} value - Path segment
+ * @returns {number} ID
+ */
+export function parseId(value) {
+    const id = Number(value);
+    if (!Number.isInteger(id)) throw new HttpError(400, `Identificador inválido: ${value}`);
+    return id;
+}
+
+/**
+ * Build a 405 error listing the allowed methods
+ * @param {Array} allowed - Allowed HTTP methods
+ * @returns {HttpError} Error
+ */
+export function methodNotAllowed(allowed) {
+    const error = new HttpError(405, 'Método no permitido');
+    error.headers = { Allow: allowed.join(', ') };
+    return error;
+}
+
+/**
+ * Wrap a handler so thrown errors become JSON responses
+ * @param {Function} handler - async (event) => response
+ * @returns {Function} Netlify Function handler
+ */
+export function withErrorHandling(handler) {
+    return async (event, context) => {
+        try {
+            return await handler(event, context);
+        } catch (error) {
+            if (error instanceof HttpError) {
+                return json(error.statusCode, {
+                    success: false,
+                    error: error.message,
+                    details: error.details
+                }, error.headers);
+            }
+
+            console.error(`Unhandled error in ${event.path}:`, error);
+            return json(500, { success: false, error: 'Error interno del servidor', details: [] });
+        }
+    };
+}
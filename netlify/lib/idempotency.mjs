@@ -0,0 +1,148 @@
+/**
+ * Idempotency keys for write requests
+ * The browser outbox sends every queued change with an Idempotency-Key
+ * header. The first response for a key is kept for a day and returned again
+ * when the same change is replayed, so a retry after a lost response does
+ * not create or delete twice. Server errors (5xx) are not kept: the retry
+ * runs again.
+ *
+ * The key is reserved before the write runs, in the same queue as the data
+ * writes (see enqueue in store.mjs). A replay that arrives while the first
+ * request is still running is refused with 429 and retried by the browser
+ * once the response is stored.
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { json, getHeader } from './http.mjs';
+import { DATA_DIR, enqueue } from './store.mjs';
+
+const KEYS_FILE = process.env.PARKING_IDEMPOTENCY_FILE || path.join(DATA_DIR, 'idempotency-keys.json');
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// A reservation older than this belongs to a request that never finished
+const PENDING_TTL_MS = 60 * 1000;
+const PENDING_RETRY_AFTER_SECONDS = 2;
+
+/**
+ * Read the stored responses, without the expired ones
+ * @returns {Promise<Object>} Responses by key
+ */
+async function readKeys() {
+    try {
+        const keys = JSON.parse(await fs.readFile(KEYS_FILE, 'utf8'));
+        const now = Date.now();
+        return Object.fromEntries(Object.entries(keys).filter(([, entry]) =>
+            entry.storedAt > now - (entry.pending ? PENDING_TTL_MS : KEY_TTL_MS)
+        ));
+    } catch (error) {
+        if (error.code === 'ENOENT') return {};
+        throw error;
+    }
+}
+
+/**
+ * Save all the keys
+ * Only called from a task of the store queue.
+ * @param {Object} keys - Responses by key
+ * @returns {Promise<void>}
+ */
+async function writeKeys(keys) {
+    await fs.mkdir(path.dirname(KEYS_FILE), { recursive: true });
+    const tempFile = `${KEYS_FILE}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(keys));
+    await fs.rename(tempFile, KEYS_FILE);
+}
+
+/**
+ * Look up a key and reserve it when it is new
+ * @param {string} key - Idempotency key
+ * @param {Object} event - Netlify Function event
+ * @returns {Promise<Object|null>} Stored entry, or null when the key was reserved for this request
+ */
+function reserveKey(key, event) {
+    return enqueue(async () => {
+        const keys = await readKeys();
+        if (keys[key]) return keys[key];
+
+        keys[key] = { method: event.httpMethod, path: event.path, pending: true, storedAt: Date.now() };
+        await writeKeys(keys);
+        return null;
+    });
+}
+
+/**
+ * Keep the response of a reserved key, or free the key so a retry runs again
+ * @param {string} key - Idempotency key
+ * @param {Object|null} entry - { method, path, response, storedAt }, or null to free the key
+ * @returns {Promise<void>}
+ */
+function settleKey(key, entry) {
+    return enqueue(async () => {
+        const keys = await readKeys();
+        if (entry) {
+            keys[key] = entry;
+        } else {
+            delete keys[key];
+        }
+        await writeKeys(keys);
+    });
+}
+
+/**
+ * Wrap a handler so writes with an Idempotency-Key run only once
+ * Goes outside withErrorHandling so rejected writes (4xx) are replayed as well.
+ * @param {Function} handler - Netlify Function handler
+ * @returns {Function} Netlify Function handler
+ */
+export function withIdempotency(handler) {
+    return async (event, context) => {
+        const key = getHeader(event, 'idempotency-key');
+        if (!key || !WRITE_METHODS.includes(event.httpMethod)) return handler(event, context);
+
+        let stored;
+        try {
+            stored = await reserveKey(key, event);
+        } catch (error) {
+            // Without the key store the write still runs, just without de-duplication
+            console.error('Error reading idempotency keys:', error);
+            return handler(event, context);
+        }
+
+        if (stored) {
+            if (stored.method !== event.httpMethod || stored.path !== event.path) {
+                return json(422, {
+                    success: false,
+                    error: 'La clave de idempotencia ya se usó en otra petición',
+                    details: [{ method: stored.method, path: stored.path }]
+                });
+            }
+            if (stored.pending) {
+                return json(429, {
+                    success: false,
+                    error: 'La petición con esta clave aún se está procesando'
+                }, { 'Retry-After': String(PENDING_RETRY_AFTER_SECONDS) });
+            }
+            return {
+                ...stored.response,
+                headers: { ...stored.response.headers, 'Idempotent-Replayed': 'true' }
+            };
+        }
+
+        let response = null;
+        try {
+            response = await handler(event, context);
+            return response;
+        } finally {
+            const entry = response && response.statusCode < 500
+                ? { method: event.httpMethod, path: event.path, response, storedAt: Date.now() }
+                : null;
+            try {
+                await settleKey(key, entry);
+            } catch (error) {
+                console.error('Error saving idempotency key:', error);
+            }
+        }
+    };
+}
@@ -0,0 +1,245 @@
+/**
+ * File-backed data store for the Netlify Functions
+ * Keeps the same document the browser stores (see
+ * StorageService.getDefaultData) in a single JSON file. Under `netlify dev`
+ * the file lives in .data/ at the project root; set PARKING_DATA_FILE to
+ * move it (deployed functions can only write to /tmp).
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { HttpError } from './http.mjs';
+import { APP_CONFIG, DATA_COLLECTIONS, ERROR_MESSAGES } from '../../public/src/js/utils/constants.js';
+import { generateId } from '../../public/src/js/utils/helpers.js';
+import {
+    SCHEMA_VERSION,
+    SchemaVersionError,
+    isNewerSchema,
+    migrateData,
+    describeMigrationReport
+} from '../../public/src/js/utils/migrations.js';
+import { setPicoPlacaRuleSets } from '../../public/src/js/utils/picoPlaca.js';
+import { setCompanyNonWorkingDays } from '../../public/src/js/utils/holidays.js';
+
+const DATA_FILE = process.env.PARKING_DATA_FILE ||
+    path.join(process.cwd(), '.data', 'parking-data.json');
+
+export const DATA_DIR = path.dirname(DATA_FILE);
+
+export const COLLECTIONS = DATA_COLLECTIONS;
+
+// Collections with their own endpoints (employees, parking-spaces, assignments), written record by record
+export const RECORD_COLLECTIONS = ['empleados', 'parqueaderos', 'asignaciones'];
+
+// Writes are chained so two requests never interleave a read-modify-write
+let writeQueue = Promise.resolve();
+
+/**
+ * Get an empty data document
+ * @returns {Object} Default data
+ */
+export function getDefaultData() {
+    const now = new Date().toISOString();
+    return {
+        ...Object.fromEntries(COLLECTIONS.map(name => [name, []])),
+        version: APP_CONFIG.VERSION,
+        schemaVersion: SCHEMA_VERSION,
+        createdAt: now,
+        lastUpdated: now
+    };
+}
+
+/**
+ * Bring a document to the current schema, with every collection
+ * Documents from older versions (stored or sent by older browsers) are
+ * migrated the same way the browser migrates its own copy.
+ * @param {Object} data - Stored data
+ * @returns {Object} Migrated data
+ * @throws {SchemaVersionError} When the document comes from a newer version
+ */
+function normalize(data) {
+    const { data: migrated, report } = migrateData(data);
+    const summary = describeMigrationReport(report);
+    if (summary) console.log(`Data document migrated: ${summary}`);
+    return { ...getDefaultData(), ...migrated };
+}
+
+/**
+ * List the problems that keep a document from being stored
+ * @param {*} data - Document sent by a client
+ * @returns {Array} Messages, empty if the document is usable
+ */
+export function findDocumentErrors(data) {
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        return ['Los datos deben ser un objeto JSON'];
+    }
+    if (isNewerSchema(data)) {
+        return [new SchemaVersionError(data.schemaVersion).message];
+    }
+
+    return COLLECTIONS
+        .filter(name => data[name] !== undefined && !Array.isArray(data[name]))
+        .map(name => `"${name}" debe ser una lista`);
+}
+
+/**
+ * Pick the ID of a new record
+ * Browsers send the ID they gave the record offline, so later updates and
+ * deletes of their outbox find it; without one a new ID is generated.
+ * @param {*} requestedId - ID sent by the client, if any
+ * @param {Array} records - Records of the collection
+ * @returns {number} ID for the new record
+ */
+export function pickRecordId(requestedId, records) {
+    if (requestedId === undefined || requestedId === null) return generateId();
+
+    const id = Number(requestedId);
+    if (!Number.isSafeInteger(id) || id <= 0) {
+        throw new HttpError(422, `Identificador inválido: ${requestedId}`);
+    }
+    if (records.some(record => record.id === id)) {
+        throw new HttpError(409, `Ya existe un registro con el identificador ${id}`);
+    }
+    return id;
+}
+
+/**
+ * Reject a write based on an older version of a record (optimistic concurrency)
+ * The stored record goes back in the details so the browser can offer a merge.
+ * Writes without If-Match are accepted as before.
+ * @param {Object} record - Stored record
+ * @param {number|null} expectedVersion - Version the client based its change on
+ * @param {Function} toPublic - Shape of the record sent back
+ */
+export function assertVersion(record, expectedVersion, toPublic = r => r) {
+    if (expectedVersion === null || (record.version || 0) === expectedVersion) return;
+    throw new HttpError(409, ERROR_MESSAGES.STALE_RECORD, [{ remote: toPublic(record) }]);
+}
+
+/**
+ * Mark a record as written by a client
+ * Only direct writes count: holders set as a side effect of an assignment
+ * are what every browser computes itself, so they keep the version.
+ * @param {Object} record - Record being stored
+ * @param {number} version - Version of the stored record before the write (0 for new records)
+ */
+export function stampVersion(record, version = 0) {
+    record.version = version + 1;
+    record.updatedAt = new Date().toISOString();
+}
+
+/**
+ * Remove fields of an employee that must not leave the server
+ * @param {Object} employee - Stored employee
+ * @returns {Object} Public employee
+ */
+export function toPublicEmployee(employee) {
+    const { pinHash, ...rest } = employee;
+    return { ...rest, tienePin: !!pinHash };
+}
+
+/**
+ * Shape a whole document for a response, without PIN hashes
+ * @param {Object} data - Data document
+ * @returns {Object} Public document
+ */
+export function toPublicDocument(data) {
+    return { ...data, empleados: (data.empleados || []).map(toPublicEmployee) };
+}
+
+/**
+ * Keep the stored PIN hashes in employees sent back by a client
+ * Documents read from the server carry `tienePin` instead of the hash, so a
+ * replace would otherwise wipe every PIN.
+ * @param {Array} employees - Employees sent by the client
+ * @param {Array} stored - Stored employees
+ * @returns {Array} Employees to store
+ */
+export function keepPinHashes(employees, stored) {
+    return employees.map(({ tienePin, ...employee }) => {
+        if (employee.pinHash || !tienePin) return employee;
+        const current = stored.find(emp => emp.id === employee.id);
+        return current?.pinHash ? { ...employee, pinHash: current.pinHash } : employee;
+    });
+}
+
+/**
+ * Read the whole data document
+ * @returns {Promise<Object>} Data
+ */
+export async function readData() {
+    try {
+        return normalize(JSON.parse(await fs.readFile(DATA_FILE, 'utf8')));
+    } catch (error) {
+        if (error.code === 'ENOENT') return getDefaultData();
+        throw error;
+    }
+}
+
+/**
+ * Write the whole data document
+ * The file is written next to the target and renamed, so a crash never leaves half a file.
+ * @param {Object} data - Data to store
+ * @returns {Promise<Object>} Stored data
+ */
+async function writeData(data) {
+    const stored = normalize({ ...data, lastUpdated: new Date().toISOString() });
+    await fs.mkdir(path.dirname(DATA_FILE), { recursive: true });
+
+    const tempFile = `${DATA_FILE}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(stored, null, 2));
+    await fs.rename(tempFile, DATA_FILE);
+    return stored;
+}
+
+/**
+ * Run a write after the writes already queued
+ * Other files kept next to the data (idempotency keys) use the same queue,
+ * so their read-modify-write steps never interleave with a data write.
+ * @param {Function} task - async () => result
+ * @returns {Promise<*>} Task result
+ */
+export function enqueue(task) {
+    const run = writeQueue.then(task);
+
+    // Keep the queue alive after a failed write
+    writeQueue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Read, change and save the data document
+ * @param {Function} mutator - async (data) => result; may change data in place
+ * @returns {Promise<*>} Mutator result
+ */
+export function updateData(mutator) {
+    return enqueue(async () => {
+        const data = await readData();
+        const result = await mutator(data);
+        await writeData(data);
+        return result;
+    });
+}
+
+/**
+ * Replace the data document with one sent by a client
+ * Employees sent without their PIN hash keep the stored one (see keepPinHashes).
+ * @param {Object} data - Complete data document
+ * @returns {Promise<Object>} Stored data
+ */
+export function replaceData(data) {
+    return enqueue(async () => {
+        const current = await readData();
+        return writeData({ ...data, empleados: keepPinHashes(data.empleados || [], current.empleados) });
+    });
+}
+
+/**
+ * Load the pico y placa rules and company non-working days of the data
+ * into the shared engines, so availability matches the browser
+ * @param {Object} data - Data document
+ */
+export function applyCalendar(data) {
+    setPicoPlacaRuleSets(data.reglasPicoPlaca);
+    setCompanyNonWorkingDays(data.diasNoLaborales);
+}
@@ -0,0 +1,205 @@
+/**
+ * Record validation for the Netlify Functions
+ * The same rules the browser forms apply, shared by the record endpoints
+ * (employees, parking-spaces, assignments) and the whole-document writes
+ * (/data, /sync, /backup/upload), so no route stores what the others refuse.
+ */
+
+import { HttpError } from './http.mjs';
+import { RECORD_COLLECTIONS, applyCalendar, findDocumentErrors } from './store.mjs';
+import { migrateData } from '../../public/src/js/utils/migrations.js';
+import {
+    validateEmployeeData,
+    validateParkingData,
+    getAssignmentEmployeeIds,
+    getAssignmentWeekdays,
+    isSharedAssignment,
+    dateRangesOverlap,
+    weekdaysOverlap,
+    canUseSpaceCategory
+} from '../../public/src/js/utils/helpers.js';
+import { findPatternIssues } from '../../public/src/js/utils/sharedAssignments.js';
+import { ASSIGNMENT_STATUS, ERROR_MESSAGES } from '../../public/src/js/utils/constants.js';
+
+/**
+ * Validate an employee against the form rules and the other employees
+ * @param {Object} employee - Employee data
+ * @param {Array} employees - Stored employees
+ */
+export function validateEmployee(employee, employees) {
+    const validation = validateEmployeeData(employee);
+    if (!validation.isValid) {
+        throw new HttpError(422, ERROR_MESSAGES.REQUIRED_FIELDS, validation.errors);
+    }
+
+    const others = employees.filter(emp => emp.id !== employee.id);
+    if (others.some(emp => emp.cedula === employee.cedula)) {
+        throw new HttpError(409, ERROR_MESSAGES.DUPLICATE_CEDULA);
+    }
+    if (others.some(emp => emp.placa === employee.placa)) {
+        throw new HttpError(409, ERROR_MESSAGES.DUPLICATE_PLATE);
+    }
+}
+
+/**
+ * Validate a parking space against the form rules and the other spaces
+ * @param {Object} space - Parking space
+ * @param {Array} spaces - Stored parking spaces
+ */
+export function validateSpace(space, spaces) {
+    const validation = validateParkingData(space);
+    if (!validation.isValid) {
+        throw new HttpError(422, ERROR_MESSAGES.REQUIRED_FIELDS, validation.errors);
+    }
+
+    if (spaces.some(s => s.id !== space.id && s.numero === space.numero)) {
+        throw new HttpError(409, `${ERROR_MESSAGES.DUPLICATE_PARKING}: ${space.numero}`);
+    }
+}
+
+/**
+ * Find another assignment of an employee or space sharing days with a period
+ * Mirrors AssignmentManager.findOverlappingAssignment.
+ * @param {Array} assignments - Stored assignments
+ * @param {string} field - 'empleadoId' or 'parqueaderoId'
+ * @param {number} id - Employee or space ID
+ * @param {Object} period - { id, fechaInicio, fechaFin }
+ * @param {Array|null} weekdays - Weekdays used in the period, null for every day
+ * @returns {Object|undefined} Overlapping assignment
+ */
+export function findOverlap(assignments, field, id, period, weekdays = null) {
+    const isEmployee = field === 'empleadoId';
+    return assignments.find(a =>
+        a.id !== period.id &&
+        (isEmployee ? getAssignmentEmployeeIds(a).includes(id) : a[field] === id) &&
+        a.estado !== ASSIGNMENT_STATUS.CANCELADA &&
+        a.estado !== ASSIGNMENT_STATUS.FINALIZADA &&
+        dateRangesOverlap(a, period) &&
+        weekdaysOverlap(getAssignmentWeekdays(a, isEmployee ? id : null), weekdays)
+    );
+}
+
+/**
+ * Validate an assignment like AssignmentManager.validateAssignment and validateSharedAssignment
+ * @param {Object} assignment - Assignment to store
+ * @param {Object} data - Data document
+ */
+export function validateAssignment(assignment, data) {
+    const { parqueaderoId, fechaInicio, fechaFin } = assignment;
+    const employeeIds = getAssignmentEmployeeIds(assignment);
+
+    if (employeeIds.length === 0 || !parqueaderoId || !fechaInicio) {
+        throw new HttpError(422, ERROR_MESSAGES.REQUIRED_FIELDS);
+    }
+    if (fechaFin && fechaFin < fechaInicio) {
+        throw new HttpError(422, ERROR_MESSAGES.INVALID_DATE_RANGE);
+    }
+
+    const space = data.parqueaderos.find(s => s.id === parqueaderoId);
+    if (!space) throw new HttpError(422, ERROR_MESSAGES.PARKING_NOT_FOUND);
+
+    const employees = employeeIds.map(id => {
+        const employee = data.empleados.find(emp => emp.id === id);
+        if (!employee) throw new HttpError(422, `${ERROR_MESSAGES.EMPLOYEE_NOT_FOUND}: ${id}`);
+        if (employee.tipoVehiculo !== space.tipo) {
+            throw new HttpError(422, `${ERROR_MESSAGES.VEHICLE_TYPE_MISMATCH} (${employee.nombre})`);
+        }
+        if (!canUseSpaceCategory(employee, space)) {
+            throw new HttpError(422, `${ERROR_MESSAGES.SPACE_CATEGORY_NOT_ALLOWED} (${employee.nombre})`);
+        }
+        return employee;
+    });
+
+    if (isSharedAssignment(assignment)) {
+        const issues = findPatternIssues(assignment.patronSemanal || {}, employees, fechaInicio);
+        if (issues.length > 0) throw new HttpError(422, 'El patrón semanal no es válido', issues);
+    }
+
+    employees.forEach(employee => {
+        const existing = findOverlap(data.asignaciones, 'empleadoId', employee.id, assignment, getAssignmentWeekdays(assignment, employee.id));
+        if (existing) {
+            throw new HttpError(409, `${employee.nombre}: ${ERROR_MESSAGES.EMPLOYEE_ALREADY_ASSIGNED}`, [{ asignacionId: existing.id }]);
+        }
+    });
+
+    const booked = findOverlap(data.asignaciones, 'parqueaderoId', parqueaderoId, assignment, getAssignmentWeekdays(assignment));
+    if (booked) {
+        throw new HttpError(409, ERROR_MESSAGES.PARKING_ALREADY_ASSIGNED, [{ asignacionId: booked.id }]);
+    }
+}
+
+/**
+ * Describe a failed validation for a list of document errors
+ * @param {string} label - Record, e.g. 'Empleado 12'
+ * @param {Error} error - Error thrown by a validator
+ * @returns {string} Message
+ */
+function describeError(label, error) {
+    if (!(error instanceof HttpError)) throw error;
+    const details = error.details.filter(detail => typeof detail === 'string');
+    return `${label}: ${[error.message, ...details].join('; ')}`;
+}
+
+/**
+ * List the records of a whole document that the record endpoints would refuse
+ * Only current and scheduled assignments are checked: ended ones keep the
+ * employees and spaces as they were then. Loads the calendar of the document
+ * (see applyCalendar), since shared patterns depend on pico y placa.
+ * @param {Object} data - Data document, already migrated (see migrateData)
+ * @returns {Array} Messages, empty if every record is valid
+ */
+export function findRecordErrors(data) {
+    applyCalendar(data);
+
+    const errors = [];
+    const check = (label, validate) => {
+        try {
+            validate();
+        } catch (error) {
+            errors.push(describeError(label, error));
+        }
+    };
+
+    data.empleados.forEach(employee => {
+        check(`Empleado ${employee.id}`, () => validateEmployee(employee, data.empleados));
+    });
+    data.parqueaderos.forEach(space => {
+        check(`Parqueadero ${space.id}`, () => validateSpace(space, data.parqueaderos));
+    });
+    data.asignaciones
+        .filter(a => a.estado === ASSIGNMENT_STATUS.ACTIVA || a.estado === ASSIGNMENT_STATUS.PROGRAMADA)
+        .forEach(assignment => {
+            check(`Asignación ${assignment.id}`, () => validateAssignment(assignment, data));
+        });
+
+    return errors;
+}
+
+/**
+ * List the records of a whole document based on older versions than the stored ones
+ * The record endpoints refuse such writes through If-Match (see assertVersion).
+ * @param {Object} data - Data document sent by a client
+ * @param {Object} stored - Stored data document
+ * @returns {Array} [{ collection, id, version, storedVersion }]
+ */
+export function findStaleRecords(data, stored) {
+    return RECORD_COLLECTIONS.flatMap(collection => {
+        const current = new Map(stored[collection].map(record => [record.id, record.version || 0]));
+        return (data[collection] || [])
+            .filter(record => current.has(record.id) && (record.version || 0) < current.get(record.id))
+            .map(record => ({ collection, id: record.id, version: record.version || 0, storedVersion: current.get(record.id) }));
+    });
+}
+
+/**
+ * Refuse a whole document whose collections or records the API would not store
+ * @param {*} data - Document sent by a client
+ * @throws {HttpError} 422 listing the problems
+ */
+export function assertValidDocument(data) {
+    const shapeErrors = findDocumentErrors(data);
+    if (shapeErrors.length > 0) throw new HttpError(422, 'Los datos no tienen el formato esperado', shapeErrors);
+
+    const recordErrors = findRecordErrors(migrateData(data).data);
+    if (recordErrors.length > 0) throw new HttpError(422, 'Hay registros que no cumplen las validaciones', recordErrors);
+}
@@ -3,20 +3,35 @@
  * Coordinates all modules and handles initialization
  */
 
-import { APP_CONFIG, UI_ELEMENTS, ALERT_TYPES } from './utils/constants.js';
-import { getCurrentDate, calculateDailyAvailability } from './utils/helpers.js';
+import { APP_CONFIG, UI_ELEMENTS, ALERT_TYPES, ERROR_MESSAGES, SUCCESS_MESSAGES, PERMISSIONS } from './utils/constants.js';
+import { getCurrentDate } from './utils/helpers.js';
 import storageService from './services/storage.js';
+import store from './services/store.js';
+import eventBus, { EVENTS } from './services/eventBus.js';
+import authService from './services/auth.js';
+import historyService from './services/history.js';
 import apiService from './services/api.js';
-import employeeManager from './modules/employees.js';
-import parkingManager from './modules/parking.js';
+import outboxService from './services/outbox.js';
+import { NetworkError, getErrorMessage } from './services/apiErrors.js';
+import { SchemaVersionError, describeMigrationReport } from './utils/migrations.js';
+import './modules/employees.js';
+import './modules/parking.js';
 import assignmentManager from './modules/assignments.js';
+import picoPlacaManager from './modules/picoPlaca.js';
+import holidayManager from './modules/holidays.js';
+import rotationManager from './modules/rotation.js';
+import plannerManager from './modules/planner.js';
+import portalManager from './modules/portal.js';
+import './modules/conflicts.js';
+import eventLogManager from './modules/eventLog.js';
+import auditManager from './modules/audit.js';
+import './modules/users.js';
 import { showAlert, setupFormValidation } from './modules/ui.js';
 
 class ParkingApp {
     constructor() {
         this.currentTab = UI_ELEMENTS.TABS.DASHBOARD;
         this.isInitialized = false;
-        this.assignments = [];
         this.init();
     }
 
@@ -29,6 +44,7 @@ class ParkingApp {
             
             // Setup basic UI
             this.setupUI();
+            this.applyPermissions();
             
             // Load data
             await this.loadAppData();
@@ -39,9 +55,6 @@ class ParkingApp {
             // Setup inter-module communication
             this.setupModuleCommunication();
             
-            // Update dashboard
-            this.updateDashboard();
-            
             // Check API connectivity
             this.checkAPIConnectivity();
             
@@ -53,7 +66,7 @@ class ParkingApp {
             
         } catch (error) {
             console.error('❌ Error initializing application:', error);
-            showAlert('Error al inicializar el sistema', ALERT_TYPES.DANGER);
+            showAlert(getErrorMessage(error, 'Error al inicializar el sistema'), ALERT_TYPES.DANGER);
         }
     }
 
@@ -65,6 +78,10 @@ class ParkingApp {
         this.setupFormValidation();
         this.setupDateInputs();
         this.setupKeyboardShortcuts();
+        this.setupUndoToast();
+        this.setupOfflineMode();
+        this.setupSyncIndicator();
+        this.setupDataBackup();
     }
 
     /**
@@ -82,12 +99,37 @@ class ParkingApp {
         });
     }
 
+    /**
+     * Show only what the signed-in user's role may use
+     * Without a session only the sign-in form (and the employee portal) is shown.
+     * Buttons marked with data-permiso are hidden by the sin-<permiso> classes.
+     */
+    applyPermissions() {
+        const user = authService.getCurrentUser();
+        document.body.classList.toggle('auth-required', !user);
+
+        Object.values(PERMISSIONS).forEach(permission => {
+            document.body.classList.toggle(`sin-${permission}`, !authService.can(permission));
+        });
+
+        document.querySelectorAll('.nav-tab').forEach(nav => {
+            nav.style.display = authService.canSeeTab(nav.dataset.tab) ? '' : 'none';
+        });
+
+        if (user && !authService.canSeeTab(this.currentTab)) {
+            const firstTab = Object.values(UI_ELEMENTS.TABS).find(tab => authService.canSeeTab(tab));
+            if (firstTab) this.showTab(firstTab);
+        }
+    }
+
     /**
      * Show specific tab
      * @param {string} tabName - Tab to show
      */
     showTab(tabName) {
         console.log('showTab called with:', tabName);
+        if (!authService.canSeeTab(tabName)) return;
+
         // Hide all tabs
         const allTabs = document.querySelectorAll('.tab-content');
         const allNavTabs = document.querySelectorAll('.nav-tab');
@@ -106,12 +148,17 @@ class ParkingApp {
             
             // Update data when switching to dashboard
             if (tabName === UI_ELEMENTS.TABS.DASHBOARD) {
-                this.updateDashboard();
+                assignmentManager.updateDashboard();
             }
             
             // Handle availability tab
             if (tabName === UI_ELEMENTS.TABS.DISPONIBILIDAD) {
-                this.setupAvailabilityTab();
+                assignmentManager.updateAvailabilityView(document.getElementById('fechaConsulta')?.value);
+                plannerManager.render();
+            }
+
+            if (tabName === UI_ELEMENTS.TABS.HISTORIAL) {
+                auditManager.render();
             }
         }
     }
@@ -137,10 +184,7 @@ class ParkingApp {
         const fechaConsulta = document.getElementById('fechaConsulta');
         
         if (fechaInicio) fechaInicio.value = today;
-        if (fechaConsulta) {
-            fechaConsulta.value = today;
-            fechaConsulta.addEventListener('change', () => this.updateAvailability());
-        }
+        if (fechaConsulta) fechaConsulta.value = today;
     }
 
     /**
@@ -149,7 +193,7 @@ class ParkingApp {
     setupKeyboardShortcuts() {
         document.addEventListener('keydown', (e) => {
             // Alt + number keys for tab navigation
-            if (e.altKey && e.key >= '1' && e.key <= '5') {
+            if (e.altKey && e.key >= '1' && e.key <= '9') {
                 e.preventDefault();
                 const tabIndex = parseInt(e.key) - 1;
                 const tabs = Object.values(UI_ELEMENTS.TABS);
@@ -163,9 +207,77 @@ class ParkingApp {
                 e.preventDefault();
                 this.exportData();
             }
+
+            // Ctrl + Shift + E for the event log panel
+            if (e.ctrlKey && e.shiftKey && e.key.toLowerCase() === 'e') {
+                e.preventDefault();
+                eventLogManager.toggle();
+            }
+
+            // Ctrl + Z / Ctrl + Y (or Ctrl + Shift + Z) undo and redo operations; text fields keep their own
+            const editing = e.target.closest?.('input, textarea, select, [contenteditable="true"]');
+            if (e.ctrlKey && !editing && e.key.toLowerCase() === 'z') {
+                e.preventDefault();
+                if (e.shiftKey) this.redo(); else this.undo();
+            }
+            if (e.ctrlKey && !editing && e.key.toLowerCase() === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
         });
     }
 
+    /**
+     * Offer to undo each recorded operation from a toast
+     */
+    setupUndoToast() {
+        eventBus.on(EVENTS.HISTORY_CHANGED, ({ action, label }) => {
+            if (action !== 'registrar') return;
+
+            const alert = showAlert(`↩️ ${label}`, ALERT_TYPES.INFO, 10000);
+            if (!alert) return;
+
+            const undoBtn = document.createElement('button');
+            undoBtn.type = 'button';
+            undoBtn.className = 'btn btn-secondary';
+            undoBtn.textContent = 'Deshacer (Ctrl+Z)';
+            undoBtn.style.cssText = 'margin-left: 10px; padding: 4px 10px;';
+            undoBtn.addEventListener('click', () => {
+                alert.remove();
+                this.undo();
+            });
+            alert.insertBefore(undoBtn, alert.querySelector('.alert-close'));
+        });
+    }
+
+    /**
+     * Undo the last operation
+     */
+    async undo() {
+        try {
+            const label = await historyService.undo();
+            if (label) showAlert(`Deshecho: ${label}`, ALERT_TYPES.SUCCESS, 4000);
+            else showAlert('No hay operaciones para deshacer', ALERT_TYPES.INFO, 3000);
+        } catch (error) {
+            console.error('Error undoing operation:', error);
+            showAlert(getErrorMessage(error, 'Error al deshacer la operación'), ALERT_TYPES.DANGER);
+        }
+    }
+
+    /**
+     * Apply the last undone operation again
+     */
+    async redo() {
+        try {
+            const label = await historyService.redo();
+            if (label) showAlert(`Rehecho: ${label}`, ALERT_TYPES.SUCCESS, 4000);
+            else showAlert('No hay operaciones para rehacer', ALERT_TYPES.INFO, 3000);
+        } catch (error) {
+            console.error('Error redoing operation:', error);
+            showAlert(getErrorMessage(error, 'Error al rehacer la operación'), ALERT_TYPES.DANGER);
+        }
+    }
+
     /**
      * Load application data
      */
@@ -173,19 +285,31 @@ class ParkingApp {
         try {
             const data = await storageService.loadData();
             
-            // Load data into modules
-            employeeManager.loadEmployees(data.empleados || []);
-            parkingManager.loadParkingSpaces(data.parqueaderos || []);
-            assignmentManager.loadData(); // This will load all data including assignments
+            // Load data into modules (calendar and rules first: other modules resolve pico y placa with them)
+            holidayManager.loadNonWorkingDays(data.diasNoLaborales || []);
+            picoPlacaManager.loadRuleSets(data.reglasPicoPlaca || []);
+            rotationManager.loadRotation(data);
+            portalManager.loadRequests(data.solicitudesParqueadero || []);
+            // Employees, spaces, assignments and loans: every view subscribed to the store renders them
+            store.load(data);
+            await assignmentManager.onDataLoaded();
             
             console.log('📊 Data loaded:', {
                 employees: data.empleados?.length || 0,
                 parkingSpaces: data.parqueaderos?.length || 0,
                 assignments: data.asignaciones?.length || 0
             });
+
+            // Data saved by an older version was upgraded on load
+            const report = storageService.takeMigrationReport();
+            if (report) showAlert(describeMigrationReport(report), ALERT_TYPES.INFO);
             
         } catch (error) {
             console.error('Error loading app data:', error);
+            if (error instanceof SchemaVersionError) {
+                showAlert(error.message, ALERT_TYPES.DANGER, 0);
+                return;
+            }
             showAlert('Error al cargar los datos', ALERT_TYPES.WARNING);
         }
     }
@@ -194,478 +318,204 @@ class ParkingApp {
      * Initialize all modules
      */
     initializeModules() {
-        // Modules are already initialized through imports
-        // Additional setup if needed
-        this.setupAssignmentHandlers();
-    }
-
-    /**
-     * Setup assignment handlers
-     */
-    setupAssignmentHandlers() {
-        // Assignment form
-        const assignmentForm = document.getElementById(UI_ELEMENTS.FORMS.ASIGNACION);
-        if (assignmentForm) {
-            assignmentForm.addEventListener('submit', (e) => this.handleAssignmentSubmit(e));
-        }
-
-        // Auto-assignment button
-        const autoAssignBtn = document.getElementById('asignacionAutomatica');
-        if (autoAssignBtn) {
-            autoAssignBtn.addEventListener('click', () => this.handleAutoAssignment());
-        }
+        // Modules are already initialized through imports; the assignment form,
+        // auto-assignment and availability views belong to assignmentManager
     }
 
     /**
      * Setup inter-module communication
      */
     setupModuleCommunication() {
-        // Listen for employee events
-        window.addEventListener('employeeAdded', (e) => {
-            this.updateSelectorsAndDashboard();
-        });
-
-        window.addEventListener('employeeDeleted', (e) => {
-            // Remove assignments for deleted employee
-            this.assignments = this.assignments.filter(
-                assignment => assignment.empleadoId !== e.detail.id
-            );
-            this.saveAssignments();
-            this.updateSelectorsAndDashboard();
-        });
-
-        // Listen for parking events
-        window.addEventListener('parkingSpaceAdded', (e) => {
-            this.updateSelectorsAndDashboard();
-        });
-
-        window.addEventListener('parkingSpaceDeleted', (e) => {
-            // Remove assignments for deleted parking space
-            this.assignments = this.assignments.filter(
-                assignment => assignment.parqueaderoId !== e.detail.id
-            );
-            this.saveAssignments();
-            this.updateSelectorsAndDashboard();
+        // A merged or discarded edit changed the local records
+        eventBus.on(EVENTS.SYNC_CONFLICT_RESOLVED, async () => {
+            await this.loadAppData();
         });
 
-        // Handle assignment info requests
-        window.addEventListener('getEmployeeAssignment', (e) => {
-            this.updateEmployeeAssignmentDisplay(e.detail.employeeId);
-        });
+        // Sign-in, sign-out or a role change
+        eventBus.on(EVENTS.SESSION_CHANGED, () => this.applyPermissions());
     }
 
     /**
-     * Handle assignment form submission
-     * @param {Event} event - Form submit event
+     * Export application data
      */
-    async handleAssignmentSubmit(event) {
-        event.preventDefault();
-        
-        const formData = new FormData(event.target);
-        const assignmentData = {
-            empleadoId: parseInt(formData.get('empleadoAsignacion')),
-            parqueaderoId: parseInt(formData.get('parqueaderoAsignacion')),
-            fechaInicio: formData.get('fechaInicio'),
-            fechaFin: formData.get('fechaFin') || null
-        };
-
-        // Validation
-        if (!assignmentData.empleadoId || !assignmentData.parqueaderoId || !assignmentData.fechaInicio) {
-            showAlert('Complete todos los campos requeridos', ALERT_TYPES.DANGER);
-            return;
-        }
-
-        // Check if employee already has assignment
-        if (this.hasActiveAssignment(assignmentData.empleadoId)) {
-            showAlert('El empleado ya tiene un parqueadero asignado', ALERT_TYPES.DANGER);
-            return;
-        }
-
-        // Check if parking space is available
-        if (this.isParkingSpaceAssigned(assignmentData.parqueaderoId)) {
-            showAlert('El parqueadero ya está asignado', ALERT_TYPES.DANGER);
-            return;
-        }
-
+    async exportData() {
         try {
-            await this.createAssignment(assignmentData);
-            event.target.reset();
-            showAlert('Parqueadero asignado exitosamente', ALERT_TYPES.SUCCESS);
+            authService.require(PERMISSIONS.ADMINISTRAR_DATOS);
+            const data = await storageService.loadData();
+            storageService.exportData(data);
+            showAlert('Datos exportados exitosamente', ALERT_TYPES.SUCCESS);
         } catch (error) {
-            console.error('Error creating assignment:', error);
-            showAlert('Error al asignar parqueadero', ALERT_TYPES.DANGER);
+            console.error('Error exporting data:', error);
+            showAlert(getErrorMessage(error, 'Error al exportar datos'), ALERT_TYPES.DANGER);
         }
     }
 
     /**
-     * Handle auto-assignment
+     * Replace the application data with a backup file
+     * Backups from older versions go through the same migrations as the
+     * stored data (see storageService.importData) before they are saved, and
+     * their records take the stored versions so the server accepts them.
+     * @param {File} file - Backup chosen by the user
      */
-    async handleAutoAssignment() {
-        const unassignedEmployees = employeeManager.getEmployees().filter(
-            emp => !this.hasActiveAssignment(emp.id)
-        );
-
-        if (unassignedEmployees.length === 0) {
-            showAlert('Todos los empleados ya tienen asignaciones', ALERT_TYPES.INFO);
+    async importData(file) {
+        let imported;
+        try {
+            authService.require(PERMISSIONS.ADMINISTRAR_DATOS);
+            imported = await storageService.importData(file);
+        } catch (error) {
+            console.error('Error reading backup:', error);
+            const message = error instanceof SchemaVersionError ? error.message :
+                getErrorMessage(error, ERROR_MESSAGES.INVALID_BACKUP);
+            showAlert(message, ALERT_TYPES.DANGER);
             return;
         }
 
-        let assignedCount = 0;
-
-        for (const employee of unassignedEmployees) {
-            const availableSpaces = parkingManager.getAvailableSpaces(employee.tipoVehiculo);
-            const availableSpace = availableSpaces.find(space => 
-                !this.isParkingSpaceAssigned(space.id)
+        const { data, report } = imported;
+        try {
+            const confirmed = confirm(
+                `¿Reemplazar todos los datos con el respaldo "${file.name}"?\n\n` +
+                `${data.empleados.length} empleados, ${data.parqueaderos.length} parqueaderos y ` +
+                `${data.asignaciones.length} asignaciones. Los datos actuales se perderán.`
             );
+            if (!confirmed) return;
 
-            if (availableSpace) {
-                await this.createAssignment({
-                    empleadoId: employee.id,
-                    parqueaderoId: availableSpace.id,
-                    fechaInicio: getCurrentDate(),
-                    fechaFin: null
-                });
-                assignedCount++;
-            }
-        }
+            // One command: undo puts back the employees, spaces, assignments and loans replaced
+            await historyService.run(`Restaurar respaldo ${file.name}`, async () => {
+                await storageService.saveData(storageService.adoptStoredVersions(data));
+                await this.loadAppData();
+            });
 
-        showAlert(`Se asignaron ${assignedCount} parqueaderos automáticamente`, ALERT_TYPES.SUCCESS);
+            const summary = describeMigrationReport(report);
+            showAlert(summary ? `${SUCCESS_MESSAGES.DATA_IMPORTED}. ${summary}` : SUCCESS_MESSAGES.DATA_IMPORTED, ALERT_TYPES.SUCCESS);
+        } catch (error) {
+            console.error('Error importing data:', error);
+            showAlert(getErrorMessage(error, 'Error al importar el respaldo'), ALERT_TYPES.DANGER);
+        }
     }
 
     /**
-     * Create new assignment
-     * @param {Object} assignmentData - Assignment data
+     * Setup the backup buttons in the header
      */
-    async createAssignment(assignmentData) {
-        const assignment = {
-            id: Date.now(),
-            ...assignmentData,
-            activa: true,
-            fechaCreacion: getCurrentDate()
-        };
-
-        this.assignments.push(assignment);
-        
-        // Update parking space status
-        await parkingManager.updateParkingSpace(assignment.parqueaderoId, {
-            estado: 'ocupado',
-            empleadoAsignado: assignment.empleadoId
+    setupDataBackup() {
+        const exportButton = document.getElementById('exportarRespaldo');
+        const importButton = document.getElementById('importarRespaldo');
+        const fileInput = document.getElementById('archivoRespaldo');
+
+        if (exportButton) exportButton.addEventListener('click', () => this.exportData());
+        if (!importButton || !fileInput) return;
+
+        importButton.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const [file] = fileInput.files;
+            // Clear the input so choosing the same file again still fires change
+            fileInput.value = '';
+            if (file) await this.importData(file);
         });
-
-        await this.saveAssignments();
-        this.updateSelectorsAndDashboard();
-        this.renderAssignments();
-    }
-
-    /**
-     * Check if employee has active assignment
-     * @param {number} employeeId - Employee ID
-     * @returns {boolean} Has active assignment
-     */
-    hasActiveAssignment(employeeId) {
-        return this.assignments.some(assignment => 
-            assignment.empleadoId === employeeId && assignment.activa
-        );
     }
 
     /**
-     * Check if parking space is assigned
-     * @param {number} parkingSpaceId - Parking space ID
-     * @returns {boolean} Is assigned
+     * Check API connectivity and push pending changes
+     * A lost connection keeps the API mode: changes stay in the outbox until it returns.
      */
-    isParkingSpaceAssigned(parkingSpaceId) {
-        return this.assignments.some(assignment => 
-            assignment.parqueaderoId === parkingSpaceId && assignment.activa
-        );
-    }
-
-    /**
-     * Update selectors and dashboard
-     */
-    updateSelectorsAndDashboard() {
-        this.updateAssignmentSelectors();
-        this.updateDashboard();
-        this.renderAssignments();
-    }
-
-    /**
-     * Update assignment form selectors
-     */
-    updateAssignmentSelectors() {
-        // Update employee selector
-        const employeeSelect = document.getElementById('empleadoAsignacion');
-        if (employeeSelect) {
-            employeeSelect.innerHTML = '<option value="">Seleccionar empleado</option>';
-            
-            const unassignedEmployees = employeeManager.getEmployees().filter(
-                emp => !this.hasActiveAssignment(emp.id)
-            );
-
-            unassignedEmployees.forEach(employee => {
-                const option = document.createElement('option');
-                option.value = employee.id;
-                option.textContent = `${employee.nombre} - ${employee.placa} (${employee.tipoVehiculo})`;
-                employeeSelect.appendChild(option);
-            });
-        }
-
-        // Update parking selector
-        const parkingSelect = document.getElementById('parqueaderoAsignacion');
-        if (parkingSelect) {
-            parkingSelect.innerHTML = '<option value="">Seleccionar parqueadero</option>';
-            
-            const availableSpaces = parkingManager.getAvailableSpaces().filter(
-                space => !this.isParkingSpaceAssigned(space.id)
-            );
-
-            availableSpaces.forEach(space => {
-                const option = document.createElement('option');
-                option.value = space.id;
-                option.textContent = `${space.numero} - Sótano ${space.sotano} (${space.tipo})`;
-                parkingSelect.appendChild(option);
-            });
-        }
-    }
-
-    /**
-     * Render assignments table
-     */
-    renderAssignments() {
-        const tbody = document.getElementById('tablaAsignaciones');
-        if (!tbody) return;
-
-        tbody.innerHTML = '';
-
-        const activeAssignments = this.assignments.filter(assignment => assignment.activa);
-
-        if (activeAssignments.length === 0) {
-            tbody.innerHTML = `
-                <tr>
-                    <td colspan="8" style="text-align: center; color: #666; padding: 20px;">
-                        No hay asignaciones activas
-                    </td>
-                </tr>
-            `;
+    async checkAPIConnectivity() {
+        if (apiService.offlineMode) {
+            console.log('📴 Offline mode enabled, changes stay on this device');
             return;
         }
 
-        activeAssignments.forEach(assignment => {
-            const employee = employeeManager.getEmployeeById(assignment.empleadoId);
-            const parkingSpace = parkingManager.getParkingSpaceById(assignment.parqueaderoId);
-            
-            if (employee && parkingSpace) {
-                const row = document.createElement('tr');
-                row.innerHTML = `
-                    <td>${employee.nombre}</td>
-                    <td>${parkingSpace.numero}</td>
-                    <td>Sótano ${parkingSpace.sotano}</td>
-                    <td>${parkingSpace.tipo}</td>
-                    <td>${assignment.fechaInicio}</td>
-                    <td>${assignment.fechaFin || 'Indefinido'}</td>
-                    <td><span class="status-ocupado">Ocupado</span></td>
-                    <td>
-                        <button class="btn btn-danger" onclick="app.endAssignment(${assignment.id})" 
-                                title="Terminar asignación">
-                            🏁 Terminar
-                        </button>
-                    </td>
-                `;
-                tbody.appendChild(row);
+        try {
+            const isAvailable = await apiService.healthCheck();
+            storageService.setAPIMode(isAvailable);
+            if (!isAvailable) {
+                console.log('📱 API not available, working offline');
+                return;
             }
-        });
-    }
-
-    /**
-     * End assignment
-     * @param {number} assignmentId - Assignment ID
-     */
-    async endAssignment(assignmentId) {
-        const assignment = this.assignments.find(a => a.id === assignmentId);
-        if (!assignment) return;
-
-        const confirmed = confirm('¿Está seguro de terminar esta asignación?');
-        if (!confirmed) return;
+        } catch (error) {
+            if (error instanceof NetworkError) {
+                console.log('📱 API unreachable, pending changes will be sent when it returns');
+                return;
+            }
+            console.log('📱 API not available, working offline');
+            storageService.setAPIMode(false);
+            return;
+        }
 
+        console.log('🌐 API connection available');
         try {
-            // Update assignment
-            assignment.activa = false;
-            assignment.fechaFin = getCurrentDate();
-
-            // Update parking space
-            await parkingManager.updateParkingSpace(assignment.parqueaderoId, {
-                estado: 'disponible',
-                empleadoAsignado: null
-            });
-
-            await this.saveAssignments();
-            this.updateSelectorsAndDashboard();
-            showAlert('Asignación terminada exitosamente', ALERT_TYPES.SUCCESS);
+            await this.syncWithServer();
         } catch (error) {
-            console.error('Error ending assignment:', error);
-            showAlert('Error al terminar asignación', ALERT_TYPES.DANGER);
+            console.error('Error syncing with server:', error);
+            showAlert(getErrorMessage(error, 'Error al sincronizar con el servidor'), ALERT_TYPES.WARNING);
         }
     }
 
     /**
-     * Update dashboard statistics
-     */
-    updateDashboard() {
-        const stats = parkingManager.getStatistics();
-        
-        // Update counters
-        document.getElementById('totalParqueaderos').textContent = stats.total;
-        document.getElementById('disponibles').textContent = stats.available;
-        document.getElementById('ocupados').textContent = stats.occupied;
-        document.getElementById('picoPlaca').textContent = '0'; // TODO: Calculate pico y placa
-        
-        // Update today's availability
-        this.updateTodayAvailability();
-    }
-
-    /**
-     * Update today's availability table
+     * Send the outbox and, once it is empty, take the newer server data
      */
-    updateTodayAvailability() {
-        const tbody = document.getElementById('disponibilidadHoy');
-        if (!tbody) return;
+    async syncWithServer() {
+        const { rejected } = await outboxService.replay();
+        rejected.forEach(({ error }) => {
+            showAlert(`${ERROR_MESSAGES.CHANGE_REJECTED}: ${getErrorMessage(error, 'error desconocido')}`, ALERT_TYPES.DANGER);
+        });
+        if (outboxService.getPendingCount() > 0) return;
 
-        tbody.innerHTML = '';
-        
-        const availableSpaces = parkingManager.getAvailableSpaces();
-        
-        if (availableSpaces.length === 0) {
-            tbody.innerHTML = `
-                <tr>
-                    <td colspan="6" style="text-align: center; color: #666; padding: 20px;">
-                        No hay parqueaderos disponibles hoy
-                    </td>
-                </tr>
-            `;
-            return;
+        const { changed } = await storageService.syncWithAPI();
+        if (changed) {
+            await this.loadAppData();
+            showAlert('Datos actualizados desde el servidor', ALERT_TYPES.INFO, 3000);
         }
-
-        availableSpaces.forEach(space => {
-            const row = document.createElement('tr');
-            row.innerHTML = `
-                <td>${space.numero}</td>
-                <td>Sótano ${space.sotano}</td>
-                <td>${space.tipo}</td>
-                <td><span class="status-disponible">Disponible</span></td>
-                <td>No asignado</td>
-                <td>Sin asignación</td>
-            `;
-            tbody.appendChild(row);
-        });
     }
 
     /**
-     * Setup availability tab
+     * Setup the pending sync indicator in the header
      */
-    setupAvailabilityTab() {
-        // Add event listeners for filters
-        const filters = ['filtroTipoDisponibilidad', 'filtroSotanoDisponibilidad'];
-        filters.forEach(filterId => {
-            const filter = document.getElementById(filterId);
-            if (filter) {
-                filter.addEventListener('change', () => this.updateAvailability());
-            }
-        });
+    setupSyncIndicator() {
+        const indicator = document.getElementById('sincronizacionPendiente');
+        if (!indicator) return;
+
+        const render = (pending, lastError) => {
+            indicator.style.display = pending > 0 ? '' : 'none';
+            indicator.textContent = `⏳ ${pending} ${pending === 1 ? 'cambio pendiente' : 'cambios pendientes'}`;
+            indicator.title = lastError ?
+                `${ERROR_MESSAGES.SAVED_LOCALLY_ONLY} (${lastError}). Clic para reintentar` :
+                'Cambios aún no enviados al servidor. Clic para reintentar';
+        };
+
+        indicator.addEventListener('click', () => this.checkAPIConnectivity());
+        eventBus.on(EVENTS.OUTBOX_CHANGED, ({ pending, lastError }) => render(pending, lastError));
+        window.addEventListener('online', () => this.checkAPIConnectivity());
 
-        this.updateAvailability();
+        render(outboxService.getPendingCount(), null);
     }
 
     /**
-     * Update availability display
+     * Setup the offline mode toggle in the header
      */
-    updateAvailability() {
-        // This is a simplified version - full implementation would include pico y placa logic
-        const availableSpaces = parkingManager.getAvailableSpaces();
-        const occupiedSpaces = parkingManager.getOccupiedSpaces();
-        
-        document.getElementById('disponiblesFecha').textContent = availableSpaces.length;
-        document.getElementById('ocupadosFecha').textContent = occupiedSpaces.length;
-        document.getElementById('picoPlacaFecha').textContent = '0';
-        
-        // Update table
-        const tbody = document.getElementById('tablaDisponibilidad');
-        if (!tbody) return;
+    setupOfflineMode() {
+        const button = document.getElementById('modoSinConexion');
+        if (!button) return;
+
+        const render = () => {
+            button.textContent = apiService.offlineMode ? '📴 Sin conexión' : '🌐 En línea';
+            button.title = apiService.offlineMode ?
+                'Los cambios se guardan solo en este equipo. Clic para volver a usar el servidor' :
+                'Clic para trabajar sin conexión con el servidor';
+        };
 
-        tbody.innerHTML = '';
-        
-        const allSpaces = parkingManager.getParkingSpaces();
-        
-        allSpaces.forEach(space => {
-            const assignment = this.assignments.find(a => 
-                a.parqueaderoId === space.id && a.activa
+        button.addEventListener('click', () => apiService.setOfflineMode(!apiService.offlineMode));
+
+        eventBus.on(EVENTS.OFFLINE_MODE_CHANGED, ({ offlineMode }) => {
+            render();
+            this.checkAPIConnectivity();
+            showAlert(
+                offlineMode ?
+                    'Modo sin conexión activado: los cambios se guardarán solo en este equipo' :
+                    'Modo sin conexión desactivado',
+                ALERT_TYPES.INFO
             );
-            
-            const employee = assignment ? 
-                employeeManager.getEmployeeById(assignment.empleadoId) : null;
-            
-            const row = document.createElement('tr');
-            row.innerHTML = `
-                <td>${space.numero}</td>
-                <td>Sótano ${space.sotano}</td>
-                <td>${space.tipo}</td>
-                <td><span class="status-${space.estado}">${space.estado}</span></td>
-                <td>${employee ? employee.nombre : 'No asignado'}</td>
-                <td>${assignment ? 'Empleado trabajando' : 'Sin asignación'}</td>
-                <td>
-                    ${space.estado === 'disponible' ? 
-                        '<button class="btn btn-primary">📝 Asignar</button>' : 
-                        '-'
-                    }
-                </td>
-            `;
-            tbody.appendChild(row);
         });
-    }
-
-    /**
-     * Save assignments to storage
-     */
-    async saveAssignments() {
-        try {
-            const data = await storageService.loadData();
-            data.asignaciones = this.assignments;
-            await storageService.saveData(data);
-        } catch (error) {
-            console.error('Error saving assignments:', error);
-            throw error;
-        }
-    }
-
-    /**
-     * Export application data
-     */
-    async exportData() {
-        try {
-            const data = await storageService.loadData();
-            storageService.exportData(data);
-            showAlert('Datos exportados exitosamente', ALERT_TYPES.SUCCESS);
-        } catch (error) {
-            console.error('Error exporting data:', error);
-            showAlert('Error al exportar datos', ALERT_TYPES.DANGER);
-        }
-    }
 
-    /**
-     * Check API connectivity
-     */
-    async checkAPIConnectivity() {
-        try {
-            const isAvailable = await apiService.isAPIAvailable();
-            if (isAvailable) {
-                console.log('🌐 API connection available');
-                storageService.setAPIMode(true);
-            } else {
-                console.log('📱 Working in offline mode');
-                storageService.setAPIMode(false);
-            }
-        } catch (error) {
-            console.log('📱 API not available, working offline');
-            storageService.setAPIMode(false);
-        }
+        render();
     }
 }
 
@@ -1,10 +1,20 @@
-import storageService from '../services/storage.js';
+import store, { STORE_KEYS } from '../services/store.js';
+import eventBus, { EVENTS, QUERIES } from '../services/eventBus.js';
+import { getErrorMessage } from '../services/apiErrors.js';
+import authService from '../services/auth.js';
+import historyService from '../services/history.js';
 import { showAlert } from './ui.js';
 import { 
     SUCCESS_MESSAGES,
     ERROR_MESSAGES,
     ALERT_TYPES,
-    PARKING_STATUS 
+    PARKING_STATUS,
+    PARKING_CATEGORY_LABELS,
+    ASSIGNMENT_STATUS,
+    LOAN_STATUS,
+    AUTO_ASSIGNMENT_STRATEGIES,
+    ASSIGNMENT_TYPES,
+    PICO_PLACA_WEEKDAYS
 } from '../utils/constants.js';
 import { 
     generateId, 
@@ -12,20 +22,80 @@ import {
     getDayOfWeek,
     calculatePicoPlacaDay,
     calculateDailyAvailability,
-    isTodayPicoPlaca 
+    isEmployeePicoPlaca,
+    addDays,
+    formatDate,
+    getAssignmentStatus,
+    isAssignmentActiveOn,
+    dateRangesOverlap,
+    isSharedAssignment,
+    getAssignmentEmployeeIds,
+    getAssignmentHolderOn,
+    getAssignmentWeekdays,
+    weekdaysOverlap,
+    getEmployeeAbsence,
+    getWorkSchedule,
+    isRetiredEmployee,
+    isSpaceAssignable,
+    canUseSpaceCategory,
+    getSpaceCategoryRank
 } from '../utils/helpers.js';
+import { getNextWorkingDay, isNonWorkingDay } from '../utils/holidays.js';
+import { ASSIGNMENT_STRATEGIES, buildAssignmentPlan, getBasementLoad } from '../utils/assignmentStrategies.js';
+import { buildSharedPattern, findPatternIssues, getRestrictedWeekdays, suggestPairs } from '../utils/sharedAssignments.js';
+import rotationManager from './rotation.js';
+import employeeManager from './employees.js';
 
 export class AssignmentManager {
     constructor() {
-        this.assignments = [];
-        this.employees = [];
-        this.parkingSpaces = [];
+        this.midnightTimer = null;
+        this.pendingPlan = null;
+        this.pairSuggestions = [];
         this.init();
     }
 
+    // Shared collections live in the central store; these read and replace them there
+    get assignments() {
+        return store.get('asignaciones');
+    }
+    set assignments(assignments) {
+        store.set('asignaciones', assignments);
+    }
+
+    get employees() {
+        return store.get('empleados');
+    }
+    set employees(employees) {
+        store.set('empleados', employees);
+    }
+
+    // Retired employees keep their history but no longer take part in selectors or the rotation
+    get activeEmployees() {
+        return this.employees.filter(emp => !isRetiredEmployee(emp));
+    }
+
+    get parkingSpaces() {
+        return store.get('parqueaderos');
+    }
+    set parkingSpaces(parkingSpaces) {
+        store.set('parqueaderos', parkingSpaces);
+    }
+
+    get loans() {
+        return store.get('prestamosDiarios');
+    }
+    set loans(loans) {
+        store.set('prestamosDiarios', loans);
+    }
+
     init() {
         this.bindEvents();
         this.setupDateSelector();
+        this.scheduleMidnightRefresh();
+        store.subscribe(STORE_KEYS, () => this.refreshViews());
+        eventBus.handle(QUERIES.EMPLOYEE_ASSIGNMENT, ({ employeeId }) => this.getEmployeeAssignment(employeeId));
+        eventBus.handle(QUERIES.EMPLOYEE_ASSIGNMENT_HISTORY, ({ employeeId }) => this.getEmployeeAssignmentHistory(employeeId));
+        eventBus.handle(QUERIES.SPACE_RELOCATION_OPTIONS, ({ parqueaderoId }) => this.getRelocationOptions(parqueaderoId));
     }
 
     bindEvents() {
@@ -39,15 +109,51 @@ export class AssignmentManager {
             autoAssignBtn.addEventListener('click', () => this.performAutoAssignment());
         }
 
+        const strategySelect = document.getElementById('estrategiaAsignacion');
+        if (strategySelect) {
+            strategySelect.innerHTML = Object.entries(ASSIGNMENT_STRATEGIES)
+                .map(([value, { label }]) => `<option value="${value}">${label}</option>`)
+                .join('');
+            strategySelect.addEventListener('change', () => this.updateStrategyDescription());
+            this.updateStrategyDescription();
+        }
+
         const dateSelector = document.getElementById('fechaConsulta');
         if (dateSelector) {
             dateSelector.addEventListener('change', (e) => this.updateAvailabilityView(e.target.value));
         }
 
-        // Listen for employee and parking updates
-        window.addEventListener('employeeAdded', (e) => this.onEmployeeAdded(e.detail));
-        window.addEventListener('employeeDeleted', (e) => this.onEmployeeDeleted(e.detail));
-        window.addEventListener('parkingSpaceAdded', (e) => this.onParkingSpaceAdded(e.detail));
+        const distributeBtn = document.getElementById('repartirCuposDia');
+        if (distributeBtn) {
+            distributeBtn.addEventListener('click', () => 
+                this.distributePicoPlacaSpaces(document.getElementById('fechaConsulta')?.value || getCurrentDate())
+            );
+        }
+
+        // Selectable employees and spaces depend on the requested period
+        ['fechaInicio', 'fechaFin'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('change', () => {
+                    this.updateEmployeeDropdown();
+                    this.updateParkingDropdown();
+                });
+            }
+        });
+
+        // Changes to employees and spaces re-render through the store; deletions also end their assignments
+        eventBus.on(EVENTS.EMPLOYEE_ADDED, () => this.onEmployeeAdded());
+        eventBus.on(EVENTS.EMPLOYEE_DELETED, (employee) => this.onEmployeeDeleted(employee));
+        eventBus.on(EVENTS.EMPLOYEE_ARCHIVED, (employee) => this.onEmployeeArchived(employee));
+        eventBus.on(EVENTS.EMPLOYEE_RESTORED, () => this.syncRotationQueue());
+        eventBus.on(EVENTS.PARKING_SPACE_DELETED, (space) => this.onParkingSpaceDeleted(space));
+        eventBus.on(EVENTS.PARKING_SPACE_STATUS_CHANGED, (change) => this.onParkingSpaceStatusChanged(change));
+        eventBus.on(EVENTS.PICO_PLACA_RULES_UPDATED, () => this.refreshViews());
+        eventBus.on(EVENTS.NON_WORKING_DAYS_UPDATED, () => this.refreshViews());
+        // Undone or redone employees and assignments join or leave the rotation queue
+        eventBus.on(EVENTS.HISTORY_CHANGED, ({ action }) => {
+            if (action !== 'registrar') this.syncRotationQueue();
+        });
     }
 
     setupDateSelector() {
@@ -81,7 +187,7 @@ export class AssignmentManager {
             
         } catch (error) {
             console.error('Error creating assignment:', error);
-            showAlert('Error al crear asignación', ALERT_TYPES.DANGER);
+            showAlert(getErrorMessage(error, 'Error al crear asignación'), ALERT_TYPES.DANGER);
         }
     }
 
@@ -99,7 +205,7 @@ export class AssignmentManager {
     }
 
     validateAssignment(formData) {
-        const { empleadoId, parqueaderoId } = formData;
+        const { empleadoId, parqueaderoId, fechaInicio, fechaFin } = formData;
         
         const employee = this.employees.find(emp => emp.id === empleadoId);
         if (!employee) {
@@ -111,172 +217,657 @@ export class AssignmentManager {
             return { isValid: false, message: ERROR_MESSAGES.PARKING_NOT_FOUND };
         }
 
-        // Check if employee already has an active assignment
-        const existingAssignment = this.assignments.find(assignment => 
-            assignment.empleadoId === empleadoId && assignment.activa
-        );
+        if (fechaFin && fechaFin < fechaInicio) {
+            return { isValid: false, message: ERROR_MESSAGES.INVALID_DATE_RANGE };
+        }
+
+        // Check if employee already has an assignment in that period
+        const existingAssignment = this.findOverlappingAssignment('empleadoId', empleadoId, formData);
         if (existingAssignment) {
-            return { isValid: false, message: ERROR_MESSAGES.EMPLOYEE_ALREADY_ASSIGNED };
+            return { 
+                isValid: false, 
+                message: `${ERROR_MESSAGES.EMPLOYEE_ALREADY_ASSIGNED} (${this.formatPeriod(existingAssignment)})` 
+            };
         }
 
-        // Check if parking space is already assigned
-        const parkingAssignment = this.assignments.find(assignment => 
-            assignment.parqueaderoId === parqueaderoId && assignment.activa
-        );
+        // Check if parking space is already assigned in that period
+        const parkingAssignment = this.findOverlappingAssignment('parqueaderoId', parqueaderoId, formData);
         if (parkingAssignment) {
-            return { isValid: false, message: ERROR_MESSAGES.PARKING_ALREADY_ASSIGNED };
+            return { 
+                isValid: false, 
+                message: `${ERROR_MESSAGES.PARKING_ALREADY_ASSIGNED} (${this.formatPeriod(parkingAssignment)})` 
+            };
         }
 
         // Check vehicle type compatibility
         if (employee.tipoVehiculo !== parkingSpace.tipo) {
             return { isValid: false, message: ERROR_MESSAGES.VEHICLE_TYPE_MISMATCH };
         }
+        if (!canUseSpaceCategory(employee, parkingSpace)) {
+            return { isValid: false, message: ERROR_MESSAGES.SPACE_CATEGORY_NOT_ALLOWED };
+        }
 
         return { isValid: true };
     }
 
-    async createAssignment(formData) {
+    // Shared assignments only take the weekdays of their pattern; null weekdays means every day
+    findOverlappingAssignment(field, id, period, weekdays = null) {
+        const isEmployee = field === 'empleadoId';
+        return this.assignments.find(assignment => 
+            (isEmployee ? getAssignmentEmployeeIds(assignment).includes(id) : assignment[field] === id) &&
+            assignment.estado !== ASSIGNMENT_STATUS.CANCELADA &&
+            dateRangesOverlap(assignment, period) &&
+            weekdaysOverlap(getAssignmentWeekdays(assignment, isEmployee ? id : null), weekdays)
+        );
+    }
+
+    formatPeriod(assignment) {
+        const desde = formatDate(assignment.fechaInicio);
+        return assignment.fechaFin ? `${desde} - ${formatDate(assignment.fechaFin)}` : `desde ${desde}, indefinida`;
+    }
+
+    getFormPeriod() {
+        return {
+            fechaInicio: document.getElementById('fechaInicio')?.value || getCurrentDate(),
+            fechaFin: document.getElementById('fechaFin')?.value || null
+        };
+    }
+
+    buildAssignment(formData) {
         const assignment = {
             id: generateId(),
             ...formData,
-            activa: true,
             fechaCreacion: getCurrentDate()
         };
+        assignment.estado = getAssignmentStatus(assignment);
+        assignment.activa = assignment.estado === ASSIGNMENT_STATUS.ACTIVA;
 
-        // Update parking space status
+        // Future assignments take the space when they start (see refreshAssignmentStates)
         const parkingSpace = this.parkingSpaces.find(space => space.id === formData.parqueaderoId);
-        if (parkingSpace) {
-            parkingSpace.empleadoAsignado = formData.empleadoId;
+        if (parkingSpace && assignment.activa) {
+            parkingSpace.empleadoAsignado = getAssignmentHolderOn(assignment, getCurrentDate()) || 
+                getAssignmentEmployeeIds(assignment)[0];
             parkingSpace.estado = PARKING_STATUS.OCUPADO;
         }
 
         this.assignments.push(assignment);
+        return assignment;
+    }
+
+    async createAssignment(formData) {
+        const assignment = this.buildAssignment(formData);
         await this.saveData();
-        this.renderAssignments();
-        this.updateAvailabilityView(getCurrentDate());
+        await this.syncRotationQueue();
         
-        window.dispatchEvent(new CustomEvent('assignmentCreated', { detail: assignment }));
+        eventBus.emit(EVENTS.ASSIGNMENT_CREATED, assignment);
     }
 
     async endAssignment(assignmentId) {
         const assignment = this.assignments.find(a => a.id === assignmentId);
         if (!assignment) return;
 
-        const confirmed = confirm('¿Terminar esta asignación? El parqueadero quedará disponible.');
+        const today = getCurrentDate();
+        const notStarted = assignment.fechaInicio >= today;
+        const confirmed = confirm(notStarted ?
+            '¿Cancelar esta asignación? El parqueadero quedará libre para ese periodo.' :
+            '¿Terminar esta asignación? El parqueadero quedará disponible.');
         if (!confirmed) return;
 
         try {
+            // Ended assignments keep their real period: the last day of use was yesterday
+            if (notStarted) {
+                assignment.estado = ASSIGNMENT_STATUS.CANCELADA;
+            } else {
+                assignment.fechaFin = addDays(today, -1);
+                assignment.estado = ASSIGNMENT_STATUS.FINALIZADA;
+            }
             assignment.activa = false;
-            assignment.fechaFin = getCurrentDate();
 
             // Update parking space
             const parkingSpace = this.parkingSpaces.find(space => space.id === assignment.parqueaderoId);
-            if (parkingSpace) {
+            if (parkingSpace && getAssignmentEmployeeIds(assignment).includes(parkingSpace.empleadoAsignado)) {
                 parkingSpace.empleadoAsignado = null;
-                parkingSpace.estado = PARKING_STATUS.DISPONIBLE;
+                // A space in maintenance or reserved keeps its state
+                if (isSpaceAssignable(parkingSpace)) parkingSpace.estado = PARKING_STATUS.DISPONIBLE;
             }
 
             await this.saveData();
-            this.renderAssignments();
-            this.updateAvailabilityView(getCurrentDate());
+            await this.syncRotationQueue();
             
+            eventBus.emit(EVENTS.ASSIGNMENT_ENDED, assignment);
             showAlert(SUCCESS_MESSAGES.ASSIGNMENT_ENDED, ALERT_TYPES.SUCCESS);
             
         } catch (error) {
             console.error('Error ending assignment:', error);
-            showAlert('Error al terminar asignación', ALERT_TYPES.DANGER);
+            showAlert(getErrorMessage(error, 'Error al terminar asignación'), ALERT_TYPES.DANGER);
         }
     }
 
-    async performAutoAssignment() {
-        const unassignedEmployees = this.employees.filter(emp => {
-            return !this.assignments.some(a => a.empleadoId === emp.id && a.activa);
-        });
+    updateStrategyDescription() {
+        const strategy = ASSIGNMENT_STRATEGIES[document.getElementById('estrategiaAsignacion')?.value];
+        const description = document.getElementById('descripcionEstrategia');
+        if (description && strategy) description.textContent = strategy.description;
+
+        const priorityGroup = document.getElementById('grupoPrioridadAreas');
+        if (priorityGroup) {
+            priorityGroup.style.display = 
+                document.getElementById('estrategiaAsignacion')?.value === AUTO_ASSIGNMENT_STRATEGIES.PRIORIDAD_AREA ? '' : 'none';
+        }
+    }
+
+    getAutoAssignmentPeriod() {
+        // Assignments made on a holiday or company closure start on the next working day
+        return { fechaInicio: getNextWorkingDay(getCurrentDate()), fechaFin: null };
+    }
+
+    getAutoAssignmentCandidates(period) {
+        // Fully remote employees do not need a space
+        const employees = this.activeEmployees.filter(emp =>
+            getWorkSchedule(emp).dias.length > 0 && !this.findOverlappingAssignment('empleadoId', emp.id, period)
+        );
+        const usableSpaces = this.parkingSpaces.filter(space => isSpaceAssignable(space));
+        const freeSpaces = usableSpaces.filter(space => !this.findOverlappingAssignment('parqueaderoId', space.id, period));
+        return { employees, usableSpaces, freeSpaces };
+    }
+
+    performAutoAssignment() {
+        const period = this.getAutoAssignmentPeriod();
+        const { employees, usableSpaces, freeSpaces } = this.getAutoAssignmentCandidates(period);
 
-        if (unassignedEmployees.length === 0) {
+        if (employees.length === 0) {
             showAlert('No hay empleados sin asignar', ALERT_TYPES.INFO);
             return;
         }
 
-        const availableSpaces = this.parkingSpaces.filter(space => {
-            return space.estado === PARKING_STATUS.DISPONIBLE && 
-                   !this.assignments.some(a => a.parqueaderoId === space.id && a.activa);
+        if (freeSpaces.length === 0) {
+            showAlert('No hay parqueaderos disponibles', ALERT_TYPES.INFO);
+            return;
+        }
+
+        const strategyId = document.getElementById('estrategiaAsignacion')?.value || AUTO_ASSIGNMENT_STRATEGIES.PRIMERO_DISPONIBLE;
+        const prioridades = (document.getElementById('prioridadAreas')?.value || '')
+            .split(',')
+            .map(value => value.trim())
+            .filter(Boolean);
+
+        const plan = buildAssignmentPlan(strategyId, employees, freeSpaces, {
+            basementLoad: getBasementLoad(usableSpaces, freeSpaces),
+            prioridades
         });
 
-        if (availableSpaces.length === 0) {
-            showAlert('No hay parqueaderos disponibles', ALERT_TYPES.INFO);
+        if (plan.pairs.length === 0) {
+            showAlert('Ningún empleado sin asignar tiene un parqueadero compatible disponible', ALERT_TYPES.INFO);
             return;
         }
 
-        const confirmed = confirm(
-            `Asignar automáticamente ${Math.min(unassignedEmployees.length, availableSpaces.length)} empleados?`
+        this.pendingPlan = { ...plan, period };
+        this.showAutoAssignmentPreview();
+    }
+
+    showAutoAssignmentPreview() {
+        const { strategy, pairs, unassigned, period } = this.pendingPlan;
+
+        const rows = pairs.map(({ employee, space, motivo }, index) => `
+            <tr>
+                <td>${index + 1}</td>
+                <td>${employee.nombre}</td>
+                <td>${employee.area || 'N/A'}</td>
+                <td>${employee.tipoVehiculo}</td>
+                <td style="font-weight: bold;">${space.numero}</td>
+                <td>Sótano ${space.sotano}</td>
+                <td style="font-size: 0.85em; color: #666;">${motivo || '-'}</td>
+            </tr>
+        `).join('');
+
+        const modalContent = `
+            <div style="max-width: 900px; padding: 20px;">
+                <h3 style="margin-bottom: 10px; color: #007bff;">🤖 Vista Previa de Asignación Automática</h3>
+                <p style="color: #666; margin-bottom: 20px;">
+                    Estrategia: <strong>${strategy.label}</strong>. ${strategy.description}<br>
+                    Las asignaciones inician el <strong>${formatDate(period.fechaInicio)}</strong> sin fecha de fin.
+                    Nada se guarda hasta confirmar.
+                </p>
+                <div class="table-wrapper" style="max-height: 400px; overflow-y: auto;">
+                    <table class="data-table">
+                        <thead>
+                            <tr>
+                                <th>#</th>
+                                <th>Empleado</th>
+                                <th>Área</th>
+                                <th>Vehículo</th>
+                                <th>Parqueadero</th>
+                                <th>Sótano</th>
+                                <th>Criterio</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+                ${unassigned.length > 0 ? `
+                    <p style="margin-top: 15px; color: #856404;">
+                        ⚠️ Sin parqueadero compatible (${unassigned.length}): ${unassigned.map(emp => emp.nombre).join(', ')}
+                    </p>
+                ` : ''}
+                <div style="display: flex; gap: 10px; justify-content: center; padding-top: 20px;">
+                    <button onclick="assignmentManager.confirmAutoAssignment()"
+                            style="background: #28a745; color: white; border: none; padding: 10px 20px; border-radius: 5px; cursor: pointer;">
+                        ✅ Confirmar ${pairs.length} asignaciones
+                    </button>
+                    <button onclick="assignmentManager.discardAutoAssignment()"
+                            style="background: #6c757d; color: white; border: none; padding: 10px 20px; border-radius: 5px; cursor: pointer;">
+                        Cancelar
+                    </button>
+                </div>
+            </div>
+        `;
+
+        employeeManager.showModal(modalContent);
+    }
+
+    discardAutoAssignment() {
+        this.pendingPlan = null;
+        const modal = document.querySelector('.modal');
+        if (modal) modal.remove();
+    }
+
+    async confirmAutoAssignment() {
+        const plan = this.pendingPlan;
+        this.discardAutoAssignment();
+        if (!plan) return;
+
+        // Data may have changed while the preview was open
+        const pairs = plan.pairs.filter(({ employee, space }) =>
+            !this.findOverlappingAssignment('empleadoId', employee.id, plan.period) &&
+            !this.findOverlappingAssignment('parqueaderoId', space.id, plan.period)
         );
-        if (!confirmed) return;
 
         try {
-            let assignmentCount = 0;
-
-            for (const employee of unassignedEmployees) {
-                const compatibleSpaces = availableSpaces.filter(space => 
-                    space.tipo === employee.tipoVehiculo && !space.empleadoAsignado
-                );
-
-                if (compatibleSpaces.length > 0) {
-                    const space = compatibleSpaces[0]; // Take first available compatible space
-                    
-                    await this.createAssignment({
-                        empleadoId: employee.id,
-                        parqueaderoId: space.id,
-                        fechaInicio: getCurrentDate(),
-                        fechaFin: null
-                    });
-
-                    assignmentCount++;
-                }
-            }
+            const created = await historyService.run(`Asignación automática de ${pairs.length} parqueaderos`, async () => {
+                const assignments = pairs.map(({ employee, space }) => this.buildAssignment({
+                    empleadoId: employee.id,
+                    parqueaderoId: space.id,
+                    fechaInicio: plan.period.fechaInicio,
+                    fechaFin: null
+                }));
+
+                await this.saveData();
+                return assignments;
+            });
+            await this.syncRotationQueue();
 
-            showAlert(`${SUCCESS_MESSAGES.AUTO_ASSIGNMENTS_COMPLETED}: ${assignmentCount} asignaciones`, ALERT_TYPES.SUCCESS);
-            
+            created.forEach(assignment => 
+                eventBus.emit(EVENTS.ASSIGNMENT_CREATED, assignment)
+            );
+
+            const skipped = plan.pairs.length - pairs.length;
+            showAlert(
+                `${SUCCESS_MESSAGES.AUTO_ASSIGNMENTS_COMPLETED}: ${created.length} asignaciones` +
+                (skipped > 0 ? ` (${skipped} omitidas por cambios recientes)` : ''),
+                ALERT_TYPES.SUCCESS
+            );
         } catch (error) {
             console.error('Error in auto assignment:', error);
-            showAlert('Error en asignación automática', ALERT_TYPES.DANGER);
+            showAlert(getErrorMessage(error, 'Error en asignación automática'), ALERT_TYPES.DANGER);
         }
     }
 
+    describePattern(patronSemanal, empleadoIds) {
+        return empleadoIds.map(id => {
+            const employee = this.employees.find(emp => emp.id === id);
+            const days = PICO_PLACA_WEEKDAYS.filter(day => patronSemanal[day] === id).map(day => day.slice(0, 3));
+            return `${employee ? employee.nombre : 'Empleado no encontrado'} (${days.join(', ') || '-'})`;
+        }).join(' / ');
+    }
+
+    validateSharedAssignment(data) {
+        const { parqueaderoId, empleadoIds, patronSemanal, fechaInicio, fechaFin } = data;
+
+        const parkingSpace = this.parkingSpaces.find(space => space.id === parqueaderoId);
+        if (!parkingSpace) {
+            return { isValid: false, message: ERROR_MESSAGES.PARKING_NOT_FOUND };
+        }
+
+        if (!fechaInicio || (fechaFin && fechaFin < fechaInicio)) {
+            return { isValid: false, message: ERROR_MESSAGES.INVALID_DATE_RANGE };
+        }
+
+        const employees = empleadoIds.map(id => this.employees.find(emp => emp.id === id));
+        if (employees.some(emp => !emp)) {
+            return { isValid: false, message: ERROR_MESSAGES.EMPLOYEE_NOT_FOUND };
+        }
+
+        if (employees.some(emp => emp.tipoVehiculo !== parkingSpace.tipo)) {
+            return { isValid: false, message: ERROR_MESSAGES.VEHICLE_TYPE_MISMATCH };
+        }
+        if (employees.some(emp => !canUseSpaceCategory(emp, parkingSpace))) {
+            return { isValid: false, message: ERROR_MESSAGES.SPACE_CATEGORY_NOT_ALLOWED };
+        }
+
+        const issues = findPatternIssues(patronSemanal, employees, fechaInicio);
+        if (issues.length > 0) {
+            return { isValid: false, message: issues.join('. ') };
+        }
+
+        // Each employee only needs to be free on their own days
+        for (const employee of employees) {
+            const existing = this.findOverlappingAssignment('empleadoId', employee.id, data, getAssignmentWeekdays(data, employee.id));
+            if (existing) {
+                return { 
+                    isValid: false, 
+                    message: `${employee.nombre}: ${ERROR_MESSAGES.EMPLOYEE_ALREADY_ASSIGNED} (${this.formatPeriod(existing)})` 
+                };
+            }
+        }
+
+        // No weekday of the space may be booked twice
+        const weekdays = getAssignmentWeekdays(data);
+        const booked = this.findOverlappingAssignment('parqueaderoId', parqueaderoId, data, weekdays);
+        if (booked) {
+            const bookedDays = getAssignmentWeekdays(booked) || PICO_PLACA_WEEKDAYS;
+            return { 
+                isValid: false, 
+                message: `${ERROR_MESSAGES.PARKING_ALREADY_ASSIGNED} (${this.formatPeriod(booked)}; días en conflicto: ${weekdays.filter(day => bookedDays.includes(day)).join(', ')})` 
+            };
+        }
+
+        return { isValid: true };
+    }
+
+    async createSharedAssignment(data) {
+        const assignment = this.buildAssignment({ ...data, tipo: ASSIGNMENT_TYPES.COMPARTIDA });
+        await this.saveData();
+        await this.syncRotationQueue();
+
+        eventBus.emit(EVENTS.ASSIGNMENT_CREATED, assignment);
+    }
+
+    showSharedAssignmentForm(prefill = {}) {
+        const fechaInicio = prefill.fechaInicio || this.getAutoAssignmentPeriod().fechaInicio;
+        const selectedIds = prefill.empleadoIds || [];
+        const spaces = this.parkingSpaces.filter(space => isSpaceAssignable(space));
+        const inputStyle = 'width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px;';
+
+        const modalContent = `
+            <div style="max-width: 750px; padding: 20px;">
+                <h3 style="margin-bottom: 10px; color: #007bff;">🤝 Parqueadero Compartido</h3>
+                <p style="color: #666; margin-bottom: 20px;">
+                    Varios empleados usan el mismo parqueadero en días distintos de la semana.
+                    Los días marcados como libres quedan disponibles.
+                </p>
+                <div style="display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 15px; margin-bottom: 15px;">
+                    <div>
+                        <label style="display: block; font-weight: bold; margin-bottom: 5px;">Parqueadero:</label>
+                        <select id="compartidoParqueadero" style="${inputStyle}">
+                            ${spaces.map(space => `
+                                <option value="${space.id}" ${prefill.parqueaderoId === space.id ? 'selected' : ''}>${this.describeSpaceOption(space)}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div>
+                        <label style="display: block; font-weight: bold; margin-bottom: 5px;">Fecha Inicio:</label>
+                        <input type="date" id="compartidoInicio" value="${fechaInicio}" style="${inputStyle}">
+                    </div>
+                    <div>
+                        <label style="display: block; font-weight: bold; margin-bottom: 5px;">Fecha Fin (Opcional):</label>
+                        <input type="date" id="compartidoFin" style="${inputStyle}">
+                    </div>
+                </div>
+                <label style="display: block; font-weight: bold; margin-bottom: 5px;">Empleados:</label>
+                <div style="max-height: 180px; overflow-y: auto; border: 1px solid #ddd; border-radius: 4px; padding: 10px; margin-bottom: 15px;">
+                    ${[...this.activeEmployees].sort((a, b) => a.nombre.localeCompare(b.nombre)).map(emp => `
+                        <label style="display: block; margin-bottom: 5px;">
+                            <input type="checkbox" class="compartido-empleado" value="${emp.id}" ${selectedIds.includes(emp.id) ? 'checked' : ''}
+                                   onchange="assignmentManager.renderSharedPatternFields()">
+                            ${emp.nombre} (${emp.tipoVehiculo}) - pico y placa: ${getRestrictedWeekdays(emp, fechaInicio).join(', ') || 'ninguno'}
+                        </label>
+                    `).join('')}
+                </div>
+                <label style="display: block; font-weight: bold; margin-bottom: 5px;">Patrón semanal:</label>
+                <div id="patronCompartido" style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 10px; margin-bottom: 15px;"></div>
+                <div style="display: flex; gap: 10px; justify-content: center; padding-top: 10px;">
+                    <button onclick="assignmentManager.renderSharedPatternFields(true)"
+                            style="background: #17a2b8; color: white; border: none; padding: 10px 20px; border-radius: 5px; cursor: pointer;">
+                        ⚙️ Proponer Días
+                    </button>
+                    <button onclick="assignmentManager.submitSharedAssignment()"
+                            style="background: #28a745; color: white; border: none; padding: 10px 20px; border-radius: 5px; cursor: pointer;">
+                        💾 Guardar
+                    </button>
+                    <button onclick="this.closest('.modal').remove()"
+                            style="background: #6c757d; color: white; border: none; padding: 10px 20px; border-radius: 5px; cursor: pointer;">
+                        Cancelar
+                    </button>
+                </div>
+            </div>
+        `;
+
+        employeeManager.showModal(modalContent);
+        this.renderSharedPatternFields(false, prefill.patronSemanal);
+    }
+
+    getSharedFormEmployees() {
+        return [...document.querySelectorAll('.compartido-empleado:checked')]
+            .map(input => this.employees.find(emp => emp.id === parseInt(input.value)))
+            .filter(Boolean);
+    }
+
+    readSharedPattern() {
+        return [...document.querySelectorAll('.patron-dia')].reduce((pattern, select) => {
+            pattern[select.dataset.dia] = parseInt(select.value) || null;
+            return pattern;
+        }, {});
+    }
+
+    renderSharedPatternFields(propose = false, pattern = null) {
+        const container = document.getElementById('patronCompartido');
+        if (!container) return;
+
+        const employees = this.getSharedFormEmployees();
+        const fechaInicio = document.getElementById('compartidoInicio')?.value || getCurrentDate();
+        const current = pattern || (propose ? buildSharedPattern(employees, fechaInicio) : this.readSharedPattern());
+
+        container.innerHTML = PICO_PLACA_WEEKDAYS.map(day => `
+            <div>
+                <label style="display: block; margin-bottom: 5px; text-transform: capitalize;">${day}</label>
+                <select class="patron-dia" data-dia="${day}" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                    <option value="">Libre</option>
+                    ${employees.map(emp => `
+                        <option value="${emp.id}" ${current[day] === emp.id ? 'selected' : ''}>${emp.nombre}</option>
+                    `).join('')}
+                </select>
+            </div>
+        `).join('');
+    }
+
+    async submitSharedAssignment() {
+        const data = {
+            tipo: ASSIGNMENT_TYPES.COMPARTIDA,
+            parqueaderoId: parseInt(document.getElementById('compartidoParqueadero')?.value),
+            empleadoIds: this.getSharedFormEmployees().map(emp => emp.id),
+            patronSemanal: this.readSharedPattern(),
+            fechaInicio: document.getElementById('compartidoInicio')?.value,
+            fechaFin: document.getElementById('compartidoFin')?.value || null
+        };
+
+        const validation = this.validateSharedAssignment(data);
+        if (!validation.isValid) {
+            showAlert(validation.message, ALERT_TYPES.DANGER);
+            return;
+        }
+
+        try {
+            const modal = document.querySelector('.modal');
+            if (modal) modal.remove();
+
+            await this.createSharedAssignment(data);
+            showAlert(SUCCESS_MESSAGES.SHARED_ASSIGNMENT_CREATED, ALERT_TYPES.SUCCESS);
+        } catch (error) {
+            console.error('Error creating shared assignment:', error);
+            showAlert(getErrorMessage(error, 'Error al crear el parqueadero compartido'), ALERT_TYPES.DANGER);
+        }
+    }
+
+    showPairingSuggestions() {
+        const period = this.getAutoAssignmentPeriod();
+        const waiting = this.activeEmployees.filter(emp => !this.findOverlappingAssignment('empleadoId', emp.id, period));
+        if (waiting.length < 2) {
+            showAlert('Se necesitan al menos dos empleados sin parqueadero para sugerir parejas', ALERT_TYPES.INFO);
+            return;
+        }
+
+        const { pairs, unpaired } = suggestPairs(waiting, period.fechaInicio);
+        if (pairs.length === 0) {
+            showAlert('Ningún par de empleados sin parqueadero tiene días de pico y placa complementarios', ALERT_TYPES.INFO);
+            return;
+        }
+
+        // Propose a space free on the pattern days for each pair, visitor spaces last
+        const proposedSpaceIds = [];
+        this.pairSuggestions = pairs.map(pair => {
+            const weekdays = PICO_PLACA_WEEKDAYS.filter(day => pair.pattern[day]);
+            const rank = s => Math.max(...pair.employees.map(emp => getSpaceCategoryRank(emp, s)));
+            const space = this.parkingSpaces
+                .filter(s =>
+                    isSpaceAssignable(s) &&
+                    s.tipo === pair.employees[0].tipoVehiculo &&
+                    pair.employees.every(emp => canUseSpaceCategory(emp, s)) &&
+                    !proposedSpaceIds.includes(s.id) &&
+                    !this.findOverlappingAssignment('parqueaderoId', s.id, period, weekdays)
+                )
+                .sort((a, b) => rank(a) - rank(b))[0];
+            if (space) proposedSpaceIds.push(space.id);
+            return { ...pair, space, fechaInicio: period.fechaInicio };
+        });
+
+        const rows = this.pairSuggestions.map((suggestion, index) => `
+            <tr>
+                <td>${suggestion.employees.map(emp => 
+                    `${emp.nombre} <small style="color: #666;">(pico y placa: ${getRestrictedWeekdays(emp, period.fechaInicio).join(', ') || 'ninguno'})</small>`
+                ).join('<br>')}</td>
+                <td>${suggestion.employees[0].tipoVehiculo}</td>
+                <td style="font-size: 0.85em;">${this.describePattern(suggestion.pattern, suggestion.employees.map(emp => emp.id))}</td>
+                <td>${suggestion.space ? suggestion.space.numero : 'Sin parqueadero libre'}</td>
+                <td>
+                    <button class="btn btn-primary" onclick="assignmentManager.useSuggestedPair(${index})">🤝 Crear</button>
+                </td>
+            </tr>
+        `).join('');
+
+        const modalContent = `
+            <div style="max-width: 900px; padding: 20px;">
+                <h3 style="margin-bottom: 10px; color: #007bff;">🧩 Sugerencia de Parejas por Pico y Placa</h3>
+                <p style="color: #666; margin-bottom: 20px;">
+                    Empleados sin parqueadero desde el ${formatDate(period.fechaInicio)} agrupados de a dos con días de
+                    restricción distintos. Cada día se asigna a quien puede circular.
+                </p>
+                <div class="table-wrapper" style="max-height: 400px; overflow-y: auto;">
+                    <table class="data-table">
+                        <thead>
+                            <tr>
+                                <th>Empleados</th>
+                                <th>Vehículo</th>
+                                <th>Patrón propuesto</th>
+                                <th>Parqueadero</th>
+                                <th>Acciones</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+                ${unpaired.length > 0 ? `
+                    <p style="margin-top: 15px; color: #856404;">
+                        ⚠️ Sin pareja compatible (${unpaired.length}): ${unpaired.map(emp => emp.nombre).join(', ')}
+                    </p>
+                ` : ''}
+                <div style="text-align: center; padding-top: 20px;">
+                    <button onclick="this.closest('.modal').remove()"
+                            style="background: #007bff; color: white; border: none; padding: 10px 20px; border-radius: 5px; cursor: pointer;">
+                        Cerrar
+                    </button>
+                </div>
+            </div>
+        `;
+
+        employeeManager.showModal(modalContent);
+    }
+
+    useSuggestedPair(index) {
+        const suggestion = this.pairSuggestions[index];
+        if (!suggestion) return;
+
+        const modal = document.querySelector('.modal');
+        if (modal) modal.remove();
+
+        this.showSharedAssignmentForm({
+            empleadoIds: suggestion.employees.map(emp => emp.id),
+            patronSemanal: suggestion.pattern,
+            parqueaderoId: suggestion.space?.id,
+            fechaInicio: suggestion.fechaInicio
+        });
+    }
+
+    /**
+     * Re-render every view built from assignments, employees, spaces and loans
+     * Called by the store after each change, whichever module made it.
+     */
+    refreshViews() {
+        this.renderAssignments();
+        this.updateEmployeeDropdown();
+        this.updateParkingDropdown();
+        this.updateAvailabilityView(document.getElementById('fechaConsulta')?.value);
+        this.updateDashboard();
+    }
+
+    getAvailability(date) {
+        return calculateDailyAvailability(this.parkingSpaces, this.employees, date, {
+            assignments: this.assignments,
+            loans: this.loans
+        });
+    }
+
     updateAvailabilityView(date) {
         if (!date) date = getCurrentDate();
         
-        const availability = calculateDailyAvailability(this.parkingSpaces, this.employees, date);
+        const availability = this.getAvailability(date);
         
-        this.updateDashboardCounters(availability.summary);
+        this.updateCounters({
+            disponiblesFecha: availability.summary.totalAvailable,
+            ocupadosFecha: availability.summary.occupied,
+            picoPlacaFecha: availability.summary.picoPlacaAvailable
+        });
+        this.renderNonWorkingDayNotice(availability.nonWorkingDay);
         this.renderAvailabilityTable(availability, date);
-        this.renderTodayAvailability(availability);
     }
 
-    updateDashboardCounters(summary) {
-        const elements = {
+    /**
+     * Dashboard counters and table always show today, whatever date the availability tab is on
+     */
+    updateDashboard() {
+        const { summary, ...availability } = this.getAvailability(getCurrentDate());
+
+        this.updateCounters({
             totalParqueaderos: summary.totalAvailable + summary.occupied,
             disponibles: summary.normallyAvailable,
             ocupados: summary.occupied,
             picoPlaca: summary.picoPlacaAvailable
-        };
+        });
+        this.renderTodayAvailability(availability);
+    }
 
-        Object.entries(elements).forEach(([id, value]) => {
+    updateCounters(values) {
+        Object.entries(values).forEach(([id, value]) => {
             const element = document.getElementById(id);
             if (element) element.textContent = value;
         });
+    }
 
-        // Update availability date-specific counters
-        const dateElements = {
-            disponiblesFecha: summary.totalAvailable,
-            ocupadosFecha: summary.occupied,
-            picoPlacaFecha: summary.picoPlacaAvailable
-        };
+    renderNonWorkingDayNotice(nonWorkingDay) {
+        const notice = document.getElementById('avisoDiaNoLaboral');
+        if (!notice) return;
 
-        Object.entries(dateElements).forEach(([id, value]) => {
-            const element = document.getElementById(id);
-            if (element) element.textContent = value;
-        });
+        notice.style.display = nonWorkingDay ? '' : 'none';
+        notice.textContent = nonWorkingDay ? 
+            `📆 ${nonWorkingDay.nombre}: día no laboral, no aplica pico y placa` : '';
     }
 
     renderAvailabilityTable(availability, date) {
@@ -288,6 +879,8 @@ export class AssignmentManager {
         const allSpaces = [
             ...availability.available.map(s => ({...s, status: 'disponible'})),
             ...availability.picoPlaca.map(s => ({...s, status: 'pico-placa'})),
+            ...availability.released.map(s => ({...s, status: 'liberado'})),
+            ...availability.loaned.map(s => ({...s, status: 'prestado'})),
             ...availability.occupied.map(s => ({...s, status: 'ocupado'}))
         ];
 
@@ -306,11 +899,15 @@ export class AssignmentManager {
             const row = document.createElement('tr');
             
             const employeeName = space.empleado ? space.empleado.nombre : 'Sin asignar';
+            const holderName = space.invitado ? 
+                `${employeeName} → ${space.invitado.nombre}` : employeeName;
             const statusClass = `status-${space.status}`;
-            const actionButton = space.status === 'pico-placa' ? 
-                `<button class="btn btn-secondary" onclick="assignmentManager.reassignPicoPlacaSpace(${space.id})" title="Reasignar temporalmente">↻ Reasignar</button>` :
+            const actionButton = space.status === 'pico-placa' || space.status === 'liberado' ? 
+                `<button class="btn btn-secondary" data-permiso="ingresos-registrar" onclick="assignmentManager.reassignPicoPlacaSpace(${space.id}, '${date}')" title="Prestar el cupo del día">↻ Reasignar</button>` :
+                space.status === 'prestado' ?
+                `<button class="btn btn-danger" data-permiso="ingresos-registrar" onclick="assignmentManager.cancelDailyLoan(${space.prestamo.id})" title="Cancelar cupo del día (el titular lo usará)">✖ Cancelar</button>` :
                 space.status === 'disponible' ? 
-                `<button class="btn btn-primary" onclick="assignmentManager.quickAssign(${space.id})" title="Asignación rápida">➕ Asignar</button>` :
+                `<button class="btn btn-primary" data-permiso="asignaciones-gestionar" onclick="assignmentManager.quickAssign(${space.id})" title="Asignación rápida">➕ Asignar</button>` :
                 '';
 
             row.innerHTML = `
@@ -318,7 +915,7 @@ export class AssignmentManager {
                 <td>Sótano ${space.sotano}</td>
                 <td>${space.tipo}</td>
                 <td><span class="${statusClass}">${space.status}</span></td>
-                <td>${employeeName}</td>
+                <td>${holderName}</td>
                 <td>${space.motivo}</td>
                 <td>${actionButton}</td>
             `;
@@ -333,7 +930,7 @@ export class AssignmentManager {
 
         tbody.innerHTML = '';
 
-        const todaySpaces = [...availability.available, ...availability.picoPlaca];
+        const todaySpaces = [...availability.available, ...availability.picoPlaca, ...availability.released];
         
         if (todaySpaces.length === 0) {
             tbody.innerHTML = `
@@ -370,9 +967,12 @@ export class AssignmentManager {
 
         tbody.innerHTML = '';
 
-        const activeAssignments = this.assignments.filter(a => a.activa);
+        // Current and scheduled assignments, in start date order
+        const currentAssignments = this.assignments
+            .filter(a => a.estado === ASSIGNMENT_STATUS.ACTIVA || a.estado === ASSIGNMENT_STATUS.PROGRAMADA)
+            .sort((a, b) => a.fechaInicio.localeCompare(b.fechaInicio));
         
-        if (activeAssignments.length === 0) {
+        if (currentAssignments.length === 0) {
             tbody.innerHTML = `
                 <tr>
                     <td colspan="8" style="text-align: center; padding: 20px;">
@@ -383,18 +983,24 @@ export class AssignmentManager {
             return;
         }
 
-        activeAssignments.forEach(assignment => {
+        currentAssignments.forEach(assignment => {
             const row = document.createElement('tr');
             
-            const employee = this.employees.find(emp => emp.id === assignment.empleadoId);
+            const employee = this.employees.find(emp => emp.id === getAssignmentHolderOn(assignment, getCurrentDate()));
             const parkingSpace = this.parkingSpaces.find(space => space.id === assignment.parqueaderoId);
             
-            const employeeName = employee ? employee.nombre : 'Empleado no encontrado';
+            const employeeName = isSharedAssignment(assignment) ? 
+                `🤝 ${this.describePattern(assignment.patronSemanal, assignment.empleadoIds)}` :
+                employee ? employee.nombre : 'Empleado no encontrado';
             const parkingNumber = parkingSpace ? parkingSpace.numero : 'Parqueadero no encontrado';
             const basement = parkingSpace ? parkingSpace.sotano : '-';
             const type = parkingSpace ? parkingSpace.tipo : '-';
             
-            const todayStatus = employee && isTodayPicoPlaca(employee.placa) ? 
+            const todayStatus = assignment.estado === ASSIGNMENT_STATUS.PROGRAMADA ?
+                '<span class="status-mantenimiento">📅 Programada</span>' :
+                isSharedAssignment(assignment) && !employee ?
+                '<span class="status-disponible">Libre hoy</span>' :
+                employee && isEmployeePicoPlaca(employee, getCurrentDate()) ? 
                 '<span class="status-pico-placa">Pico y Placa</span>' : 
                 '<span class="status-disponible">Disponible</span>';
 
@@ -408,8 +1014,8 @@ export class AssignmentManager {
                 <td>${todayStatus}</td>
                 <td>
                     <button class="btn btn-danger" onclick="assignmentManager.endAssignment(${assignment.id})" 
-                            title="Terminar asignación">
-                        🔚 Terminar
+                            title="${assignment.estado === ASSIGNMENT_STATUS.PROGRAMADA ? 'Cancelar' : 'Terminar'} asignación">
+                        🔚 ${assignment.estado === ASSIGNMENT_STATUS.PROGRAMADA ? 'Cancelar' : 'Terminar'}
                     </button>
                 </td>
             `;
@@ -418,14 +1024,21 @@ export class AssignmentManager {
         });
     }
 
-    async quickAssign(parkingSpaceId) {
-        const availableEmployees = this.employees.filter(emp => {
-            return !this.assignments.some(a => a.empleadoId === emp.id && a.activa);
+    async quickAssign(parkingSpaceId, fechaInicio = getCurrentDate()) {
+        const period = { fechaInicio, fechaFin: null };
+        const availableEmployees = this.activeEmployees.filter(emp => {
+            return !this.findOverlappingAssignment('empleadoId', emp.id, period);
         });
 
         const parkingSpace = this.parkingSpaces.find(space => space.id === parkingSpaceId);
+        const booking = this.findOverlappingAssignment('parqueaderoId', parkingSpaceId, period);
+        if (booking) {
+            showAlert(`El parqueadero ${parkingSpace.numero} tiene una asignación programada (${this.formatPeriod(booking)})`, ALERT_TYPES.WARNING);
+            return;
+        }
+
         const compatibleEmployees = availableEmployees.filter(emp => 
-            emp.tipoVehiculo === parkingSpace.tipo
+            emp.tipoVehiculo === parkingSpace.tipo && canUseSpaceCategory(emp, parkingSpace)
         );
 
         if (compatibleEmployees.length === 0) {
@@ -433,63 +1046,195 @@ export class AssignmentManager {
             return;
         }
 
-        // For simplicity, assign to first compatible employee
-        // In a real implementation, you might show a selection dialog
-        const employee = compatibleEmployees[0];
+        // Next compatible employee in the rotation queue
+        const nextId = rotationManager.getNextCandidate(parkingSpace.tipo, id => compatibleEmployees.some(emp => emp.id === id));
+        const employee = compatibleEmployees.find(emp => emp.id === nextId) || compatibleEmployees[0];
         
         try {
             await this.createAssignment({
                 empleadoId: employee.id,
                 parqueaderoId: parkingSpaceId,
-                fechaInicio: getCurrentDate(),
+                fechaInicio,
                 fechaFin: null
             });
 
-            showAlert(`Parqueadero ${parkingSpace.numero} asignado a ${employee.nombre}`, ALERT_TYPES.SUCCESS);
+            showAlert(`Parqueadero ${parkingSpace.numero} asignado a ${employee.nombre} desde el ${formatDate(fechaInicio)}`, ALERT_TYPES.SUCCESS);
             
         } catch (error) {
             console.error('Error in quick assignment:', error);
-            showAlert('Error en asignación rápida', ALERT_TYPES.DANGER);
+            showAlert(getErrorMessage(error, 'Error en asignación rápida'), ALERT_TYPES.DANGER);
         }
     }
 
-    async reassignPicoPlacaSpace(parkingSpaceId) {
+    async reassignPicoPlacaSpace(parkingSpaceId, date = getCurrentDate()) {
         const space = this.parkingSpaces.find(s => s.id === parkingSpaceId);
         if (!space) return;
 
-        const availableEmployees = this.employees.filter(emp => {
-            // Find employees without assignments and compatible vehicle type
-            const hasAssignment = this.assignments.some(a => a.empleadoId === emp.id && a.activa);
-            const isCompatible = emp.tipoVehiculo === space.tipo;
-            const notPicoPlacaToday = !isTodayPicoPlaca(emp.placa);
-            
-            return !hasAssignment && isCompatible && notPicoPlacaToday;
-        });
+        if (isNonWorkingDay(date)) {
+            showAlert('Es día no laboral: no hay espacios liberados por pico y placa', ALERT_TYPES.INFO);
+            return;
+        }
 
-        if (availableEmployees.length === 0) {
-            showAlert('No hay empleados disponibles para reasignación temporal', ALERT_TYPES.WARNING);
+        // The owner keeps the assignment; only the date is lent
+        const owner = this.getLoanOwner(space, date);
+        if (!owner) {
+            showAlert('El titular de este parqueadero no tiene pico y placa ni está ausente ese día', ALERT_TYPES.WARNING);
+            return;
+        }
+
+        if (this.getActiveLoan(loan => loan.parqueaderoId === parkingSpaceId, date)) {
+            showAlert(`El parqueadero ${space.numero} ya fue prestado para ese día`, ALERT_TYPES.WARNING);
             return;
         }
 
-        // Create temporary assignment for today
-        const tempEmployee = availableEmployees[0]; // Could show selection dialog
+        const guest = this.pickLoanGuest(space, date);
+        if (!guest) {
+            showAlert('No hay empleados disponibles para reasignación temporal', ALERT_TYPES.WARNING);
+            return;
+        }
         
         try {
-            await this.createAssignment({
-                empleadoId: tempEmployee.id,
-                parqueaderoId: parkingSpaceId,
-                fechaInicio: getCurrentDate(),
-                fechaFin: getCurrentDate() // Same day assignment
-            });
+            const loan = this.buildDailyLoan(space, owner, guest, date);
+            await this.saveData();
+            await rotationManager.recordServices([this.toRotationService(loan)]);
+            this.updateAvailabilityView(date);
+
+            eventBus.emit(EVENTS.DAILY_LOAN_CREATED, loan);
 
             showAlert(
-                `Parqueadero ${space.numero} reasignado temporalmente a ${tempEmployee.nombre}`, 
+                `Parqueadero ${space.numero} prestado a ${guest.nombre} el ${formatDate(date)} (titular: ${owner.nombre})`, 
                 ALERT_TYPES.SUCCESS
             );
             
         } catch (error) {
             console.error('Error in temporary reassignment:', error);
-            showAlert('Error en reasignación temporal', ALERT_TYPES.DANGER);
+            showAlert(getErrorMessage(error, 'Error en reasignación temporal'), ALERT_TYPES.DANGER);
+        }
+    }
+
+    async distributePicoPlacaSpaces(date = getCurrentDate()) {
+        const availability = calculateDailyAvailability(this.parkingSpaces, this.employees, date, {
+            assignments: this.assignments,
+            loans: this.loans
+        });
+
+        // Spaces freed by pico y placa or by absent holders
+        const freedSpaces = [...availability.picoPlaca, ...availability.released];
+        if (freedSpaces.length === 0) {
+            showAlert('No hay parqueaderos liberados para repartir', ALERT_TYPES.INFO);
+            return;
+        }
+
+        const confirmed = confirm(
+            `¿Repartir ${freedSpaces.length} cupos del ${formatDate(date)} según la cola de rotación?`
+        );
+        if (!confirmed) return;
+
+        try {
+            const loans = [];
+
+            freedSpaces.forEach(space => {
+                const guest = this.pickLoanGuest(space, date);
+                if (guest) loans.push(this.buildDailyLoan(space, space.empleado, guest, date));
+            });
+
+            if (loans.length > 0) {
+                await this.saveData();
+                await rotationManager.recordServices(loans.map(loan => this.toRotationService(loan)));
+            }
+            this.updateAvailabilityView(date);
+
+            showAlert(
+                `${loans.length} de ${freedSpaces.length} cupos del día repartidos`,
+                loans.length > 0 ? ALERT_TYPES.SUCCESS : ALERT_TYPES.WARNING
+            );
+        } catch (error) {
+            console.error('Error distributing daily spaces:', error);
+            showAlert(getErrorMessage(error, 'Error al repartir los cupos del día'), ALERT_TYPES.DANGER);
+        }
+    }
+
+    getLoanOwner(space, date) {
+        const ownerId = this.assignments
+            .filter(a => a.parqueaderoId === space.id && isAssignmentActiveOn(a, date))
+            .map(a => getAssignmentHolderOn(a, date))
+            .find(Boolean);
+        const owner = ownerId && this.employees.find(emp => emp.id === ownerId);
+        return owner && (isEmployeePicoPlaca(owner, date) || getEmployeeAbsence(owner, date)) ? owner : null;
+    }
+
+    pickLoanGuest(space, date) {
+        const day = { fechaInicio: date, fechaFin: date };
+        const candidates = this.activeEmployees.filter(emp => {
+            // Employees without a space that day and compatible vehicle type
+            const hasAssignment = !!this.findOverlappingAssignment('empleadoId', emp.id, day, [getDayOfWeek(date)]);
+            const hasLoan = !!this.getActiveLoan(loan => loan.empleadoId === emp.id, date);
+            const isCompatible = emp.tipoVehiculo === space.tipo && canUseSpaceCategory(emp, space);
+            const notPicoPlaca = !isEmployeePicoPlaca(emp, date);
+            const comesIn = !getEmployeeAbsence(emp, date);
+            
+            return !hasAssignment && !hasLoan && isCompatible && notPicoPlaca && comesIn;
+        });
+
+        // Offer the space by turn in the rotation queue
+        const guestId = rotationManager.getNextCandidate(space.tipo, id => candidates.some(emp => emp.id === id));
+        return candidates.find(emp => emp.id === guestId) || candidates[0] || null;
+    }
+
+    buildDailyLoan(space, owner, guest, date) {
+        const loan = {
+            id: generateId(),
+            parqueaderoId: space.id,
+            propietarioId: owner.id,
+            empleadoId: guest.id,
+            fecha: date,
+            estado: LOAN_STATUS.ACTIVO,
+            fechaCreacion: getCurrentDate()
+        };
+
+        this.loans.push(loan);
+        return loan;
+    }
+
+    toRotationService(loan) {
+        return {
+            empleadoId: loan.empleadoId,
+            parqueaderoId: loan.parqueaderoId,
+            fecha: loan.fecha,
+            prestamoId: loan.id,
+            origen: 'pico_placa'
+        };
+    }
+
+    getActiveLoan(predicate, date) {
+        return this.loans.find(loan => 
+            loan.fecha === date && loan.estado === LOAN_STATUS.ACTIVO && predicate(loan)
+        );
+    }
+
+    async cancelDailyLoan(loanId) {
+        const loan = this.loans.find(l => l.id === loanId);
+        if (!loan || loan.estado !== LOAN_STATUS.ACTIVO) return;
+
+        const owner = this.employees.find(emp => emp.id === loan.propietarioId);
+        const confirmed = confirm(
+            `¿Cancelar el cupo del día? El parqueadero vuelve a ${owner ? owner.nombre : 'su titular'} ` +
+            `(por ejemplo, si está exento de pico y placa ese día).`
+        );
+        if (!confirmed) return;
+
+        try {
+            loan.estado = LOAN_STATUS.CANCELADO;
+            loan.fechaCancelacion = getCurrentDate();
+
+            await this.saveData();
+            await rotationManager.cancelService(loan.id);
+
+            eventBus.emit(EVENTS.DAILY_LOAN_CANCELLED, loan);
+            showAlert(SUCCESS_MESSAGES.DAILY_LOAN_CANCELLED, ALERT_TYPES.SUCCESS);
+        } catch (error) {
+            console.error('Error cancelling daily loan:', error);
+            showAlert(getErrorMessage(error, 'Error al cancelar el cupo del día'), ALERT_TYPES.DANGER);
         }
     }
 
@@ -501,36 +1246,263 @@ export class AssignmentManager {
         }
     }
 
-    onEmployeeAdded(employee) {
-        this.employees.push(employee);
-        this.updateEmployeeDropdown();
+    onEmployeeAdded() {
+        this.syncRotationQueue();
     }
 
-    onEmployeeDeleted(data) {
-        this.employees = this.employees.filter(emp => emp.id !== data.id);
-        this.updateEmployeeDropdown();
-        
-        // End any active assignments for this employee
-        const employeeAssignments = this.assignments.filter(a => 
-            a.empleadoId === data.id && a.activa
-        );
-        
-        employeeAssignments.forEach(assignment => {
-            this.endAssignment(assignment.id);
+    /**
+     * Get the current or next assignment of an employee
+     * @param {number} employeeId - Employee ID
+     * @returns {Object|null} Assignment
+     */
+    getEmployeeAssignment(employeeId) {
+        return this.assignments
+            .filter(a =>
+                getAssignmentEmployeeIds(a).includes(employeeId) &&
+                (a.estado === ASSIGNMENT_STATUS.ACTIVA || a.estado === ASSIGNMENT_STATUS.PROGRAMADA)
+            )
+            .sort((a, b) => a.fechaInicio.localeCompare(b.fechaInicio))[0] || null;
+    }
+
+    /**
+     * Get every assignment an employee held or will hold, ended and cancelled included
+     * @param {number} employeeId - Employee ID
+     * @returns {Array} Assignments, the most recent first
+     */
+    getEmployeeAssignmentHistory(employeeId) {
+        return this.assignments
+            .filter(a => getAssignmentEmployeeIds(a).includes(employeeId))
+            .sort((a, b) => b.fechaInicio.localeCompare(a.fechaInicio));
+    }
+
+    /**
+     * Employees without a current or scheduled assignment wait in the rotation queue
+     */
+    async syncRotationQueue() {
+        try {
+            await rotationManager.syncQueue(this.activeEmployees, id => this.assignments.some(a => 
+                getAssignmentEmployeeIds(a).includes(id) && 
+                (a.estado === ASSIGNMENT_STATUS.ACTIVA || a.estado === ASSIGNMENT_STATUS.PROGRAMADA)
+            ));
+        } catch (error) {
+            console.error('Error syncing rotation queue:', error);
+        }
+    }
+
+    /**
+     * Remove the assignments of a deleted employee and cancel their daily loans
+     * Assignments cannot outlive their employee: the stored data would be orphaned.
+     */
+    async onEmployeeDeleted({ id }) {
+        this.loans
+            .filter(l => l.estado === LOAN_STATUS.ACTIVO && (l.empleadoId === id || l.propietarioId === id))
+            .forEach(l => { l.estado = LOAN_STATUS.CANCELADO; });
+
+        this.assignments = this.assignments.filter(a => !getAssignmentEmployeeIds(a).includes(id));
+        this.parkingSpaces
+            .filter(space => space.empleadoAsignado === id)
+            .forEach(space => {
+                space.empleadoAsignado = null;
+                if (isSpaceAssignable(space)) space.estado = PARKING_STATUS.DISPONIBLE;
+            });
+
+        try {
+            await this.saveData();
+            await this.syncRotationQueue();
+        } catch (error) {
+            console.error('Error removing assignments of deleted employee:', error);
+            showAlert(getErrorMessage(error, 'Error al liberar los parqueaderos del empleado'), ALERT_TYPES.DANGER);
+        }
+    }
+
+    /**
+     * End the assignments of a retired employee and free their spaces
+     * Unlike a deletion the assignments are kept: those already started end on
+     * the retirement date (yesterday at the latest) and those not started yet
+     * are cancelled. A shared assignment with other holders is closed the same
+     * way and continues for them from the next day, with the retired holder's
+     * weekdays free, so its history still names everyone who used it. Daily
+     * loans from today on are cancelled.
+     */
+    async onEmployeeArchived({ id, fechaRetiro }) {
+        const today = getCurrentDate();
+        const lastDay = fechaRetiro < today ? fechaRetiro : addDays(today, -1);
+
+        this.loans
+            .filter(l => l.estado === LOAN_STATUS.ACTIVO && l.fecha >= today && (l.empleadoId === id || l.propietarioId === id))
+            .forEach(l => {
+                l.estado = LOAN_STATUS.CANCELADO;
+                l.fechaCancelacion = today;
+            });
+
+        this.assignments
+            .filter(a => getAssignmentEmployeeIds(a).includes(id) &&
+                (a.estado === ASSIGNMENT_STATUS.ACTIVA || a.estado === ASSIGNMENT_STATUS.PROGRAMADA))
+            .forEach(assignment => {
+                const parkingSpace = this.parkingSpaces.find(space => space.id === assignment.parqueaderoId);
+                const remaining = getAssignmentEmployeeIds(assignment).filter(empId => empId !== id);
+                const notStarted = assignment.fechaInicio >= today;
+                const plannedEnd = assignment.fechaFin;
+
+                if (notStarted) {
+                    assignment.estado = ASSIGNMENT_STATUS.CANCELADA;
+                } else {
+                    assignment.fechaFin = lastDay < assignment.fechaInicio ? assignment.fechaInicio : lastDay;
+                    assignment.estado = ASSIGNMENT_STATUS.FINALIZADA;
+                }
+                assignment.activa = false;
+
+                let continuation = null;
+                if (isSharedAssignment(assignment) && remaining.length > 0) {
+                    const { id: previousId, version, updatedAt, estado, activa, ...data } = assignment;
+                    continuation = {
+                        ...structuredClone(data),
+                        id: generateId(),
+                        empleadoIds: remaining,
+                        patronSemanal: Object.fromEntries(Object.entries(assignment.patronSemanal || {})
+                            .map(([day, holderId]) => [day, holderId === id ? null : holderId])),
+                        fechaInicio: notStarted ? assignment.fechaInicio : addDays(assignment.fechaFin, 1),
+                        fechaFin: plannedEnd,
+                        fechaCreacion: today,
+                        continuaDesde: previousId
+                    };
+                    continuation.estado = getAssignmentStatus(continuation);
+                    continuation.activa = continuation.estado === ASSIGNMENT_STATUS.ACTIVA;
+                    this.assignments.push(continuation);
+                }
+
+                if (parkingSpace && getAssignmentEmployeeIds(assignment).includes(parkingSpace.empleadoAsignado)) {
+                    if (continuation?.activa) {
+                        parkingSpace.empleadoAsignado = getAssignmentHolderOn(continuation, today) || remaining[0];
+                    } else {
+                        parkingSpace.empleadoAsignado = null;
+                        if (isSpaceAssignable(parkingSpace)) parkingSpace.estado = PARKING_STATUS.DISPONIBLE;
+                    }
+                }
+            });
+
+        try {
+            await this.saveData();
+            await this.syncRotationQueue();
+        } catch (error) {
+            console.error('Error ending assignments of retired employee:', error);
+            showAlert(getErrorMessage(error, 'Error al liberar los parqueaderos del empleado'), ALERT_TYPES.DANGER);
+        }
+    }
+
+    /**
+     * Get the current and scheduled assignments of a space and the spaces that could take them
+     * Equivalent spaces have the same vehicle type, can be assigned, have a
+     * category every holder may use and are free for the rest of every
+     * assignment (on its weekdays, for shared ones).
+     * @param {number} parqueaderoId - Parking space ID
+     * @returns {Object} { asignaciones, espacios }, spaces in the same basement first
+     */
+    getRelocationOptions(parqueaderoId) {
+        const space = this.parkingSpaces.find(s => s.id === parqueaderoId);
+        if (!space) return { asignaciones: [], espacios: [] };
+
+        const today = getCurrentDate();
+        const asignaciones = this.assignments.filter(a => a.parqueaderoId === parqueaderoId &&
+            (a.estado === ASSIGNMENT_STATUS.ACTIVA || a.estado === ASSIGNMENT_STATUS.PROGRAMADA));
+
+        const espacios = this.parkingSpaces
+            .filter(candidate =>
+                candidate.id !== parqueaderoId &&
+                candidate.tipo === space.tipo &&
+                isSpaceAssignable(candidate) &&
+                asignaciones.every(a => getAssignmentEmployeeIds(a).every(employeeId => {
+                    const employee = this.employees.find(emp => emp.id === employeeId);
+                    return employee && canUseSpaceCategory(employee, candidate);
+                })) &&
+                asignaciones.every(a => !this.findOverlappingAssignment('parqueaderoId', candidate.id,
+                    { fechaInicio: a.fechaInicio > today ? a.fechaInicio : today, fechaFin: a.fechaFin },
+                    getAssignmentWeekdays(a)))
+            )
+            .sort((a, b) => (a.sotano !== space.sotano) - (b.sotano !== space.sotano) || a.numero.localeCompare(b.numero));
+
+        return { asignaciones, espacios };
+    }
+
+    /**
+     * Move the current and scheduled assignments of a space to another one
+     * Started assignments end yesterday on the old space and continue from today
+     * on the new one, so the history shows where each employee parked.
+     * @param {number} fromId - Space taken out of service
+     * @param {number} toId - Equivalent space
+     * @returns {number} Assignments moved
+     */
+    relocateAssignments(fromId, toId) {
+        const today = getCurrentDate();
+        const { asignaciones } = this.getRelocationOptions(fromId);
+
+        asignaciones.forEach(assignment => {
+            if (assignment.fechaInicio >= today) {
+                assignment.parqueaderoId = toId;
+                return;
+            }
+
+            const { id, version, updatedAt, ...data } = assignment;
+            this.assignments.push({
+                ...structuredClone(data),
+                id: generateId(),
+                parqueaderoId: toId,
+                fechaInicio: today,
+                fechaCreacion: today,
+                reubicadaDesde: id
+            });
+            assignment.fechaFin = addDays(today, -1);
+            assignment.estado = ASSIGNMENT_STATUS.FINALIZADA;
+            assignment.activa = false;
         });
+
+        const from = this.parkingSpaces.find(space => space.id === fromId);
+        if (from) from.empleadoAsignado = null;
+        return asignaciones.length;
     }
 
-    onParkingSpaceAdded(space) {
-        this.parkingSpaces.push(space);
-        this.updateParkingDropdown();
+    /**
+     * Follow a change of state of a space
+     * Its assignments move when a relocation was chosen; reopened spaces and
+     * the relocation target get their holder from the assignments.
+     */
+    async onParkingSpaceStatusChanged({ id, reubicarEn }) {
+        if (reubicarEn) this.relocateAssignments(id, reubicarEn);
+
+        try {
+            const changed = await this.refreshAssignmentStates();
+            if (!changed && reubicarEn) await this.saveData();
+        } catch (error) {
+            console.error('Error updating assignments of parking space:', error);
+            showAlert(getErrorMessage(error, 'Error al reubicar las asignaciones del parqueadero'), ALERT_TYPES.DANGER);
+        }
+    }
+
+    /**
+     * Remove the assignments of a deleted space and cancel its daily loans
+     */
+    async onParkingSpaceDeleted({ id }) {
+        this.loans
+            .filter(l => l.estado === LOAN_STATUS.ACTIVO && l.parqueaderoId === id)
+            .forEach(l => { l.estado = LOAN_STATUS.CANCELADO; });
+        this.assignments = this.assignments.filter(a => a.parqueaderoId !== id);
+
+        try {
+            await this.saveData();
+            await this.syncRotationQueue();
+        } catch (error) {
+            console.error('Error removing assignments of deleted space:', error);
+            showAlert(getErrorMessage(error, 'Error al eliminar las asignaciones del parqueadero'), ALERT_TYPES.DANGER);
+        }
     }
 
     updateEmployeeDropdown() {
         const select = document.getElementById('empleadoAsignacion');
         if (!select) return;
 
-        const availableEmployees = this.employees.filter(emp => {
-            return !this.assignments.some(a => a.empleadoId === emp.id && a.activa);
+        const period = this.getFormPeriod();
+        const availableEmployees = this.activeEmployees.filter(emp => {
+            return !this.findOverlappingAssignment('empleadoId', emp.id, period);
         });
 
         select.innerHTML = '<option value="">Seleccionar empleado</option>';
@@ -547,9 +1519,10 @@ export class AssignmentManager {
         const select = document.getElementById('parqueaderoAsignacion');
         if (!select) return;
 
+        const period = this.getFormPeriod();
         const availableSpaces = this.parkingSpaces.filter(space => {
-            return space.estado === PARKING_STATUS.DISPONIBLE && 
-                   !this.assignments.some(a => a.parqueaderoId === space.id && a.activa);
+            return isSpaceAssignable(space) && 
+                   !this.findOverlappingAssignment('parqueaderoId', space.id, period);
         });
 
         select.innerHTML = '<option value="">Seleccionar parqueadero</option>';
@@ -557,22 +1530,29 @@ export class AssignmentManager {
         availableSpaces.forEach(space => {
             const option = document.createElement('option');
             option.value = space.id;
-            option.textContent = `${space.numero} - Sótano ${space.sotano} (${space.tipo})`;
+            option.textContent = this.describeSpaceOption(space);
             select.appendChild(option);
         });
     }
 
-    async loadData() {
+    /**
+     * Describe a space in a select, with its category when it has one
+     * @param {Object} space - Parking space
+     * @returns {string} Option text
+     */
+    describeSpaceOption(space) {
+        const category = space.categoria && PARKING_CATEGORY_LABELS[space.categoria];
+        const text = `${space.numero} - Sótano ${space.sotano} (${space.tipo})`;
+        return category ? `${text} ${category.icon} ${category.label}` : text;
+    }
+
+    /**
+     * Bring loaded data up to date: called after the store receives new data
+     */
+    async onDataLoaded() {
         try {
-            const data = await storageService.loadData();
-            this.assignments = data.asignaciones || [];
-            this.employees = data.empleados || [];
-            this.parkingSpaces = data.parqueaderos || [];
-            
-            this.renderAssignments();
-            this.updateEmployeeDropdown();
-            this.updateParkingDropdown();
-            this.updateAvailabilityView(getCurrentDate());
+            await this.refreshAssignmentStates();
+            await this.syncRotationQueue();
             
             console.log(`Loaded ${this.assignments.length} assignments`);
         } catch (error) {
@@ -580,13 +1560,96 @@ export class AssignmentManager {
         }
     }
 
+    /**
+     * Recompute assignment states for a date and sync space holders:
+     * scheduled assignments start, expired ones end and past daily loans are released.
+     * @param {string} date - Day to compute (YYYY-MM-DD), today by default
+     * @returns {Promise<boolean>} True if anything changed
+     */
+    async refreshAssignmentStates(date = getCurrentDate()) {
+        let changed = false;
+
+        this.assignments.forEach(assignment => {
+            // Records ended before intervals existed: close the interval the day before
+            if (!assignment.estado && assignment.activa === false) {
+                const lastDay = addDays(date, -1);
+                if (!assignment.fechaFin || assignment.fechaFin > lastDay) assignment.fechaFin = lastDay;
+                if (assignment.fechaFin < assignment.fechaInicio) assignment.estado = ASSIGNMENT_STATUS.CANCELADA;
+            }
+
+            const estado = getAssignmentStatus(assignment, date);
+            if (assignment.estado !== estado) {
+                assignment.estado = estado;
+                assignment.activa = estado === ASSIGNMENT_STATUS.ACTIVA;
+                changed = true;
+            }
+        });
+
+        this.loans.forEach(loan => {
+            if (loan.estado === LOAN_STATUS.ACTIVO && loan.fecha < date) {
+                loan.estado = LOAN_STATUS.LIBERADO;
+                changed = true;
+            }
+        });
+
+        this.parkingSpaces.forEach(space => {
+            // A state whose last day has passed gives the space back to the assignments
+            if (!isSpaceAssignable(space) && isSpaceAssignable(space, date)) {
+                space.estado = PARKING_STATUS.DISPONIBLE;
+                space.motivoEstado = null;
+                space.estadoHasta = null;
+                changed = true;
+            }
+            if (!isSpaceAssignable(space)) return;
+
+            // Shared spaces show who uses them that day, or their first employee on free days
+            const current = this.assignments.filter(a => a.parqueaderoId === space.id && a.activa);
+            const empleadoAsignado = current.map(a => getAssignmentHolderOn(a, date)).find(Boolean) ||
+                (current.length > 0 ? getAssignmentEmployeeIds(current[0])[0] : null);
+            const estado = empleadoAsignado ? PARKING_STATUS.OCUPADO : PARKING_STATUS.DISPONIBLE;
+            if (space.empleadoAsignado !== empleadoAsignado || space.estado !== estado) {
+                space.empleadoAsignado = empleadoAsignado;
+                space.estado = estado;
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            // Read-only sessions keep the new states in memory; the next save of a role that may write stores them
+            if (authService.canWrite('asignaciones')) await this.saveData();
+            else store.notify(STORE_KEYS);
+            eventBus.emit(EVENTS.ASSIGNMENTS_REFRESHED, { date });
+        }
+
+        return changed;
+    }
+
+    /**
+     * Refresh assignment states at local midnight, when getCurrentDate() rolls over to the next day
+     */
+    scheduleMidnightRefresh() {
+        clearTimeout(this.midnightTimer);
+
+        const now = new Date();
+        const nextDay = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+        const delay = nextDay.getTime() - now.getTime() + 1000;
+
+        this.midnightTimer = setTimeout(async () => {
+            try {
+                // Views show today's states even when nothing had to be saved
+                const changed = await this.refreshAssignmentStates();
+                if (!changed) this.refreshViews();
+            } catch (error) {
+                console.error('Error refreshing assignments at midnight:', error);
+            }
+            this.scheduleMidnightRefresh();
+        }, delay);
+    }
+
     async saveData() {
         try {
-            const data = await storageService.loadData();
-            data.asignaciones = this.assignments;
-            data.empleados = this.employees;
-            data.parqueaderos = this.parkingSpaces;
-            await storageService.saveData(data);
+            // One transaction: assignments never land without the employees and spaces they changed
+            await store.commit(['asignaciones', 'prestamosDiarios', 'empleados', 'parqueaderos']);
         } catch (error) {
             console.error('Error saving assignment data:', error);
             throw error;
@@ -596,7 +1659,9 @@ export class AssignmentManager {
     getStatistics() {
         const activeAssignments = this.assignments.filter(a => a.activa);
         const today = getCurrentDate();
-        const todayAvailability = calculateDailyAvailability(this.parkingSpaces, this.employees, today);
+        const todayAvailability = calculateDailyAvailability(this.parkingSpaces, this.employees, today, {
+            assignments: this.assignments
+        });
 
         return {
             totalAssignments: activeAssignments.length,
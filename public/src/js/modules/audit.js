@@ -0,0 +1,234 @@
+/**
+ * Audit history module
+ * The "Historial" tab lists who created, changed or deleted employees,
+ * spaces and assignments, with the value of each field before and after,
+ * filtered by text, entity, user and dates, and exports it to CSV. The
+ * employee details show the same history for a single record.
+ */
+
+import {
+    ALERT_TYPES,
+    AUDIT_ACTION_LABELS,
+    AUDIT_ENTITY_LABELS
+} from '../utils/constants.js';
+import { debounce, getCurrentDate, sanitizeString } from '../utils/helpers.js';
+import { filterAuditEntries, formatAuditValue } from '../utils/audit.js';
+import storageService from '../services/storage.js';
+import eventBus, { EVENTS } from '../services/eventBus.js';
+import { showAlert } from './ui.js';
+
+// Rows drawn in the tab; the CSV export always has every match
+const MAX_ROWS = 500;
+
+class AuditManager {
+    constructor() {
+        this.init();
+    }
+
+    /**
+     * Initialize audit manager
+     */
+    init() {
+        this.bindEvents();
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        const searchInput = document.getElementById('buscarHistorial');
+        if (searchInput) {
+            searchInput.addEventListener('input', debounce(() => this.render(), 300));
+        }
+
+        ['filtroEntidadHistorial', 'filtroUsuarioHistorial', 'historialDesde', 'historialHasta'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.render());
+        });
+
+        const exportBtn = document.getElementById('exportarHistorial');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.exportToCSV());
+        }
+
+        eventBus.on(EVENTS.AUDIT_RECORDED, debounce(() => this.render(), 200));
+    }
+
+    /**
+     * Read the filters of the tab
+     * @returns {Object} Filters for filterAuditEntries
+     */
+    getFilters() {
+        return {
+            texto: document.getElementById('buscarHistorial')?.value || '',
+            entidad: document.getElementById('filtroEntidadHistorial')?.value || '',
+            usuario: document.getElementById('filtroUsuarioHistorial')?.value || '',
+            desde: document.getElementById('historialDesde')?.value || '',
+            hasta: document.getElementById('historialHasta')?.value || ''
+        };
+    }
+
+    /**
+     * Get the entries matching the filters of the tab
+     * @returns {Array} Entries, newest first
+     */
+    getFilteredEntries() {
+        return filterAuditEntries(storageService.getAuditLog(), this.getFilters());
+    }
+
+    /**
+     * Fill the user filter with everyone who appears in the log
+     * @param {Array} entries - Every entry
+     */
+    renderUserOptions(entries) {
+        const select = document.getElementById('filtroUsuarioHistorial');
+        if (!select) return;
+
+        const selected = select.value;
+        const users = [...new Set(entries.map(entry => entry.usuario))].sort((a, b) => a.localeCompare(b));
+        select.innerHTML = '<option value="">👤 Todos los usuarios</option>' +
+            users.map(user => `<option value="${sanitizeString(user)}">${sanitizeString(user)}</option>`).join('');
+        select.value = users.includes(selected) ? selected : '';
+    }
+
+    /**
+     * Render the history tab
+     */
+    render() {
+        const tbody = document.getElementById('tablaHistorial');
+        if (!tbody) return;
+
+        this.renderUserOptions(storageService.getAuditLog());
+        const entries = this.getFilteredEntries();
+
+        const total = document.getElementById('totalHistorial');
+        if (total) {
+            total.textContent = entries.length > MAX_ROWS ?
+                `Mostrando ${MAX_ROWS} de ${entries.length} cambios` : `${entries.length} cambios`;
+        }
+
+        if (entries.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="5" style="text-align: center; color: #666; padding: 20px;">
+                        No hay cambios registrados con estos filtros
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = entries.slice(0, MAX_ROWS).map(entry => {
+            const action = AUDIT_ACTION_LABELS[entry.accion] || { icon: '', label: entry.accion };
+            return `
+                <tr>
+                    <td style="white-space: nowrap; font-size: 0.9em;">${new Date(entry.fecha).toLocaleString('es-CO')}</td>
+                    <td>${sanitizeString(entry.usuario)}</td>
+                    <td>
+                        <small style="color: #666;">${AUDIT_ENTITY_LABELS[entry.entidad] || entry.entidad}</small><br>
+                        ${sanitizeString(entry.etiqueta)}
+                    </td>
+                    <td style="white-space: nowrap;">${action.icon} ${action.label}</td>
+                    <td>${this.renderChanges(entry)}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Render the fields of an entry with their old and new values
+     * Created and deleted records only show the values they had.
+     * @param {Object} entry - Audit entry
+     * @returns {string} HTML
+     */
+    renderChanges(entry) {
+        if (entry.cambios.length === 0) return '<span style="color: #999;">Sin cambios de datos</span>';
+
+        return entry.cambios.map(({ campo, antes, despues }) => {
+            const before = sanitizeString(formatAuditValue(antes)) || '<em>vacío</em>';
+            const after = sanitizeString(formatAuditValue(despues)) || '<em>vacío</em>';
+            const values = {
+                crear: after,
+                eliminar: `<span style="color: #dc3545;">${before}</span>`
+            }[entry.accion] || `<span style="color: #dc3545;">${before}</span> → <span style="color: #28a745;">${after}</span>`;
+
+            return `<div style="font-size: 0.85em; word-break: break-word;"><strong>${sanitizeString(campo)}:</strong> ${values}</div>`;
+        }).join('');
+    }
+
+    /**
+     * Render the history of one record, for the details modals
+     * @param {string} entidad - 'empleados', 'parqueaderos' or 'asignaciones'
+     * @param {number} entidadId - Record ID
+     * @returns {string} HTML
+     */
+    renderEntityHistory(entidad, entidadId) {
+        const entries = filterAuditEntries(storageService.getAuditLog(), { entidad, entidadId });
+
+        const items = entries.map(entry => {
+            const action = AUDIT_ACTION_LABELS[entry.accion] || { icon: '', label: entry.accion };
+            return `
+                <div style="padding: 8px 0; border-bottom: 1px solid #eee;">
+                    <div style="font-size: 0.85em; color: #666;">
+                        ${new Date(entry.fecha).toLocaleString('es-CO')} · ${sanitizeString(entry.usuario)} · ${action.icon} ${action.label}
+                    </div>
+                    ${this.renderChanges(entry)}
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <h4 style="color: #6c757d; margin: 20px 0 10px 0;">📜 Historial de Cambios</h4>
+            <div style="max-height: 220px; overflow-y: auto; background: #f8f9fa; padding: 0 10px; border-radius: 5px;">
+                ${items || '<p style="color: #666; padding: 10px 0;">Sin cambios registrados</p>'}
+            </div>
+        `;
+    }
+
+    /**
+     * Export the entries matching the filters to CSV, one row per changed field
+     */
+    exportToCSV() {
+        const entries = this.getFilteredEntries();
+        if (entries.length === 0) {
+            showAlert('No hay cambios para exportar', ALERT_TYPES.WARNING);
+            return;
+        }
+
+        const headers = ['Fecha', 'Usuario', 'Rol', 'Entidad', 'ID', 'Registro', 'Acción', 'Campo', 'Antes', 'Después'];
+        const csvData = [headers];
+
+        entries.forEach(entry => {
+            const row = [
+                entry.fecha, entry.usuario, entry.rol || '', AUDIT_ENTITY_LABELS[entry.entidad] || entry.entidad,
+                entry.entidadId, entry.etiqueta, AUDIT_ACTION_LABELS[entry.accion]?.label || entry.accion
+            ];
+            const cambios = entry.cambios.length > 0 ? entry.cambios : [{ campo: '', antes: null, despues: null }];
+            cambios.forEach(({ campo, antes, despues }) => {
+                csvData.push([...row, campo, formatAuditValue(antes), formatAuditValue(despues)]);
+            });
+        });
+
+        // Logged values may hold JSON, so quotes inside a cell are doubled
+        const csvContent = csvData.map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(',')).join('\n');
+
+        // Download file
+        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        link.setAttribute('href', url);
+        link.setAttribute('download', `historial-${getCurrentDate()}.csv`);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+
+        showAlert(`Exportados ${entries.length} cambios a CSV`, ALERT_TYPES.SUCCESS);
+    }
+}
+
+// Create global instance
+const auditManager = new AuditManager();
+window.auditManager = auditManager; // Make it globally accessible
+
+export default auditManager;
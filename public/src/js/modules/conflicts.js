@@ -0,0 +1,268 @@
+/**
+ * Edit conflict module
+ * When the server refuses a change because another administrator saved the
+ * same employee, space or assignment first, shows the local and remote
+ * fields side by side and lets the user pick, field by field, what to keep.
+ */
+
+import { ALERT_TYPES, ERROR_MESSAGES, OUTBOX_ACTIONS, OUTBOX_ENTITIES } from '../utils/constants.js';
+import { sanitizeString } from '../utils/helpers.js';
+import storageService from '../services/storage.js';
+import eventBus, { EVENTS } from '../services/eventBus.js';
+import outboxService, { getEntityCollection } from '../services/outbox.js';
+import { getErrorMessage } from '../services/apiErrors.js';
+import employeeManager from './employees.js';
+import { showAlert } from './ui.js';
+
+// Bookkeeping fields that are never merged by hand
+const IGNORED_FIELDS = ['id', 'version', 'updatedAt', 'pinHash', 'tienePin'];
+
+const ENTITY_LABELS = {
+    [OUTBOX_ENTITIES.EMPLOYEE]: 'Empleado',
+    [OUTBOX_ENTITIES.PARKING_SPACE]: 'Parqueadero',
+    [OUTBOX_ENTITIES.ASSIGNMENT]: 'Asignación'
+};
+
+const FIELD_LABELS = {
+    nombre: 'Nombre',
+    cedula: 'Cédula',
+    area: 'Área',
+    cargo: 'Cargo',
+    telefono: 'Teléfono',
+    email: 'Correo',
+    placa: 'Placa',
+    tipoVehiculo: 'Tipo de vehículo',
+    picoPlaca: 'Pico y placa',
+    estadoHoy: 'Estado del día',
+    observaciones: 'Observaciones',
+    horario: 'Horario',
+    ausencias: 'Ausencias',
+    diasNoAsistencia: 'Días sin asistir',
+    diasTeletrabajo: 'Días de teletrabajo',
+    numero: 'Número',
+    sotano: 'Sótano',
+    tipo: 'Tipo',
+    estado: 'Estado',
+    empleadoAsignado: 'Empleado asignado',
+    empleadoId: 'Empleado',
+    empleadoIds: 'Empleados',
+    parqueaderoId: 'Parqueadero',
+    fechaInicio: 'Fecha de inicio',
+    fechaFin: 'Fecha de fin',
+    patronSemanal: 'Patrón semanal'
+};
+
+class ConflictManager {
+    constructor() {
+        this.pending = [];
+        this.current = null;
+        eventBus.on(EVENTS.SYNC_CONFLICT, (conflict) => this.enqueue(conflict));
+    }
+
+    /**
+     * Queue a conflict; they are shown one at a time
+     * @param {Object} conflict - { operation, remote } from the outbox
+     */
+    enqueue(conflict) {
+        this.pending.push(conflict);
+        if (!this.current) this.showNext();
+    }
+
+    /**
+     * Show the next queued conflict, if any
+     */
+    showNext() {
+        this.current = this.pending.shift() || null;
+        if (this.current) this.showMergeDialog(this.current);
+    }
+
+    /**
+     * List the fields that differ between the local and the remote record
+     * @param {Object} local - Local record
+     * @param {Object} remote - Server record
+     * @returns {Array} Field names
+     */
+    getDifferences(local, remote) {
+        const fields = new Set([...Object.keys(local), ...Object.keys(remote)]);
+        return [...fields].filter(field =>
+            !IGNORED_FIELDS.includes(field) &&
+            JSON.stringify(local[field] ?? null) !== JSON.stringify(remote[field] ?? null)
+        );
+    }
+
+    /**
+     * Format a field value for the dialog
+     * @param {*} value - Field value
+     * @returns {string} Text
+     */
+    formatValue(value) {
+        if (value === null || value === undefined || value === '') return '—';
+        if (typeof value === 'boolean') return value ? 'Sí' : 'No';
+        if (typeof value === 'object') return sanitizeString(JSON.stringify(value));
+        return sanitizeString(String(value));
+    }
+
+    /**
+     * Get a readable name for the record in conflict
+     * @param {string} entity - OUTBOX_ENTITIES value
+     * @param {Object} record - Record
+     * @returns {string} Description
+     */
+    describeRecord(entity, record) {
+        const name = record.nombre || record.numero || `#${record.id}`;
+        return `${ENTITY_LABELS[entity] || 'Registro'} ${sanitizeString(String(name))}`;
+    }
+
+    /**
+     * Show the merge dialog of a conflict
+     * @param {Object} conflict - { operation, remote }
+     */
+    showMergeDialog(conflict) {
+        const { operation, remote } = conflict;
+        const isDelete = operation.action === OUTBOX_ACTIONS.DELETE;
+        const local = operation.payload || {};
+        const fields = isDelete ?
+            Object.keys(remote).filter(field => !IGNORED_FIELDS.includes(field)) :
+            this.getDifferences(local, remote);
+        const buttonStyle = 'color: white; border: none; padding: 10px 20px; border-radius: 5px; cursor: pointer;';
+
+        const rows = fields.map(field => `
+            <tr style="border-bottom: 1px solid #eee;">
+                <td style="padding: 8px; font-weight: bold;">${FIELD_LABELS[field] || field}</td>
+                ${isDelete ? '' : `
+                    <td style="padding: 8px;">
+                        <label><input type="radio" name="conflicto-${field}" value="local" checked> ${this.formatValue(local[field])}</label>
+                    </td>
+                `}
+                <td style="padding: 8px;">
+                    ${isDelete ?
+                        this.formatValue(remote[field]) :
+                        `<label><input type="radio" name="conflicto-${field}" value="remote"> ${this.formatValue(remote[field])}</label>`}
+                </td>
+            </tr>
+        `).join('');
+
+        const modalContent = `
+            <div id="dialogoConflicto" style="width: 700px; max-width: 90vw; padding: 20px;">
+                <h3 style="margin-bottom: 10px;">⚠️ Conflicto de edición: ${this.describeRecord(operation.entity, remote)}</h3>
+                <p style="margin-bottom: 15px; color: #555;">
+                    ${isDelete ?
+                        'Usted eliminó este registro, pero otro administrador lo modificó antes. Estos son los datos actuales del servidor:' :
+                        `${ERROR_MESSAGES.STALE_RECORD}. Elija qué valor conservar en cada campo:`}
+                </p>
+                <table style="width: 100%; border-collapse: collapse; margin-bottom: 15px;">
+                    <thead>
+                        <tr style="background: #f8f9fa;">
+                            <th style="padding: 8px; text-align: left;">Campo</th>
+                            ${isDelete ? '' : '<th style="padding: 8px; text-align: left;">Su versión</th>'}
+                            <th style="padding: 8px; text-align: left;">Servidor</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows || '<tr><td colspan="3" style="padding: 8px; color: #777;">Los datos coinciden; solo cambió la versión.</td></tr>'}
+                    </tbody>
+                </table>
+                <div style="display: flex; gap: 10px; justify-content: center; padding-top: 10px;">
+                    ${isDelete ? `
+                        <button onclick="conflictManager.deleteAnyway()" style="background: #dc3545; ${buttonStyle}">
+                            🗑️ Eliminar de todos modos
+                        </button>
+                    ` : `
+                        <button onclick="conflictManager.saveMerge()" style="background: #28a745; ${buttonStyle}">
+                            💾 Guardar selección
+                        </button>
+                    `}
+                    <button onclick="conflictManager.keepRemote()" style="background: #17a2b8; ${buttonStyle}">
+                        ☁️ Usar versión del servidor
+                    </button>
+                </div>
+            </div>
+        `;
+
+        // Closing the dialog leaves the local change as is; its next save conflicts again
+        const modal = employeeManager.showModal(modalContent);
+        const remove = modal.remove;
+        modal.remove = () => {
+            remove.call(modal);
+            if (this.current === conflict) this.showNext();
+        };
+    }
+
+    /**
+     * Build the local copy of a server record
+     * The server never sends PIN hashes, so the local one is kept.
+     * @param {Object} remote - Server record
+     * @param {Object} local - Local record, if any
+     * @returns {Object} Record to store locally
+     */
+    fromRemote(remote, local = {}) {
+        const { tienePin, ...record } = remote;
+        if (local.pinHash) record.pinHash = local.pinHash;
+        return record;
+    }
+
+    /**
+     * Save the fields chosen in the dialog on top of the server version
+     */
+    async saveMerge() {
+        const { operation, remote } = this.current;
+        const local = operation.payload;
+
+        const merged = this.fromRemote(remote, local);
+        this.getDifferences(local, remote).forEach(field => {
+            const choice = document.querySelector(`input[name="conflicto-${field}"]:checked`)?.value;
+            if (choice !== 'local') return;
+            if (local[field] === undefined) delete merged[field]; else merged[field] = local[field];
+        });
+
+        await this.resolve(() => storageService.saveRecord(getEntityCollection(operation.entity), merged));
+    }
+
+    /**
+     * Discard the local change and keep the server record
+     */
+    async keepRemote() {
+        const { operation, remote } = this.current;
+        await this.resolve(() => storageService.replaceLocalRecord(
+            getEntityCollection(operation.entity),
+            this.fromRemote(remote, operation.payload || {})
+        ));
+    }
+
+    /**
+     * Delete the record although it changed on the server
+     */
+    async deleteAnyway() {
+        const { operation, remote } = this.current;
+        await this.resolve(async () => {
+            outboxService.record([{ ...operation, baseVersion: remote.version || 0 }]);
+            await outboxService.replay();
+        });
+    }
+
+    /**
+     * Apply a resolution, reload the modules and show the next conflict
+     * @param {Function} action - async () => void
+     */
+    async resolve(action) {
+        const conflict = this.current;
+        this.current = null;
+        document.getElementById('dialogoConflicto')?.closest('.modal')?.remove();
+
+        try {
+            await action();
+            eventBus.emit(EVENTS.SYNC_CONFLICT_RESOLVED, conflict);
+            showAlert('Conflicto resuelto', ALERT_TYPES.SUCCESS);
+        } catch (error) {
+            console.error('Error resolving conflict:', error);
+            showAlert(getErrorMessage(error, 'Error al resolver el conflicto'), ALERT_TYPES.DANGER);
+        }
+        this.showNext();
+    }
+}
+
+// Create global instance
+const conflictManager = new ConflictManager();
+window.conflictManager = conflictManager; // Make it globally accessible
+
+export default conflictManager;
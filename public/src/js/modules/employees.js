@@ -5,38 +5,83 @@
 import { 
     generateId, 
     getCurrentDate, 
-    getDayOfWeek,
     validateEmployeeData, 
     sanitizeString, 
     debounce,
     sortBy,
-    calculatePicoPlacaDay 
+    addDays,
+    formatDate,
+    isEmployeePicoPlaca,
+    describeEmployeePicoPlaca,
+    hasActiveExemption,
+    hashPin,
+    getEmployeeDayStatus,
+    dateRangesOverlap,
+    getWorkSchedule,
+    describeWorkSchedule,
+    isRetiredEmployee,
+    getPurgeDate
 } from '../utils/helpers.js';
 import { 
+    APP_CONFIG,
     ERROR_MESSAGES, 
     SUCCESS_MESSAGES, 
     ALERT_TYPES,
-    UI_ELEMENTS 
+    UI_ELEMENTS,
+    PICO_PLACA_EXEMPTIONS,
+    PICO_PLACA_EXEMPTION_LABELS,
+    EXEMPTION_EXPIRY_WARNING_DAYS,
+    PRIORITY_CONDITIONS,
+    PRIORITY_CONDITION_LABELS,
+    FORM_VALIDATION,
+    ABSENCE_TYPES,
+    DAY_STATUS_LABELS,
+    PICO_PLACA_WEEKDAYS,
+    WORK_SHIFTS,
+    WORK_SHIFT_LABELS,
+    ASSIGNMENT_STATUS,
+    ASSIGNMENT_STATUS_LABELS
 } from '../utils/constants.js';
-import storageService from '../services/storage.js';
+import store from '../services/store.js';
+import eventBus, { EVENTS, QUERIES } from '../services/eventBus.js';
+import { getErrorMessage } from '../services/apiErrors.js';
 import { showAlert } from './ui.js';
+import historyService from '../services/history.js';
+import auditManager from './audit.js';
 
 class EmployeeManager {
     constructor() {
-        this.employees = [];
         this.filteredEmployees = [];
         this.currentFilters = {
             search: '',
             vehicleType: ''
         };
+        this.statusDate = '';
         this.init();
     }
 
+    /**
+     * Employees live in the central store
+     * @returns {Array} Employees
+     */
+    get employees() {
+        return store.get('empleados');
+    }
+
+    set employees(employees) {
+        store.set('empleados', employees);
+    }
+
     /**
      * Initialize employee manager
      */
     init() {
         this.bindEvents();
+        // The assignment column depends on assignments and spaces too
+        store.subscribe(['empleados', 'asignaciones', 'parqueaderos'], () => this.applyFilters());
+        // The archive modal follows archiving, restores and undos
+        store.subscribe(['empleados'], () => this.renderArchive());
+        eventBus.handle(QUERIES.EMPLOYEE_BY_ID, ({ id }) => this.getEmployeeById(id));
         this.setupFilters();
     }
 
@@ -85,6 +130,19 @@ class EmployeeManager {
                 this.applyFilters();
             });
         }
+
+        // Date whose effective status is shown (empty means today)
+        const statusDateInput = document.getElementById('fechaEstadoEmpleados');
+        if (statusDateInput) {
+            statusDateInput.addEventListener('change', (e) => {
+                this.statusDate = e.target.value;
+                this.applyFilters();
+            });
+        }
+
+        // Restriction days depend on the effective pico y placa rules
+        eventBus.on(EVENTS.PICO_PLACA_RULES_UPDATED, () => this.applyFilters());
+        eventBus.on(EVENTS.NON_WORKING_DAYS_UPDATED, () => this.applyFilters());
     }
 
     /**
@@ -112,9 +170,10 @@ class EmployeeManager {
             return;
         }
 
-        // Check for duplicates
+        // Check for duplicates; a returning employee is restored rather than registered again
         if (this.isDuplicateCedula(formData.cedula)) {
-            showAlert(ERROR_MESSAGES.DUPLICATE_CEDULA, ALERT_TYPES.DANGER);
+            const retired = this.getRetiredEmployees().some(emp => emp.cedula === formData.cedula);
+            showAlert(retired ? ERROR_MESSAGES.RETIRED_CEDULA : ERROR_MESSAGES.DUPLICATE_CEDULA, ALERT_TYPES.DANGER);
             return;
         }
 
@@ -129,7 +188,7 @@ class EmployeeManager {
             showAlert(SUCCESS_MESSAGES.EMPLOYEE_ADDED, ALERT_TYPES.SUCCESS);
         } catch (error) {
             console.error('Error adding employee:', error);
-            showAlert('Error al agregar empleado', ALERT_TYPES.DANGER);
+            showAlert(getErrorMessage(error, 'Error al agregar empleado'), ALERT_TYPES.DANGER);
         }
     }
 
@@ -153,7 +212,11 @@ class EmployeeManager {
             codigoEmpleado: sanitizeString(document.getElementById('codigoEmpleado')?.value),
             fechaIngreso: document.getElementById('fechaIngreso')?.value,
             jefeInmediato: sanitizeString(document.getElementById('jefeInmediato')?.value),
-            horarioTrabajo: document.getElementById('horarioTrabajo')?.value,
+            condicionPrioritaria: document.getElementById('condicionPrioritaria')?.value || PRIORITY_CONDITIONS.NINGUNA,
+            horario: {
+                dias: [...document.querySelectorAll('input[name="diasHorario"]:checked')].map(input => input.value),
+                turno: document.getElementById('turnoTrabajo')?.value || WORK_SHIFTS.COMPLETO
+            },
             
             // Información del vehículo
             placa: sanitizeString(document.getElementById('placaVehiculo')?.value).toUpperCase(),
@@ -166,6 +229,8 @@ class EmployeeManager {
             // Pico y placa
             picoPlaca: document.getElementById('picoPlacaEmpleado')?.value,
             exencionPicoPlaca: document.getElementById('exencionPicoPlaca')?.value,
+            exencionVence: document.getElementById('exencionVence')?.value || null,
+            exencionSoporte: sanitizeString(document.getElementById('exencionSoporte')?.value),
             
             // Información adicional
             contactoEmergencia: sanitizeString(document.getElementById('contactoEmergencia')?.value),
@@ -173,6 +238,7 @@ class EmployeeManager {
             tipoContrato: document.getElementById('tipoContrato')?.value,
             estadoEmpleado: document.getElementById('estadoEmpleado')?.value || 'activo',
             estadoHoy: document.getElementById('estadoHoyEmpleado')?.value || 'presente',
+            estadoHoyFecha: getCurrentDate(),
             observaciones: sanitizeString(document.getElementById('observacionesEmpleado')?.value)
         };
     }
@@ -182,40 +248,44 @@ class EmployeeManager {
      * @param {Object} employeeData - Employee data
      */
     async addEmployee(employeeData) {
-        // Auto-calculate pico y placa day based on plate number
-        const autoPicoPlaca = calculatePicoPlacaDay(employeeData.placa);
-        
+        // Only a manual selection is stored; otherwise the effective rule set is resolved per date
         const employee = {
             id: generateId(),
             ...employeeData,
-            picoPlaca: employeeData.picoPlaca || autoPicoPlaca, // Use manual selection or auto-calculated
+            picoPlacaManual: Boolean(employeeData.picoPlaca),
             fechaRegistro: getCurrentDate()
         };
 
         this.employees.push(employee);
         await this.saveData();
-        this.applyFilters();
         
         // Dispatch custom event for other modules
-        window.dispatchEvent(new CustomEvent('employeeAdded', { detail: employee }));
+        eventBus.emit(EVENTS.EMPLOYEE_ADDED, employee);
     }
 
     /**
-     * Delete employee with confirmation modal
+     * Permanently delete (purge) a retired employee with confirmation modal
+     * Only retired employees whose retention period is over can be purged;
+     * everyone else is archived instead (see archiveEmployee).
      * @param {number} id - Employee ID
      */
     async deleteEmployee(id) {
         const employee = this.employees.find(emp => emp.id === id);
         if (!employee) return;
 
+        if (!this.canPurge(employee)) {
+            showAlert(ERROR_MESSAGES.RETENTION_NOT_MET, ALERT_TYPES.WARNING);
+            return;
+        }
+
         const modalContent = `
             <div style="max-width: 500px; padding: 30px; text-align: center;">
                 <div style="font-size: 48px; margin-bottom: 20px;">🗑️</div>
-                <h3 style="color: #dc3545; margin-bottom: 20px;">Confirmar Eliminación</h3>
+                <h3 style="color: #dc3545; margin-bottom: 20px;">Confirmar Eliminación Definitiva</h3>
                 
                 <div style="background: #fff3cd; border: 1px solid #ffeaa7; border-radius: 8px; padding: 15px; margin-bottom: 20px;">
                     <p style="margin: 0; color: #856404;">
-                        <strong>⚠️ Esta acción no se puede deshacer</strong>
+                        <strong>↩️ Podrá deshacer la eliminación desde el aviso o con Ctrl+Z</strong>
                     </p>
                 </div>
                 
@@ -233,7 +303,7 @@ class EmployeeManager {
                 </div>
                 
                 <p style="color: #666; font-size: 14px; margin-bottom: 25px;">
-                    También se eliminarán todas las asignaciones de parqueadero relacionadas con este empleado.
+                    Retirado el ${formatDate(employee.fechaRetiro)}. También se eliminará su historial de asignaciones de parqueadero.
                 </p>
                 
                 <div style="display: flex; gap: 15px; justify-content: center;">
@@ -263,21 +333,225 @@ class EmployeeManager {
             if (modal) modal.remove();
 
             const employee = this.employees.find(emp => emp.id === id);
-            if (!employee) return;
+            if (!employee || !this.canPurge(employee)) return;
 
-            this.employees = this.employees.filter(emp => emp.id !== id);
-            await this.saveData();
-            this.applyFilters();
-            
-            // Notify other modules
-            window.dispatchEvent(new CustomEvent('employeeDeleted', { detail: { id } }));
+            // The assignments removed by the other modules are undone with the employee
+            await historyService.run(`Eliminar empleado ${employee.nombre}`, async () => {
+                this.employees = this.employees.filter(emp => emp.id !== id);
+                await this.saveData();
+
+                // Notify other modules
+                eventBus.emit(EVENTS.EMPLOYEE_DELETED, { id });
+            });
             showAlert(`Empleado ${employee.nombre} eliminado exitosamente`, ALERT_TYPES.SUCCESS);
         } catch (error) {
             console.error('Error deleting employee:', error);
-            showAlert('Error al eliminar empleado', ALERT_TYPES.DANGER);
+            showAlert(getErrorMessage(error, 'Error al eliminar empleado'), ALERT_TYPES.DANGER);
+        }
+    }
+
+    /**
+     * Check whether a retired employee's retention period is over
+     * @param {Object} employee - Employee data
+     * @returns {boolean} True if the employee may be purged
+     */
+    canPurge(employee) {
+        const purgeDate = getPurgeDate(employee, APP_CONFIG.EMPLOYEE_RETENTION_DAYS);
+        return !!purgeDate && purgeDate <= getCurrentDate();
+    }
+
+    /**
+     * Archive an employee who left the company, with confirmation modal
+     * @param {number} id - Employee ID
+     */
+    archiveEmployee(id) {
+        const employee = this.getEmployeeById(id);
+        if (!employee || isRetiredEmployee(employee)) return;
+
+        const today = getCurrentDate();
+        const modalContent = `
+            <div style="max-width: 500px; padding: 30px; text-align: center;">
+                <div style="font-size: 48px; margin-bottom: 20px;">🗄️</div>
+                <h3 style="color: #6c757d; margin-bottom: 20px;">Retirar Empleado</h3>
+
+                <div style="background: #f8f9fa; border-radius: 8px; padding: 15px; margin: 20px 0; border-left: 4px solid #007bff;">
+                    <div style="font-weight: bold; font-size: 18px; color: #007bff;">${employee.nombre}</div>
+                    <div style="color: #666; margin-top: 5px;">
+                        <strong>Cédula:</strong> ${employee.cedula}<br>
+                        <strong>Placa:</strong> ${employee.placa}<br>
+                        <strong>Parqueadero:</strong> ${this.getEmployeeAssignmentInfo(employee.id)}
+                    </div>
+                </div>
+
+                <label style="display: block; font-weight: bold; margin-bottom: 5px;">Fecha de retiro:</label>
+                <input type="date" id="fechaRetiroEmpleado" value="${today}" max="${today}"
+                       style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; margin-bottom: 15px;">
+
+                <p style="color: #666; font-size: 14px; margin-bottom: 25px;">
+                    Sus asignaciones terminan y el parqueadero queda libre. El empleado sale de las listas y de la rotación,
+                    pero su historial se conserva y puede restaurarse desde 🗄️ Retirados.
+                </p>
+
+                <div style="display: flex; gap: 15px; justify-content: center;">
+                    <button onclick="employeeManager.confirmArchiveEmployee(${id}, this.closest('.modal').querySelector('#fechaRetiroEmpleado').value)"
+                            style="background: #6c757d; color: white; border: none; padding: 12px 24px; border-radius: 5px; cursor: pointer; font-weight: bold;">
+                        🗄️ Sí, Retirar
+                    </button>
+                    <button onclick="this.closest('.modal').remove()"
+                            style="background: #007bff; color: white; border: none; padding: 12px 24px; border-radius: 5px; cursor: pointer;">
+                        ❌ Cancelar
+                    </button>
+                </div>
+            </div>
+        `;
+
+        this.showModal(modalContent);
+    }
+
+    /**
+     * Confirm and execute employee archiving
+     * The assignment module ends the employee's assignments from the event,
+     * so undoing the command restores them together with the employee.
+     * @param {number} id - Employee ID
+     * @param {string} fechaRetiro - Last working day (YYYY-MM-DD), not in the future
+     */
+    async confirmArchiveEmployee(id, fechaRetiro) {
+        const employee = this.getEmployeeById(id);
+        if (!employee || isRetiredEmployee(employee)) return;
+
+        if (!fechaRetiro || fechaRetiro > getCurrentDate()) {
+            showAlert(ERROR_MESSAGES.INVALID_RETIREMENT_DATE, ALERT_TYPES.WARNING);
+            return;
+        }
+
+        try {
+            const modal = document.querySelector('.modal');
+            if (modal) modal.remove();
+
+            await historyService.run(`Retirar empleado ${employee.nombre}`, async () => {
+                await this.updateEmployee(id, { estadoEmpleado: 'retirado', fechaRetiro });
+                eventBus.emit(EVENTS.EMPLOYEE_ARCHIVED, { id, fechaRetiro });
+            });
+            showAlert(`${SUCCESS_MESSAGES.EMPLOYEE_ARCHIVED}: ${employee.nombre}`, ALERT_TYPES.SUCCESS);
+        } catch (error) {
+            console.error('Error archiving employee:', error);
+            showAlert(getErrorMessage(error, 'Error al retirar empleado'), ALERT_TYPES.DANGER);
         }
     }
 
+    /**
+     * Bring a retired employee back as active
+     * Their ended assignments stay ended; they rejoin the rotation queue.
+     * @param {number} id - Employee ID
+     */
+    async restoreEmployee(id) {
+        const employee = this.getEmployeeById(id);
+        if (!isRetiredEmployee(employee)) return;
+
+        try {
+            await this.updateEmployee(id, { estadoEmpleado: 'activo', fechaRetiro: null });
+            eventBus.emit(EVENTS.EMPLOYEE_RESTORED, { id });
+            showAlert(`${SUCCESS_MESSAGES.EMPLOYEE_RESTORED}: ${employee.nombre}`, ALERT_TYPES.SUCCESS);
+            this.renderArchive();
+        } catch (error) {
+            console.error('Error restoring employee:', error);
+            showAlert(getErrorMessage(error, 'Error al restaurar empleado'), ALERT_TYPES.DANGER);
+        }
+    }
+
+    /**
+     * Show the retired employees with their restore and purge actions
+     */
+    showArchive() {
+        const modal = this.showModal(`
+            <div style="max-width: 900px; padding: 20px;">
+                <h3 style="margin-bottom: 10px; color: #6c757d;">🗄️ Empleados Retirados</h3>
+                <p style="color: #666; font-size: 0.9em; margin-bottom: 20px;">
+                    El historial se conserva ${Math.round(APP_CONFIG.EMPLOYEE_RETENTION_DAYS / 365)} años después del retiro;
+                    solo entonces puede eliminarse definitivamente.
+                </p>
+                <div id="listaRetirados"></div>
+                <div style="text-align: center; padding-top: 20px;">
+                    <button onclick="this.closest('.modal').remove()"
+                            style="background: #007bff; color: white; border: none; padding: 10px 20px; border-radius: 5px; cursor: pointer;">
+                        Cerrar
+                    </button>
+                </div>
+            </div>
+        `);
+        modal.id = 'archivoEmpleados';
+        this.renderArchive();
+    }
+
+    /**
+     * Render the list of the archive modal, if it is open
+     */
+    renderArchive() {
+        const list = document.getElementById('archivoEmpleados')?.querySelector('#listaRetirados');
+        if (!list) return;
+
+        const retired = sortBy(this.getRetiredEmployees(), 'fechaRetiro', false);
+        if (retired.length === 0) {
+            list.innerHTML = '<p style="text-align: center; color: #666; padding: 20px;">No hay empleados retirados</p>';
+            return;
+        }
+
+        const rows = retired.map(emp => {
+            const purgeDate = getPurgeDate(emp, APP_CONFIG.EMPLOYEE_RETENTION_DAYS);
+            const purgeButton = this.canPurge(emp) ?
+                `<button class="btn btn-sm" data-permiso="empleados-eliminar"
+                         onclick="this.closest('.modal').remove(); employeeManager.deleteEmployee(${emp.id})"
+                         title="Eliminar definitivamente" style="background: #dc3545; color: white; padding: 4px 8px; font-size: 0.8em;">
+                     🗑️ Purgar
+                 </button>` :
+                `<button class="btn btn-sm" data-permiso="empleados-eliminar" disabled
+                         title="Podrá eliminarse desde el ${formatDate(purgeDate)}" style="background: #e9ecef; color: #999; padding: 4px 8px; font-size: 0.8em; cursor: not-allowed;">
+                     🔒 Desde ${formatDate(purgeDate)}
+                 </button>`;
+
+            return `
+                <tr>
+                    <td style="font-weight: 500;">${emp.nombre}</td>
+                    <td>${emp.cedula}</td>
+                    <td>${emp.area || 'N/A'}</td>
+                    <td style="font-weight: bold; color: #007bff;">${emp.placa}</td>
+                    <td>${formatDate(emp.fechaRetiro)}</td>
+                    <td>
+                        <div style="display: flex; gap: 5px;">
+                            <button class="btn btn-sm" onclick="employeeManager.viewEmployee(${emp.id})"
+                                    title="Ver detalles e historial" style="background: #007bff; color: white; padding: 4px 8px; font-size: 0.8em;">
+                                👁️
+                            </button>
+                            <button class="btn btn-sm" data-permiso="empleados-editar" onclick="employeeManager.restoreEmployee(${emp.id})"
+                                    title="Restaurar como activo" style="background: #28a745; color: white; padding: 4px 8px; font-size: 0.8em;">
+                                ♻️ Restaurar
+                            </button>
+                            ${purgeButton}
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        list.innerHTML = `
+            <div class="table-wrapper">
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>Empleado</th>
+                            <th>Cédula</th>
+                            <th>Área</th>
+                            <th>Placa</th>
+                            <th>Retiro</th>
+                            <th>Acciones</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
     /**
      * Update employee
      * @param {number} id - Employee ID
@@ -289,11 +563,8 @@ class EmployeeManager {
 
         this.employees[employeeIndex] = { ...this.employees[employeeIndex], ...updateData };
         await this.saveData();
-        this.applyFilters();
         
-        window.dispatchEvent(new CustomEvent('employeeUpdated', { 
-            detail: { id, data: this.employees[employeeIndex] } 
-        }));
+        eventBus.emit(EVENTS.EMPLOYEE_UPDATED, { id, data: this.employees[employeeIndex] });
     }
 
     /**
@@ -320,7 +591,8 @@ class EmployeeManager {
     filterEmployees() {
         const { search, vehicleType, area, status } = this.currentFilters;
         
-        this.filteredEmployees = this.employees.filter(employee => {
+        // Retired employees are listed in the archive only
+        this.filteredEmployees = this.getActiveEmployees().filter(employee => {
             const matchesSearch = !search || 
                 employee.nombre.toLowerCase().includes(search.toLowerCase()) ||
                 employee.cedula.includes(search) ||
@@ -353,7 +625,7 @@ class EmployeeManager {
             tbody.innerHTML = `
                 <tr>
                     <td colspan="8" style="text-align: center; color: #666; padding: 20px;">
-                        ${this.employees.length === 0 ? 'No hay empleados registrados' : 'No se encontraron empleados con los filtros aplicados'}
+                        ${this.getActiveEmployees().length === 0 ? 'No hay empleados registrados' : 'No se encontraron empleados con los filtros aplicados'}
                     </td>
                 </tr>
             `;
@@ -379,8 +651,8 @@ class EmployeeManager {
         // Get assigned parking info
         const assignmentInfo = this.getEmployeeAssignmentInfo(employee.id);
         
-        // Calculate pico y placa automatically if not set
-        const picoPlacaDisplay = employee.picoPlaca || calculatePicoPlacaDay(employee.placa) || 'Sin restricción';
+        // Resolve pico y placa from the manual selection or the effective rule set
+        const picoPlacaDisplay = describeEmployeePicoPlaca(employee) || 'Sin restricción';
         
         // Format estado with icon
         const estadoIcons = {
@@ -389,39 +661,28 @@ class EmployeeManager {
             'incapacidad': '🏥',
             'licencia': '📋',
             'suspendido': '⚠️',
-            'inactivo': '❌'
+            'inactivo': '❌',
+            'retirado': '🗄️'
         };
         const estadoIcon = estadoIcons[employee.estadoEmpleado] || '✅';
         const estadoText = `${estadoIcon} ${(employee.estadoEmpleado || 'activo')}`;
         
-        // Estado actual/hoy
-        const estadoHoyIcons = {
-            'presente': '✅',
-            'ausente': '❌', 
-            'vacaciones': '🏖️',
-            'incapacidad': '🏥',
-            'licencia': '📋',
-            'tarde': '⏰',
-            'remoto': '🏠'
-        };
-        const estadoHoy = employee.estadoHoy || 'presente';
-        const estadoHoyText = `${estadoHoyIcons[estadoHoy] || '✅'} ${estadoHoy}`;
+        // Effective status on the chosen date (absences, remote-work days, manual status of the day)
+        const estadoDia = getEmployeeDayStatus(employee, this.statusDate || getCurrentDate());
+        const estadoDiaInfo = DAY_STATUS_LABELS[estadoDia] || { icon: '✅', label: estadoDia };
+        const estadoHoyText = `${estadoDiaInfo.icon} ${estadoDiaInfo.label}`;
         
         // Format dates
         const fechaIngreso = employee.fechaIngreso ? 
             new Date(employee.fechaIngreso).toLocaleDateString('es-CO') : 'N/A';
         
-        // Exención pico y placa
-        const exencionIcons = {
-            'no': '❌',
-            'discapacidad': '♿',
-            'medico': '🏥',
-            'emergencia': '🚨',
-            'diplomatico': '🏛️',
-            'otro': '⚠️'
-        };
-        const exencion = employee.exencionPicoPlaca || 'no';
-        const exencionText = exencionIcons[exencion] || '❌';
+        // Exención pico y placa (expired exemptions are flagged)
+        const exencion = employee.exencionPicoPlaca || PICO_PLACA_EXEMPTIONS.NINGUNA;
+        const exencionInfo = PICO_PLACA_EXEMPTION_LABELS[exencion] || PICO_PLACA_EXEMPTION_LABELS.otro;
+        const exencionVencida = exencion !== PICO_PLACA_EXEMPTIONS.NINGUNA && !hasActiveExemption(employee);
+        const exencionText = exencionVencida ?
+            `<span title="${exencionInfo.label} - vencida el ${formatDate(employee.exencionVence)}">⌛</span>` :
+            `<span title="${exencionInfo.label}">${exencionInfo.icon}</span>`;
         
         return `
             <td style="font-weight: 500;">${employee.nombre}</td>
@@ -448,13 +709,17 @@ class EmployeeManager {
                             title="Ver detalles" style="background: #007bff; color: white; padding: 4px 8px; font-size: 0.8em;">
                         👁️
                     </button>
-                    <button class="btn btn-sm" onclick="employeeManager.editEmployee(${employee.id})" 
+                    <button class="btn btn-sm" data-permiso="empleados-editar" onclick="employeeManager.editEmployee(${employee.id})" 
                             title="Editar" style="background: #28a745; color: white; padding: 4px 8px; font-size: 0.8em;">
                         ✏️
                     </button>
-                    <button class="btn btn-sm" onclick="employeeManager.deleteEmployee(${employee.id})" 
-                            title="Eliminar" style="background: #dc3545; color: white; padding: 4px 8px; font-size: 0.8em;">
-                        🗑️
+                    <button class="btn btn-sm" data-permiso="empleados-editar" onclick="employeeManager.manageAbsences(${employee.id})" 
+                            title="Ausencias y teletrabajo" style="background: #17a2b8; color: white; padding: 4px 8px; font-size: 0.8em;">
+                        📆
+                    </button>
+                    <button class="btn btn-sm" data-permiso="empleados-eliminar" onclick="employeeManager.archiveEmployee(${employee.id})" 
+                            title="Retirar y archivar" style="background: #6c757d; color: white; padding: 4px 8px; font-size: 0.8em;">
+                        🗄️
                     </button>
                 </div>
             </td>
@@ -481,14 +746,23 @@ class EmployeeManager {
      * @returns {string} Assignment info
      */
     getEmployeeAssignmentInfo(employeeId) {
-        // This will be populated by the assignment module
-        const assignmentEvent = new CustomEvent('getEmployeeAssignment', { 
-            detail: { employeeId } 
-        });
-        window.dispatchEvent(assignmentEvent);
-        
-        // Default return - will be updated by assignment module
-        return '<span class="text-muted">No asignado</span>';
+        const assignment = this.getEmployeeAssignment(employeeId);
+        if (!assignment) return '<span class="text-muted">No asignado</span>';
+
+        const space = store.get('parqueaderos').find(p => p.id === assignment.parqueaderoId);
+        const numero = space ? space.numero : '?';
+        return assignment.estado === ASSIGNMENT_STATUS.PROGRAMADA ?
+            `${numero} <small>(desde ${formatDate(assignment.fechaInicio)})</small>` :
+            numero;
+    }
+
+    /**
+     * Get the current or next assignment of an employee
+     * @param {number} employeeId - Employee ID
+     * @returns {Object|null} Assignment
+     */
+    getEmployeeAssignment(employeeId) {
+        return eventBus.request(QUERIES.EMPLOYEE_ASSIGNMENT, { employeeId });
     }
 
     /**
@@ -504,15 +778,6 @@ class EmployeeManager {
         }
     }
 
-    /**
-     * Load employees data
-     * @param {Array} employees - Employees array
-     */
-    loadEmployees(employees) {
-        this.employees = employees || [];
-        this.applyFilters();
-    }
-
     /**
      * Get all employees
      * @returns {Array} Employees array
@@ -530,13 +795,28 @@ class EmployeeManager {
         return this.employees.find(emp => emp.id === id) || null;
     }
 
+    /**
+     * Get employees who have not retired
+     * @returns {Array} Active employees
+     */
+    getActiveEmployees() {
+        return this.employees.filter(emp => !isRetiredEmployee(emp));
+    }
+
+    /**
+     * Get archived (retired) employees
+     * @returns {Array} Retired employees
+     */
+    getRetiredEmployees() {
+        return this.employees.filter(isRetiredEmployee);
+    }
+
     /**
      * Get employees without assignments
      * @returns {Array} Unassigned employees
      */
     getUnassignedEmployees() {
-        // This will be updated by the assignment module
-        return this.employees.filter(emp => !emp._hasAssignment);
+        return this.getActiveEmployees().filter(emp => !this.getEmployeeAssignment(emp.id));
     }
 
     /**
@@ -544,9 +824,7 @@ class EmployeeManager {
      */
     async saveData() {
         try {
-            const data = await storageService.loadData();
-            data.empleados = this.employees;
-            await storageService.saveData(data);
+            await store.commit(['empleados']);
         } catch (error) {
             console.error('Error saving employee data:', error);
             throw error;
@@ -571,7 +849,7 @@ class EmployeeManager {
                 emp.telefono || '',
                 emp.placa,
                 emp.tipoVehiculo,
-                emp.picoPlaca || '',
+                describeEmployeePicoPlaca(emp) || '',
                 emp.fechaRegistro
             ]);
         });
@@ -584,27 +862,25 @@ class EmployeeManager {
      * @returns {Object} Employee statistics
      */
     getStatistics() {
-        const total = this.employees.length;
-        const byVehicleType = this.employees.reduce((acc, emp) => {
+        const employees = this.getActiveEmployees();
+        const total = employees.length;
+        const byVehicleType = employees.reduce((acc, emp) => {
             acc[emp.tipoVehiculo] = (acc[emp.tipoVehiculo] || 0) + 1;
             return acc;
         }, {});
         
-        const byStatus = this.employees.reduce((acc, emp) => {
+        const byStatus = employees.reduce((acc, emp) => {
             const status = emp.estadoEmpleado || 'activo';
             acc[status] = (acc[status] || 0) + 1;
             return acc;
         }, {});
         
-        const withPicoPlaca = this.employees.filter(emp => emp.picoPlaca).length;
+        const today = getCurrentDate();
+        const withPicoPlaca = employees.filter(emp => describeEmployeePicoPlaca(emp, today)).length;
         const withParking = 0; // This should be updated by assignment module
         
-        // Calculate employees with pico y placa today
-        const today = getDayOfWeek(getCurrentDate());
-        const picoPlacaToday = this.employees.filter(emp => {
-            const empPicoPlaca = emp.picoPlaca || calculatePicoPlacaDay(emp.placa);
-            return empPicoPlaca === today;
-        }).length;
+        // Calculate employees with pico y placa today under the effective rule set
+        const picoPlacaToday = employees.filter(emp => isEmployeePicoPlaca(emp, today)).length;
 
         return {
             total,
@@ -625,7 +901,7 @@ class EmployeeManager {
         const employee = this.getEmployeeById(id);
         if (!employee) return;
 
-        const picoPlacaDisplay = employee.picoPlaca || calculatePicoPlacaDay(employee.placa) || 'Sin restricción';
+        const picoPlacaDisplay = describeEmployeePicoPlaca(employee) || 'Sin restricción';
         
         const modalContent = `
             <div style="max-width: 600px; padding: 20px;">
@@ -639,9 +915,12 @@ class EmployeeManager {
                     <div><strong>Área:</strong> ${employee.area || 'N/A'}</div>
                     <div><strong>Cargo:</strong> ${employee.cargo || 'N/A'}</div>
                     <div><strong>Estado:</strong> ${employee.estadoEmpleado || 'activo'}</div>
-                    <div><strong>Estado Hoy:</strong> ${employee.estadoHoy || 'presente'}</div>
+                    <div><strong>Estado Hoy:</strong> ${DAY_STATUS_LABELS[getEmployeeDayStatus(employee, getCurrentDate())]?.label || 'Presente'}</div>
                     <div><strong>Fecha Ingreso:</strong> ${employee.fechaIngreso || 'N/A'}</div>
+                    ${isRetiredEmployee(employee) ? `<div><strong>Fecha Retiro:</strong> ${formatDate(employee.fechaRetiro)}</div>` : ''}
                     <div><strong>Jefe Inmediato:</strong> ${employee.jefeInmediato || 'N/A'}</div>
+                    <div><strong>Horario:</strong> ${describeWorkSchedule(employee)}</div>
+                    <div><strong>Condición Prioritaria:</strong> ${PRIORITY_CONDITION_LABELS[employee.condicionPrioritaria || PRIORITY_CONDITIONS.NINGUNA]?.label || 'Ninguna'}</div>
                 </div>
                 
                 <h4 style="color: #667eea; margin: 20px 0 10px 0;">🚗 Información del Vehículo</h4>
@@ -657,7 +936,8 @@ class EmployeeManager {
                 <h4 style="color: #ffc107; margin: 20px 0 10px 0;">🚦 Pico y Placa</h4>
                 <div style="margin-bottom: 20px;">
                     <strong>Días de restricción:</strong> ${picoPlacaDisplay}<br>
-                    <strong>Exención:</strong> ${employee.exencionPicoPlaca === 'no' ? 'No tiene exención' : (employee.exencionPicoPlaca || 'No especificada')}
+                    <strong>Exención:</strong> ${this.describeExemption(employee)}
+                    ${employee.exencionSoporte ? `<br><strong>Soporte:</strong> ${employee.exencionSoporte}` : ''}
                 </div>
                 
                 ${employee.observaciones ? `
@@ -666,6 +946,10 @@ class EmployeeManager {
                     ${employee.observaciones}
                 </div>
                 ` : ''}
+
+                ${this.renderAssignmentHistory(employee.id)}
+
+                ${auditManager.renderEntityHistory('empleados', employee.id)}
                 
                 <div style="text-align: center; padding-top: 20px;">
                     <button onclick="this.closest('.modal').remove()" 
@@ -679,6 +963,32 @@ class EmployeeManager {
         this.showModal(modalContent);
     }
 
+    /**
+     * Render every assignment an employee held, for the details modal
+     * @param {number} id - Employee ID
+     * @returns {string} HTML
+     */
+    renderAssignmentHistory(id) {
+        const spaces = store.get('parqueaderos');
+        const items = eventBus.request(QUERIES.EMPLOYEE_ASSIGNMENT_HISTORY, { employeeId: id }).map(assignment => {
+            const space = spaces.find(p => p.id === assignment.parqueaderoId);
+            const status = ASSIGNMENT_STATUS_LABELS[assignment.estado] || { icon: '', label: assignment.estado };
+            const period = `${formatDate(assignment.fechaInicio)} → ${assignment.fechaFin ? formatDate(assignment.fechaFin) : 'indefinida'}`;
+            return `
+                <div style="padding: 6px 0; border-bottom: 1px solid #eee; font-size: 0.9em;">
+                    <strong>${space ? space.numero : `#${assignment.parqueaderoId}`}</strong> · ${period} · ${status.icon} ${status.label}
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <h4 style="color: #667eea; margin: 20px 0 10px 0;">🅿️ Historial de Asignaciones</h4>
+            <div style="max-height: 180px; overflow-y: auto; background: #f8f9fa; padding: 0 10px; border-radius: 5px;">
+                ${items || '<p style="color: #666; padding: 10px 0;">Sin asignaciones</p>'}
+            </div>
+        `;
+    }
+
     /**
      * Edit employee
      * @param {number} id - Employee ID
@@ -687,6 +997,16 @@ class EmployeeManager {
         const employee = this.getEmployeeById(id);
         if (!employee) return;
 
+        // The edit form has no retired state: saving would bring them back halfway
+        if (isRetiredEmployee(employee)) {
+            showAlert('Restaure al empleado desde 🗄️ Retirados antes de editarlo', ALERT_TYPES.WARNING);
+            return;
+        }
+
+        // The manual status only applies on the day it was set
+        const estadoHoy = employee.estadoHoyFecha === getCurrentDate() ? employee.estadoHoy || 'presente' : 'presente';
+        const horario = getWorkSchedule(employee);
+
         const modalContent = `
             <div style="max-width: 700px; padding: 20px;">
                 <h3 style="margin-bottom: 20px; color: #007bff;">✏️ Editar Empleado</h3>
@@ -744,6 +1064,32 @@ class EmployeeManager {
                                 <label style="display: block; font-weight: bold; margin-bottom: 5px;">Fecha de Ingreso:</label>
                                 <input type="date" id="editFechaIngreso" value="${employee.fechaIngreso || ''}" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
                             </div>
+                            <div>
+                                <label style="display: block; font-weight: bold; margin-bottom: 5px;">Condición Prioritaria:</label>
+                                <select id="editCondicionPrioritaria" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                                    ${Object.entries(PRIORITY_CONDITION_LABELS).map(([value, { icon, label }]) => `
+                                        <option value="${value}" ${(employee.condicionPrioritaria || PRIORITY_CONDITIONS.NINGUNA) === value ? 'selected' : ''}>${icon} ${label}</option>
+                                    `).join('')}
+                                </select>
+                            </div>
+                            <div style="grid-column: 1 / -1;">
+                                <label style="display: block; font-weight: bold; margin-bottom: 5px;">Días Presenciales:</label>
+                                <div style="display: flex; gap: 12px; flex-wrap: wrap;">
+                                    ${PICO_PLACA_WEEKDAYS.map(day => `
+                                        <label style="display: flex; align-items: center; gap: 4px;">
+                                            <input type="checkbox" name="editDiasHorario" value="${day}" ${horario.dias.includes(day) ? 'checked' : ''}> ${day}
+                                        </label>
+                                    `).join('')}
+                                </div>
+                            </div>
+                            <div>
+                                <label style="display: block; font-weight: bold; margin-bottom: 5px;">Turno:</label>
+                                <select id="editTurnoTrabajo" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                                    ${Object.entries(WORK_SHIFT_LABELS).map(([value, { icon, label }]) => `
+                                        <option value="${value}" ${horario.turno === value ? 'selected' : ''}>${icon} ${label}</option>
+                                    `).join('')}
+                                </select>
+                            </div>
                             <div>
                                 <label style="display: block; font-weight: bold; margin-bottom: 5px;">Estado:</label>
                                 <select id="editEstado" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
@@ -758,13 +1104,13 @@ class EmployeeManager {
                             <div>
                                 <label style="display: block; font-weight: bold; margin-bottom: 5px;">Estado Hoy:</label>
                                 <select id="editEstadoHoy" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
-                                    <option value="presente" ${(employee.estadoHoy || 'presente') === 'presente' ? 'selected' : ''}>✅ Presente</option>
-                                    <option value="ausente" ${employee.estadoHoy === 'ausente' ? 'selected' : ''}>❌ Ausente</option>
-                                    <option value="vacaciones" ${employee.estadoHoy === 'vacaciones' ? 'selected' : ''}>🏖️ Vacaciones</option>
-                                    <option value="incapacidad" ${employee.estadoHoy === 'incapacidad' ? 'selected' : ''}>🏥 Incapacidad</option>
-                                    <option value="licencia" ${employee.estadoHoy === 'licencia' ? 'selected' : ''}>📋 Licencia</option>
-                                    <option value="tarde" ${employee.estadoHoy === 'tarde' ? 'selected' : ''}>⏰ Llegó tarde</option>
-                                    <option value="remoto" ${employee.estadoHoy === 'remoto' ? 'selected' : ''}>🏠 Trabajo remoto</option>
+                                    <option value="presente" ${estadoHoy === 'presente' ? 'selected' : ''}>✅ Presente</option>
+                                    <option value="ausente" ${estadoHoy === 'ausente' ? 'selected' : ''}>❌ Ausente</option>
+                                    <option value="vacaciones" ${estadoHoy === 'vacaciones' ? 'selected' : ''}>🏖️ Vacaciones</option>
+                                    <option value="incapacidad" ${estadoHoy === 'incapacidad' ? 'selected' : ''}>🏥 Incapacidad</option>
+                                    <option value="licencia" ${estadoHoy === 'licencia' ? 'selected' : ''}>📋 Licencia</option>
+                                    <option value="tarde" ${estadoHoy === 'tarde' ? 'selected' : ''}>⏰ Llegó tarde</option>
+                                    <option value="remoto" ${estadoHoy === 'remoto' ? 'selected' : ''}>🏠 Trabajo remoto</option>
                                 </select>
                             </div>
                         </div>
@@ -814,6 +1160,42 @@ class EmployeeManager {
                         </div>
                     </fieldset>
 
+                    <!-- Exención Pico y Placa -->
+                    <fieldset style="border: 1px solid #ddd; border-radius: 8px; padding: 15px;">
+                        <legend style="font-weight: bold; color: #667eea; padding: 0 10px;">🚦 Exención Pico y Placa</legend>
+                        <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 15px;">
+                            <div>
+                                <label style="display: block; font-weight: bold; margin-bottom: 5px;">Tipo de Exención:</label>
+                                <select id="editExencion" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                                    ${Object.entries(PICO_PLACA_EXEMPTION_LABELS).map(([value, { icon, label }]) => `
+                                        <option value="${value}" ${(employee.exencionPicoPlaca || PICO_PLACA_EXEMPTIONS.NINGUNA) === value ? 'selected' : ''}>${icon} ${label}</option>
+                                    `).join('')}
+                                </select>
+                            </div>
+                            <div>
+                                <label style="display: block; font-weight: bold; margin-bottom: 5px;">Vencimiento:</label>
+                                <input type="date" id="editExencionVence" value="${employee.exencionVence || ''}" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                            </div>
+                            <div style="grid-column: 1 / -1;">
+                                <label style="display: block; font-weight: bold; margin-bottom: 5px;">Documento Soporte:</label>
+                                <input type="text" id="editExencionSoporte" value="${employee.exencionSoporte || ''}" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                            </div>
+                        </div>
+                    </fieldset>
+
+                    <!-- Portal del Empleado -->
+                    <fieldset style="border: 1px solid #ddd; border-radius: 8px; padding: 15px;">
+                        <legend style="font-weight: bold; color: #667eea; padding: 0 10px;">👤 Portal del Empleado</legend>
+                        <div>
+                            <label style="display: block; font-weight: bold; margin-bottom: 5px;">
+                                ${employee.pinHash ? 'Nuevo PIN (vacío conserva el actual):' : 'PIN de acceso (sin configurar):'}
+                            </label>
+                            <input type="password" id="editPin" inputmode="numeric" maxlength="6" autocomplete="new-password"
+                                   placeholder="4 a 6 dígitos"
+                                   style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                        </div>
+                    </fieldset>
+
                     <!-- Información Adicional -->
                     <fieldset style="border: 1px solid #ddd; border-radius: 8px; padding: 15px;">
                         <legend style="font-weight: bold; color: #667eea; padding: 0 10px;">📋 Información Adicional</legend>
@@ -870,13 +1252,22 @@ class EmployeeManager {
                 area: modal.querySelector('#editArea').value,
                 cargo: modal.querySelector('#editCargo').value.trim(),
                 fechaIngreso: modal.querySelector('#editFechaIngreso').value,
+                condicionPrioritaria: modal.querySelector('#editCondicionPrioritaria').value,
+                horario: {
+                    dias: [...modal.querySelectorAll('input[name="editDiasHorario"]:checked')].map(input => input.value),
+                    turno: modal.querySelector('#editTurnoTrabajo').value
+                },
                 estadoEmpleado: modal.querySelector('#editEstado').value,
                 estadoHoy: modal.querySelector('#editEstadoHoy').value,
+                estadoHoyFecha: getCurrentDate(),
                 placa: modal.querySelector('#editPlaca').value.trim().toUpperCase(),
                 tipoVehiculo: modal.querySelector('#editTipoVehiculo').value,
                 marcaVehiculo: modal.querySelector('#editMarca').value.trim(),
                 modeloVehiculo: modal.querySelector('#editModelo').value.trim(),
                 colorVehiculo: modal.querySelector('#editColor').value,
+                exencionPicoPlaca: modal.querySelector('#editExencion').value,
+                exencionVence: modal.querySelector('#editExencionVence').value || null,
+                exencionSoporte: modal.querySelector('#editExencionSoporte').value.trim(),
                 contactoEmergencia: modal.querySelector('#editContactoEmergencia').value.trim(),
                 observaciones: modal.querySelector('#editObservaciones').value.trim()
             };
@@ -887,6 +1278,11 @@ class EmployeeManager {
                 return;
             }
 
+            if (updateData.exencionPicoPlaca !== PICO_PLACA_EXEMPTIONS.NINGUNA && !updateData.exencionVence) {
+                showAlert('La exención de pico y placa requiere fecha de vencimiento', ALERT_TYPES.DANGER);
+                return;
+            }
+
             // Check for duplicate cedula (excluding current employee)
             if (this.employees.some(emp => emp.id !== id && emp.cedula === updateData.cedula)) {
                 showAlert(ERROR_MESSAGES.DUPLICATE_CEDULA, ALERT_TYPES.DANGER);
@@ -906,8 +1302,15 @@ class EmployeeManager {
                 return;
             }
 
-            // Auto-calculate pico y placa based on plate if not manually set
-            updateData.picoPlaca = calculatePicoPlacaDay(updateData.placa);
+            // Only store a new PIN when one was typed; the portal compares hashes
+            const pin = modal.querySelector('#editPin').value.trim();
+            if (pin) {
+                if (!FORM_VALIDATION.PIN_REGEX.test(pin)) {
+                    showAlert(ERROR_MESSAGES.INVALID_PIN, ALERT_TYPES.DANGER);
+                    return;
+                }
+                updateData.pinHash = await hashPin(pin, id);
+            }
 
             // Update employee
             await this.updateEmployee(id, updateData);
@@ -918,10 +1321,304 @@ class EmployeeManager {
             
         } catch (error) {
             console.error('Error updating employee:', error);
-            showAlert('Error al actualizar empleado', ALERT_TYPES.DANGER);
+            showAlert(getErrorMessage(error, 'Error al actualizar empleado'), ALERT_TYPES.DANGER);
         }
     }
 
+    /**
+     * Show the absences and remote-work weekdays of an employee
+     * @param {number} id - Employee ID
+     */
+    manageAbsences(id) {
+        const employee = this.getEmployeeById(id);
+        if (!employee) return;
+
+        const modal = this.showModal('<div id="gestorAusencias" style="width: 650px; max-width: 90vw; padding: 20px;"></div>');
+        this.renderAbsenceManager(modal, id);
+    }
+
+    /**
+     * Render the absence manager inside its modal
+     * @param {HTMLElement} modal - Modal element
+     * @param {number} id - Employee ID
+     */
+    renderAbsenceManager(modal, id) {
+        const employee = this.getEmployeeById(id);
+        const container = modal.querySelector('#gestorAusencias');
+        if (!employee || !container) return;
+
+        const today = getCurrentDate();
+        const ausencias = [...(employee.ausencias || [])].sort((a, b) => a.fechaInicio.localeCompare(b.fechaInicio));
+        const diasTeletrabajo = employee.diasTeletrabajo || [];
+        const diasDeclarados = (employee.diasNoAsistencia || []).filter(dia => dia >= today);
+
+        container.innerHTML = `
+            <h3 style="margin-bottom: 5px; color: #007bff;">📆 Ausencias de ${employee.nombre}</h3>
+            <p style="margin-bottom: 20px; color: #666; font-size: 0.9em;">Durante una ausencia su parqueadero queda libre para otros empleados.</p>
+
+            <fieldset style="border: 1px solid #ddd; border-radius: 8px; padding: 15px; margin-bottom: 15px;">
+                <legend style="font-weight: bold; color: #667eea; padding: 0 10px;">🏠 Teletrabajo Semanal</legend>
+                <div style="display: flex; gap: 15px; flex-wrap: wrap; margin-bottom: 10px;">
+                    ${PICO_PLACA_WEEKDAYS.map(day => `
+                        <label style="display: flex; align-items: center; gap: 5px;">
+                            <input type="checkbox" name="diaTeletrabajo" value="${day}" ${diasTeletrabajo.includes(day) ? 'checked' : ''}>
+                            ${day}
+                        </label>
+                    `).join('')}
+                </div>
+                <button type="button" id="guardarTeletrabajo" class="btn btn-secondary">💾 Guardar Días</button>
+            </fieldset>
+
+            <fieldset style="border: 1px solid #ddd; border-radius: 8px; padding: 15px; margin-bottom: 15px;">
+                <legend style="font-weight: bold; color: #667eea; padding: 0 10px;">🗓️ Ausencias por Fechas</legend>
+                <table class="data-table" style="margin-bottom: 15px;">
+                    <thead>
+                        <tr><th>Tipo</th><th>Desde</th><th>Hasta</th><th>Motivo</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${ausencias.length === 0 ? `
+                            <tr><td colspan="5" style="text-align: center; color: #666;">Sin ausencias registradas</td></tr>
+                        ` : ausencias.map(ausencia => `
+                            <tr style="${ausencia.fechaFin < today ? 'color: #999;' : ''}">
+                                <td>${DAY_STATUS_LABELS[ausencia.tipo]?.icon || ''} ${DAY_STATUS_LABELS[ausencia.tipo]?.label || ausencia.tipo}</td>
+                                <td>${formatDate(ausencia.fechaInicio)}</td>
+                                <td>${formatDate(ausencia.fechaFin)}</td>
+                                <td>${ausencia.motivo || '-'}</td>
+                                <td>
+                                    <button type="button" class="btn btn-sm" data-ausencia="${ausencia.id}" title="Eliminar"
+                                            style="background: #dc3545; color: white; padding: 2px 6px; font-size: 0.8em;">🗑️</button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+
+                <form id="nuevaAusenciaForm" style="display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 10px; align-items: end;">
+                    <div>
+                        <label style="display: block; font-weight: bold; margin-bottom: 5px;">Tipo:</label>
+                        <select id="ausenciaTipo" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                            ${Object.values(ABSENCE_TYPES).map(tipo => `
+                                <option value="${tipo}">${DAY_STATUS_LABELS[tipo].icon} ${DAY_STATUS_LABELS[tipo].label}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div>
+                        <label style="display: block; font-weight: bold; margin-bottom: 5px;">Desde:</label>
+                        <input type="date" id="ausenciaDesde" required value="${today}" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                    </div>
+                    <div>
+                        <label style="display: block; font-weight: bold; margin-bottom: 5px;">Hasta:</label>
+                        <input type="date" id="ausenciaHasta" required value="${today}" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                    </div>
+                    <div style="grid-column: 1 / 3;">
+                        <label style="display: block; font-weight: bold; margin-bottom: 5px;">Motivo (Opcional):</label>
+                        <input type="text" id="ausenciaMotivo" maxlength="200" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                    </div>
+                    <button type="submit" class="btn btn-primary">➕ Registrar</button>
+                </form>
+            </fieldset>
+
+            ${diasDeclarados.length > 0 ? `
+                <p style="font-size: 0.9em; color: #666;">
+                    📆 Días declarados en el portal: ${diasDeclarados.map(formatDate).join(', ')}
+                </p>
+            ` : ''}
+
+            <div style="text-align: center; padding-top: 10px;">
+                <button type="button" onclick="this.closest('.modal').remove()" class="btn btn-secondary">Cerrar</button>
+            </div>
+        `;
+
+        container.querySelector('#guardarTeletrabajo').addEventListener('click', async () => {
+            const dias = [...container.querySelectorAll('input[name="diaTeletrabajo"]:checked')].map(input => input.value);
+            if (await this.setRemoteWeekdays(id, dias)) this.renderAbsenceManager(modal, id);
+        });
+
+        container.querySelector('#nuevaAusenciaForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const added = await this.addAbsence(id, {
+                tipo: container.querySelector('#ausenciaTipo').value,
+                fechaInicio: container.querySelector('#ausenciaDesde').value,
+                fechaFin: container.querySelector('#ausenciaHasta').value,
+                motivo: sanitizeString(container.querySelector('#ausenciaMotivo').value)
+            });
+            if (added) this.renderAbsenceManager(modal, id);
+        });
+
+        container.querySelectorAll('[data-ausencia]').forEach(button => {
+            button.addEventListener('click', async () => {
+                if (await this.removeAbsence(id, parseInt(button.dataset.ausencia))) this.renderAbsenceManager(modal, id);
+            });
+        });
+    }
+
+    /**
+     * Register a dated absence
+     * @param {number} id - Employee ID
+     * @param {Object} absenceData - { tipo, fechaInicio, fechaFin, motivo }
+     * @returns {Promise<boolean>} True if saved
+     */
+    async addAbsence(id, absenceData) {
+        const employee = this.getEmployeeById(id);
+        if (!employee) return false;
+
+        if (!absenceData.fechaInicio || !absenceData.fechaFin || absenceData.fechaFin < absenceData.fechaInicio) {
+            showAlert(ERROR_MESSAGES.INVALID_DATE_RANGE, ALERT_TYPES.DANGER);
+            return false;
+        }
+
+        const ausencias = employee.ausencias || [];
+        if (ausencias.some(ausencia => dateRangesOverlap(ausencia, absenceData))) {
+            showAlert(ERROR_MESSAGES.ABSENCE_OVERLAP, ALERT_TYPES.DANGER);
+            return false;
+        }
+
+        try {
+            await this.updateEmployee(id, {
+                ausencias: [...ausencias, { id: generateId(), ...absenceData, fechaRegistro: getCurrentDate() }]
+            });
+            showAlert(SUCCESS_MESSAGES.ABSENCE_ADDED, ALERT_TYPES.SUCCESS);
+            return true;
+        } catch (error) {
+            console.error('Error adding absence:', error);
+            showAlert(getErrorMessage(error, 'Error al registrar la ausencia'), ALERT_TYPES.DANGER);
+            return false;
+        }
+    }
+
+    /**
+     * Remove a dated absence
+     * @param {number} id - Employee ID
+     * @param {number} absenceId - Absence ID
+     * @returns {Promise<boolean>} True if removed
+     */
+    async removeAbsence(id, absenceId) {
+        const employee = this.getEmployeeById(id);
+        if (!employee || !confirm('¿Eliminar esta ausencia?')) return false;
+
+        try {
+            await this.updateEmployee(id, {
+                ausencias: (employee.ausencias || []).filter(ausencia => ausencia.id !== absenceId)
+            });
+            return true;
+        } catch (error) {
+            console.error('Error removing absence:', error);
+            showAlert(getErrorMessage(error, 'Error al eliminar la ausencia'), ALERT_TYPES.DANGER);
+            return false;
+        }
+    }
+
+    /**
+     * Set the weekdays an employee always works remotely
+     * @param {number} id - Employee ID
+     * @param {Array} weekdays - Weekday names
+     * @returns {Promise<boolean>} True if saved
+     */
+    async setRemoteWeekdays(id, weekdays) {
+        try {
+            await this.updateEmployee(id, { diasTeletrabajo: weekdays });
+            showAlert('Días de teletrabajo actualizados', ALERT_TYPES.SUCCESS);
+            return true;
+        } catch (error) {
+            console.error('Error saving remote-work days:', error);
+            showAlert(getErrorMessage(error, 'Error al guardar los días de teletrabajo'), ALERT_TYPES.DANGER);
+            return false;
+        }
+    }
+
+    /**
+     * Describe an employee's pico y placa exemption
+     * @param {Object} employee - Employee data
+     * @returns {string} Exemption type with its validity
+     */
+    describeExemption(employee) {
+        const exencion = employee.exencionPicoPlaca || PICO_PLACA_EXEMPTIONS.NINGUNA;
+        const { label } = PICO_PLACA_EXEMPTION_LABELS[exencion] || PICO_PLACA_EXEMPTION_LABELS.otro;
+        if (exencion === PICO_PLACA_EXEMPTIONS.NINGUNA) return label;
+        if (!employee.exencionVence) return `${label} (sin vencimiento)`;
+
+        const estado = hasActiveExemption(employee) ? 'vigente hasta' : 'vencida el';
+        return `${label} (${estado} ${formatDate(employee.exencionVence)})`;
+    }
+
+    /**
+     * Get employees whose exemption expires within a number of days
+     * @param {number} days - Days ahead to look at
+     * @returns {Array} Employees sorted by expiry date
+     */
+    getExpiringExemptions(days = EXEMPTION_EXPIRY_WARNING_DAYS) {
+        const today = getCurrentDate();
+        const limit = addDays(today, days);
+
+        return sortBy(
+            this.employees.filter(emp =>
+                hasActiveExemption(emp, today) && emp.exencionVence && emp.exencionVence <= limit
+            ),
+            'exencionVence'
+        );
+    }
+
+    /**
+     * Show report of exemptions expiring soon
+     */
+    showExpiringExemptionsReport() {
+        const expiring = this.getExpiringExemptions();
+        const today = getCurrentDate();
+
+        const rows = expiring.map(emp => {
+            const { icon, label } = PICO_PLACA_EXEMPTION_LABELS[emp.exencionPicoPlaca] || PICO_PLACA_EXEMPTION_LABELS.otro;
+            const diasRestantes = Math.round((new Date(emp.exencionVence) - new Date(today)) / 86400000);
+
+            return `
+                <tr>
+                    <td>${emp.nombre}</td>
+                    <td style="font-weight: bold; color: #007bff;">${emp.placa}</td>
+                    <td>${icon} ${label}</td>
+                    <td>${formatDate(emp.exencionVence)}</td>
+                    <td style="color: ${diasRestantes <= 7 ? '#dc3545' : '#ffc107'}; font-weight: bold;">${diasRestantes} días</td>
+                    <td style="font-size: 0.9em;">${emp.exencionSoporte || 'N/A'}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const modalContent = `
+            <div style="max-width: 800px; padding: 20px;">
+                <h3 style="margin-bottom: 20px; color: #007bff;">⏳ Exenciones por Vencer (${EXEMPTION_EXPIRY_WARNING_DAYS} días)</h3>
+
+                ${expiring.length === 0 ? `
+                    <p style="text-align: center; color: #666; padding: 20px;">
+                        No hay exenciones de pico y placa que venzan en los próximos ${EXEMPTION_EXPIRY_WARNING_DAYS} días
+                    </p>
+                ` : `
+                    <div class="table-wrapper">
+                        <table class="data-table">
+                            <thead>
+                                <tr>
+                                    <th>Empleado</th>
+                                    <th>Placa</th>
+                                    <th>Exención</th>
+                                    <th>Vence</th>
+                                    <th>Restan</th>
+                                    <th>Soporte</th>
+                                </tr>
+                            </thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                    </div>
+                `}
+
+                <div style="text-align: center; padding-top: 20px;">
+                    <button onclick="this.closest('.modal').remove()"
+                            style="background: #007bff; color: white; border: none; padding: 10px 20px; border-radius: 5px; cursor: pointer;">
+                        Cerrar
+                    </button>
+                </div>
+            </div>
+        `;
+
+        this.showModal(modalContent);
+    }
+
     /**
      * Show modal dialog
      * @param {string} content - Modal content
@@ -1261,7 +1958,7 @@ class EmployeeManager {
 
         } catch (error) {
             console.error('Error processing file:', error);
-            showAlert('Error al procesar el archivo', ALERT_TYPES.DANGER);
+            showAlert(getErrorMessage(error, 'Error al procesar el archivo'), ALERT_TYPES.DANGER);
         }
     }
 
@@ -1362,6 +2059,7 @@ class EmployeeManager {
             modeloVehiculo: this.sanitizeExcelValue(values[9]) || '',
             estadoEmpleado: this.sanitizeExcelValue(values[10])?.toLowerCase() || 'activo',
             estadoHoy: this.sanitizeExcelValue(values[11])?.toLowerCase() || 'presente',
+            estadoHoyFecha: getCurrentDate(),
             telefono: this.sanitizeExcelValue(values[12]) || '',
             email: this.sanitizeExcelValue(values[13]) || '',
             jefeInmediato: this.sanitizeExcelValue(values[14]) || '',
@@ -1449,6 +2147,7 @@ class EmployeeManager {
             modeloVehiculo: values[9]?.trim() || '',
             estadoEmpleado: values[10]?.trim().toLowerCase() || 'activo',
             estadoHoy: values[11]?.trim().toLowerCase() || 'presente',
+            estadoHoyFecha: getCurrentDate(),
             telefono: values[12]?.trim() || '',
             email: values[13]?.trim() || '',
             jefeInmediato: values[14]?.trim() || '',
@@ -1576,26 +2275,27 @@ class EmployeeManager {
             showAlert('Importando empleados...', ALERT_TYPES.INFO);
 
             let successCount = 0;
-            for (const employeeData of this.pendingImport) {
-                // Add auto-calculated fields
-                employeeData.id = generateId();
-                employeeData.fechaRegistro = getCurrentDate();
-                employeeData.picoPlaca = employeeData.picoPlaca || calculatePicoPlacaDay(employeeData.placa);
-
-                this.employees.push(employeeData);
-                successCount++;
-            }
+            await historyService.run(`Importar ${this.pendingImport.length} empleados`, async () => {
+                for (const employeeData of this.pendingImport) {
+                    // Add auto-calculated fields
+                    employeeData.id = generateId();
+                    employeeData.fechaRegistro = getCurrentDate();
+                    employeeData.picoPlacaManual = Boolean(employeeData.picoPlaca);
+
+                    this.employees.push(employeeData);
+                    successCount++;
+                }
 
-            await this.saveData();
-            this.applyFilters();
+                await this.saveData();
 
-            // Close modal
-            const modal = document.querySelector('.modal');
-            if (modal) modal.remove();
+                // Close modal
+                const modal = document.querySelector('.modal');
+                if (modal) modal.remove();
 
-            // Dispatch events for each imported employee
-            this.pendingImport.forEach(employee => {
-                window.dispatchEvent(new CustomEvent('employeeAdded', { detail: employee }));
+                // Dispatch events for each imported employee
+                this.pendingImport.forEach(employee => {
+                    eventBus.emit(EVENTS.EMPLOYEE_ADDED, employee);
+                });
             });
 
             showAlert(`✅ ${successCount} empleados importados exitosamente`, ALERT_TYPES.SUCCESS);
@@ -1603,7 +2303,7 @@ class EmployeeManager {
 
         } catch (error) {
             console.error('Error importing employees:', error);
-            showAlert('Error al importar empleados', ALERT_TYPES.DANGER);
+            showAlert(getErrorMessage(error, 'Error al importar empleados'), ALERT_TYPES.DANGER);
         }
     }
 
@@ -1620,19 +2320,20 @@ class EmployeeManager {
             'Nombre Completo', 'Cédula', 'Email', 'Teléfono', 'Teléfono Fijo', 
             'Área/Departamento', 'Cargo', 'Código Empleado', 'Fecha Ingreso', 'Jefe Inmediato', 'Horario',
             'Placa Vehículo', 'Tipo Vehículo', 'Marca', 'Modelo', 'Color', 'Año',
-            'Pico y Placa', 'Exención P&P', 'Estado Empleado', 'Tipo Contrato',
+            'Pico y Placa', 'Exención P&P', 'Vence Exención', 'Soporte Exención', 'Estado Empleado', 'Fecha Retiro', 'Tipo Contrato',
             'Contacto Emergencia', 'Dirección', 'Observaciones', 'Fecha Registro'
         ];
         const csvData = [headers];
 
         this.employees.forEach(emp => {
-            const picoPlacaDisplay = emp.picoPlaca || calculatePicoPlacaDay(emp.placa) || 'Sin restricción';
+            const picoPlacaDisplay = describeEmployeePicoPlaca(emp) || 'Sin restricción';
             
             csvData.push([
                 emp.nombre, emp.cedula, emp.email || '', emp.telefono || '', emp.telefonoFijo || '',
-                emp.area || '', emp.cargo || '', emp.codigoEmpleado || '', emp.fechaIngreso || '', emp.jefeInmediato || '', emp.horarioTrabajo || '',
+                emp.area || '', emp.cargo || '', emp.codigoEmpleado || '', emp.fechaIngreso || '', emp.jefeInmediato || '', describeWorkSchedule(emp),
                 emp.placa, emp.tipoVehiculo, emp.marcaVehiculo || '', emp.modeloVehiculo || '', emp.colorVehiculo || '', emp.anoVehiculo || '',
-                picoPlacaDisplay, emp.exencionPicoPlaca || 'no', emp.estadoEmpleado || 'activo', emp.tipoContrato || '',
+                picoPlacaDisplay, emp.exencionPicoPlaca || 'no', emp.exencionVence || '', emp.exencionSoporte || '',
+                emp.estadoEmpleado || 'activo', emp.fechaRetiro || '', emp.tipoContrato || '',
                 emp.contactoEmergencia || '', emp.direccionResidencia || '', emp.observaciones || '', emp.fechaRegistro
             ]);
         });
@@ -0,0 +1,119 @@
+/**
+ * Event log panel
+ * Debugging aid listing the events and queries that cross the event bus,
+ * newest first, with their payload and how many listeners received them.
+ * Toggled with Ctrl+Shift+E; while the panel is open the bus records, and
+ * it reopens on reload so the start-up events are captured too.
+ */
+
+import { sanitizeString, debounce } from '../utils/helpers.js';
+import eventBus, { describeEvent } from '../services/eventBus.js';
+
+// Longest payload shown per entry
+const MAX_PAYLOAD_LENGTH = 300;
+
+class EventLogManager {
+    constructor() {
+        this.panel = null;
+        this.stopFollowing = null;
+        if (eventBus.debug) this.open();
+    }
+
+    /**
+     * Open the panel if it is closed, close it otherwise
+     */
+    toggle() {
+        if (this.panel) this.close(); else this.open();
+    }
+
+    /**
+     * Show the panel and start recording
+     */
+    open() {
+        if (this.panel || typeof document === 'undefined' || !document.body) return;
+
+        eventBus.setDebug(true);
+
+        this.panel = document.createElement('div');
+        this.panel.id = 'registroEventos';
+        this.panel.style.cssText = 'position: fixed; right: 10px; bottom: 10px; width: 480px; max-width: 95vw; ' +
+            'max-height: 50vh; display: flex; flex-direction: column; background: white; border: 1px solid #ccc; ' +
+            'border-radius: 8px; box-shadow: 0 4px 12px rgba(0,0,0,0.2); z-index: 2000; font-size: 0.85em;';
+        this.panel.innerHTML = `
+            <div style="display: flex; align-items: center; gap: 8px; padding: 8px 10px; background: #f8f9fa; border-bottom: 1px solid #ddd;">
+                <strong style="flex: 1;">🛰️ Registro de eventos</strong>
+                <button onclick="eventLogManager.clear()" style="border: none; background: #6c757d; color: white; padding: 4px 8px; border-radius: 4px; cursor: pointer;">
+                    Limpiar
+                </button>
+                <button onclick="eventLogManager.close()" style="border: none; background: none; font-size: 1.2em; cursor: pointer;" title="Cerrar y dejar de registrar">
+                    ×
+                </button>
+            </div>
+            <div id="registroEventosLista" style="overflow-y: auto; padding: 5px 10px;"></div>
+        `;
+        document.body.appendChild(this.panel);
+
+        // A table render can ask dozens of queries: redraw once they are done
+        this.stopFollowing = eventBus.onLog(debounce(() => this.render(), 100));
+        this.render();
+    }
+
+    /**
+     * Remove the panel and stop recording
+     */
+    close() {
+        if (!this.panel) return;
+
+        this.stopFollowing();
+        this.stopFollowing = null;
+        this.panel.remove();
+        this.panel = null;
+        eventBus.setDebug(false);
+    }
+
+    /**
+     * Empty the log
+     */
+    clear() {
+        eventBus.clearLog();
+    }
+
+    /**
+     * Render the recorded entries, newest first
+     */
+    render() {
+        const list = document.getElementById('registroEventosLista');
+        if (!list) return;
+
+        const entries = eventBus.getLog().reverse();
+        if (entries.length === 0) {
+            list.innerHTML = '<p style="color: #777; text-align: center; margin: 10px 0;">Sin eventos registrados</p>';
+            return;
+        }
+
+        list.innerHTML = entries.map(entry => {
+            const payload = entry.payload.length > MAX_PAYLOAD_LENGTH ?
+                `${entry.payload.slice(0, MAX_PAYLOAD_LENGTH)}…` : entry.payload;
+            const receivers = entry.kind === 'consulta' ? 'consulta' :
+                `${entry.receivers} ${entry.receivers === 1 ? 'receptor' : 'receptores'}`;
+
+            return `
+                <div style="padding: 5px 0; border-bottom: 1px solid #eee;">
+                    <div>
+                        <span style="color: #777;">${entry.time.slice(11, 23)}</span>
+                        <strong style="color: ${entry.kind === 'consulta' ? '#17a2b8' : '#667eea'};">${entry.name}</strong>
+                        <span style="color: #777;">(${receivers})</span>
+                    </div>
+                    <div style="color: #555;">${describeEvent(entry.name)}</div>
+                    <code style="display: block; word-break: break-all; color: #333;">${sanitizeString(payload)}</code>
+                </div>
+            `;
+        }).join('');
+    }
+}
+
+// Create global instance
+const eventLogManager = new EventLogManager();
+window.eventLogManager = eventLogManager; // Make it globally accessible
+
+export default eventLogManager;
@@ -0,0 +1,200 @@
+/**
+ * Holidays and company non-working days management module
+ */
+
+import { generateId, getCurrentDate, getDayOfWeek, formatDate, sanitizeString } from '../utils/helpers.js';
+import {
+    getColombianHolidays,
+    setCompanyNonWorkingDays,
+    getNonWorkingDay
+} from '../utils/holidays.js';
+import {
+    SUCCESS_MESSAGES,
+    ALERT_TYPES,
+    UI_ELEMENTS,
+    NON_WORKING_DAY_TYPES
+} from '../utils/constants.js';
+import storageService from '../services/storage.js';
+import eventBus, { EVENTS } from '../services/eventBus.js';
+import { getErrorMessage } from '../services/apiErrors.js';
+import { showAlert, showConfirmDialog } from './ui.js';
+
+class HolidayManager {
+    constructor() {
+        this.companyDays = [];
+        this.selectedYear = new Date().getFullYear();
+        this.init();
+    }
+
+    /**
+     * Initialize holiday manager
+     */
+    init() {
+        this.setupYearSelector();
+        this.bindEvents();
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        const form = document.getElementById(UI_ELEMENTS.FORMS.DIA_NO_LABORAL);
+        if (form) {
+            form.addEventListener('submit', (e) => this.handleFormSubmit(e));
+        }
+
+        const yearSelector = document.getElementById('anioDiasNoLaborales');
+        if (yearSelector) {
+            yearSelector.addEventListener('change', (e) => {
+                this.selectedYear = parseInt(e.target.value);
+                this.render();
+            });
+        }
+    }
+
+    /**
+     * Fill the year selector with the previous, current and next two years
+     */
+    setupYearSelector() {
+        const select = document.getElementById('anioDiasNoLaborales');
+        if (!select) return;
+
+        const currentYear = new Date().getFullYear();
+        select.innerHTML = [-1, 0, 1, 2].map(offset => {
+            const year = currentYear + offset;
+            return `<option value="${year}" ${offset === 0 ? 'selected' : ''}>${year}</option>`;
+        }).join('');
+    }
+
+    /**
+     * Handle form submission
+     * @param {Event} event - Form submit event
+     */
+    async handleFormSubmit(event) {
+        event.preventDefault();
+
+        const fecha = document.getElementById('fechaDiaNoLaboral')?.value;
+        const nombre = sanitizeString(document.getElementById('nombreDiaNoLaboral')?.value || '');
+
+        if (!fecha || !nombre) {
+            showAlert('Ingrese la fecha y la descripción del día no laboral', ALERT_TYPES.DANGER);
+            return;
+        }
+
+        const existing = getNonWorkingDay(fecha);
+        if (existing) {
+            showAlert(`El ${formatDate(fecha)} ya es un día no laboral (${existing.nombre})`, ALERT_TYPES.WARNING);
+            return;
+        }
+
+        try {
+            this.companyDays.push({
+                id: generateId(),
+                fecha,
+                nombre,
+                fechaCreacion: getCurrentDate()
+            });
+            await this.persist();
+
+            event.target.reset();
+            showAlert(SUCCESS_MESSAGES.NON_WORKING_DAY_SAVED, ALERT_TYPES.SUCCESS);
+        } catch (error) {
+            console.error('Error saving non-working day:', error);
+            showAlert(getErrorMessage(error, 'Error al registrar el día no laboral'), ALERT_TYPES.DANGER);
+        }
+    }
+
+    /**
+     * Delete company non-working day
+     * @param {number} id - Non-working day ID
+     */
+    async deleteCompanyDay(id) {
+        const day = this.companyDays.find(d => d.id === id);
+        if (!day) return;
+
+        const confirmed = showConfirmDialog(
+            `¿Eliminar el día no laboral "${day.nombre}" (${formatDate(day.fecha)})?`,
+            'Eliminar Día No Laboral'
+        );
+        if (!confirmed) return;
+
+        try {
+            this.companyDays = this.companyDays.filter(d => d.id !== id);
+            await this.persist();
+            showAlert(SUCCESS_MESSAGES.NON_WORKING_DAY_DELETED, ALERT_TYPES.SUCCESS);
+        } catch (error) {
+            console.error('Error deleting non-working day:', error);
+            showAlert(getErrorMessage(error, 'Error al eliminar el día no laboral'), ALERT_TYPES.DANGER);
+        }
+    }
+
+    /**
+     * Save company days, refresh the calendar and notify other modules
+     */
+    async persist() {
+        await this.saveData();
+        setCompanyNonWorkingDays(this.companyDays);
+        this.render();
+
+        eventBus.emit(EVENTS.NON_WORKING_DAYS_UPDATED, { companyDays: this.companyDays });
+    }
+
+    /**
+     * Render holidays and company days of the selected year
+     */
+    render() {
+        const tbody = document.getElementById('tablaDiasNoLaborales');
+        if (!tbody) return;
+
+        const today = getCurrentDate();
+        const days = [
+            ...getColombianHolidays(this.selectedYear),
+            ...this.companyDays
+                .filter(day => day.fecha.startsWith(`${this.selectedYear}-`))
+                .map(day => ({ ...day, tipo: NON_WORKING_DAY_TYPES.EMPRESA }))
+        ].sort((a, b) => a.fecha.localeCompare(b.fecha));
+
+        tbody.innerHTML = days.map(day => `
+            <tr style="${day.fecha < today ? 'opacity: 0.6;' : ''}">
+                <td>${formatDate(day.fecha)}</td>
+                <td style="text-transform: capitalize;">${getDayOfWeek(day.fecha)}</td>
+                <td>${day.nombre}</td>
+                <td>${day.tipo === NON_WORKING_DAY_TYPES.EMPRESA ? '🏢 Empresa' : '🇨🇴 Festivo nacional'}</td>
+                <td>
+                    ${day.tipo === NON_WORKING_DAY_TYPES.EMPRESA ? `
+                        <button class="btn btn-sm" onclick="holidayManager.deleteCompanyDay(${day.id})" title="Eliminar"
+                                style="background: #dc3545; color: white; padding: 4px 8px; font-size: 0.8em;">🗑️</button>
+                    ` : '-'}
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Load company non-working days data
+     * @param {Array} companyDays - Company non-working days array
+     */
+    loadNonWorkingDays(companyDays) {
+        this.companyDays = [...companyDays];
+        setCompanyNonWorkingDays(this.companyDays);
+        this.render();
+    }
+
+    /**
+     * Save company non-working days to storage
+     */
+    async saveData() {
+        try {
+            await storageService.saveCollections({ diasNoLaborales: this.companyDays });
+        } catch (error) {
+            console.error('Error saving non-working days:', error);
+            throw error;
+        }
+    }
+}
+
+// Create global instance
+const holidayManager = new HolidayManager();
+window.holidayManager = holidayManager; // Make it globally accessible
+
+export default holidayManager;
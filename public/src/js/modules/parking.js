@@ -9,7 +9,11 @@ import {
     sanitizeString, 
     debounce,
     sortBy,
-    formatParkingNumber
+    formatParkingNumber,
+    formatDate,
+    isSpaceAssignable,
+    canUseSpaceCategory,
+    getAssignmentEmployeeIds
 } from '../utils/helpers.js';
 import { 
     ERROR_MESSAGES, 
@@ -20,30 +24,52 @@ import {
     VEHICLE_TYPES,
     BASEMENT_LEVELS,
     PARKING_STATUS,
+    PARKING_STATUS_LABELS,
+    PARKING_CATEGORIES,
+    PARKING_CATEGORY_LABELS,
     APP_CONFIG
 } from '../utils/constants.js';
-import storageService from '../services/storage.js';
+import store from '../services/store.js';
+import historyService from '../services/history.js';
+import eventBus, { EVENTS, QUERIES } from '../services/eventBus.js';
+import { getErrorMessage } from '../services/apiErrors.js';
 import { showAlert, showConfirmDialog } from './ui.js';
+import auditManager from './audit.js';
+import employeeManager from './employees.js';
 
 class ParkingManager {
     constructor() {
-        this.parkingSpaces = [];
         this.filteredSpaces = [];
         this.currentFilters = {
             search: '',
             basement: '',
             type: '',
-            status: ''
+            status: '',
+            category: ''
         };
         this.init();
     }
 
+    /**
+     * Parking spaces live in the central store
+     * @returns {Array} Parking spaces
+     */
+    get parkingSpaces() {
+        return store.get('parqueaderos');
+    }
+
+    set parkingSpaces(parkingSpaces) {
+        store.set('parqueaderos', parkingSpaces);
+    }
+
     /**
      * Initialize parking manager
      */
     init() {
         this.bindEvents();
         this.setupFilters();
+        // The assigned employee column depends on employee names
+        store.subscribe(['parqueaderos', 'empleados'], () => this.applyFilters());
     }
 
     /**
@@ -75,7 +101,8 @@ class ParkingManager {
         const filters = [
             { id: 'filtroSotano', key: 'basement' },
             { id: 'filtroTipoParqueadero', key: 'type' },
-            { id: 'filtroEstado', key: 'status' }
+            { id: 'filtroEstado', key: 'status' },
+            { id: 'filtroCategoria', key: 'category' }
         ];
 
         filters.forEach(filter => {
@@ -126,7 +153,7 @@ class ParkingManager {
             showAlert(SUCCESS_MESSAGES.PARKING_ADDED, ALERT_TYPES.SUCCESS);
         } catch (error) {
             console.error('Error adding parking space:', error);
-            showAlert('Error al agregar parqueadero', ALERT_TYPES.DANGER);
+            showAlert(getErrorMessage(error, 'Error al agregar parqueadero'), ALERT_TYPES.DANGER);
         }
     }
 
@@ -151,11 +178,11 @@ class ParkingManager {
         if (!confirmed) return;
 
         try {
-            await this.generateParkingSpaces(remainingSpaces);
+            await historyService.run(`Generar ${remainingSpaces} parqueaderos`, () => this.generateParkingSpaces(remainingSpaces));
             showAlert(`${SUCCESS_MESSAGES.BULK_PARKING_GENERATED}: ${remainingSpaces} parqueaderos`, ALERT_TYPES.SUCCESS);
         } catch (error) {
             console.error('Error generating parking spaces:', error);
-            showAlert('Error al generar parqueaderos', ALERT_TYPES.DANGER);
+            showAlert(getErrorMessage(error, 'Error al generar parqueaderos'), ALERT_TYPES.DANGER);
         }
     }
 
@@ -168,7 +195,8 @@ class ParkingManager {
             numero: sanitizeString(document.getElementById('numeroParqueadero')?.value),
             sotano: document.getElementById('sotanoParqueadero')?.value,
             tipo: document.getElementById('tipoParqueadero')?.value,
-            estado: document.getElementById('estadoParqueadero')?.value || PARKING_STATUS.DISPONIBLE
+            estado: document.getElementById('estadoParqueadero')?.value || PARKING_STATUS.DISPONIBLE,
+            categoria: document.getElementById('categoriaParqueadero')?.value || PARKING_CATEGORIES.GENERAL
         };
     }
 
@@ -186,10 +214,9 @@ class ParkingManager {
 
         this.parkingSpaces.push(parkingSpace);
         await this.saveData();
-        this.applyFilters();
         
         // Dispatch custom event for other modules
-        window.dispatchEvent(new CustomEvent('parkingSpaceAdded', { detail: parkingSpace }));
+        eventBus.emit(EVENTS.PARKING_SPACE_ADDED, parkingSpace);
     }
 
     /**
@@ -208,13 +235,12 @@ class ParkingManager {
             { type: VEHICLE_TYPES.BICICLETA, basement: BASEMENT_LEVELS.MINUS_ONE, count: distribution.bicicletas, prefix: 'B' }
         ];
 
-        let idCounter = 0;
         spaceTypes.forEach(({ type, basement, count, prefix }) => {
             for (let i = 1; i <= count; i++) {
                 const numero = formatParkingNumber(basement, type, this.getNextSequentialNumber(type, basement));
                 
                 newSpaces.push({
-                    id: generateId() + idCounter++,
+                    id: generateId(),
                     numero,
                     sotano: basement,
                     tipo: type,
@@ -227,10 +253,9 @@ class ParkingManager {
 
         this.parkingSpaces.push(...newSpaces);
         await this.saveData();
-        this.applyFilters();
         
         // Notify other modules
-        window.dispatchEvent(new CustomEvent('bulkParkingGenerated', { detail: { count: newSpaces.length } }));
+        eventBus.emit(EVENTS.BULK_PARKING_GENERATED, { count: newSpaces.length });
     }
 
     /**
@@ -282,16 +307,18 @@ class ParkingManager {
         if (!confirmed) return;
 
         try {
-            this.parkingSpaces = this.parkingSpaces.filter(space => space.id !== id);
-            await this.saveData();
-            this.applyFilters();
-            
-            // Notify other modules
-            window.dispatchEvent(new CustomEvent('parkingSpaceDeleted', { detail: { id } }));
+            // The assignments removed by the other modules are undone with the space
+            await historyService.run(`Eliminar parqueadero ${space.numero}`, async () => {
+                this.parkingSpaces = this.parkingSpaces.filter(space => space.id !== id);
+                await this.saveData();
+
+                // Notify other modules
+                eventBus.emit(EVENTS.PARKING_SPACE_DELETED, { id });
+            });
             showAlert(SUCCESS_MESSAGES.PARKING_DELETED, ALERT_TYPES.SUCCESS);
         } catch (error) {
             console.error('Error deleting parking space:', error);
-            showAlert('Error al eliminar parqueadero', ALERT_TYPES.DANGER);
+            showAlert(getErrorMessage(error, 'Error al eliminar parqueadero'), ALERT_TYPES.DANGER);
         }
     }
 
@@ -306,27 +333,263 @@ class ParkingManager {
 
         this.parkingSpaces[spaceIndex] = { ...this.parkingSpaces[spaceIndex], ...updateData };
         await this.saveData();
-        this.applyFilters();
         
-        window.dispatchEvent(new CustomEvent('parkingSpaceUpdated', { 
-            detail: { id, data: this.parkingSpaces[spaceIndex] } 
-        }));
+        eventBus.emit(EVENTS.PARKING_SPACE_UPDATED, { id, data: this.parkingSpaces[spaceIndex] });
     }
 
     /**
      * Check for duplicate number
      * @param {string} numero - Number to check
+     * @param {number} exceptId - Optional space ID to leave out (the one being edited)
      * @returns {boolean} Is duplicate
      */
-    isDuplicateNumber(numero) {
-        return this.parkingSpaces.some(space => space.numero === numero);
+    isDuplicateNumber(numero, exceptId = null) {
+        return this.parkingSpaces.some(space => space.numero === numero && space.id !== exceptId);
+    }
+
+    /**
+     * Describe the state of a space with its reason and last day
+     * @param {Object} space - Parking space data
+     * @returns {string} HTML badge
+     */
+    describeStatus(space) {
+        const { icon, label } = PARKING_STATUS_LABELS[space.estado] || { icon: '', label: space.estado };
+        const details = [space.motivoEstado, space.estadoHasta && `hasta ${formatDate(space.estadoHasta)}`].filter(Boolean).join(' · ');
+        return `<span class="status-${space.estado}" title="${details}">${icon} ${label}</span>` +
+            (details ? `<br><small style="color: #666;">${details}</small>` : '');
+    }
+
+    /**
+     * Describe the category of a space, if it has one
+     * @param {Object} space - Parking space data
+     * @returns {string} HTML badge, or '' for general spaces
+     */
+    describeCategory(space) {
+        const category = space.categoria && PARKING_CATEGORY_LABELS[space.categoria];
+        return category ? `<span title="Categoría">${category.icon} ${category.label}</span>` : '';
+    }
+
+    /**
+     * Describe an assignment of the space: its employees and period
+     * @param {Object} assignment - Assignment
+     * @returns {string} Text
+     */
+    describeAssignment(assignment) {
+        const names = getAssignmentEmployeeIds(assignment)
+            .map(id => eventBus.request(QUERIES.EMPLOYEE_BY_ID, { id })?.nombre || `#${id}`);
+        const period = assignment.fechaFin ?
+            `${formatDate(assignment.fechaInicio)} - ${formatDate(assignment.fechaFin)}` :
+            `desde ${formatDate(assignment.fechaInicio)}`;
+        return `${names.join(' / ')} (${period})`;
+    }
+
+    /**
+     * Show the details of a space with its edit form
+     * Taking an assigned space out of service offers to move its assignments
+     * to an equivalent free space.
+     * @param {number} id - Parking space ID
+     */
+    editParkingSpace(id) {
+        const space = this.getParkingSpaceById(id);
+        if (!space) return;
+
+        const { asignaciones, espacios } = eventBus.request(QUERIES.SPACE_RELOCATION_OPTIONS, { parqueaderoId: id });
+        const currentStatus = isSpaceAssignable(space) ? PARKING_STATUS.DISPONIBLE : space.estado;
+        const inputStyle = 'width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px;';
+        const option = (value, label, selected) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`;
+
+        // Occupancy follows the assignments, so "ocupado" is not chosen by hand
+        const statusOptions = Object.entries(PARKING_STATUS_LABELS)
+            .filter(([value]) => value !== PARKING_STATUS.OCUPADO)
+            .map(([value, { icon, label }]) => option(value, `${icon} ${label}`, currentStatus))
+            .join('');
+        const categoryOptions = Object.entries(PARKING_CATEGORY_LABELS)
+            .map(([value, { icon, label }]) => option(value, `${icon} ${label}`.trim(), space.categoria || PARKING_CATEGORIES.GENERAL))
+            .join('');
+
+        const modalContent = `
+            <div style="max-width: 600px; padding: 20px;">
+                <h3 style="margin-bottom: 20px; color: #007bff;">🅿️ Parqueadero ${space.numero}</h3>
+
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 15px; margin-bottom: 20px;">
+                    <div><strong>Estado:</strong> ${this.describeStatus(space)}</div>
+                    <div><strong>Categoría:</strong> ${this.describeCategory(space) || 'General'}</div>
+                    <div><strong>Empleado:</strong> ${this.getAssignedEmployeeName(space.empleadoAsignado)}</div>
+                    <div><strong>Fecha Creación:</strong> ${space.fechaCreacion ? formatDate(space.fechaCreacion) : 'N/A'}</div>
+                    <div><strong>Asignaciones vigentes:</strong> ${asignaciones.length}</div>
+                </div>
+
+                <form id="editParkingForm">
+                    <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 15px; margin-bottom: 15px;">
+                        <div>
+                            <label style="display: block; font-weight: bold; margin-bottom: 5px;">Número:</label>
+                            <input type="text" id="editNumeroParqueadero" value="${space.numero}" required style="${inputStyle}">
+                        </div>
+                        <div>
+                            <label style="display: block; font-weight: bold; margin-bottom: 5px;">Sótano:</label>
+                            <select id="editSotanoParqueadero" style="${inputStyle}">
+                                ${Object.values(BASEMENT_LEVELS).map(level => option(level, `Sótano ${level}`, space.sotano)).join('')}
+                            </select>
+                        </div>
+                        <div>
+                            <label style="display: block; font-weight: bold; margin-bottom: 5px;">Tipo:</label>
+                            <select id="editTipoParqueadero" style="${inputStyle}" ${asignaciones.length > 0 ? `disabled title="${ERROR_MESSAGES.PARKING_TYPE_LOCKED}"` : ''}>
+                                ${Object.values(VEHICLE_TYPES).map(type => option(type, type, space.tipo)).join('')}
+                            </select>
+                        </div>
+                        <div>
+                            <label style="display: block; font-weight: bold; margin-bottom: 5px;">Estado:</label>
+                            <select id="editEstadoParqueadero" style="${inputStyle}">${statusOptions}</select>
+                        </div>
+                        <div>
+                            <label style="display: block; font-weight: bold; margin-bottom: 5px;">Categoría:</label>
+                            <select id="editCategoriaParqueadero" style="${inputStyle}">${categoryOptions}</select>
+                        </div>
+                    </div>
+
+                    <div id="detalleEstadoParqueadero" style="display: grid; grid-template-columns: 2fr 1fr; gap: 15px; margin-bottom: 15px;">
+                        <div>
+                            <label style="display: block; font-weight: bold; margin-bottom: 5px;">Motivo:</label>
+                            <input type="text" id="editMotivoEstado" value="${space.motivoEstado || ''}" placeholder="Ej: reparación de la placa, visita de auditoría..." style="${inputStyle}">
+                        </div>
+                        <div>
+                            <label style="display: block; font-weight: bold; margin-bottom: 5px;">Hasta (opcional):</label>
+                            <input type="date" id="editEstadoHasta" value="${space.estadoHasta || ''}" min="${getCurrentDate()}" style="${inputStyle}">
+                        </div>
+                    </div>
+
+                    <div id="reubicacionParqueadero" style="background: #fff3cd; border: 1px solid #ffeaa7; border-radius: 8px; padding: 15px; margin-bottom: 15px;">
+                        <strong style="color: #856404;">⚠️ Este parqueadero tiene asignaciones vigentes:</strong>
+                        <ul style="margin: 10px 0 10px 20px; color: #856404;">
+                            ${asignaciones.map(a => `<li>${this.describeAssignment(a)}</li>`).join('')}
+                        </ul>
+                        <label style="display: block; font-weight: bold; margin-bottom: 5px;">Reubicar en:</label>
+                        <select id="editReubicarEn" style="${inputStyle}">
+                            <option value="" selected>No reubicar (las asignaciones siguen en este parqueadero)</option>
+                            ${espacios.map(s => `<option value="${s.id}">${s.numero} - Sótano ${s.sotano}</option>`).join('')}
+                        </select>
+                        ${espacios.length === 0 ? '<small style="color: #856404;">No hay parqueaderos equivalentes libres</small>' : ''}
+                    </div>
+
+                    ${auditManager.renderEntityHistory('parqueaderos', id)}
+
+                    <div style="display: flex; gap: 15px; justify-content: center; padding-top: 20px;">
+                        <button type="submit"
+                                style="background: #28a745; color: white; border: none; padding: 10px 20px; border-radius: 5px; cursor: pointer; font-weight: bold;">
+                            💾 Guardar
+                        </button>
+                        <button type="button" onclick="this.closest('.modal').remove()"
+                                style="background: #6c757d; color: white; border: none; padding: 10px 20px; border-radius: 5px; cursor: pointer;">
+                            ❌ Cancelar
+                        </button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        const modal = employeeManager.showModal(modalContent);
+
+        // Reason, end date and relocation only apply to out-of-service states
+        const statusSelect = modal.querySelector('#editEstadoParqueadero');
+        const updateStatusFields = () => {
+            const outOfService = statusSelect.value !== PARKING_STATUS.DISPONIBLE;
+            modal.querySelector('#detalleEstadoParqueadero').style.display = outOfService ? 'grid' : 'none';
+            modal.querySelector('#reubicacionParqueadero').style.display = outOfService && asignaciones.length > 0 ? '' : 'none';
+        };
+        statusSelect.addEventListener('change', updateStatusFields);
+        updateStatusFields();
+
+        modal.querySelector('#editParkingForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.handleUpdateParkingSpace(id, modal);
+        });
+    }
+
+    /**
+     * Handle the edit form of a space
+     * @param {number} id - Parking space ID
+     * @param {HTMLElement} modal - Modal element
+     */
+    async handleUpdateParkingSpace(id, modal) {
+        const space = this.getParkingSpaceById(id);
+        if (!space) return;
+
+        const estado = modal.querySelector('#editEstadoParqueadero').value;
+        const outOfService = estado !== PARKING_STATUS.DISPONIBLE;
+        const updateData = {
+            numero: sanitizeString(modal.querySelector('#editNumeroParqueadero').value),
+            sotano: modal.querySelector('#editSotanoParqueadero').value,
+            tipo: modal.querySelector('#editTipoParqueadero').value,
+            categoria: modal.querySelector('#editCategoriaParqueadero').value,
+            // A space back in service takes its occupancy from the assignments
+            estado: outOfService ? estado : (isSpaceAssignable(space) ? space.estado : PARKING_STATUS.DISPONIBLE),
+            motivoEstado: outOfService ? sanitizeString(modal.querySelector('#editMotivoEstado').value) : null,
+            estadoHasta: outOfService ? modal.querySelector('#editEstadoHasta').value || null : null
+        };
+        const reubicarEn = outOfService ? parseInt(modal.querySelector('#editReubicarEn')?.value) || null : null;
+
+        const validation = validateParkingData(updateData);
+        if (!validation.isValid) {
+            showAlert(validation.errors.join('<br>'), ALERT_TYPES.DANGER);
+            return;
+        }
+        if (this.isDuplicateNumber(updateData.numero, id)) {
+            showAlert(ERROR_MESSAGES.DUPLICATE_PARKING, ALERT_TYPES.DANGER);
+            return;
+        }
+        if (outOfService && !updateData.motivoEstado) {
+            showAlert(ERROR_MESSAGES.STATUS_REASON_REQUIRED, ALERT_TYPES.WARNING);
+            return;
+        }
+        if (updateData.estadoHasta && updateData.estadoHasta < getCurrentDate()) {
+            showAlert(ERROR_MESSAGES.INVALID_STATUS_END, ALERT_TYPES.WARNING);
+            return;
+        }
+        if (updateData.categoria !== (space.categoria || PARKING_CATEGORIES.GENERAL) && !this.holdersCanUse(id, updateData)) {
+            showAlert(ERROR_MESSAGES.PARKING_CATEGORY_LOCKED, ALERT_TYPES.WARNING);
+            return;
+        }
+
+        try {
+            // Relocated assignments are undone with the space
+            await historyService.run(`Editar parqueadero ${space.numero}`, async () => {
+                const statusChanged = updateData.estado !== space.estado || reubicarEn !== null;
+                await this.updateParkingSpace(id, updateData);
+                if (statusChanged) {
+                    eventBus.emit(EVENTS.PARKING_SPACE_STATUS_CHANGED, { id, estado: updateData.estado, reubicarEn });
+                }
+            });
+
+            modal.remove();
+            const target = reubicarEn && this.getParkingSpaceById(reubicarEn);
+            showAlert(target ?
+                `${SUCCESS_MESSAGES.PARKING_UPDATED}. ${SUCCESS_MESSAGES.PARKING_RELOCATED} al ${target.numero}` :
+                SUCCESS_MESSAGES.PARKING_UPDATED, ALERT_TYPES.SUCCESS);
+        } catch (error) {
+            console.error('Error updating parking space:', error);
+            showAlert(getErrorMessage(error, 'Error al actualizar parqueadero'), ALERT_TYPES.DANGER);
+        }
+    }
+
+    /**
+     * Check that every employee with a current or scheduled assignment of a space may use it
+     * @param {number} id - Parking space ID
+     * @param {Object} space - Space with the new category
+     * @returns {boolean} True if the category suits all its holders
+     */
+    holdersCanUse(id, space) {
+        const { asignaciones } = eventBus.request(QUERIES.SPACE_RELOCATION_OPTIONS, { parqueaderoId: id });
+        return asignaciones.every(assignment => getAssignmentEmployeeIds(assignment).every(employeeId => {
+            const employee = eventBus.request(QUERIES.EMPLOYEE_BY_ID, { id: employeeId });
+            return !employee || canUseSpaceCategory(employee, space);
+        }));
     }
 
     /**
      * Filter parking spaces based on current filters
      */
     filterParkingSpaces() {
-        const { search, basement, type, status } = this.currentFilters;
+        const { search, basement, type, status, category } = this.currentFilters;
         
         this.filteredSpaces = this.parkingSpaces.filter(space => {
             const matchesSearch = !search || 
@@ -335,8 +598,10 @@ class ParkingManager {
             const matchesBasement = !basement || space.sotano === basement;
             const matchesType = !type || space.tipo === type;
             const matchesStatus = !status || space.estado === status;
+            const matchesCategory = !category ||
+                (space.categoria || PARKING_CATEGORIES.GENERAL) === (category === 'general' ? PARKING_CATEGORIES.GENERAL : category);
             
-            return matchesSearch && matchesBasement && matchesType && matchesStatus;
+            return matchesSearch && matchesBasement && matchesType && matchesStatus && matchesCategory;
         });
 
         // Sort by numero
@@ -381,11 +646,15 @@ class ParkingManager {
         return `
             <td>${space.numero}</td>
             <td>Sótano ${space.sotano}</td>
-            <td>${space.tipo}</td>
-            <td><span class="status-${space.estado}">${space.estado}</span></td>
+            <td>${space.tipo}${space.categoria ? `<br><small>${this.describeCategory(space)}</small>` : ''}</td>
+            <td>${this.describeStatus(space)}</td>
             <td>${employeeName}</td>
             <td>
-                <button class="btn btn-danger" onclick="parkingManager.deleteParkingSpace(${space.id})" 
+                <button class="btn btn-secondary" data-permiso="parqueaderos-gestionar" onclick="parkingManager.editParkingSpace(${space.id})" 
+                        title="Ver y editar parqueadero">
+                    ✏️
+                </button>
+                <button class="btn btn-danger" data-permiso="parqueaderos-gestionar" onclick="parkingManager.deleteParkingSpace(${space.id})" 
                         title="Eliminar parqueadero">
                     🗑️
                 </button>
@@ -400,14 +669,9 @@ class ParkingManager {
      */
     getAssignedEmployeeName(employeeId) {
         if (!employeeId) return 'No asignado';
-        
-        // Get employee info from employee manager
-        const employeeEvent = new CustomEvent('getEmployee', { 
-            detail: { employeeId } 
-        });
-        window.dispatchEvent(employeeEvent);
-        
-        return 'Cargando...'; // Will be updated by employee module
+
+        const employee = eventBus.request(QUERIES.EMPLOYEE_BY_ID, { id: employeeId });
+        return employee ? employee.nombre : 'No asignado';
     }
 
     /**
@@ -427,15 +691,6 @@ class ParkingManager {
         }
     }
 
-    /**
-     * Load parking spaces data
-     * @param {Array} parkingSpaces - Parking spaces array
-     */
-    loadParkingSpaces(parkingSpaces) {
-        this.parkingSpaces = parkingSpaces || [];
-        this.applyFilters();
-    }
-
     /**
      * Get all parking spaces
      * @returns {Array} Parking spaces array
@@ -479,9 +734,7 @@ class ParkingManager {
      */
     async saveData() {
         try {
-            const data = await storageService.loadData();
-            data.parqueaderos = this.parkingSpaces;
-            await storageService.saveData(data);
+            await store.commit(['parqueaderos']);
         } catch (error) {
             console.error('Error saving parking data:', error);
             throw error;
@@ -528,7 +781,7 @@ class ParkingManager {
     exportToCSV() {
         if (this.parkingSpaces.length === 0) return '';
 
-        const headers = ['Número', 'Sótano', 'Tipo', 'Estado', 'Empleado Asignado', 'Fecha Creación'];
+        const headers = ['Número', 'Sótano', 'Tipo', 'Categoría', 'Estado', 'Motivo Estado', 'Estado Hasta', 'Empleado Asignado', 'Fecha Creación'];
         const csvData = [headers];
 
         this.parkingSpaces.forEach(space => {
@@ -538,7 +791,10 @@ class ParkingManager {
                 space.numero,
                 `Sótano ${space.sotano}`,
                 space.tipo,
+                PARKING_CATEGORY_LABELS[space.categoria || PARKING_CATEGORIES.GENERAL]?.label || space.categoria,
                 space.estado,
+                space.motivoEstado || '',
+                space.estadoHasta || '',
                 employeeName,
                 space.fechaCreacion
             ]);
@@ -0,0 +1,448 @@
+/**
+ * Pico y placa rule sets management module
+ */
+
+import { generateId, getCurrentDate, formatDate, sanitizeString } from '../utils/helpers.js';
+import {
+    setPicoPlacaRuleSets,
+    getPicoPlacaRuleSets,
+    getEffectiveRuleSet,
+    validateRuleSet
+} from '../utils/picoPlaca.js';
+import {
+    SUCCESS_MESSAGES,
+    ALERT_TYPES,
+    UI_ELEMENTS,
+    VEHICLE_TYPES,
+    PICO_PLACA_STRATEGIES,
+    PICO_PLACA_WEEKDAYS
+} from '../utils/constants.js';
+import storageService from '../services/storage.js';
+import eventBus, { EVENTS } from '../services/eventBus.js';
+import { getErrorMessage } from '../services/apiErrors.js';
+import { showAlert, showConfirmDialog } from './ui.js';
+
+const VEHICLE_LABELS = {
+    [VEHICLE_TYPES.CARRO]: '🚗 Carros',
+    [VEHICLE_TYPES.MOTO]: '🏍️ Motos',
+    [VEHICLE_TYPES.BICICLETA]: '🚲 Bicicletas'
+};
+
+const STRATEGY_LABELS = {
+    [PICO_PLACA_STRATEGIES.NINGUNA]: 'Sin restricción',
+    [PICO_PLACA_STRATEGIES.ULTIMO_DIGITO]: 'Último dígito',
+    [PICO_PLACA_STRATEGIES.PRIMER_DIGITO]: 'Primer dígito',
+    [PICO_PLACA_STRATEGIES.PAR_IMPAR]: 'Día par / impar'
+};
+
+class PicoPlacaManager {
+    constructor() {
+        this.ruleSets = [];
+        this.init();
+    }
+
+    /**
+     * Initialize pico y placa manager
+     */
+    init() {
+        this.renderVehicleRuleFields();
+        this.bindEvents();
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        const form = document.getElementById(UI_ELEMENTS.FORMS.REGLA_PICO_PLACA);
+        if (form) {
+            form.addEventListener('submit', (e) => this.handleFormSubmit(e));
+        }
+
+        const cancelBtn = document.getElementById('cancelarReglaPicoPlaca');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => this.clearForm());
+        }
+    }
+
+    /**
+     * Render strategy fields for each vehicle type
+     */
+    renderVehicleRuleFields() {
+        const container = document.getElementById('reglasPorVehiculo');
+        if (!container) return;
+
+        container.innerHTML = Object.values(VEHICLE_TYPES).map(tipo => `
+            <fieldset data-tipo="${tipo}" style="border: 1px solid #ddd; border-radius: 8px; padding: 15px; margin-bottom: 20px;">
+                <legend style="font-weight: bold; color: #667eea; padding: 0 10px;">${VEHICLE_LABELS[tipo]}</legend>
+                <div class="form-grid">
+                    <div class="form-group">
+                        <label>Estrategia:</label>
+                        <select data-field="estrategia">
+                            ${Object.entries(STRATEGY_LABELS).map(([value, label]) =>
+                                `<option value="${value}">${label}</option>`
+                            ).join('')}
+                        </select>
+                    </div>
+                </div>
+                <div class="form-grid" data-section="digitos">
+                    ${PICO_PLACA_WEEKDAYS.map(dia => `
+                        <div class="form-group">
+                            <label style="text-transform: capitalize;">${dia}:</label>
+                            <input type="text" data-dia="${dia}" placeholder="Ej: 1,2">
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="form-grid" data-section="paridad">
+                    <div class="form-group">
+                        <label>Dígito de la placa:</label>
+                        <select data-field="posicion">
+                            <option value="ultimo">Último dígito</option>
+                            <option value="primero">Primer dígito</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label>En días pares no circulan placas:</label>
+                        <select data-field="paridadDiaPar">
+                            <option value="par">Terminadas en dígito par</option>
+                            <option value="impar">Terminadas en dígito impar</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label>Aplica los días:</label>
+                        <div style="display: flex; flex-wrap: wrap; gap: 10px;">
+                            ${PICO_PLACA_WEEKDAYS.map(dia => `
+                                <label style="font-weight: normal; text-transform: capitalize;">
+                                    <input type="checkbox" data-aplica="${dia}" ${dia !== 'sábado' ? 'checked' : ''}> ${dia}
+                                </label>
+                            `).join('')}
+                        </div>
+                    </div>
+                </div>
+            </fieldset>
+        `).join('');
+
+        container.querySelectorAll('[data-field="estrategia"]').forEach(select => {
+            select.addEventListener('change', () => this.toggleStrategySections(select.closest('fieldset')));
+        });
+
+        container.querySelectorAll('fieldset').forEach(fieldset => this.toggleStrategySections(fieldset));
+    }
+
+    /**
+     * Show the inputs relevant to the selected strategy
+     * @param {HTMLElement} fieldset - Vehicle type fieldset
+     */
+    toggleStrategySections(fieldset) {
+        const estrategia = fieldset.querySelector('[data-field="estrategia"]').value;
+        const usesDigits = estrategia === PICO_PLACA_STRATEGIES.ULTIMO_DIGITO ||
+                           estrategia === PICO_PLACA_STRATEGIES.PRIMER_DIGITO;
+
+        fieldset.querySelector('[data-section="digitos"]').style.display = usesDigits ? '' : 'none';
+        fieldset.querySelector('[data-section="paridad"]').style.display =
+            estrategia === PICO_PLACA_STRATEGIES.PAR_IMPAR ? '' : 'none';
+    }
+
+    /**
+     * Handle form submission
+     * @param {Event} event - Form submit event
+     */
+    async handleFormSubmit(event) {
+        event.preventDefault();
+
+        const ruleSet = this.getFormData();
+        const validation = validateRuleSet(ruleSet);
+
+        if (!validation.isValid) {
+            showAlert(validation.errors.join('<br>'), ALERT_TYPES.DANGER);
+            return;
+        }
+
+        try {
+            await this.saveRuleSet(ruleSet);
+            this.clearForm();
+            showAlert(SUCCESS_MESSAGES.RULE_SET_SAVED, ALERT_TYPES.SUCCESS);
+        } catch (error) {
+            console.error('Error saving pico y placa rules:', error);
+            showAlert(getErrorMessage(error, 'Error al guardar las reglas de pico y placa'), ALERT_TYPES.DANGER);
+        }
+    }
+
+    /**
+     * Get form data
+     * @returns {Object} Rule set built from the form
+     */
+    getFormData() {
+        const reglas = {};
+
+        document.querySelectorAll('#reglasPorVehiculo fieldset').forEach(fieldset => {
+            const tipo = fieldset.dataset.tipo;
+            const estrategia = fieldset.querySelector('[data-field="estrategia"]').value;
+
+            if (estrategia === PICO_PLACA_STRATEGIES.PAR_IMPAR) {
+                reglas[tipo] = {
+                    estrategia,
+                    posicion: fieldset.querySelector('[data-field="posicion"]').value,
+                    paridadDiaPar: fieldset.querySelector('[data-field="paridadDiaPar"]').value,
+                    diasAplica: PICO_PLACA_WEEKDAYS.filter(dia =>
+                        fieldset.querySelector(`[data-aplica="${dia}"]`).checked
+                    )
+                };
+            } else if (estrategia === PICO_PLACA_STRATEGIES.NINGUNA) {
+                reglas[tipo] = { estrategia };
+            } else {
+                const digitosPorDia = {};
+                PICO_PLACA_WEEKDAYS.forEach(dia => {
+                    const value = fieldset.querySelector(`[data-dia="${dia}"]`).value;
+                    const digits = value.split(',').map(d => d.trim()).filter(Boolean).map(Number);
+                    if (digits.length > 0) digitosPorDia[dia] = digits;
+                });
+                reglas[tipo] = { estrategia, digitosPorDia };
+            }
+        });
+
+        return {
+            id: document.getElementById('reglaPicoPlacaId')?.value || null,
+            nombre: sanitizeString(document.getElementById('nombreReglaPicoPlaca')?.value),
+            vigenciaDesde: document.getElementById('vigenciaDesdePicoPlaca')?.value || null,
+            vigenciaHasta: document.getElementById('vigenciaHastaPicoPlaca')?.value || null,
+            reglas
+        };
+    }
+
+    /**
+     * Add or replace a rule set
+     * @param {Object} ruleSet - Rule set data
+     */
+    async saveRuleSet(ruleSet) {
+        const index = ruleSet.id ? this.ruleSets.findIndex(set => String(set.id) === String(ruleSet.id)) : -1;
+
+        if (index === -1) {
+            this.ruleSets.push({ ...ruleSet, id: generateId(), fechaCreacion: getCurrentDate() });
+        } else {
+            this.ruleSets[index] = { ...this.ruleSets[index], ...ruleSet, id: this.ruleSets[index].id };
+        }
+
+        await this.persist();
+    }
+
+    /**
+     * Load a rule set into the form for editing
+     * @param {number|string} id - Rule set ID
+     */
+    editRuleSet(id) {
+        const ruleSet = this.ruleSets.find(set => String(set.id) === String(id));
+        if (!ruleSet) return;
+
+        document.getElementById('reglaPicoPlacaId').value = ruleSet.id;
+        document.getElementById('nombreReglaPicoPlaca').value = ruleSet.nombre;
+        document.getElementById('vigenciaDesdePicoPlaca').value = ruleSet.vigenciaDesde || '';
+        document.getElementById('vigenciaHastaPicoPlaca').value = ruleSet.vigenciaHasta || '';
+
+        document.querySelectorAll('#reglasPorVehiculo fieldset').forEach(fieldset => {
+            const rule = ruleSet.reglas?.[fieldset.dataset.tipo] || { estrategia: PICO_PLACA_STRATEGIES.NINGUNA };
+
+            fieldset.querySelector('[data-field="estrategia"]').value = rule.estrategia;
+            PICO_PLACA_WEEKDAYS.forEach(dia => {
+                fieldset.querySelector(`[data-dia="${dia}"]`).value = (rule.digitosPorDia?.[dia] || []).join(',');
+                fieldset.querySelector(`[data-aplica="${dia}"]`).checked =
+                    rule.diasAplica ? rule.diasAplica.includes(dia) : dia !== 'sábado';
+            });
+            if (rule.posicion) fieldset.querySelector('[data-field="posicion"]').value = rule.posicion;
+            if (rule.paridadDiaPar) fieldset.querySelector('[data-field="paridadDiaPar"]').value = rule.paridadDiaPar;
+
+            this.toggleStrategySections(fieldset);
+        });
+
+        document.getElementById(UI_ELEMENTS.FORMS.REGLA_PICO_PLACA)?.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    /**
+     * Copy a rule set as the starting point for a new period
+     * @param {number|string} id - Rule set ID
+     */
+    duplicateRuleSet(id) {
+        this.editRuleSet(id);
+        document.getElementById('reglaPicoPlacaId').value = '';
+        document.getElementById('nombreReglaPicoPlaca').value += ' (copia)';
+    }
+
+    /**
+     * Delete rule set
+     * @param {number|string} id - Rule set ID
+     */
+    async deleteRuleSet(id) {
+        const ruleSet = this.ruleSets.find(set => String(set.id) === String(id));
+        if (!ruleSet) return;
+
+        if (this.ruleSets.length === 1) {
+            showAlert('Debe existir al menos un conjunto de reglas de pico y placa', ALERT_TYPES.WARNING);
+            return;
+        }
+
+        const confirmed = showConfirmDialog(
+            `¿Eliminar el conjunto de reglas "${ruleSet.nombre}"?`,
+            'Eliminar Reglas'
+        );
+        if (!confirmed) return;
+
+        try {
+            this.ruleSets = this.ruleSets.filter(set => set !== ruleSet);
+            await this.persist();
+            showAlert(SUCCESS_MESSAGES.RULE_SET_DELETED, ALERT_TYPES.SUCCESS);
+        } catch (error) {
+            console.error('Error deleting pico y placa rules:', error);
+            showAlert(getErrorMessage(error, 'Error al eliminar las reglas de pico y placa'), ALERT_TYPES.DANGER);
+        }
+    }
+
+    /**
+     * Save rule sets, refresh the engine and notify other modules
+     */
+    async persist() {
+        await this.saveData();
+        setPicoPlacaRuleSets(this.ruleSets);
+        this.render();
+
+        eventBus.emit(EVENTS.PICO_PLACA_RULES_UPDATED, { ruleSets: this.ruleSets });
+    }
+
+    /**
+     * Clear form
+     */
+    clearForm() {
+        const form = document.getElementById(UI_ELEMENTS.FORMS.REGLA_PICO_PLACA);
+        if (!form) return;
+
+        form.reset();
+        document.getElementById('reglaPicoPlacaId').value = '';
+        document.querySelectorAll('#reglasPorVehiculo fieldset').forEach(fieldset => this.toggleStrategySections(fieldset));
+    }
+
+    /**
+     * Render rule sets table and employee legend
+     */
+    render() {
+        this.renderRuleSets();
+        this.renderLegend();
+    }
+
+    /**
+     * Render rule sets table
+     */
+    renderRuleSets() {
+        const tbody = document.getElementById('tablaReglasPicoPlaca');
+        if (!tbody) return;
+
+        const effectiveId = getEffectiveRuleSet(getCurrentDate()).id;
+
+        tbody.innerHTML = this.ruleSets.map(set => `
+            <tr>
+                <td style="font-weight: 500;">${set.nombre}</td>
+                <td>${this.formatValidity(set)}</td>
+                ${Object.values(VEHICLE_TYPES).map(tipo => `<td style="font-size: 0.9em;">${this.summarizeRule(set.reglas?.[tipo])}</td>`).join('')}
+                <td>${set.id === effectiveId ? '<span class="status-disponible">Vigente hoy</span>' : '-'}</td>
+                <td>
+                    <div style="display: flex; gap: 5px;">
+                        <button class="btn btn-sm" onclick="picoPlacaManager.editRuleSet('${set.id}')" title="Editar"
+                                style="background: #28a745; color: white; padding: 4px 8px; font-size: 0.8em;">✏️</button>
+                        <button class="btn btn-sm" onclick="picoPlacaManager.duplicateRuleSet('${set.id}')" title="Duplicar para otro periodo"
+                                style="background: #007bff; color: white; padding: 4px 8px; font-size: 0.8em;">📄</button>
+                        <button class="btn btn-sm" onclick="picoPlacaManager.deleteRuleSet('${set.id}')" title="Eliminar"
+                                style="background: #dc3545; color: white; padding: 4px 8px; font-size: 0.8em;">🗑️</button>
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Render the pico y placa legend shown in the employees tab
+     */
+    renderLegend() {
+        const legend = document.getElementById('leyendaPicoPlaca');
+        if (!legend) return;
+
+        const ruleSet = getEffectiveRuleSet(getCurrentDate());
+        const rule = ruleSet.reglas?.[VEHICLE_TYPES.CARRO];
+        const title = document.getElementById('tituloLeyendaPicoPlaca');
+        if (title) title.textContent = `🚦 Leyenda de Pico y Placa (${ruleSet.nombre}):`;
+
+        if (!rule || !rule.digitosPorDia) {
+            legend.innerHTML = `<div>${this.summarizeRule(rule)}</div>`;
+            return;
+        }
+
+        legend.innerHTML = PICO_PLACA_WEEKDAYS
+            .filter(dia => rule.digitosPorDia[dia]?.length)
+            .map(dia => `<div><strong style="text-transform: capitalize;">${dia}:</strong> Placas ${rule.digitosPorDia[dia].join(' - ')}</div>`)
+            .join('');
+    }
+
+    /**
+     * Format the validity range of a rule set
+     * @param {Object} ruleSet - Rule set
+     * @returns {string} Validity text
+     */
+    formatValidity(ruleSet) {
+        if (!ruleSet.vigenciaDesde && !ruleSet.vigenciaHasta) return 'Siempre (respaldo)';
+        const desde = ruleSet.vigenciaDesde ? formatDate(ruleSet.vigenciaDesde) : 'Sin inicio';
+        const hasta = ruleSet.vigenciaHasta ? formatDate(ruleSet.vigenciaHasta) : 'Sin fin';
+        return `${desde} → ${hasta}`;
+    }
+
+    /**
+     * Summarize a vehicle type rule
+     * @param {Object} rule - Vehicle type rule
+     * @returns {string} Summary text
+     */
+    summarizeRule(rule) {
+        if (!rule || rule.estrategia === PICO_PLACA_STRATEGIES.NINGUNA) return STRATEGY_LABELS[PICO_PLACA_STRATEGIES.NINGUNA];
+
+        if (rule.estrategia === PICO_PLACA_STRATEGIES.PAR_IMPAR) {
+            const digito = rule.posicion === 'primero' ? 'primer' : 'último';
+            return `Par/impar (${digito} dígito ${rule.paridadDiaPar} en días pares)`;
+        }
+
+        const days = PICO_PLACA_WEEKDAYS
+            .filter(dia => rule.digitosPorDia?.[dia]?.length)
+            .map(dia => `${dia.slice(0, 3)}: ${rule.digitosPorDia[dia].join('-')}`)
+            .join(', ');
+        return `${STRATEGY_LABELS[rule.estrategia]} — ${days}`;
+    }
+
+    /**
+     * Load rule sets data
+     * @param {Array} ruleSets - Rule sets array
+     */
+    loadRuleSets(ruleSets) {
+        setPicoPlacaRuleSets(ruleSets);
+        this.ruleSets = [...getPicoPlacaRuleSets()];
+        this.render();
+    }
+
+    /**
+     * Get all rule sets
+     * @returns {Array} Rule sets array
+     */
+    getRuleSets() {
+        return this.ruleSets;
+    }
+
+    /**
+     * Save data to storage
+     */
+    async saveData() {
+        try {
+            await storageService.saveCollections({ reglasPicoPlaca: this.ruleSets });
+        } catch (error) {
+            console.error('Error saving pico y placa rules:', error);
+            throw error;
+        }
+    }
+}
+
+// Create global instance
+const picoPlacaManager = new PicoPlacaManager();
+window.picoPlacaManager = picoPlacaManager; // Make it globally accessible
+
+export default picoPlacaManager;
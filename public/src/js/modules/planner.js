@@ -0,0 +1,449 @@
+/**
+ * Occupancy planner module
+ * Week and month grid of every parking space, computed day by day with
+ * the same rules as the availability view
+ */
+
+import {
+    getCurrentDate,
+    addDays,
+    getDayOfWeek,
+    formatDate,
+    calculateDailyAvailability,
+    isSpaceAssignable
+} from '../utils/helpers.js';
+import { getNonWorkingDay } from '../utils/holidays.js';
+import { PARKING_STATUS_LABELS, PARKING_CATEGORY_LABELS, PLANNER_VIEWS, UI_ELEMENTS, PICO_PLACA_WEEKDAYS, WORK_SHIFT_LABELS } from '../utils/constants.js';
+import { buildDemandForecast } from '../utils/demandForecast.js';
+import store, { STORE_KEYS } from '../services/store.js';
+import eventBus, { EVENTS } from '../services/eventBus.js';
+import assignmentManager from './assignments.js';
+import employeeManager from './employees.js';
+
+const CELL_STATES = {
+    disponible: { label: 'Libre', symbol: '·' },
+    ocupado: { label: 'Asignado', symbol: '' },
+    'pico-placa': { label: 'Pico y placa', symbol: 'PP' },
+    liberado: { label: 'Liberado por el titular', symbol: 'L' },
+    prestado: { label: 'Cupo del día', symbol: '' },
+    mantenimiento: { label: 'Fuera de servicio (mantenimiento, reservado o bloqueado)', symbol: '🔧' }
+};
+
+// Events after which the grid may show different states; data changes come through the store
+const REFRESH_EVENTS = [
+    EVENTS.PICO_PLACA_RULES_UPDATED,
+    EVENTS.NON_WORKING_DAYS_UPDATED
+];
+
+class PlannerManager {
+    constructor() {
+        this.view = PLANNER_VIEWS.SEMANA;
+        this.startDate = this.getPeriodStart(getCurrentDate());
+        this.filters = { sotano: '', tipo: '' };
+        this.init();
+    }
+
+    /**
+     * Initialize planner manager
+     */
+    init() {
+        this.bindEvents();
+        this.updateDateInput();
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        const viewSelect = document.getElementById('plannerVista');
+        if (viewSelect) {
+            viewSelect.addEventListener('change', (e) => {
+                this.view = e.target.value;
+                this.startDate = this.getPeriodStart(this.startDate);
+                this.updateDateInput();
+                this.render();
+            });
+        }
+
+        const dateInput = document.getElementById('plannerFecha');
+        if (dateInput) {
+            dateInput.addEventListener('change', (e) => {
+                if (!e.target.value) return;
+                this.startDate = this.getPeriodStart(e.target.value);
+                this.updateDateInput();
+                this.render();
+            });
+        }
+
+        const navigation = {
+            plannerAnterior: () => this.shiftPeriod(-1),
+            plannerSiguiente: () => this.shiftPeriod(1),
+            plannerDemanda: () => this.showDemandForecast(),
+            plannerHoy: () => {
+                this.startDate = this.getPeriodStart(getCurrentDate());
+                this.updateDateInput();
+                this.render();
+            }
+        };
+        Object.entries(navigation).forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) button.addEventListener('click', handler);
+        });
+
+        const filters = { plannerSotano: 'sotano', plannerTipo: 'tipo' };
+        Object.entries(filters).forEach(([id, key]) => {
+            const select = document.getElementById(id);
+            if (select) {
+                select.addEventListener('change', (e) => {
+                    this.filters[key] = e.target.value;
+                    this.render();
+                });
+            }
+        });
+
+        // Cells carry their action in data attributes
+        const grid = document.getElementById('plannerGrid');
+        if (grid) {
+            grid.addEventListener('click', (e) => {
+                const cell = e.target.closest('td[data-space]');
+                if (cell) this.handleCellClick(cell.dataset);
+            });
+        }
+
+        REFRESH_EVENTS.forEach(eventName => {
+            eventBus.on(eventName, () => this.render());
+        });
+        store.subscribe(STORE_KEYS, () => this.render());
+    }
+
+    /**
+     * Get the first day of the week (Monday) or month containing a date
+     * @param {string} date - Date in YYYY-MM-DD format
+     * @returns {string} Period start in YYYY-MM-DD format
+     */
+    getPeriodStart(date) {
+        if (this.view === PLANNER_VIEWS.MES) {
+            return `${date.slice(0, 7)}-01`;
+        }
+
+        return this.getWeekStart(date);
+    }
+
+    /**
+     * Get the Monday of the week containing a date
+     * @param {string} date - Date in YYYY-MM-DD format
+     * @returns {string} Monday in YYYY-MM-DD format
+     */
+    getWeekStart(date) {
+        const weekday = new Date(date + 'T00:00:00Z').getUTCDay();
+        return addDays(date, -((weekday + 6) % 7));
+    }
+
+    /**
+     * Get the dates shown by the current view
+     * @returns {Array} Dates in YYYY-MM-DD format
+     */
+    getDates() {
+        if (this.view === PLANNER_VIEWS.SEMANA) {
+            return Array.from({ length: 7 }, (_, offset) => addDays(this.startDate, offset));
+        }
+
+        const dates = [];
+        for (let date = this.startDate; date.slice(0, 7) === this.startDate.slice(0, 7); date = addDays(date, 1)) {
+            dates.push(date);
+        }
+        return dates;
+    }
+
+    /**
+     * Move to the previous or next week/month
+     * @param {number} direction - -1 for previous, 1 for next
+     */
+    shiftPeriod(direction) {
+        this.startDate = this.view === PLANNER_VIEWS.SEMANA ?
+            addDays(this.startDate, 7 * direction) :
+            this.getPeriodStart(addDays(this.startDate, direction > 0 ? 31 : -1));
+        this.updateDateInput();
+        this.render();
+    }
+
+    /**
+     * Show the period start in the date input
+     */
+    updateDateInput() {
+        const dateInput = document.getElementById('plannerFecha');
+        if (dateInput) dateInput.value = this.startDate;
+    }
+
+    /**
+     * Get the spaces matching the basement and type filters
+     * @returns {Array} Parking spaces sorted by number
+     */
+    getFilteredSpaces() {
+        const { sotano, tipo } = this.filters;
+        return assignmentManager.parkingSpaces
+            .filter(space => (!sotano || space.sotano === sotano) && (!tipo || space.tipo === tipo))
+            .sort((a, b) => a.numero.localeCompare(b.numero));
+    }
+
+    /**
+     * Compute the state of every space on every date
+     * @param {Array} spaces - Parking spaces
+     * @param {Array} dates - Dates in YYYY-MM-DD format
+     * @returns {Object} { [date]: { [spaceId]: cell } }
+     */
+    computeCells(spaces, dates) {
+        const context = { assignments: assignmentManager.assignments, loans: assignmentManager.loans };
+
+        return dates.reduce((cells, date) => {
+            const availability = calculateDailyAvailability(spaces, assignmentManager.employees, date, context);
+            const byId = {};
+
+            [
+                ['disponible', availability.available],
+                ['pico-placa', availability.picoPlaca],
+                ['liberado', availability.released],
+                ['prestado', availability.loaned],
+                ['ocupado', availability.occupied]
+            ].forEach(([status, list]) => {
+                list.forEach(space => { byId[space.id] = { ...space, status }; });
+            });
+
+            // Spaces out of service (maintenance, reserved, blocked) are left out of the availability calculation
+            spaces
+                .filter(space => !isSpaceAssignable(space, date))
+                .forEach(space => {
+                    const label = PARKING_STATUS_LABELS[space.estado]?.label || space.estado;
+                    byId[space.id] = { ...space, status: 'mantenimiento', motivo: space.motivoEstado ? `${label}: ${space.motivoEstado}` : label };
+                });
+
+            cells[date] = byId;
+            return cells;
+        }, {});
+    }
+
+    /**
+     * Get the initials of an employee for a compact cell
+     * @param {Object} employee - Employee
+     * @returns {string} Initials
+     */
+    getInitials(employee) {
+        if (!employee) return '?';
+        return employee.nombre.split(' ').filter(Boolean).slice(0, 2).map(part => part[0].toUpperCase()).join('');
+    }
+
+    /**
+     * Render one grid cell
+     * @param {Object} cell - Space state on the date
+     * @param {string} date - Date in YYYY-MM-DD format
+     * @returns {string} Cell HTML
+     */
+    renderCell(cell, date) {
+        const state = CELL_STATES[cell.status];
+        const holder = cell.empleado ? cell.empleado.nombre : '';
+        const guest = cell.invitado ? ` → ${cell.invitado.nombre}` : '';
+        const symbol = cell.status === 'prestado' ? this.getInitials(cell.invitado) :
+            cell.status === 'ocupado' ? this.getInitials(cell.empleado) :
+            state.symbol;
+
+        return `
+            <td class="planner-cell planner-${cell.status}"
+                data-space="${cell.id}" data-date="${date}" data-status="${cell.status}"
+                ${cell.prestamo ? `data-loan="${cell.prestamo.id}"` : ''}
+                title="${cell.numero} · ${formatDate(date)}&#10;${state.label}${holder ? `: ${holder}${guest}` : ''}&#10;${cell.motivo || ''}">
+                ${symbol}
+            </td>
+        `;
+    }
+
+    /**
+     * Render the legend with the cell colors
+     */
+    renderLegend() {
+        const legend = document.getElementById('plannerLeyenda');
+        if (!legend) return;
+
+        legend.innerHTML = Object.entries(CELL_STATES).map(([status, { label }]) => `
+            <span style="display: inline-flex; align-items: center; gap: 5px; margin-right: 15px;">
+                <span class="planner-cell planner-${status}" style="display: inline-block; width: 18px; height: 18px; border-radius: 3px;"></span>
+                ${label}
+            </span>
+        `).join('');
+    }
+
+    /**
+     * Render the planner grid (only while the availability tab is visible)
+     */
+    render() {
+        const grid = document.getElementById('plannerGrid');
+        const tab = document.getElementById(UI_ELEMENTS.TABS.DISPONIBILIDAD);
+        if (!grid || (tab && !tab.classList.contains('active'))) return;
+
+        this.renderLegend();
+
+        const dates = this.getDates();
+        const spaces = this.getFilteredSpaces();
+        const today = getCurrentDate();
+
+        const title = document.getElementById('plannerTitulo');
+        if (title) {
+            title.textContent = `${formatDate(dates[0])} - ${formatDate(dates[dates.length - 1])}`;
+        }
+
+        if (spaces.length === 0) {
+            grid.innerHTML = `
+                <tbody>
+                    <tr>
+                        <td style="text-align: center; padding: 20px;">No hay parqueaderos para mostrar</td>
+                    </tr>
+                </tbody>
+            `;
+            return;
+        }
+
+        const cells = this.computeCells(spaces, dates);
+
+        const header = dates.map(date => {
+            const nonWorkingDay = getNonWorkingDay(date);
+            const style = [
+                nonWorkingDay ? 'background: #f1f3f5; color: #999;' : '',
+                date === today ? 'border-bottom: 3px solid #007bff;' : ''
+            ].join(' ');
+            return `
+                <th class="planner-day" style="${style}" title="${formatDate(date)}${nonWorkingDay ? ` - ${nonWorkingDay.nombre}` : ''}">
+                    ${getDayOfWeek(date).slice(0, 3)}<br>${date.slice(8)}
+                </th>
+            `;
+        }).join('');
+
+        const rows = spaces.map(space => {
+            const category = space.categoria && PARKING_CATEGORY_LABELS[space.categoria];
+            return `
+                <tr>
+                    <td class="planner-space" title="Sótano ${space.sotano} - ${space.tipo}${category ? ` - ${category.label}` : ''}">${space.numero}${category ? ` ${category.icon}` : ''}</td>
+                    ${dates.map(date => this.renderCell(cells[date][space.id], date)).join('')}
+                </tr>
+            `;
+        }).join('');
+
+        const freeCounts = dates.map(date => {
+            const free = spaces.filter(space => ['disponible', 'pico-placa', 'liberado'].includes(cells[date][space.id].status)).length;
+            return `<td class="planner-day">${free}</td>`;
+        }).join('');
+
+        grid.innerHTML = `
+            <thead>
+                <tr>
+                    <th class="planner-space">Parqueadero</th>
+                    ${header}
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+            <tfoot>
+                <tr>
+                    <td class="planner-space" style="font-weight: bold;">Libres</td>
+                    ${freeCounts}
+                </tr>
+            </tfoot>
+        `;
+    }
+
+    /**
+     * Show expected drivers against spaces per weekday of the shown week
+     * In the month view the first week of the month is used.
+     */
+    showDemandForecast() {
+        const monday = this.getWeekStart(this.startDate);
+        const dates = PICO_PLACA_WEEKDAYS.map((_, offset) => addDays(monday, offset));
+        const { tipos, rows } = buildDemandForecast(assignmentManager.employees, assignmentManager.parkingSpaces, dates);
+
+        const body = rows.map(row => {
+            if (row.nonWorkingDay) {
+                return `
+                    <tr style="color: #999;">
+                        <td>${row.weekday} ${formatDate(row.date)}</td>
+                        <td colspan="${tipos.length + 1}">${row.nonWorkingDay.nombre}</td>
+                    </tr>
+                `;
+            }
+
+            const cells = tipos.map(tipo => {
+                const { esperados, espacios, deficit } = row.porTipo[tipo];
+                const color = deficit > 0 ? '#dc3545' : esperados === espacios ? '#ffc107' : '#28a745';
+                return `
+                    <td style="font-weight: bold; color: ${color};" title="${deficit > 0 ? `Faltan ${deficit}` : `Sobran ${espacios - esperados}`}">
+                        ${esperados} / ${espacios}
+                    </td>
+                `;
+            }).join('');
+
+            const shifts = Object.entries(row.porTurno)
+                .filter(([, count]) => count > 0)
+                .map(([turno, count]) => `${WORK_SHIFT_LABELS[turno].icon} ${count}`)
+                .join(' · ');
+
+            return `
+                <tr>
+                    <td>${row.weekday} ${formatDate(row.date)}</td>
+                    ${cells}
+                    <td style="font-size: 0.85em;">${shifts || '-'}</td>
+                </tr>
+            `;
+        }).join('');
+
+        employeeManager.showModal(`
+            <div style="max-width: 850px; padding: 20px;">
+                <h3 style="margin-bottom: 10px; color: #007bff;">📈 Pronóstico de Demanda</h3>
+                <p style="color: #666; margin-bottom: 20px;">
+                    Conductores esperados / parqueaderos por tipo, según el horario presencial de cada empleado,
+                    sus ausencias y el pico y placa. En rojo, los días en que faltan parqueaderos.
+                </p>
+                <div class="table-wrapper">
+                    <table class="data-table">
+                        <thead>
+                            <tr>
+                                <th>Día</th>
+                                ${tipos.map(tipo => `<th>${tipo}</th>`).join('')}
+                                <th>Por turno</th>
+                            </tr>
+                        </thead>
+                        <tbody>${body}</tbody>
+                    </table>
+                </div>
+                <div style="text-align: center; padding-top: 20px;">
+                    <button onclick="this.closest('.modal').remove()"
+                            style="background: #007bff; color: white; border: none; padding: 10px 20px; border-radius: 5px; cursor: pointer;">
+                        Cerrar
+                    </button>
+                </div>
+            </div>
+        `);
+    }
+
+    /**
+     * Run the action of a clicked cell
+     * @param {Object} cell - Cell data attributes ({ space, date, status, loan })
+     */
+    handleCellClick({ space, date, status, loan }) {
+        const spaceId = parseInt(space);
+        const parkingSpace = assignmentManager.parkingSpaces.find(s => s.id === spaceId);
+        if (!parkingSpace) return;
+
+        if (status === 'disponible') {
+            const confirmed = confirm(
+                `¿Asignar el parqueadero ${parkingSpace.numero} desde el ${formatDate(date)} al siguiente empleado en la cola?`
+            );
+            if (confirmed) assignmentManager.quickAssign(spaceId, date);
+        } else if (status === 'pico-placa' || status === 'liberado') {
+            assignmentManager.reassignPicoPlacaSpace(spaceId, date);
+        } else if (status === 'prestado' && loan) {
+            assignmentManager.cancelDailyLoan(parseInt(loan));
+        }
+    }
+}
+
+// Create global instance
+const plannerManager = new PlannerManager();
+window.plannerManager = plannerManager; // Make it globally accessible
+
+export default plannerManager;
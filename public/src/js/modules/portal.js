@@ -0,0 +1,482 @@
+/**
+ * Employee self-service portal module
+ * Restricted view where an employee signs in with cédula + PIN to check their
+ * space, declare days they will not come and request a space.
+ * Also lists the space requests for the administration.
+ */
+
+import {
+    generateId,
+    getCurrentDate,
+    formatDate,
+    sanitizeString,
+    hashPin,
+    getNextPicoPlacaDate,
+    getAssignmentEmployeeIds,
+    getAssignmentHolderOn,
+    isSharedAssignment
+} from '../utils/helpers.js';
+import {
+    ERROR_MESSAGES,
+    SUCCESS_MESSAGES,
+    ALERT_TYPES,
+    ASSIGNMENT_STATUS,
+    REQUEST_STATUS,
+    PICO_PLACA_WEEKDAYS
+} from '../utils/constants.js';
+import storageService from '../services/storage.js';
+import store from '../services/store.js';
+import eventBus, { EVENTS } from '../services/eventBus.js';
+import authService from '../services/auth.js';
+import { getErrorMessage } from '../services/apiErrors.js';
+import employeeManager from './employees.js';
+import assignmentManager from './assignments.js';
+import { showAlert, showConfirmDialog } from './ui.js';
+
+const REQUEST_STATUS_LABELS = {
+    [REQUEST_STATUS.PENDIENTE]: '⏳ Pendiente',
+    [REQUEST_STATUS.ATENDIDA]: '✅ Atendida',
+    [REQUEST_STATUS.RECHAZADA]: '❌ Rechazada'
+};
+
+class PortalManager {
+    constructor() {
+        this.requests = [];
+        this.currentEmployeeId = null;
+        this.active = false;
+        this.init();
+    }
+
+    /**
+     * Initialize portal manager
+     */
+    init() {
+        this.bindEvents();
+        if (window.location.hash === '#portal') this.enterPortalMode();
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        const toggle = document.getElementById('alternarPortal');
+        if (toggle) {
+            toggle.addEventListener('click', () => this.active ? this.exitPortalMode() : this.enterPortalMode());
+        }
+
+        const loginForm = document.getElementById('portalLogin');
+        if (loginForm) {
+            loginForm.addEventListener('submit', (e) => this.handleLogin(e));
+        }
+
+        const absenceForm = document.getElementById('portalAusenciaForm');
+        if (absenceForm) {
+            absenceForm.addEventListener('submit', (e) => this.handleDeclareAbsence(e));
+        }
+
+        const requestForm = document.getElementById('portalSolicitudForm');
+        if (requestForm) {
+            requestForm.addEventListener('submit', (e) => this.handleRequestSubmit(e));
+        }
+
+        const logoutBtn = document.getElementById('portalSalir');
+        if (logoutBtn) {
+            logoutBtn.addEventListener('click', () => this.logout());
+        }
+
+        // A new assignment answers the pending requests of its employees
+        eventBus.on(EVENTS.ASSIGNMENT_CREATED, (assignment) => this.onAssignmentCreated(assignment));
+        store.subscribe(['empleados', 'parqueaderos', 'asignaciones'], () => this.renderPanel());
+        eventBus.on(EVENTS.PICO_PLACA_RULES_UPDATED, () => this.renderPanel());
+        eventBus.on(EVENTS.EMPLOYEE_DELETED, ({ id }) => {
+            if (id === this.currentEmployeeId) this.logout();
+        });
+    }
+
+    /**
+     * Switch the page to the employee portal
+     */
+    enterPortalMode() {
+        this.active = true;
+        document.body.classList.add('portal-mode');
+
+        const toggle = document.getElementById('alternarPortal');
+        if (toggle) toggle.textContent = '⬅ Volver a Administración';
+
+        this.renderPanel();
+    }
+
+    /**
+     * Leave the portal and return to the administration screens
+     */
+    exitPortalMode() {
+        this.logout();
+        this.active = false;
+        document.body.classList.remove('portal-mode');
+
+        const toggle = document.getElementById('alternarPortal');
+        if (toggle) toggle.textContent = '👤 Portal del Empleado';
+    }
+
+    /**
+     * Handle login form submission
+     * @param {Event} event - Form submit event
+     */
+    async handleLogin(event) {
+        event.preventDefault();
+
+        const cedula = document.getElementById('portalCedula')?.value.trim();
+        const pin = document.getElementById('portalPin')?.value.trim();
+
+        // Retired employees can no longer sign in
+        const employee = employeeManager.getActiveEmployees().find(emp => emp.cedula === cedula);
+        const valid = employee && employee.pinHash && employee.pinHash === await hashPin(pin, employee.id);
+
+        if (!valid) {
+            showAlert(ERROR_MESSAGES.INVALID_CREDENTIALS, ALERT_TYPES.DANGER);
+            return;
+        }
+
+        event.target.reset();
+        this.currentEmployeeId = employee.id;
+        authService.setPortalEmployee(employee.id);
+        this.renderPanel();
+    }
+
+    /**
+     * Close the employee session
+     */
+    logout() {
+        this.currentEmployeeId = null;
+        authService.setPortalEmployee(null);
+        this.renderPanel();
+    }
+
+    /**
+     * Get the signed-in employee
+     * @returns {Object|null} Employee
+     */
+    getCurrentEmployee() {
+        return this.currentEmployeeId ? employeeManager.getEmployeeById(this.currentEmployeeId) : null;
+    }
+
+    /**
+     * Get the current or next assignment of an employee
+     * @param {number} employeeId - Employee ID
+     * @returns {Object|null} Assignment
+     */
+    getEmployeeAssignment(employeeId) {
+        return assignmentManager.getEmployeeAssignment(employeeId);
+    }
+
+    /**
+     * Handle declaration of a day the employee will not come
+     * @param {Event} event - Form submit event
+     */
+    async handleDeclareAbsence(event) {
+        event.preventDefault();
+
+        const employee = this.getCurrentEmployee();
+        const fecha = document.getElementById('portalFechaAusencia')?.value;
+        if (!employee || !fecha) return;
+
+        if (fecha < getCurrentDate()) {
+            showAlert('Solo puede declarar días a partir de hoy', ALERT_TYPES.WARNING);
+            return;
+        }
+
+        const dias = employee.diasNoAsistencia || [];
+        if (dias.includes(fecha)) {
+            showAlert(`Ya declaró el ${formatDate(fecha)}`, ALERT_TYPES.INFO);
+            return;
+        }
+
+        try {
+            await employeeManager.updateEmployee(employee.id, { diasNoAsistencia: [...dias, fecha].sort() });
+            event.target.reset();
+            showAlert(SUCCESS_MESSAGES.ABSENCE_DECLARED, ALERT_TYPES.SUCCESS);
+        } catch (error) {
+            console.error('Error declaring absence:', error);
+            showAlert(getErrorMessage(error, 'Error al registrar el día'), ALERT_TYPES.DANGER);
+        }
+    }
+
+    /**
+     * Remove a declared day
+     * @param {string} fecha - Date in YYYY-MM-DD format
+     */
+    async removeAbsence(fecha) {
+        const employee = this.getCurrentEmployee();
+        if (!employee) return;
+
+        try {
+            await employeeManager.updateEmployee(employee.id, {
+                diasNoAsistencia: (employee.diasNoAsistencia || []).filter(dia => dia !== fecha)
+            });
+        } catch (error) {
+            console.error('Error removing absence:', error);
+            showAlert(getErrorMessage(error, 'Error al eliminar el día'), ALERT_TYPES.DANGER);
+        }
+    }
+
+    /**
+     * Handle space request submission
+     * @param {Event} event - Form submit event
+     */
+    async handleRequestSubmit(event) {
+        event.preventDefault();
+
+        const employee = this.getCurrentEmployee();
+        if (!employee) return;
+
+        if (this.getEmployeeAssignment(employee.id)) {
+            showAlert('Ya tiene un parqueadero asignado', ALERT_TYPES.INFO);
+            return;
+        }
+
+        if (this.requests.some(r => r.empleadoId === employee.id && r.estado === REQUEST_STATUS.PENDIENTE)) {
+            showAlert('Ya tiene una solicitud pendiente', ALERT_TYPES.INFO);
+            return;
+        }
+
+        try {
+            this.requests.push({
+                id: generateId(),
+                empleadoId: employee.id,
+                fechaDesde: document.getElementById('portalSolicitudDesde')?.value || getCurrentDate(),
+                motivo: sanitizeString(document.getElementById('portalSolicitudMotivo')?.value || ''),
+                estado: REQUEST_STATUS.PENDIENTE,
+                fechaSolicitud: getCurrentDate(),
+                fechaRespuesta: null
+            });
+            await this.saveData();
+
+            event.target.reset();
+            this.renderPanel();
+            this.renderRequests();
+            showAlert(SUCCESS_MESSAGES.PARKING_REQUEST_SENT, ALERT_TYPES.SUCCESS);
+        } catch (error) {
+            console.error('Error saving parking request:', error);
+            showAlert(getErrorMessage(error, 'Error al enviar la solicitud'), ALERT_TYPES.DANGER);
+        }
+    }
+
+    /**
+     * Mark pending requests as answered when their employee gets a space
+     * @param {Object} assignment - Created assignment
+     */
+    async onAssignmentCreated(assignment) {
+        const employeeIds = getAssignmentEmployeeIds(assignment);
+        const answered = this.requests.filter(r =>
+            r.estado === REQUEST_STATUS.PENDIENTE && employeeIds.includes(r.empleadoId)
+        );
+        if (answered.length === 0) {
+            this.renderPanel();
+            return;
+        }
+
+        answered.forEach(request => {
+            request.estado = REQUEST_STATUS.ATENDIDA;
+            request.fechaRespuesta = getCurrentDate();
+        });
+
+        try {
+            await this.saveData();
+        } catch (error) {
+            console.error('Error updating parking requests:', error);
+        }
+        this.renderPanel();
+        this.renderRequests();
+    }
+
+    /**
+     * Prefill the assignment form with a request
+     * @param {number} requestId - Request ID
+     */
+    attendRequest(requestId) {
+        const request = this.requests.find(r => r.id === requestId);
+        if (!request) return;
+
+        const startInput = document.getElementById('fechaInicio');
+        if (startInput) {
+            startInput.value = request.fechaDesde < getCurrentDate() ? getCurrentDate() : request.fechaDesde;
+            startInput.dispatchEvent(new Event('change'));
+        }
+
+        const employeeSelect = document.getElementById('empleadoAsignacion');
+        if (employeeSelect) employeeSelect.value = request.empleadoId;
+
+        document.getElementById('asignacionForm')?.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    /**
+     * Reject a pending request
+     * @param {number} requestId - Request ID
+     */
+    async rejectRequest(requestId) {
+        const request = this.requests.find(r => r.id === requestId);
+        if (!request) return;
+
+        const employee = employeeManager.getEmployeeById(request.empleadoId);
+        const confirmed = showConfirmDialog(
+            `¿Rechazar la solicitud de ${employee ? employee.nombre : 'este empleado'}?`,
+            'Rechazar Solicitud'
+        );
+        if (!confirmed) return;
+
+        try {
+            request.estado = REQUEST_STATUS.RECHAZADA;
+            request.fechaRespuesta = getCurrentDate();
+            await this.saveData();
+            this.renderRequests();
+        } catch (error) {
+            console.error('Error rejecting parking request:', error);
+            showAlert(getErrorMessage(error, 'Error al rechazar la solicitud'), ALERT_TYPES.DANGER);
+        }
+    }
+
+    /**
+     * Describe the space of an assignment for the employee
+     * @param {Object} assignment - Assignment
+     * @param {number} employeeId - Employee ID
+     * @returns {string} HTML description
+     */
+    describeAssignment(assignment, employeeId) {
+        if (!assignment) {
+            return '<p>No tiene parqueadero asignado.</p>';
+        }
+
+        const space = assignmentManager.parkingSpaces.find(s => s.id === assignment.parqueaderoId);
+        const days = isSharedAssignment(assignment) ?
+            PICO_PLACA_WEEKDAYS.filter(day => assignment.patronSemanal[day] === employeeId).join(', ') :
+            null;
+        const usesToday = getAssignmentHolderOn(assignment, getCurrentDate()) === employeeId;
+
+        return `
+            <p style="font-size: 1.5em; font-weight: bold; margin-bottom: 5px;">${space ? space.numero : 'Parqueadero no encontrado'}</p>
+            <p>${space ? `Sótano ${space.sotano} - ${space.tipo}` : ''}</p>
+            <p>${assignment.estado === ASSIGNMENT_STATUS.PROGRAMADA ? `📅 Desde el ${formatDate(assignment.fechaInicio)}` : assignmentManager.formatPeriod(assignment)}</p>
+            ${days ? `<p>🤝 Compartido: usted lo usa los ${days}${usesToday ? '' : ' (hoy no)'}</p>` : ''}
+        `;
+    }
+
+    /**
+     * Render the portal: login form or the signed-in employee panel
+     */
+    renderPanel() {
+        const login = document.getElementById('portalLogin');
+        const panel = document.getElementById('portalPanel');
+        if (!login || !panel) return;
+
+        const employee = this.getCurrentEmployee();
+        login.style.display = employee ? 'none' : '';
+        panel.style.display = employee ? '' : 'none';
+        if (!employee) return;
+
+        const today = getCurrentDate();
+        const assignment = this.getEmployeeAssignment(employee.id);
+        const nextPicoPlaca = getNextPicoPlacaDate(employee, today);
+
+        document.getElementById('portalNombre').textContent = employee.nombre;
+        document.getElementById('portalParqueadero').innerHTML = this.describeAssignment(assignment, employee.id);
+        document.getElementById('portalPicoPlaca').innerHTML = `
+            <p style="font-size: 1.5em; font-weight: bold; margin-bottom: 5px;">${nextPicoPlaca ? formatDate(nextPicoPlaca) : 'Sin restricción'}</p>
+            <p>Placa ${employee.placa}${nextPicoPlaca === today ? ' - <strong>hoy tiene pico y placa</strong>' : ''}</p>
+        `;
+
+        const upcoming = (employee.diasNoAsistencia || []).filter(dia => dia >= today);
+        document.getElementById('portalAusencias').innerHTML = upcoming.length === 0 ?
+            '<li>No ha declarado días</li>' :
+            upcoming.map(dia => `
+                <li style="margin-bottom: 5px;">
+                    ${formatDate(dia)}
+                    <button class="btn btn-sm" onclick="portalManager.removeAbsence('${dia}')" title="Eliminar"
+                            style="background: #dc3545; color: white; padding: 2px 6px; font-size: 0.8em;">✖</button>
+                </li>
+            `).join('');
+
+        const requestSection = document.getElementById('portalSolicitud');
+        if (requestSection) requestSection.style.display = assignment ? 'none' : '';
+
+        const ownRequests = this.requests
+            .filter(r => r.empleadoId === employee.id)
+            .sort((a, b) => b.fechaSolicitud.localeCompare(a.fechaSolicitud));
+        document.getElementById('portalSolicitudes').innerHTML = ownRequests.length === 0 ?
+            '<li>No ha enviado solicitudes</li>' :
+            ownRequests.map(r => `
+                <li>${formatDate(r.fechaSolicitud)} - desde ${formatDate(r.fechaDesde)}: ${REQUEST_STATUS_LABELS[r.estado]}</li>
+            `).join('');
+    }
+
+    /**
+     * Render the requests table of the administration
+     */
+    renderRequests() {
+        const tbody = document.getElementById('tablaSolicitudes');
+        if (!tbody) return;
+
+        const sorted = [...this.requests].sort((a, b) =>
+            (a.estado === REQUEST_STATUS.PENDIENTE ? 0 : 1) - (b.estado === REQUEST_STATUS.PENDIENTE ? 0 : 1) ||
+            b.fechaSolicitud.localeCompare(a.fechaSolicitud)
+        );
+
+        if (sorted.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="7" style="text-align: center; padding: 20px;">
+                        No hay solicitudes de parqueadero
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = sorted.map(request => {
+            const employee = employeeManager.getEmployeeById(request.empleadoId);
+            const pending = request.estado === REQUEST_STATUS.PENDIENTE;
+            return `
+                <tr>
+                    <td>${formatDate(request.fechaSolicitud)}</td>
+                    <td>${employee ? employee.nombre : 'Empleado no encontrado'}</td>
+                    <td>${employee ? employee.tipoVehiculo : '-'}</td>
+                    <td>${formatDate(request.fechaDesde)}</td>
+                    <td>${request.motivo || '-'}</td>
+                    <td>${REQUEST_STATUS_LABELS[request.estado]}</td>
+                    <td>
+                        ${pending ? `
+                            <button class="btn btn-primary" onclick="portalManager.attendRequest(${request.id})" title="Completar el formulario de asignación">🎯 Asignar</button>
+                            <button class="btn btn-danger" onclick="portalManager.rejectRequest(${request.id})" title="Rechazar">✖</button>
+                        ` : '-'}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Load parking requests data
+     * @param {Array} requests - Parking requests array
+     */
+    loadRequests(requests) {
+        this.requests = [...requests];
+        this.renderRequests();
+    }
+
+    /**
+     * Save parking requests to storage
+     */
+    async saveData() {
+        try {
+            await storageService.saveCollections({ solicitudesParqueadero: this.requests });
+        } catch (error) {
+            console.error('Error saving parking requests:', error);
+            throw error;
+        }
+    }
+}
+
+// Create global instance
+const portalManager = new PortalManager();
+window.portalManager = portalManager; // Make it globally accessible
+
+export default portalManager;
@@ -0,0 +1,361 @@
+/**
+ * Rotation queue module
+ * Waiting list per vehicle type for employees without a fixed space,
+ * with a served history to prove fair distribution of freed spaces
+ */
+
+import { generateId, getCurrentDate, formatDate } from '../utils/helpers.js';
+import {
+    ALERT_TYPES,
+    VEHICLE_TYPES,
+    ROTATION_STRATEGIES
+} from '../utils/constants.js';
+import storageService from '../services/storage.js';
+import authService from '../services/auth.js';
+import { getErrorMessage } from '../services/apiErrors.js';
+import employeeManager from './employees.js';
+import { showAlert, showConfirmDialog } from './ui.js';
+
+const STRATEGY_LABELS = {
+    [ROTATION_STRATEGIES.ROUND_ROBIN]: 'Turno rotativo (round-robin)',
+    [ROTATION_STRATEGIES.MENOS_RECIENTE]: 'Menos recientemente atendido'
+};
+
+class RotationManager {
+    constructor() {
+        this.queue = [];
+        this.history = [];
+        this.strategy = ROTATION_STRATEGIES.ROUND_ROBIN;
+        this.employees = [];
+        this.init();
+    }
+
+    /**
+     * Initialize rotation manager
+     */
+    init() {
+        this.bindEvents();
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        const strategySelect = document.getElementById('estrategiaRotacion');
+        if (strategySelect) {
+            strategySelect.innerHTML = Object.entries(STRATEGY_LABELS)
+                .map(([value, label]) => `<option value="${value}">${label}</option>`)
+                .join('');
+            strategySelect.addEventListener('change', (e) => this.setStrategy(e.target.value));
+        }
+    }
+
+    /**
+     * Load rotation data
+     * @param {Object} data - Stored data ({ colaRotacion, historialRotacion, estrategiaRotacion })
+     */
+    loadRotation(data) {
+        this.queue = data.colaRotacion || [];
+        this.history = data.historialRotacion || [];
+        this.strategy = data.estrategiaRotacion || ROTATION_STRATEGIES.ROUND_ROBIN;
+
+        const strategySelect = document.getElementById('estrategiaRotacion');
+        if (strategySelect) strategySelect.value = this.strategy;
+    }
+
+    /**
+     * Keep the queue in line with who has a fixed space: employees without one
+     * join at the end of their vehicle type queue, employees that got one leave it.
+     * @param {Array} employees - All employees
+     * @param {Function} hasFixedSpace - Predicate (employeeId) => boolean
+     * @returns {Promise<boolean>} True if the queue changed
+     */
+    async syncQueue(employees, hasFixedSpace) {
+        this.employees = employees;
+        let changed = false;
+
+        const before = this.queue.length;
+        this.queue = this.queue.filter(entry =>
+            employees.some(emp => emp.id === entry.empleadoId) && !hasFixedSpace(entry.empleadoId)
+        );
+        if (this.queue.length !== before) changed = true;
+
+        employees.forEach(emp => {
+            if (hasFixedSpace(emp.id) || this.queue.some(entry => entry.empleadoId === emp.id)) return;
+
+            this.queue.push({
+                id: generateId(),
+                empleadoId: emp.id,
+                tipoVehiculo: emp.tipoVehiculo,
+                fechaIngresoCola: getCurrentDate(),
+                posicion: this.getNextPosition(),
+                ultimoServicio: null,
+                totalServicios: 0
+            });
+            changed = true;
+        });
+
+        // Read-only sessions keep the synced queue in memory, as with assignment states
+        if (changed && authService.canWrite('colaRotacion')) await this.saveData();
+        this.render();
+        return changed;
+    }
+
+    /**
+     * Get the position after the last queued employee
+     * @returns {number} Next position
+     */
+    getNextPosition() {
+        return this.queue.reduce((max, entry) => Math.max(max, entry.posicion || 0), 0) + 1;
+    }
+
+    /**
+     * Get queue entries of a vehicle type in serving order for the current strategy
+     * @param {string} tipoVehiculo - Vehicle type
+     * @returns {Array} Ordered queue entries
+     */
+    getOrderedQueue(tipoVehiculo) {
+        const entries = this.queue.filter(entry => entry.tipoVehiculo === tipoVehiculo);
+
+        if (this.strategy === ROTATION_STRATEGIES.MENOS_RECIENTE) {
+            return entries.sort((a, b) =>
+                (a.ultimoServicio || '').localeCompare(b.ultimoServicio || '') ||
+                a.totalServicios - b.totalServicios ||
+                a.posicion - b.posicion
+            );
+        }
+
+        return entries.sort((a, b) => a.posicion - b.posicion);
+    }
+
+    /**
+     * Get the next employee to be offered a space
+     * @param {string} tipoVehiculo - Vehicle type of the space
+     * @param {Function} isEligible - Predicate (employeeId) => boolean for the date
+     * @returns {number|null} Employee ID or null if nobody is eligible
+     */
+    getNextCandidate(tipoVehiculo, isEligible = () => true) {
+        const entry = this.getOrderedQueue(tipoVehiculo).find(e => isEligible(e.empleadoId));
+        return entry ? entry.empleadoId : null;
+    }
+
+    /**
+     * Record that employees received freed spaces and move them to the end of their queue
+     * @param {Array} services - [{ empleadoId, parqueaderoId, fecha, prestamoId, origen }]
+     */
+    async recordServices(services) {
+        services.forEach(service => {
+            const entry = this.queue.find(e => e.empleadoId === service.empleadoId);
+            if (entry) {
+                entry.ultimoServicio = service.fecha;
+                entry.totalServicios += 1;
+                entry.posicion = this.getNextPosition();
+            }
+
+            this.history.push({
+                id: generateId(),
+                ...service,
+                fechaRegistro: getCurrentDate()
+            });
+        });
+
+        await this.saveData();
+        this.render();
+    }
+
+    /**
+     * Remove the service record of a cancelled daily loan
+     * The employee keeps their new queue position so they are not served twice in a row.
+     * @param {number} prestamoId - Daily loan ID
+     */
+    async cancelService(prestamoId) {
+        const record = this.history.find(h => h.prestamoId === prestamoId && !h.cancelado);
+        if (!record) return;
+
+        record.cancelado = true;
+        const entry = this.queue.find(e => e.empleadoId === record.empleadoId);
+        if (entry && entry.totalServicios > 0) entry.totalServicios -= 1;
+
+        await this.saveData();
+        this.render();
+    }
+
+    /**
+     * Change the serving strategy
+     * @param {string} strategy - One of ROTATION_STRATEGIES
+     */
+    async setStrategy(strategy) {
+        this.strategy = strategy;
+        try {
+            await this.saveData();
+            this.render();
+        } catch (error) {
+            console.error('Error saving rotation strategy:', error);
+            showAlert(getErrorMessage(error, 'Error al guardar la estrategia de rotación'), ALERT_TYPES.DANGER);
+        }
+    }
+
+    /**
+     * Move an employee to the end of their queue
+     * @param {number} empleadoId - Employee ID
+     */
+    async skipEmployee(empleadoId) {
+        const entry = this.queue.find(e => e.empleadoId === empleadoId);
+        if (!entry) return;
+
+        const employee = this.getEmployee(empleadoId);
+        const confirmed = showConfirmDialog(
+            `¿Enviar a ${employee ? employee.nombre : 'este empleado'} al final de la cola?`,
+            'Cola de Rotación'
+        );
+        if (!confirmed) return;
+
+        entry.posicion = this.getNextPosition();
+        await this.saveData();
+        this.render();
+    }
+
+    /**
+     * Get employee from the last synced list
+     * @param {number} empleadoId - Employee ID
+     * @returns {Object|undefined} Employee
+     */
+    getEmployee(empleadoId) {
+        return this.employees.find(emp => emp.id === empleadoId);
+    }
+
+    /**
+     * Get served history of an employee (cancelled loans excluded)
+     * @param {number} empleadoId - Employee ID
+     * @returns {Array} History records, newest first
+     */
+    getEmployeeHistory(empleadoId) {
+        return this.history
+            .filter(h => h.empleadoId === empleadoId && !h.cancelado)
+            .sort((a, b) => b.fecha.localeCompare(a.fecha));
+    }
+
+    /**
+     * Render queue table
+     */
+    render() {
+        const tbody = document.getElementById('tablaColaRotacion');
+        if (!tbody) return;
+
+        const rows = Object.values(VEHICLE_TYPES).flatMap(tipo =>
+            this.getOrderedQueue(tipo).map((entry, index) => ({ entry, tipo, turno: index + 1 }))
+        );
+
+        if (rows.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="7" style="text-align: center; padding: 20px;">
+                        No hay empleados en espera
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = rows.map(({ entry, tipo, turno }) => {
+            const employee = this.getEmployee(entry.empleadoId);
+            return `
+                <tr>
+                    <td>${tipo}</td>
+                    <td style="font-weight: bold;">${turno}</td>
+                    <td>${employee ? employee.nombre : 'Empleado no encontrado'}</td>
+                    <td>${formatDate(entry.fechaIngresoCola)}</td>
+                    <td>${entry.ultimoServicio ? formatDate(entry.ultimoServicio) : 'Nunca'}</td>
+                    <td>${entry.totalServicios}</td>
+                    <td>
+                        <button class="btn btn-secondary" onclick="rotationManager.skipEmployee(${entry.empleadoId})" title="Enviar al final de la cola">⏭️</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Show fairness report: how many freed spaces each queued employee received
+     */
+    showFairnessReport() {
+        const today = getCurrentDate();
+        const rows = Object.values(VEHICLE_TYPES).flatMap(tipo => {
+            const entries = this.queue.filter(entry => entry.tipoVehiculo === tipo);
+            if (entries.length === 0) return [];
+
+            const counts = entries.map(entry => this.getEmployeeHistory(entry.empleadoId).length);
+            const max = Math.max(...counts);
+            const min = Math.min(...counts);
+
+            return entries.map((entry, index) => {
+                const employee = this.getEmployee(entry.empleadoId);
+                const history = this.getEmployeeHistory(entry.empleadoId);
+                const diasEnCola = Math.round((new Date(today) - new Date(entry.fechaIngresoCola)) / 86400000);
+                return `
+                    <tr>
+                        <td>${tipo}</td>
+                        <td>${employee ? employee.nombre : 'Empleado no encontrado'}</td>
+                        <td>${diasEnCola}</td>
+                        <td style="font-weight: bold; color: ${counts[index] === max && max - min > 1 ? '#dc3545' : '#28a745'};">${counts[index]}</td>
+                        <td style="font-size: 0.85em;">${history.slice(0, 5).map(h => formatDate(h.fecha)).join(', ') || '-'}</td>
+                    </tr>
+                `;
+            });
+        }).join('');
+
+        const modalContent = `
+            <div style="max-width: 850px; padding: 20px;">
+                <h3 style="margin-bottom: 10px; color: #007bff;">⚖️ Reporte de Equidad de la Rotación</h3>
+                <p style="color: #666; margin-bottom: 20px;">
+                    Estrategia: <strong>${STRATEGY_LABELS[this.strategy]}</strong>.
+                    Se marca en rojo a quien recibió más de un cupo por encima del que menos ha recibido en su tipo de vehículo.
+                </p>
+                <div class="table-wrapper">
+                    <table class="data-table">
+                        <thead>
+                            <tr>
+                                <th>Tipo</th>
+                                <th>Empleado</th>
+                                <th>Días en cola</th>
+                                <th>Cupos recibidos</th>
+                                <th>Últimos cupos</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows || '<tr><td colspan="5" style="text-align: center; padding: 20px;">No hay empleados en la cola</td></tr>'}</tbody>
+                    </table>
+                </div>
+                <div style="text-align: center; padding-top: 20px;">
+                    <button onclick="this.closest('.modal').remove()"
+                            style="background: #007bff; color: white; border: none; padding: 10px 20px; border-radius: 5px; cursor: pointer;">
+                        Cerrar
+                    </button>
+                </div>
+            </div>
+        `;
+
+        employeeManager.showModal(modalContent);
+    }
+
+    /**
+     * Save rotation data to storage
+     */
+    async saveData() {
+        try {
+            await storageService.saveCollections({
+                colaRotacion: this.queue,
+                historialRotacion: this.history,
+                estrategiaRotacion: this.strategy
+            });
+        } catch (error) {
+            console.error('Error saving rotation data:', error);
+            throw error;
+        }
+    }
+}
+
+// Create global instance
+const rotationManager = new RotationManager();
+window.rotationManager = rotationManager; // Make it globally accessible
+
+export default rotationManager;
@@ -0,0 +1,321 @@
+/**
+ * Staff session and user management module
+ * Handles the sign-in form (which creates the first administrator when the
+ * user store is empty), the session box in the header and the user list
+ * where administrators add users, change roles and passwords, deactivate
+ * or delete accounts, and enter the server key.
+ */
+
+import {
+    ALERT_TYPES,
+    APP_CONFIG,
+    PERMISSIONS,
+    USER_ROLES,
+    USER_ROLE_LABELS
+} from '../utils/constants.js';
+import { formatDate, sanitizeString } from '../utils/helpers.js';
+import authService from '../services/auth.js';
+import apiService from '../services/api.js';
+import eventBus, { EVENTS } from '../services/eventBus.js';
+import { getErrorMessage } from '../services/apiErrors.js';
+import employeeManager from './employees.js';
+import { showAlert } from './ui.js';
+
+class UserManager {
+    constructor() {
+        this.init();
+    }
+
+    /**
+     * Initialize user manager
+     */
+    init() {
+        this.bindEvents();
+        this.renderLoginForm();
+        this.renderSession();
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        const loginForm = document.getElementById('ingresoForm');
+        if (loginForm) {
+            loginForm.addEventListener('submit', (e) => this.handleLogin(e));
+        }
+
+        const logoutBtn = document.getElementById('cerrarSesion');
+        if (logoutBtn) {
+            logoutBtn.addEventListener('click', () => authService.logout());
+        }
+
+        const usersBtn = document.getElementById('gestionUsuarios');
+        if (usersBtn) {
+            usersBtn.addEventListener('click', () => this.showUsers());
+        }
+
+        eventBus.on(EVENTS.SESSION_CHANGED, () => {
+            this.renderLoginForm();
+            this.renderSession();
+        });
+    }
+
+    /**
+     * Show the sign-in form, or the first administrator form on an empty user store
+     */
+    renderLoginForm() {
+        const setup = authService.needsSetup();
+        const texts = {
+            ingresoTitulo: setup ? '🛠️ Crear Administrador' : '🔐 Ingreso del Personal',
+            ingresoAyuda: setup ?
+                'No hay usuarios registrados en este equipo. Cree la cuenta del primer administrador.' :
+                'Ingrese con el usuario y la contraseña asignados por administración.',
+            ingresoBoton: setup ? '✅ Crear y Entrar' : '🔑 Ingresar'
+        };
+        Object.entries(texts).forEach(([id, text]) => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = text;
+        });
+
+        const nameGroup = document.getElementById('ingresoNombreGrupo');
+        if (nameGroup) nameGroup.style.display = setup ? '' : 'none';
+        const nameInput = document.getElementById('ingresoNombre');
+        if (nameInput) nameInput.required = setup;
+        const passwordInput = document.getElementById('ingresoContrasena');
+        if (passwordInput) passwordInput.autocomplete = setup ? 'new-password' : 'current-password';
+    }
+
+    /**
+     * Show who is signed in
+     */
+    renderSession() {
+        const box = document.getElementById('sesionUsuario');
+        if (!box) return;
+
+        const user = authService.getCurrentUser();
+        box.textContent = user ? `👤 ${user.nombre} (${USER_ROLE_LABELS[user.rol] || user.rol})` : '';
+    }
+
+    /**
+     * Handle sign-in form submission
+     * @param {Event} event - Form submit event
+     */
+    async handleLogin(event) {
+        event.preventDefault();
+
+        const usuario = document.getElementById('ingresoUsuario')?.value || '';
+        const password = document.getElementById('ingresoContrasena')?.value || '';
+
+        try {
+            if (authService.needsSetup()) {
+                const nombre = document.getElementById('ingresoNombre')?.value || '';
+                await authService.createUser({ usuario, nombre, password, rol: USER_ROLES.ADMIN });
+            }
+
+            const user = await authService.login(usuario, password);
+            event.target.reset();
+            showAlert(`Bienvenido(a), ${sanitizeString(user.nombre)}`, ALERT_TYPES.SUCCESS, 3000);
+        } catch (error) {
+            showAlert(error.message, ALERT_TYPES.DANGER);
+        }
+    }
+
+    /**
+     * Get the role options of a select
+     * @param {string} selected - Selected role
+     * @returns {string} Option elements
+     */
+    getRoleOptions(selected) {
+        return Object.values(USER_ROLES).map(rol =>
+            `<option value="${rol}" ${rol === selected ? 'selected' : ''}>${USER_ROLE_LABELS[rol]}</option>`
+        ).join('');
+    }
+
+    /**
+     * Show the user list and the form to add users
+     */
+    showUsers() {
+        document.getElementById('listaUsuarios')?.closest('.modal')?.remove();
+
+        const currentId = authService.getCurrentUser()?.id;
+        const buttonStyle = 'border: none; padding: 5px 10px; border-radius: 4px; cursor: pointer; color: white;';
+        const rows = authService.getUsers().map(user => `
+            <tr style="border-bottom: 1px solid #eee; ${user.activo ? '' : 'color: #999;'}">
+                <td style="padding: 8px;">${sanitizeString(user.usuario)}</td>
+                <td style="padding: 8px;">${sanitizeString(user.nombre)}${user.id === currentId ? ' <small>(usted)</small>' : ''}</td>
+                <td style="padding: 8px;">
+                    <select onchange="userManager.updateUser(${user.id}, { rol: this.value })">
+                        ${this.getRoleOptions(user.rol)}
+                    </select>
+                </td>
+                <td style="padding: 8px;">${user.activo ? '✅ Activo' : '⛔ Inactivo'}</td>
+                <td style="padding: 8px;">${user.fechaCreacion ? formatDate(user.fechaCreacion) : 'N/A'}</td>
+                <td style="padding: 8px; white-space: nowrap;">
+                    <button onclick="userManager.showPasswordForm(${user.id})" style="background: #17a2b8; ${buttonStyle}" title="Cambiar contraseña">🔑</button>
+                    <button onclick="userManager.updateUser(${user.id}, { activo: ${!user.activo} })" style="background: #ffc107; ${buttonStyle}" title="${user.activo ? 'Desactivar' : 'Activar'}">
+                        ${user.activo ? '⛔' : '✅'}
+                    </button>
+                    <button onclick="userManager.removeUser(${user.id})" style="background: #dc3545; ${buttonStyle}" title="Eliminar">🗑️</button>
+                </td>
+            </tr>
+        `).join('');
+
+        const modalContent = `
+            <div id="listaUsuarios" style="width: 800px; max-width: 90vw; padding: 20px;">
+                <h3 style="margin-bottom: 15px;">👥 Usuarios del Sistema</h3>
+                <table style="width: 100%; border-collapse: collapse; margin-bottom: 20px;">
+                    <thead>
+                        <tr style="background: #f8f9fa;">
+                            <th style="padding: 8px; text-align: left;">Usuario</th>
+                            <th style="padding: 8px; text-align: left;">Nombre</th>
+                            <th style="padding: 8px; text-align: left;">Rol</th>
+                            <th style="padding: 8px; text-align: left;">Estado</th>
+                            <th style="padding: 8px; text-align: left;">Creado</th>
+                            <th style="padding: 8px; text-align: left;">Acciones</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+
+                <h4 style="margin-bottom: 10px;">➕ Nuevo usuario</h4>
+                <form id="nuevoUsuarioForm" style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px;">
+                    <input type="text" id="nuevoUsuario" placeholder="Usuario" required autocomplete="off">
+                    <input type="text" id="nuevoUsuarioNombre" placeholder="Nombre completo" required>
+                    <select id="nuevoUsuarioRol">${this.getRoleOptions(USER_ROLES.CONSULTA)}</select>
+                    <input type="password" id="nuevoUsuarioContrasena" placeholder="Contraseña (mín. ${APP_CONFIG.MIN_PASSWORD_LENGTH} caracteres)" required autocomplete="new-password">
+                    <div style="grid-column: span 2; text-align: right;">
+                        <button type="submit" style="background: #28a745; ${buttonStyle} padding: 10px 20px;">💾 Crear usuario</button>
+                    </div>
+                </form>
+
+                <h4 style="margin: 20px 0 10px;">🔐 Clave del servidor</h4>
+                <p style="color: #666; font-size: 0.9em; margin-bottom: 10px;">
+                    El servidor solo entrega y acepta datos con la clave configurada en PARKING_API_TOKEN.
+                    ${apiService.hasApiToken() ? '✅ Este equipo tiene una clave guardada.' : '⚠️ Este equipo no tiene clave: no podrá leer ni guardar datos en el servidor.'}
+                </p>
+                <form id="claveServidorForm" style="display: flex; gap: 10px;">
+                    <input type="password" id="claveServidor" placeholder="Clave (vacío la olvida)" autocomplete="off" style="flex: 1;">
+                    <button type="submit" style="background: #17a2b8; ${buttonStyle} padding: 10px 20px;">💾 Guardar clave</button>
+                </form>
+            </div>
+        `;
+
+        const modal = employeeManager.showModal(modalContent);
+        modal.querySelector('#nuevoUsuarioForm').addEventListener('submit', (e) => this.handleCreateUser(e));
+        modal.querySelector('#claveServidorForm').addEventListener('submit', (e) => this.handleApiToken(e));
+    }
+
+    /**
+     * Save or forget the server key on this device
+     * @param {Event} event - Form submit event
+     */
+    handleApiToken(event) {
+        event.preventDefault();
+
+        try {
+            authService.require(PERMISSIONS.GESTIONAR_USUARIOS);
+            const token = document.getElementById('claveServidor').value;
+            apiService.setApiToken(token);
+            showAlert(token.trim() ? 'Clave del servidor guardada' : 'Clave del servidor eliminada de este equipo', ALERT_TYPES.SUCCESS, 3000);
+            this.showUsers();
+        } catch (error) {
+            showAlert(getErrorMessage(error, error.message), ALERT_TYPES.DANGER);
+        }
+    }
+
+    /**
+     * Handle the new user form
+     * @param {Event} event - Form submit event
+     */
+    async handleCreateUser(event) {
+        event.preventDefault();
+
+        try {
+            const user = await authService.createUser({
+                usuario: document.getElementById('nuevoUsuario').value,
+                nombre: document.getElementById('nuevoUsuarioNombre').value,
+                rol: document.getElementById('nuevoUsuarioRol').value,
+                password: document.getElementById('nuevoUsuarioContrasena').value
+            });
+            showAlert(`Usuario ${sanitizeString(user.usuario)} creado`, ALERT_TYPES.SUCCESS);
+            this.showUsers();
+        } catch (error) {
+            showAlert(getErrorMessage(error, error.message), ALERT_TYPES.DANGER);
+        }
+    }
+
+    /**
+     * Change a user's role or state
+     * @param {number} id - User ID
+     * @param {Object} changes - { rol } or { activo }
+     */
+    async updateUser(id, changes) {
+        try {
+            await authService.updateUser(id, changes);
+            showAlert('Usuario actualizado', ALERT_TYPES.SUCCESS, 3000);
+        } catch (error) {
+            showAlert(getErrorMessage(error, error.message), ALERT_TYPES.DANGER);
+        }
+
+        // Redraw also when refused, so the select shows the stored role again
+        if (authService.getCurrentUser()) this.showUsers();
+    }
+
+    /**
+     * Ask for a new password for a user
+     * @param {number} id - User ID
+     */
+    showPasswordForm(id) {
+        const user = authService.getUsers().find(item => item.id === id);
+        if (!user) return;
+
+        const modal = employeeManager.showModal(`
+            <form id="cambioContrasenaForm" style="width: 380px; max-width: 90vw; padding: 20px;">
+                <h3 style="margin-bottom: 15px;">🔑 Contraseña de ${sanitizeString(user.usuario)}</h3>
+                <input type="password" id="cambioContrasena" required autocomplete="new-password"
+                       placeholder="Nueva contraseña (mín. ${APP_CONFIG.MIN_PASSWORD_LENGTH} caracteres)" style="width: 100%; margin-bottom: 15px;">
+                <div style="text-align: right;">
+                    <button type="submit" style="background: #28a745; color: white; border: none; padding: 10px 20px; border-radius: 5px; cursor: pointer;">
+                        💾 Guardar
+                    </button>
+                </div>
+            </form>
+        `);
+
+        modal.querySelector('#cambioContrasenaForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            try {
+                await authService.updateUser(id, { password: modal.querySelector('#cambioContrasena').value });
+                modal.remove();
+                showAlert('Contraseña actualizada', ALERT_TYPES.SUCCESS, 3000);
+            } catch (error) {
+                showAlert(getErrorMessage(error, error.message), ALERT_TYPES.DANGER);
+            }
+        });
+    }
+
+    /**
+     * Delete a user after confirmation
+     * @param {number} id - User ID
+     */
+    removeUser(id) {
+        const user = authService.getUsers().find(item => item.id === id);
+        if (!user || !confirm(`¿Eliminar el usuario ${user.usuario}?`)) return;
+
+        try {
+            authService.removeUser(id);
+            showAlert('Usuario eliminado', ALERT_TYPES.SUCCESS, 3000);
+        } catch (error) {
+            showAlert(getErrorMessage(error, error.message), ALERT_TYPES.DANGER);
+        }
+
+        if (authService.getCurrentUser()) this.showUsers();
+        else document.getElementById('listaUsuarios')?.closest('.modal')?.remove();
+    }
+}
+
+// Create global instance
+const userManager = new UserManager();
+window.userManager = userManager; // Make it globally accessible
+
+export default userManager;
@@ -1,14 +1,21 @@
 /**
- * API service for future cloud integration
- * Currently uses mock responses, will be updated for real backend
+ * API service for the Netlify Functions backend
+ * Failures are raised as typed errors (see apiErrors.js); nothing is faked.
  */
 
-import { APP_CONFIG } from '../utils/constants.js';
+import { APP_CONFIG, ERROR_MESSAGES } from '../utils/constants.js';
+import { APIError, NetworkError, createHTTPError } from './apiErrors.js';
+import eventBus, { EVENTS } from './eventBus.js';
+
+// Methods that can be repeated without changing the result
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
 
 class APIService {
     constructor() {
         this.baseURL = APP_CONFIG.API_BASE_URL;
         this.isOnline = navigator.onLine;
+        this.offlineMode = localStorage.getItem(APP_CONFIG.OFFLINE_MODE_KEY) === 'true';
+        this.apiToken = localStorage.getItem(APP_CONFIG.API_TOKEN_KEY) || '';
         this.setupNetworkListeners();
     }
 
@@ -28,248 +35,299 @@ class APIService {
     }
 
     /**
-     * Generic fetch wrapper with error handling
-     * @param {string} endpoint - API endpoint
-     * @param {Object} options - Fetch options
-     * @returns {Promise<Object>} Response data
+     * Turn the explicit offline mode on or off
+     * While on, no request leaves the browser and data stays in localStorage.
+     * @param {boolean} enabled - Whether to work offline
      */
-    async fetchWithErrorHandling(endpoint, options = {}) {
-        if (!this.isOnline) {
-            throw new Error('No network connection available');
+    setOfflineMode(enabled) {
+        this.offlineMode = Boolean(enabled);
+        localStorage.setItem(APP_CONFIG.OFFLINE_MODE_KEY, String(this.offlineMode));
+        console.log(`Offline mode ${this.offlineMode ? 'enabled' : 'disabled'}`);
+
+        eventBus.emit(EVENTS.OFFLINE_MODE_CHANGED, { offlineMode: this.offlineMode });
+    }
+
+    /**
+     * Save the server key (PARKING_API_TOKEN on the server)
+     * The server refuses every request without it, since it cannot see the staff accounts.
+     * @param {string} token - Server key; empty to forget it
+     */
+    setApiToken(token) {
+        this.apiToken = (token || '').trim();
+        if (this.apiToken) {
+            localStorage.setItem(APP_CONFIG.API_TOKEN_KEY, this.apiToken);
+        } else {
+            localStorage.removeItem(APP_CONFIG.API_TOKEN_KEY);
         }
+    }
 
-        const url = `${this.baseURL}${endpoint}`;
-        const defaultOptions = {
-            headers: {
-                'Content-Type': 'application/json',
-            },
-        };
+    /**
+     * Check whether a server key is saved on this device
+     * @returns {boolean} True if a key is saved
+     */
+    hasApiToken() {
+        return Boolean(this.apiToken);
+    }
 
-        try {
-            const response = await fetch(url, { ...defaultOptions, ...options });
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`HTTP ${response.status}: ${errorText}`);
-            }
+    /**
+     * Check whether requests can be sent
+     * @returns {boolean} True if online and not in offline mode
+     */
+    canReachServer() {
+        return this.isOnline && !this.offlineMode;
+    }
 
-            const contentType = response.headers.get('content-type');
-            if (contentType && contentType.includes('application/json')) {
-                return await response.json();
+    /**
+     * Send a request, retrying idempotent ones on network and server failures
+     * Writes sent with an idempotency key are safe to repeat, so they are retried too.
+     * @param {string} endpoint - API endpoint
+     * @param {Object} options - Fetch options, plus `responseType: 'blob'`, `idempotencyKey` and
+     *                           `ifMatch` (record version the write is based on)
+     * @returns {Promise<Object|string|Blob>} Response data
+     * @throws {APIError} Typed error when the request fails
+     */
+    async fetchWithErrorHandling(endpoint, options = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+        const canRepeat = IDEMPOTENT_METHODS.includes(method) || Boolean(options.idempotencyKey);
+        const maxAttempts = canRepeat ? APP_CONFIG.API_MAX_RETRIES + 1 : 1;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this.sendRequest(endpoint, { ...options, method });
+            } catch (error) {
+                if (!error.retryable || attempt >= maxAttempts || !this.canReachServer()) {
+                    console.error(`API Error for ${method} ${endpoint}:`, error);
+                    throw error;
+                }
+
+                const delay = this.getRetryDelay(attempt);
+                console.warn(`Retrying ${method} ${endpoint} in ${delay} ms (${attempt}/${maxAttempts - 1})`);
+                await new Promise(resolve => setTimeout(resolve, delay));
             }
-            
-            return await response.text();
-        } catch (error) {
-            console.error(`API Error for ${endpoint}:`, error);
-            throw error;
         }
     }
 
-    // Employee API methods
-    async getEmployees() {
-        try {
-            return await this.fetchWithErrorHandling('/employees');
-        } catch (error) {
-            // Mock response for development
-            console.warn('Using mock employee data');
-            return [];
+    /**
+     * Send a single request
+     * @param {string} endpoint - API endpoint
+     * @param {Object} options - Fetch options
+     * @returns {Promise<Object|string|Blob>} Response data
+     */
+    async sendRequest(endpoint, { responseType, idempotencyKey, ifMatch, ...options }) {
+        if (this.offlineMode) {
+            throw new NetworkError(ERROR_MESSAGES.OFFLINE_MODE, { retryable: false });
         }
-    }
+        if (!this.isOnline) {
+            throw new NetworkError('No hay conexión a internet', { retryable: false });
+        }
+
+        // FormData sets its own multipart Content-Type
+        const headers = options.body instanceof FormData ?
+            { ...options.headers } :
+            { 'Content-Type': 'application/json', ...options.headers };
+        if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
+        if (this.apiToken) headers.Authorization = `Bearer ${this.apiToken}`;
+        if (ifMatch !== undefined && ifMatch !== null) headers['If-Match'] = `"${ifMatch}"`;
+
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), APP_CONFIG.API_TIMEOUT);
 
-    async createEmployee(employeeData) {
+        let response;
         try {
-            return await this.fetchWithErrorHandling('/employees', {
-                method: 'POST',
-                body: JSON.stringify(employeeData)
-            });
+            response = await fetch(`${this.baseURL}${endpoint}`, { ...options, headers, signal: controller.signal });
         } catch (error) {
-            // Mock response
-            console.warn('Mock employee creation');
-            return { success: true, id: Date.now() };
+            throw new NetworkError(
+                error.name === 'AbortError' ? 'El servidor no respondió a tiempo' : 'No hay conexión con el servidor',
+                { details: error.message }
+            );
+        } finally {
+            clearTimeout(timeout);
         }
-    }
 
-    async updateEmployee(id, employeeData) {
-        try {
-            return await this.fetchWithErrorHandling(`/employees/${id}`, {
-                method: 'PUT',
-                body: JSON.stringify(employeeData)
-            });
-        } catch (error) {
-            console.warn('Mock employee update');
-            return { success: true };
+        if (!response.ok) {
+            throw createHTTPError(response.status, await this.readBody(response));
         }
+
+        if (responseType === 'blob') return response.blob();
+        return this.readBody(response);
     }
 
-    async deleteEmployee(id) {
+    /**
+     * Read a response body as JSON when possible
+     * @param {Response} response - Fetch response
+     * @returns {Promise<Object|string|null>} Body
+     */
+    async readBody(response) {
+        const text = await response.text();
+        if (!text) return null;
+
+        const contentType = response.headers.get('content-type') || '';
+        if (!contentType.includes('application/json')) return text;
+
         try {
-            return await this.fetchWithErrorHandling(`/employees/${id}`, {
-                method: 'DELETE'
-            });
+            return JSON.parse(text);
         } catch (error) {
-            console.warn('Mock employee deletion');
-            return { success: true };
+            throw new APIError('El servidor envió una respuesta inválida', { status: response.status, details: text });
         }
     }
 
+    /**
+     * Exponential backoff with jitter
+     * @param {number} attempt - Failed attempt number, from 1
+     * @returns {number} Delay in milliseconds
+     */
+    getRetryDelay(attempt) {
+        const base = APP_CONFIG.API_RETRY_DELAY * 2 ** (attempt - 1);
+        return Math.round(base / 2 + Math.random() * base / 2);
+    }
+
+    // Employee API methods
+    async getEmployees() {
+        return this.fetchWithErrorHandling('/employees');
+    }
+
+    async createEmployee(employeeData, options = {}) {
+        return this.fetchWithErrorHandling('/employees', {
+            method: 'POST',
+            body: JSON.stringify(employeeData),
+            ...options
+        });
+    }
+
+    async updateEmployee(id, employeeData, options = {}) {
+        return this.fetchWithErrorHandling(`/employees/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(employeeData),
+            ...options
+        });
+    }
+
+    async deleteEmployee(id, options = {}) {
+        return this.fetchWithErrorHandling(`/employees/${id}`, {
+            method: 'DELETE',
+            ...options
+        });
+    }
+
     // Parking API methods
     async getParkingSpaces() {
-        try {
-            return await this.fetchWithErrorHandling('/parking-spaces');
-        } catch (error) {
-            console.warn('Using mock parking data');
-            return [];
-        }
+        return this.fetchWithErrorHandling('/parking-spaces');
     }
 
-    async createParkingSpace(parkingData) {
-        try {
-            return await this.fetchWithErrorHandling('/parking-spaces', {
-                method: 'POST',
-                body: JSON.stringify(parkingData)
-            });
-        } catch (error) {
-            console.warn('Mock parking space creation');
-            return { success: true, id: Date.now() };
-        }
+    async createParkingSpace(parkingData, options = {}) {
+        return this.fetchWithErrorHandling('/parking-spaces', {
+            method: 'POST',
+            body: JSON.stringify(parkingData),
+            ...options
+        });
     }
 
-    async updateParkingSpace(id, parkingData) {
-        try {
-            return await this.fetchWithErrorHandling(`/parking-spaces/${id}`, {
-                method: 'PUT',
-                body: JSON.stringify(parkingData)
-            });
-        } catch (error) {
-            console.warn('Mock parking space update');
-            return { success: true };
-        }
+    async updateParkingSpace(id, parkingData, options = {}) {
+        return this.fetchWithErrorHandling(`/parking-spaces/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(parkingData),
+            ...options
+        });
     }
 
-    async deleteParkingSpace(id) {
-        try {
-            return await this.fetchWithErrorHandling(`/parking-spaces/${id}`, {
-                method: 'DELETE'
-            });
-        } catch (error) {
-            console.warn('Mock parking space deletion');
-            return { success: true };
-        }
+    async deleteParkingSpace(id, options = {}) {
+        return this.fetchWithErrorHandling(`/parking-spaces/${id}`, {
+            method: 'DELETE',
+            ...options
+        });
     }
 
     // Assignment API methods
     async getAssignments() {
-        try {
-            return await this.fetchWithErrorHandling('/assignments');
-        } catch (error) {
-            console.warn('Using mock assignment data');
-            return [];
-        }
+        return this.fetchWithErrorHandling('/assignments');
     }
 
-    async createAssignment(assignmentData) {
-        try {
-            return await this.fetchWithErrorHandling('/assignments', {
-                method: 'POST',
-                body: JSON.stringify(assignmentData)
-            });
-        } catch (error) {
-            console.warn('Mock assignment creation');
-            return { success: true, id: Date.now() };
-        }
+    async createAssignment(assignmentData, options = {}) {
+        return this.fetchWithErrorHandling('/assignments', {
+            method: 'POST',
+            body: JSON.stringify(assignmentData),
+            ...options
+        });
     }
 
-    async updateAssignment(id, assignmentData) {
-        try {
-            return await this.fetchWithErrorHandling(`/assignments/${id}`, {
-                method: 'PUT',
-                body: JSON.stringify(assignmentData)
-            });
-        } catch (error) {
-            console.warn('Mock assignment update');
-            return { success: true };
-        }
+    async updateAssignment(id, assignmentData, options = {}) {
+        return this.fetchWithErrorHandling(`/assignments/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(assignmentData),
+            ...options
+        });
     }
 
-    async deleteAssignment(id) {
-        try {
-            return await this.fetchWithErrorHandling(`/assignments/${id}`, {
-                method: 'DELETE'
-            });
-        } catch (error) {
-            console.warn('Mock assignment deletion');
-            return { success: true };
-        }
+    async deleteAssignment(id, options = {}) {
+        return this.fetchWithErrorHandling(`/assignments/${id}`, {
+            method: 'DELETE',
+            ...options
+        });
     }
 
     // Analytics API methods
     async getDashboardStats() {
-        try {
-            return await this.fetchWithErrorHandling('/analytics/dashboard');
-        } catch (error) {
-            console.warn('Using mock dashboard stats');
-            return {
-                totalSpaces: 0,
-                availableSpaces: 0,
-                occupiedSpaces: 0,
-                picoPlacaSpaces: 0
-            };
-        }
+        return this.fetchWithErrorHandling('/analytics/dashboard');
     }
 
     async getAvailabilityByDate(date, filters = {}) {
-        try {
-            const queryParams = new URLSearchParams({
-                date,
-                ...filters
-            });
-            return await this.fetchWithErrorHandling(`/analytics/availability?${queryParams}`);
-        } catch (error) {
-            console.warn('Using mock availability data');
-            return {
-                available: [],
-                occupied: [],
-                picoPlaca: []
-            };
-        }
+        const queryParams = new URLSearchParams({
+            date,
+            ...filters
+        });
+        return this.fetchWithErrorHandling(`/analytics/availability?${queryParams}`);
     }
 
     // Bulk operations
     async bulkCreateParkingSpaces(spacesData) {
-        try {
-            return await this.fetchWithErrorHandling('/parking-spaces/bulk', {
-                method: 'POST',
-                body: JSON.stringify({ spaces: spacesData })
-            });
-        } catch (error) {
-            console.warn('Mock bulk parking creation');
-            return { success: true, created: spacesData.length };
-        }
+        return this.fetchWithErrorHandling('/parking-spaces/bulk', {
+            method: 'POST',
+            body: JSON.stringify({ spaces: spacesData })
+        });
     }
 
-    async autoAssignParkingSpaces() {
-        try {
-            return await this.fetchWithErrorHandling('/assignments/auto-assign', {
-                method: 'POST'
-            });
-        } catch (error) {
-            console.warn('Mock auto-assignment');
-            return { success: true, assigned: 0 };
-        }
+    async autoAssignParkingSpaces(options = {}) {
+        return this.fetchWithErrorHandling('/assignments/auto-assign', {
+            method: 'POST',
+            body: JSON.stringify(options)
+        });
+    }
+
+    // Whole data document
+    async getData() {
+        return this.fetchWithErrorHandling('/data');
+    }
+
+    async replaceData(data) {
+        return this.fetchWithErrorHandling('/data', {
+            method: 'POST',
+            body: JSON.stringify(data)
+        });
+    }
+
+    async updateCollections(collections, options = {}) {
+        return this.fetchWithErrorHandling('/data', {
+            method: 'PATCH',
+            body: JSON.stringify(collections),
+            ...options
+        });
+    }
+
+    async deleteData() {
+        return this.fetchWithErrorHandling('/data', {
+            method: 'DELETE'
+        });
     }
 
     // Utility methods
     async healthCheck() {
-        try {
-            const response = await this.fetchWithErrorHandling('/health');
-            return response.status === 'ok';
-        } catch (error) {
-            return false;
-        }
+        const response = await this.fetchWithErrorHandling('/health');
+        return response?.status === 'ok';
     }
 
     /**
      * Check if API is available
+     * A probe, so failures mean "not available" instead of an error.
      * @returns {Promise<boolean>} API availability
      */
     async isAPIAvailable() {
@@ -283,18 +341,13 @@ class APIService {
     /**
      * Sync local data with server
      * @param {Object} localData - Local data to sync
-     * @returns {Promise<Object>} Sync result
+     * @returns {Promise<Object>} Sync result ({ success, source, data })
      */
     async syncData(localData) {
-        try {
-            return await this.fetchWithErrorHandling('/sync', {
-                method: 'POST',
-                body: JSON.stringify(localData)
-            });
-        } catch (error) {
-            console.warn('Data sync failed, using local data');
-            return { success: false, useLocal: true };
-        }
+        return this.fetchWithErrorHandling('/sync', {
+            method: 'POST',
+            body: JSON.stringify(localData)
+        });
     }
 
     /**
@@ -303,18 +356,13 @@ class APIService {
      * @returns {Promise<Object>} Upload result
      */
     async uploadBackup(file) {
-        try {
-            const formData = new FormData();
-            formData.append('backup', file);
+        const formData = new FormData();
+        formData.append('backup', file);
 
-            return await fetch(`${this.baseURL}/backup/upload`, {
-                method: 'POST',
-                body: formData
-            }).then(response => response.json());
-        } catch (error) {
-            console.error('Backup upload failed:', error);
-            throw error;
-        }
+        return this.fetchWithErrorHandling('/backup/upload', {
+            method: 'POST',
+            body: formData
+        });
     }
 
     /**
@@ -322,19 +370,10 @@ class APIService {
      * @returns {Promise<Blob>} Backup file
      */
     async downloadBackup() {
-        try {
-            const response = await fetch(`${this.baseURL}/backup/download`);
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            return await response.blob();
-        } catch (error) {
-            console.error('Backup download failed:', error);
-            throw error;
-        }
+        return this.fetchWithErrorHandling('/backup/download', { responseType: 'blob' });
     }
 }
 
 // Create singleton instance
 const apiService = new APIService();
-export default apiService;
\ No newline at end of file
+export default apiService;
@@ -0,0 +1,101 @@
+/**
+ * Typed errors raised by APIService
+ * Every failed request ends in one of these classes so callers can tell a
+ * lost connection from a rejected write and show the real reason.
+ */
+
+import { API_ERROR_TYPES } from '../utils/constants.js';
+import { PermissionError } from './auth.js';
+
+export class APIError extends Error {
+    /**
+     * @param {string} message - Message for the user
+     * @param {Object} options - { type, status, details, retryable }
+     */
+    constructor(message, { type = API_ERROR_TYPES.SERVER, status = null, details = null, retryable = false } = {}) {
+        super(message);
+        this.name = 'APIError';
+        this.type = type;
+        this.status = status;
+        this.details = details;
+        this.retryable = retryable;
+    }
+}
+
+/** The server could not be reached: no connection, timeout or offline mode */
+export class NetworkError extends APIError {
+    constructor(message = 'No hay conexión con el servidor', options = {}) {
+        super(message, { ...options, type: API_ERROR_TYPES.NETWORK, retryable: options.retryable ?? true });
+        this.name = 'NetworkError';
+    }
+}
+
+/** The server rejected the data (400, 404, 405, 422) */
+export class ValidationError extends APIError {
+    constructor(message, options = {}) {
+        super(message, { ...options, type: API_ERROR_TYPES.VALIDATION });
+        this.name = 'ValidationError';
+    }
+}
+
+/** The data clashes with what is stored (409) */
+export class ConflictError extends APIError {
+    constructor(message, options = {}) {
+        super(message, { ...options, type: API_ERROR_TYPES.CONFLICT });
+        this.name = 'ConflictError';
+    }
+}
+
+/** The session is missing or lacks permission (401, 403) */
+export class AuthError extends APIError {
+    constructor(message, options = {}) {
+        super(message, { ...options, type: API_ERROR_TYPES.AUTH });
+        this.name = 'AuthError';
+    }
+}
+
+/** The server failed (5xx, 408, 429); worth retrying */
+export class ServerError extends APIError {
+    constructor(message, options = {}) {
+        super(message, { ...options, type: API_ERROR_TYPES.SERVER, retryable: options.retryable ?? true });
+        this.name = 'ServerError';
+    }
+}
+
+/**
+ * Build the error for a failed HTTP response
+ * @param {number} status - HTTP status
+ * @param {Object|string|null} body - Parsed body ({ error, details } from the functions) or text
+ * @returns {APIError} Typed error
+ */
+export function createHTTPError(status, body) {
+    const serverMessage = body && typeof body === 'object' ? body.error : body;
+    const details = body && typeof body === 'object' ? body.details ?? null : null;
+    const options = { status, details };
+
+    if (status === 401 || status === 403) {
+        return new AuthError(serverMessage || 'No tiene permiso para realizar esta acción', options);
+    }
+    if (status === 409) {
+        return new ConflictError(serverMessage || 'Los datos entran en conflicto con los guardados', options);
+    }
+    if (status === 408 || status === 429) {
+        return new ServerError(serverMessage || 'El servidor está ocupado, intente más tarde', options);
+    }
+    if (status >= 400 && status < 500) {
+        return new ValidationError(serverMessage || 'El servidor rechazó los datos enviados', options);
+    }
+    return new ServerError(serverMessage || `Error del servidor (${status})`, options);
+}
+
+/**
+ * Get the message to show for an error
+ * API errors carry the server's reason and permission errors say the role is not allowed;
+ * anything else falls back to a generic text.
+ * @param {Error} error - Caught error
+ * @param {string} fallback - Message for unexpected errors
+ * @returns {string} Message for the user
+ */
+export function getErrorMessage(error, fallback) {
+    return error instanceof APIError || error instanceof PermissionError ? error.message : fallback;
+}
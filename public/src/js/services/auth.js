@@ -0,0 +1,410 @@
+/**
+ * Authentication and role-based access
+ * Staff users live in a local user store (localStorage) with hashed
+ * passwords; the signed-in user is kept for the browser session. Each role
+ * grants a list of permissions (ROLE_PERMISSIONS) and tabs (ROLE_TABS).
+ * StorageService asks checkWrite() before every save, so a change the role
+ * may not make is refused whichever button or console call started it.
+ * An employee signed in to the self-service portal may only touch their
+ * own records, and only the fields the portal writes (PORTAL_WRITES). The
+ * server does not know these rules; it only takes writes that carry its
+ * write key (see netlify/lib/auth.mjs).
+ */
+
+import {
+    APP_CONFIG,
+    ERROR_MESSAGES,
+    PERMISSIONS,
+    REQUEST_STATUS,
+    ROLE_PERMISSIONS,
+    ROLE_TABS,
+    USER_ROLES
+} from '../utils/constants.js';
+import { generateId, getCurrentDate, hashPin } from '../utils/helpers.js';
+import eventBus, { EVENTS, QUERIES } from './eventBus.js';
+
+/**
+ * Permissions that allow changing each collection; deleting records of an
+ * entity collection may need a narrower list
+ */
+const COLLECTION_PERMISSIONS = {
+    empleados: {
+        write: [PERMISSIONS.EDITAR_EMPLEADOS, PERMISSIONS.GESTIONAR_ASIGNACIONES],
+        delete: [PERMISSIONS.ELIMINAR_EMPLEADOS]
+    },
+    parqueaderos: {
+        write: [PERMISSIONS.GESTIONAR_PARQUEADEROS, PERMISSIONS.GESTIONAR_ASIGNACIONES],
+        delete: [PERMISSIONS.GESTIONAR_PARQUEADEROS]
+    },
+    asignaciones: { write: [PERMISSIONS.GESTIONAR_ASIGNACIONES] },
+    prestamosDiarios: { write: [PERMISSIONS.GESTIONAR_ASIGNACIONES, PERMISSIONS.REGISTRAR_INGRESOS] },
+    colaRotacion: { write: [PERMISSIONS.GESTIONAR_ASIGNACIONES, PERMISSIONS.REGISTRAR_INGRESOS, PERMISSIONS.EDITAR_EMPLEADOS] },
+    historialRotacion: { write: [PERMISSIONS.GESTIONAR_ASIGNACIONES, PERMISSIONS.REGISTRAR_INGRESOS] },
+    estrategiaRotacion: { write: [PERMISSIONS.GESTIONAR_ASIGNACIONES] },
+    reglasPicoPlaca: { write: [PERMISSIONS.GESTIONAR_REGLAS] },
+    diasNoLaborales: { write: [PERMISSIONS.GESTIONAR_REGLAS] },
+    solicitudesParqueadero: { write: [PERMISSIONS.GESTIONAR_ASIGNACIONES] }
+};
+
+/**
+ * What the employee in the portal may change without staff permissions:
+ * records whose `owner` field is their ID, only the listed `fields`, and new
+ * records that pass `canCreate`. Nothing may be deleted.
+ */
+const PORTAL_WRITES = {
+    empleados: { owner: 'id', fields: ['diasNoAsistencia'] },
+    solicitudesParqueadero: {
+        owner: 'empleadoId',
+        fields: [],
+        canCreate: request => request.estado === REQUEST_STATUS.PENDIENTE
+    }
+};
+
+// Anything not listed above (settings, new collections) is for administrators
+const DEFAULT_COLLECTION_PERMISSIONS = { write: [PERMISSIONS.ADMINISTRAR_DATOS] };
+
+export class PermissionError extends Error {
+    /**
+     * @param {string} permission - PERMISSIONS value that was missing
+     */
+    constructor(permission) {
+        super(ERROR_MESSAGES.PERMISSION_DENIED);
+        this.name = 'PermissionError';
+        this.permission = permission;
+    }
+}
+
+/**
+ * Normalize a user name for storage and comparison
+ * @param {string} usuario - User name as typed
+ * @returns {string} Lower-case, trimmed user name
+ */
+function normalizeUsername(usuario) {
+    return String(usuario || '').trim().toLowerCase();
+}
+
+class AuthService {
+    constructor() {
+        this.usersKey = APP_CONFIG.USERS_KEY;
+        this.sessionKey = APP_CONFIG.SESSION_KEY;
+        this.users = this.loadUsers();
+        this.currentUser = this.restoreSession();
+        this.portalEmployeeId = null;
+    }
+
+    /**
+     * Load the local user store
+     * @returns {Array} Users
+     */
+    loadUsers() {
+        try {
+            return JSON.parse(localStorage.getItem(this.usersKey)) || [];
+        } catch (error) {
+            console.error('Error loading users:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Store the users
+     */
+    saveUsers() {
+        localStorage.setItem(this.usersKey, JSON.stringify(this.users));
+    }
+
+    /**
+     * Get the user of the current browser session, if still active
+     * @returns {Object|null} User
+     */
+    restoreSession() {
+        const userId = Number(sessionStorage.getItem(this.sessionKey));
+        return this.users.find(user => user.id === userId && user.activo) || null;
+    }
+
+    /**
+     * Check whether the user store is empty, i.e. the first administrator must be created
+     * @returns {boolean} True if no user exists
+     */
+    needsSetup() {
+        return this.users.length === 0;
+    }
+
+    /**
+     * Get the users without their password hashes
+     * @returns {Array} Users
+     */
+    getUsers() {
+        return this.users.map(({ passwordHash, ...user }) => user);
+    }
+
+    /**
+     * Get the signed-in user
+     * @returns {Object|null} User without password hash
+     */
+    getCurrentUser() {
+        if (!this.currentUser) return null;
+        const { passwordHash, ...user } = this.currentUser;
+        return user;
+    }
+
+    /**
+     * Sign in with user name and password
+     * @param {string} usuario - User name
+     * @param {string} password - Password
+     * @returns {Promise<Object>} Signed-in user
+     * @throws {Error} When the credentials are wrong or the user is inactive
+     */
+    async login(usuario, password) {
+        const user = this.users.find(item => item.usuario === normalizeUsername(usuario));
+        const valid = user && user.activo && user.passwordHash === await hashPin(password, user.id);
+        if (!valid) throw new Error(ERROR_MESSAGES.INVALID_LOGIN);
+
+        this.currentUser = user;
+        sessionStorage.setItem(this.sessionKey, String(user.id));
+        eventBus.emit(EVENTS.SESSION_CHANGED, { user: this.getCurrentUser() });
+        return this.getCurrentUser();
+    }
+
+    /**
+     * Close the session
+     */
+    logout() {
+        this.currentUser = null;
+        sessionStorage.removeItem(this.sessionKey);
+        eventBus.emit(EVENTS.SESSION_CHANGED, { user: null });
+    }
+
+    /**
+     * Set the employee signed in to the self-service portal
+     * @param {number|null} employeeId - Employee ID, or null when they leave
+     */
+    setPortalEmployee(employeeId) {
+        this.portalEmployeeId = employeeId;
+    }
+
+    /**
+     * Get who is making changes, as written in the audit log
+     * An employee in the portal acts for themselves even if a staff session is open.
+     * @returns {Object} { usuarioId, usuario, rol }
+     */
+    getActor() {
+        if (this.portalEmployeeId) {
+            const employee = eventBus.request(QUERIES.EMPLOYEE_BY_ID, { id: this.portalEmployeeId });
+            return { usuarioId: null, usuario: `${employee?.nombre || this.portalEmployeeId} (portal)`, rol: null };
+        }
+        if (this.currentUser) {
+            return { usuarioId: this.currentUser.id, usuario: this.currentUser.nombre, rol: this.currentUser.rol };
+        }
+        return { usuarioId: null, usuario: 'Sistema', rol: null };
+    }
+
+    /**
+     * Get the permissions of the current session
+     * @returns {Array} PERMISSIONS values
+     */
+    getPermissions() {
+        const permissions = this.currentUser ? [...(ROLE_PERMISSIONS[this.currentUser.rol] || [])] : [];
+        if (this.portalEmployeeId) permissions.push(PERMISSIONS.PORTAL_EMPLEADO);
+        return permissions;
+    }
+
+    /**
+     * Check a permission
+     * @param {string} permission - PERMISSIONS value
+     * @returns {boolean} True if the session has it
+     */
+    can(permission) {
+        return this.getPermissions().includes(permission);
+    }
+
+    /**
+     * Require a permission
+     * @param {string} permission - PERMISSIONS value
+     * @throws {PermissionError} When the session does not have it
+     */
+    require(permission) {
+        if (!this.can(permission)) throw new PermissionError(permission);
+    }
+
+    /**
+     * Check whether the signed-in user may open a tab
+     * @param {string} tab - UI_ELEMENTS.TABS value
+     * @returns {boolean} True if allowed
+     */
+    canSeeTab(tab) {
+        return Boolean(this.currentUser) && (ROLE_TABS[this.currentUser.rol] || []).includes(tab);
+    }
+
+    /**
+     * Check whether the session may change a collection
+     * @param {string} collection - Collection name, e.g. 'empleados'
+     * @param {boolean} deleting - Whether records are removed
+     * @returns {boolean} True if allowed
+     */
+    canWrite(collection, deleting = false) {
+        const rule = COLLECTION_PERMISSIONS[collection] || DEFAULT_COLLECTION_PERMISSIONS;
+        const required = deleting && rule.delete ? rule.delete : rule.write;
+        return required.some(permission => this.can(permission));
+    }
+
+    /**
+     * Check whether a collection change is the portal employee's own self-service
+     * @param {string} collection - Collection name
+     * @param {Array} previous - Stored records
+     * @param {Array} next - Records about to be saved
+     * @returns {boolean} True if every changed record is allowed by PORTAL_WRITES
+     */
+    isOwnPortalChange(collection, previous, next) {
+        const rule = PORTAL_WRITES[collection];
+        if (!rule || !this.can(PERMISSIONS.PORTAL_EMPLEADO) || !Array.isArray(next)) return false;
+
+        const stored = new Map((Array.isArray(previous) ? previous : []).map(record => [record?.id, record]));
+        return next
+            .filter(record => JSON.stringify(stored.get(record?.id)) !== JSON.stringify(record))
+            .every(record => {
+                if (record?.[rule.owner] !== this.portalEmployeeId) return false;
+
+                const current = stored.get(record.id);
+                if (!current) return Boolean(rule.canCreate?.(record));
+
+                const fields = new Set([...Object.keys(current), ...Object.keys(record)]);
+                return [...fields].every(field =>
+                    rule.fields.includes(field) || JSON.stringify(current[field]) === JSON.stringify(record[field])
+                );
+            });
+    }
+
+    /**
+     * Refuse a save that changes collections the session may not change
+     * @param {Object} previous - Stored data
+     * @param {Object} next - Data about to be saved
+     * @throws {PermissionError} When a changed collection is not allowed
+     */
+    checkWrite(previous, next) {
+        const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+
+        keys.forEach(key => {
+            if (JSON.stringify(previous[key]) === JSON.stringify(next[key])) return;
+
+            const nextIds = new Set((Array.isArray(next[key]) ? next[key] : []).map(record => record?.id));
+            const deleting = Array.isArray(previous[key]) &&
+                previous[key].some(record => record?.id !== undefined && !nextIds.has(record.id));
+
+            if (!this.canWrite(key, deleting) && (deleting || !this.isOwnPortalChange(key, previous[key], next[key]))) {
+                const rule = COLLECTION_PERMISSIONS[key] || DEFAULT_COLLECTION_PERMISSIONS;
+                throw new PermissionError((deleting && rule.delete ? rule.delete : rule.write)[0]);
+            }
+        });
+    }
+
+    /**
+     * Check a user record before saving it
+     * @param {Object} data - { usuario, nombre, rol, password }
+     * @param {number|null} id - ID of the user being edited
+     * @returns {Object} { isValid, error }
+     */
+    validateUser(data, id = null) {
+        if (!normalizeUsername(data.usuario) || !String(data.nombre || '').trim()) {
+            return { isValid: false, error: ERROR_MESSAGES.REQUIRED_FIELDS };
+        }
+        if (!Object.values(USER_ROLES).includes(data.rol)) {
+            return { isValid: false, error: ERROR_MESSAGES.REQUIRED_FIELDS };
+        }
+        if (this.users.some(user => user.usuario === normalizeUsername(data.usuario) && user.id !== id)) {
+            return { isValid: false, error: ERROR_MESSAGES.DUPLICATE_USER };
+        }
+        if ((id === null || data.password) && String(data.password || '').length < APP_CONFIG.MIN_PASSWORD_LENGTH) {
+            return { isValid: false, error: ERROR_MESSAGES.WEAK_PASSWORD };
+        }
+        return { isValid: true };
+    }
+
+    /**
+     * Check whether a change would leave no active administrator
+     * @param {number} id - User being changed
+     * @param {Object} changes - New values ({ rol, activo }), or null for a removal
+     * @returns {boolean} True if an active administrator would remain
+     */
+    keepsAnAdmin(id, changes) {
+        return this.users.some(user => {
+            const result = user.id === id ? (changes ? { ...user, ...changes } : null) : user;
+            return result && result.activo && result.rol === USER_ROLES.ADMIN;
+        });
+    }
+
+    /**
+     * Create a user
+     * Only administrators may, except for the first one, created on setup.
+     * @param {Object} data - { usuario, nombre, rol, password }
+     * @returns {Promise<Object>} Created user
+     * @throws {PermissionError|Error} When not allowed or invalid
+     */
+    async createUser(data) {
+        const setup = this.needsSetup();
+        if (!setup) this.require(PERMISSIONS.GESTIONAR_USUARIOS);
+
+        const validation = this.validateUser(setup ? { ...data, rol: USER_ROLES.ADMIN } : data);
+        if (!validation.isValid) throw new Error(validation.error);
+
+        const user = {
+            id: generateId(),
+            usuario: normalizeUsername(data.usuario),
+            nombre: String(data.nombre).trim(),
+            rol: setup ? USER_ROLES.ADMIN : data.rol,
+            activo: true,
+            fechaCreacion: getCurrentDate()
+        };
+        user.passwordHash = await hashPin(data.password, user.id);
+
+        this.users.push(user);
+        this.saveUsers();
+        return this.getUsers().find(item => item.id === user.id);
+    }
+
+    /**
+     * Change a user's name, role, state or password
+     * @param {number} id - User ID
+     * @param {Object} changes - { nombre, rol, activo, password }
+     * @returns {Promise<void>}
+     * @throws {PermissionError|Error} When not allowed or invalid
+     */
+    async updateUser(id, changes) {
+        this.require(PERMISSIONS.GESTIONAR_USUARIOS);
+
+        const user = this.users.find(item => item.id === id);
+        if (!user) return;
+
+        const { password, ...fields } = changes;
+        const validation = this.validateUser({ ...user, ...fields, password }, id);
+        if (!validation.isValid) throw new Error(validation.error);
+        if (!this.keepsAnAdmin(id, fields)) throw new Error(ERROR_MESSAGES.LAST_ADMIN);
+
+        Object.assign(user, fields);
+        if (password) user.passwordHash = await hashPin(password, user.id);
+        this.saveUsers();
+
+        // A user who lost access is signed out
+        if (this.currentUser?.id === id) {
+            if (user.activo) eventBus.emit(EVENTS.SESSION_CHANGED, { user: this.getCurrentUser() });
+            else this.logout();
+        }
+    }
+
+    /**
+     * Delete a user
+     * @param {number} id - User ID
+     * @throws {PermissionError|Error} When not allowed or it is the last administrator
+     */
+    removeUser(id) {
+        this.require(PERMISSIONS.GESTIONAR_USUARIOS);
+        if (!this.keepsAnAdmin(id, null)) throw new Error(ERROR_MESSAGES.LAST_ADMIN);
+
+        this.users = this.users.filter(user => user.id !== id);
+        this.saveUsers();
+        if (this.currentUser?.id === id) this.logout();
+    }
+}
+
+// Create singleton instance
+const authService = new AuthService();
+export default authService;
@@ -0,0 +1,252 @@
+/**
+ * IndexedDB storage adapter
+ * Employees, spaces, assignments and rotation history live in their own
+ * object stores, one record per entry, so a change writes only the records
+ * that changed. Everything else in the data document (rules, calendars,
+ * queues, settings) goes to the 'documento' store as one entry per key.
+ * The audit log has a store of its own, outside the data document: entries
+ * are only ever added, in the same transaction as the change they describe.
+ * Every write runs in a single transaction over all the stores it touches:
+ * it is applied whole or not at all.
+ */
+
+import { APP_CONFIG } from '../utils/constants.js';
+
+// Stores with one record per entity, and their lookup indexes
+export const ENTITY_STORES = {
+    empleados: ['cedula', 'placa'],
+    parqueaderos: ['numero'],
+    asignaciones: ['empleadoId', 'parqueaderoId'],
+    historialRotacion: ['empleadoId']
+};
+
+// Remaining keys of the data document, stored as { clave, valor }
+const DOCUMENT_STORE = 'documento';
+
+// Audit log entries (see utils/audit.js), and their lookup indexes
+const AUDIT_STORE = 'auditoria';
+const AUDIT_INDEXES = ['entidadId', 'usuario'];
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Request result
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} transaction - Transaction
+ * @returns {Promise<void>} Resolves on commit, rejects on error or abort
+ */
+function whenComplete(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * List the writes that turn one data document into another
+ * Entity records are compared one by one; other keys as a whole, and keys
+ * missing from next are removed.
+ * @param {Object} previous - Stored data
+ * @param {Object} next - Data to store
+ * @returns {Object} { puts: { store: [records] }, deletes: { store: [ids] }, document: { key: value } }
+ */
+export function getChanges(previous, next) {
+    const changes = { puts: {}, deletes: {}, document: {} };
+
+    Object.keys(ENTITY_STORES).forEach(store => {
+        const before = new Map((previous[store] || []).map(record => [record.id, record]));
+        const after = new Map((next[store] || []).map(record => [record.id, record]));
+
+        const puts = [...after.values()].filter(record =>
+            !before.has(record.id) || JSON.stringify(before.get(record.id)) !== JSON.stringify(record));
+        const deletes = [...before.keys()].filter(id => !after.has(id));
+
+        if (puts.length > 0) changes.puts[store] = puts;
+        if (deletes.length > 0) changes.deletes[store] = deletes;
+    });
+
+    // Keys missing from next are written as undefined, which deletes them
+    [...new Set([...Object.keys(previous), ...Object.keys(next)])]
+        .filter(key => !ENTITY_STORES[key])
+        .filter(key => JSON.stringify(previous[key]) !== JSON.stringify(next[key]))
+        .forEach(key => { changes.document[key] = next[key]; });
+
+    return changes;
+}
+
+/**
+ * Check whether a change set writes anything
+ * @param {Object} changes - From getChanges
+ * @returns {boolean} True if empty
+ */
+export function isEmptyChange({ puts, deletes, document }) {
+    return Object.keys(puts).length === 0 &&
+        Object.keys(deletes).length === 0 &&
+        Object.keys(document).length === 0;
+}
+
+class IndexedDBAdapter {
+    constructor() {
+        this.dbName = APP_CONFIG.DB_NAME;
+        this.dbVersion = APP_CONFIG.DB_VERSION;
+        this.db = null;
+    }
+
+    /**
+     * Check whether the browser offers IndexedDB
+     * @returns {boolean} True if available
+     */
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open the database, creating the stores on first use
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    async open() {
+        if (this.db) return this.db;
+
+        const request = indexedDB.open(this.dbName, this.dbVersion);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+
+            Object.entries(ENTITY_STORES).forEach(([store, indexes]) => {
+                if (db.objectStoreNames.contains(store)) return;
+                const objectStore = db.createObjectStore(store, { keyPath: 'id' });
+                indexes.forEach(index => objectStore.createIndex(index, index, { unique: false }));
+            });
+
+            if (!db.objectStoreNames.contains(DOCUMENT_STORE)) {
+                db.createObjectStore(DOCUMENT_STORE, { keyPath: 'clave' });
+            }
+
+            if (!db.objectStoreNames.contains(AUDIT_STORE)) {
+                const auditStore = db.createObjectStore(AUDIT_STORE, { keyPath: 'id' });
+                AUDIT_INDEXES.forEach(index => auditStore.createIndex(index, index, { unique: false }));
+            }
+        };
+        request.onblocked = () => console.warn('IndexedDB upgrade blocked by another open tab');
+
+        this.db = await promisify(request);
+        // Another tab upgrading the schema needs this connection closed
+        this.db.onversionchange = () => {
+            this.db.close();
+            this.db = null;
+        };
+        return this.db;
+    }
+
+    /**
+     * Get the names of every store of the data document
+     * @returns {Array} Store names
+     */
+    getStoreNames() {
+        return [...Object.keys(ENTITY_STORES), DOCUMENT_STORE];
+    }
+
+    /**
+     * Read the whole data document
+     * @returns {Promise<Object|null>} Data, or null if nothing is stored yet
+     */
+    async readAll() {
+        const db = await this.open();
+        const transaction = db.transaction(this.getStoreNames(), 'readonly');
+
+        const [entries, ...collections] = await Promise.all([
+            promisify(transaction.objectStore(DOCUMENT_STORE).getAll()),
+            ...Object.keys(ENTITY_STORES).map(store => promisify(transaction.objectStore(store).getAll()))
+        ]);
+
+        const isEmpty = entries.length === 0 && collections.every(records => records.length === 0);
+        if (isEmpty) return null;
+
+        const data = Object.fromEntries(entries.map(({ clave, valor }) => [clave, valor]));
+        Object.keys(ENTITY_STORES).forEach((store, i) => { data[store] = collections[i]; });
+        return data;
+    }
+
+    /**
+     * Read the audit log
+     * @returns {Promise<Array>} Entries, oldest first
+     */
+    async readAudit() {
+        const db = await this.open();
+        const transaction = db.transaction(AUDIT_STORE, 'readonly');
+        return promisify(transaction.objectStore(AUDIT_STORE).getAll());
+    }
+
+    /**
+     * Apply a change set in one transaction
+     * @param {Object} changes - From getChanges
+     * @param {Array} audit - Audit entries describing the change; added, never replaced
+     * @returns {Promise<void>} Resolves once committed
+     * @throws {DOMException} When the transaction fails (e.g. quota exceeded); nothing is written then
+     */
+    async write({ puts, deletes, document }, audit = []) {
+        const stores = new Set([...Object.keys(puts), ...Object.keys(deletes)]);
+        if (Object.keys(document).length > 0) stores.add(DOCUMENT_STORE);
+        if (audit.length > 0) stores.add(AUDIT_STORE);
+        if (stores.size === 0) return;
+
+        const db = await this.open();
+        const transaction = db.transaction([...stores], 'readwrite');
+        const done = whenComplete(transaction);
+
+        Object.entries(deletes).forEach(([store, ids]) => {
+            const objectStore = transaction.objectStore(store);
+            ids.forEach(id => objectStore.delete(id));
+        });
+        Object.entries(puts).forEach(([store, records]) => {
+            const objectStore = transaction.objectStore(store);
+            records.forEach(record => objectStore.put(record));
+        });
+        Object.entries(document).forEach(([clave, valor]) => {
+            const objectStore = transaction.objectStore(DOCUMENT_STORE);
+            if (valor === undefined) objectStore.delete(clave);
+            else objectStore.put({ clave, valor });
+        });
+        audit.forEach(entry => transaction.objectStore(AUDIT_STORE).add(entry));
+
+        return done;
+    }
+
+    /**
+     * Find records through one of the store indexes
+     * @param {string} store - Entity store, e.g. 'empleados'
+     * @param {string} index - Indexed field, e.g. 'cedula'
+     * @param {*} value - Value to look up
+     * @returns {Promise<Array>} Matching records
+     */
+    async findBy(store, index, value) {
+        const db = await this.open();
+        const transaction = db.transaction(store, 'readonly');
+        return promisify(transaction.objectStore(store).index(index).getAll(value));
+    }
+
+    /**
+     * Delete every record of the data document; the audit log is kept
+     * @returns {Promise<void>} Resolves once committed
+     */
+    async clear() {
+        const db = await this.open();
+        const transaction = db.transaction(this.getStoreNames(), 'readwrite');
+        const done = whenComplete(transaction);
+        this.getStoreNames().forEach(store => transaction.objectStore(store).clear());
+        return done;
+    }
+}
+
+// Create singleton instance
+const indexedDBAdapter = new IndexedDBAdapter();
+export default indexedDBAdapter;
@@ -0,0 +1,285 @@
+/**
+ * Application event bus
+ * Modules announce what happened with emit() and react with on(); lookups
+ * across modules that cannot import each other go through request(), which
+ * returns the answer of the single module that handle()s the query.
+ * Every event and query is declared in the catalogs below with the fields
+ * its payload carries: emitting or asking for anything undeclared is an
+ * error, and a payload missing a declared field is reported in the console.
+ * While the debug log is on (see the event log panel), every emit and
+ * request is recorded with its payload.
+ */
+
+import { APP_CONFIG } from '../utils/constants.js';
+
+/**
+ * Events: what happened, after the change was saved
+ */
+export const EVENTS = {
+    EMPLOYEE_ADDED: 'employeeAdded',
+    EMPLOYEE_UPDATED: 'employeeUpdated',
+    EMPLOYEE_DELETED: 'employeeDeleted',
+    EMPLOYEE_ARCHIVED: 'employeeArchived',
+    EMPLOYEE_RESTORED: 'employeeRestored',
+    PARKING_SPACE_ADDED: 'parkingSpaceAdded',
+    PARKING_SPACE_UPDATED: 'parkingSpaceUpdated',
+    PARKING_SPACE_DELETED: 'parkingSpaceDeleted',
+    PARKING_SPACE_STATUS_CHANGED: 'parkingSpaceStatusChanged',
+    BULK_PARKING_GENERATED: 'bulkParkingGenerated',
+    ASSIGNMENT_CREATED: 'assignmentCreated',
+    ASSIGNMENT_ENDED: 'assignmentEnded',
+    ASSIGNMENTS_REFRESHED: 'assignmentsRefreshed',
+    DAILY_LOAN_CREATED: 'dailyLoanCreated',
+    DAILY_LOAN_CANCELLED: 'dailyLoanCancelled',
+    PICO_PLACA_RULES_UPDATED: 'picoPlacaRulesUpdated',
+    NON_WORKING_DAYS_UPDATED: 'nonWorkingDaysUpdated',
+    OUTBOX_CHANGED: 'outboxChanged',
+    OFFLINE_MODE_CHANGED: 'offlineModeChanged',
+    SYNC_CONFLICT: 'syncConflict',
+    SYNC_CONFLICT_RESOLVED: 'syncConflictResolved',
+    SESSION_CHANGED: 'sessionChanged',
+    AUDIT_RECORDED: 'auditRecorded',
+    HISTORY_CHANGED: 'historyChanged'
+};
+
+/**
+ * Queries: lookups answered by the module that owns the data
+ */
+export const QUERIES = {
+    EMPLOYEE_BY_ID: 'employeeById',
+    EMPLOYEE_ASSIGNMENT: 'employeeAssignment',
+    EMPLOYEE_ASSIGNMENT_HISTORY: 'employeeAssignmentHistory',
+    SPACE_RELOCATION_OPTIONS: 'spaceRelocationOptions'
+};
+
+// Payload fields of every event
+const EVENT_CATALOG = {
+    [EVENTS.EMPLOYEE_ADDED]: { description: 'Empleado registrado (el registro completo)', fields: ['id', 'nombre'] },
+    [EVENTS.EMPLOYEE_UPDATED]: { description: 'Empleado modificado', fields: ['id', 'data'] },
+    [EVENTS.EMPLOYEE_DELETED]: { description: 'Empleado eliminado', fields: ['id'] },
+    [EVENTS.EMPLOYEE_ARCHIVED]: { description: 'Empleado retirado y archivado', fields: ['id', 'fechaRetiro'] },
+    [EVENTS.EMPLOYEE_RESTORED]: { description: 'Empleado retirado restaurado', fields: ['id'] },
+    [EVENTS.PARKING_SPACE_ADDED]: { description: 'Parqueadero creado (el registro completo)', fields: ['id', 'numero'] },
+    [EVENTS.PARKING_SPACE_UPDATED]: { description: 'Parqueadero modificado', fields: ['id', 'data'] },
+    [EVENTS.PARKING_SPACE_DELETED]: { description: 'Parqueadero eliminado', fields: ['id'] },
+    [EVENTS.PARKING_SPACE_STATUS_CHANGED]: { description: 'Estado del parqueadero cambiado (reubicarEn: parqueadero que recibe sus asignaciones, o null)', fields: ['id', 'estado', 'reubicarEn'] },
+    [EVENTS.BULK_PARKING_GENERATED]: { description: 'Parqueaderos generados en bloque', fields: ['count'] },
+    [EVENTS.ASSIGNMENT_CREATED]: { description: 'Asignación creada (el registro completo)', fields: ['id', 'parqueaderoId'] },
+    [EVENTS.ASSIGNMENT_ENDED]: { description: 'Asignación terminada o cancelada', fields: ['id', 'estado'] },
+    [EVENTS.ASSIGNMENTS_REFRESHED]: { description: 'Estados de asignaciones recalculados', fields: ['date'] },
+    [EVENTS.DAILY_LOAN_CREATED]: { description: 'Cupo del día prestado', fields: ['id', 'fecha'] },
+    [EVENTS.DAILY_LOAN_CANCELLED]: { description: 'Cupo del día cancelado', fields: ['id', 'fecha'] },
+    [EVENTS.PICO_PLACA_RULES_UPDATED]: { description: 'Reglas de pico y placa modificadas', fields: ['ruleSets'] },
+    [EVENTS.NON_WORKING_DAYS_UPDATED]: { description: 'Calendario de días no laborales modificado', fields: ['companyDays'] },
+    [EVENTS.OUTBOX_CHANGED]: { description: 'Cambios pendientes de enviar al servidor', fields: ['pending', 'lastError'] },
+    [EVENTS.OFFLINE_MODE_CHANGED]: { description: 'Modo sin conexión activado o desactivado', fields: ['offlineMode'] },
+    [EVENTS.SYNC_CONFLICT]: { description: 'El servidor rechazó un cambio por conflicto de versión', fields: ['operation', 'remote'] },
+    [EVENTS.SYNC_CONFLICT_RESOLVED]: { description: 'Conflicto de edición resuelto', fields: ['operation', 'remote'] },
+    [EVENTS.SESSION_CHANGED]: { description: 'Inicio o cierre de sesión, o cambio de rol (user es null al salir)', fields: ['user'] },
+    [EVENTS.AUDIT_RECORDED]: { description: 'Cambios anotados en el historial de auditoría', fields: ['entries'] },
+    [EVENTS.HISTORY_CHANGED]: { description: 'Operación registrada, deshecha o rehecha', fields: ['action', 'label', 'canUndo', 'canRedo'] }
+};
+
+// Parameter fields of every query
+const QUERY_CATALOG = {
+    [QUERIES.EMPLOYEE_BY_ID]: { description: 'Empleado por id (o null)', fields: ['id'] },
+    [QUERIES.EMPLOYEE_ASSIGNMENT]: { description: 'Asignación actual o próxima de un empleado (o null)', fields: ['employeeId'] },
+    [QUERIES.EMPLOYEE_ASSIGNMENT_HISTORY]: { description: 'Todas las asignaciones de un empleado, la más reciente primero', fields: ['employeeId'] },
+    [QUERIES.SPACE_RELOCATION_OPTIONS]: { description: 'Asignaciones vigentes de un parqueadero y parqueaderos equivalentes libres para recibirlas', fields: ['parqueaderoId'] }
+};
+
+/**
+ * Get the description of an event or query
+ * @param {string} name - Event or query name
+ * @returns {string} Description, or the name if it is not in the catalogs
+ */
+export function describeEvent(name) {
+    return (EVENT_CATALOG[name] || QUERY_CATALOG[name])?.description || name;
+}
+
+class EventBus {
+    constructor() {
+        this.listeners = new Map();
+        this.responders = new Map();
+        this.logListeners = [];
+        this.log = [];
+        this.debug = localStorage.getItem(APP_CONFIG.EVENT_LOG_KEY) === 'true';
+    }
+
+    /**
+     * Report a payload that lacks a field declared in the catalog
+     * @param {Object} entry - Catalog entry
+     * @param {string} name - Event or query name
+     * @param {Object} payload - Payload
+     */
+    checkPayload(entry, name, payload) {
+        const missing = entry.fields.filter(field => !payload || !(field in payload));
+        if (missing.length > 0) {
+            console.warn(`Event bus: "${name}" sent without ${missing.join(', ')}`, payload);
+        }
+    }
+
+    /**
+     * Listen to an event
+     * @param {string} event - EVENTS value
+     * @param {Function} handler - (payload) => void
+     * @returns {Function} Removes the listener
+     * @throws {Error} When the event is not in the catalog
+     */
+    on(event, handler) {
+        if (!EVENT_CATALOG[event]) throw new Error(`Unknown event: ${event}`);
+
+        if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+        this.listeners.get(event).add(handler);
+        return () => this.off(event, handler);
+    }
+
+    /**
+     * Listen to the next occurrence of an event only
+     * @param {string} event - EVENTS value
+     * @param {Function} handler - (payload) => void
+     * @returns {Function} Removes the listener before it runs
+     */
+    once(event, handler) {
+        const off = this.on(event, (payload) => {
+            off();
+            handler(payload);
+        });
+        return off;
+    }
+
+    /**
+     * Stop listening to an event
+     * @param {string} event - EVENTS value
+     * @param {Function} handler - Handler given to on()
+     */
+    off(event, handler) {
+        this.listeners.get(event)?.delete(handler);
+    }
+
+    /**
+     * Announce an event to its listeners
+     * A failing listener is logged and does not stop the others.
+     * @param {string} event - EVENTS value
+     * @param {Object} payload - Fields declared in the catalog
+     * @throws {Error} When the event is not in the catalog
+     */
+    emit(event, payload) {
+        const entry = EVENT_CATALOG[event];
+        if (!entry) throw new Error(`Unknown event: ${event}`);
+        this.checkPayload(entry, event, payload);
+
+        const handlers = [...(this.listeners.get(event) || [])];
+        this.record('evento', event, payload, handlers.length);
+
+        handlers.forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Error in "${event}" listener:`, error);
+            }
+        });
+    }
+
+    /**
+     * Answer a query; only one module may answer each one
+     * @param {string} query - QUERIES value
+     * @param {Function} responder - (params) => result
+     * @returns {Function} Removes the responder
+     * @throws {Error} When the query is unknown or already answered
+     */
+    handle(query, responder) {
+        if (!QUERY_CATALOG[query]) throw new Error(`Unknown query: ${query}`);
+        if (this.responders.has(query)) throw new Error(`Query already handled: ${query}`);
+
+        this.responders.set(query, responder);
+        return () => {
+            if (this.responders.get(query) === responder) this.responders.delete(query);
+        };
+    }
+
+    /**
+     * Ask a query and get the answer right away
+     * @param {string} query - QUERIES value
+     * @param {Object} params - Fields declared in the catalog
+     * @returns {*} Answer of the responder
+     * @throws {Error} When the query is unknown or nobody answers it
+     */
+    request(query, params) {
+        const entry = QUERY_CATALOG[query];
+        if (!entry) throw new Error(`Unknown query: ${query}`);
+        this.checkPayload(entry, query, params);
+
+        const responder = this.responders.get(query);
+        if (!responder) throw new Error(`No handler for query: ${query}`);
+
+        this.record('consulta', query, params, 1);
+        return responder(params);
+    }
+
+    /**
+     * Turn the debug log on or off; the choice is remembered on this device
+     * @param {boolean} enabled - Whether to record events
+     */
+    setDebug(enabled) {
+        this.debug = Boolean(enabled);
+        localStorage.setItem(APP_CONFIG.EVENT_LOG_KEY, String(this.debug));
+        if (!this.debug) this.clearLog();
+    }
+
+    /**
+     * Add an entry to the debug log
+     * Payloads are copied as text: records keep changing after the event.
+     * @param {string} kind - 'evento' or 'consulta'
+     * @param {string} name - Event or query name
+     * @param {*} payload - Payload or parameters
+     * @param {number} receivers - Listeners reached
+     */
+    record(kind, name, payload, receivers) {
+        if (!this.debug) return;
+
+        let text;
+        try {
+            text = JSON.stringify(payload) ?? '';
+        } catch (error) {
+            text = String(payload);
+        }
+
+        const entry = { time: new Date().toISOString(), kind, name, payload: text, receivers };
+        this.log.push(entry);
+        if (this.log.length > APP_CONFIG.EVENT_LOG_SIZE) this.log.shift();
+        this.logListeners.forEach(listener => listener(entry));
+    }
+
+    /**
+     * Get the recorded entries, oldest first
+     * @returns {Array} { time, kind, name, payload, receivers }
+     */
+    getLog() {
+        return [...this.log];
+    }
+
+    /**
+     * Empty the debug log
+     */
+    clearLog() {
+        this.log = [];
+        this.logListeners.forEach(listener => listener(null));
+    }
+
+    /**
+     * Follow the debug log as entries are recorded
+     * @param {Function} listener - (entry) => void; entry is null when the log is emptied
+     * @returns {Function} Stops following
+     */
+    onLog(listener) {
+        this.logListeners.push(listener);
+        return () => {
+            this.logListeners = this.logListeners.filter(item => item !== listener);
+        };
+    }
+}
+
+// Create singleton instance
+const eventBus = new EventBus();
+export default eventBus;
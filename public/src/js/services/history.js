@@ -0,0 +1,185 @@
+/**
+ * Command history for undo and redo
+ * Destructive operations (deletions, bulk generation, imports, automatic
+ * assignments) run through run(): the shared collections are compared
+ * before and after, cascades included, and the records that changed are
+ * kept as one command. Undoing puts those records back as they were and
+ * redoing applies them again; records the command did not touch keep any
+ * later change. The history lives in memory for the current page.
+ */
+
+import { APP_CONFIG } from '../utils/constants.js';
+import store, { STORE_KEYS } from './store.js';
+import eventBus, { EVENTS } from './eventBus.js';
+
+/**
+ * List the records that differ between two copies of the shared collections
+ * @param {Object} before - { collection: [records] }
+ * @param {Object} after - { collection: [records] }
+ * @returns {Object} { collection: [{ id, before, after }] }, null for a missing record
+ */
+export function diffCollections(before, after) {
+    const changes = {};
+
+    Object.keys(before).forEach(key => {
+        const previous = new Map(before[key].map(record => [record.id, record]));
+        const next = new Map(after[key].map(record => [record.id, record]));
+
+        const changed = [...new Set([...previous.keys(), ...next.keys()])]
+            .filter(id => JSON.stringify(previous.get(id)) !== JSON.stringify(next.get(id)))
+            .map(id => ({ id, before: previous.get(id) || null, after: next.get(id) || null }));
+
+        if (changed.length > 0) changes[key] = changed;
+    });
+
+    return changes;
+}
+
+/**
+ * Put one side of a command's records into a collection
+ * A record that still exists keeps its current version, so the server
+ * takes the restored copy as the next change instead of a conflict.
+ * @param {Array} records - Current collection
+ * @param {Array} changes - [{ id, before, after }]
+ * @param {string} side - 'before' to undo, 'after' to redo
+ * @returns {Array} New collection
+ */
+export function applyChanges(records, changes, side) {
+    const result = [...records];
+
+    changes.forEach(change => {
+        const index = result.findIndex(record => record.id === change.id);
+        const target = change[side];
+
+        if (!target) {
+            if (index !== -1) result.splice(index, 1);
+            return;
+        }
+
+        const current = result[index];
+        const restored = current ?
+            { ...structuredClone(target), version: current.version, updatedAt: current.updatedAt } :
+            structuredClone(target);
+        if (index === -1) result.push(restored); else result[index] = restored;
+    });
+
+    return result;
+}
+
+class HistoryService {
+    constructor() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.busy = false;
+    }
+
+    /**
+     * Copy the shared collections
+     * @returns {Object} { collection: [records] }
+     */
+    capture() {
+        return structuredClone(Object.fromEntries(STORE_KEYS.map(key => [key, store.get(key)])));
+    }
+
+    /**
+     * Run an operation as one undoable command
+     * Cascades run from the operation's events change the collections before
+     * their first await, so they are part of the command too.
+     * @param {string} label - What the command did, e.g. 'Eliminar empleado Ana'
+     * @param {Function} action - async () => result
+     * @returns {Promise<*>} Result of the action
+     */
+    async run(label, action) {
+        const before = this.capture();
+        try {
+            return await action();
+        } finally {
+            const changes = diffCollections(before, this.capture());
+            if (Object.keys(changes).length > 0) {
+                this.undoStack.push({ label, changes });
+                if (this.undoStack.length > APP_CONFIG.UNDO_LIMIT) this.undoStack.shift();
+                this.redoStack = [];
+                this.announce('registrar', label);
+            }
+        }
+    }
+
+    /**
+     * Check whether there is a command to undo
+     * @returns {boolean} True if undo() would do something
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Check whether there is an undone command to apply again
+     * @returns {boolean} True if redo() would do something
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Undo the last command
+     * @returns {Promise<string|null>} Label of the undone command, or null if there was none
+     * @throws {Error} When saving fails (see Store.commit); the command stays undoable
+     */
+    async undo() {
+        return this.move(this.undoStack, this.redoStack, 'before', 'deshacer');
+    }
+
+    /**
+     * Apply the last undone command again
+     * @returns {Promise<string|null>} Label of the redone command, or null if there was none
+     * @throws {Error} When saving fails (see Store.commit); the command stays redoable
+     */
+    async redo() {
+        return this.move(this.redoStack, this.undoStack, 'after', 'rehacer');
+    }
+
+    /**
+     * Apply the last command of one stack and move it to the other
+     * @param {Array} from - Stack to take the command from
+     * @param {Array} to - Stack to put it on
+     * @param {string} side - Records to apply: 'before' or 'after'
+     * @param {string} action - 'deshacer' or 'rehacer', for the event
+     * @returns {Promise<string|null>} Label of the command
+     */
+    async move(from, to, side, action) {
+        if (this.busy || from.length === 0) return null;
+
+        this.busy = true;
+        const command = from[from.length - 1];
+        const keys = Object.keys(command.changes);
+        try {
+            keys.forEach(key => store.set(key, applyChanges(store.get(key), command.changes[key], side)));
+            await store.commit(keys);
+            from.pop();
+            to.push(command);
+        } finally {
+            this.busy = false;
+        }
+
+        this.announce(action, command.label);
+        return command.label;
+    }
+
+    /**
+     * Tell the views what changed in the history
+     * @param {string} action - 'registrar', 'deshacer' or 'rehacer'
+     * @param {string} label - Command label
+     */
+    announce(action, label) {
+        eventBus.emit(EVENTS.HISTORY_CHANGED, {
+            action,
+            label,
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo()
+        });
+    }
+}
+
+// Create singleton instance
+const historyService = new HistoryService();
+export default historyService;
@@ -0,0 +1,250 @@
+/**
+ * Outbox of pending server writes
+ * Every change saved while the backend is enabled is recorded here as an
+ * operation and sent in order; operations that cannot reach the server stay
+ * in localStorage until the connection returns. Each operation carries a
+ * client id that is sent as its Idempotency-Key, so a replay after a lost
+ * response is not applied twice, and updates and deletes carry the record
+ * version they were based on (If-Match), so the server can refuse to
+ * overwrite another administrator's edit. Those refusals are handed to the
+ * merge dialog (ConflictManager) through the 'syncConflict' event.
+ */
+
+import { APP_CONFIG, OUTBOX_ENTITIES, OUTBOX_ACTIONS } from '../utils/constants.js';
+import apiService from './api.js';
+import eventBus, { EVENTS } from './eventBus.js';
+import { APIError, NetworkError, ConflictError } from './apiErrors.js';
+
+// Collections synced record by record, in the order creates and updates are sent
+const ENTITY_COLLECTIONS = [
+    { collection: 'empleados', entity: OUTBOX_ENTITIES.EMPLOYEE },
+    { collection: 'parqueaderos', entity: OUTBOX_ENTITIES.PARKING_SPACE },
+    { collection: 'asignaciones', entity: OUTBOX_ENTITIES.ASSIGNMENT }
+];
+
+/**
+ * Get the data collection of an outbox entity
+ * @param {string} entity - OUTBOX_ENTITIES value
+ * @returns {string|null} Collection name, e.g. 'empleados'
+ */
+export function getEntityCollection(entity) {
+    return ENTITY_COLLECTIONS.find(item => item.entity === entity)?.collection || null;
+}
+
+/**
+ * Create a unique client id for an operation
+ * @returns {string} Client id
+ */
+function createClientId() {
+    if (globalThis.crypto?.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * List the operations that turn one data document into another
+ * Creates and updates go employees → spaces → assignments and deletes the
+ * other way round, so the server never sees an assignment without its
+ * employee and space. Other collections are replaced whole.
+ * baseVersion is the version the change was made on: the one the edited
+ * record still carries, or the stored one for deletes.
+ * @param {Object} previous - Data before the change
+ * @param {Object} next - Data after the change
+ * @returns {Array} Operations without client id ({ entity, action, recordId, payload, baseVersion })
+ */
+export function buildOperations(previous, next) {
+    const upserts = [];
+    const deletes = [];
+
+    ENTITY_COLLECTIONS.forEach(({ collection, entity }) => {
+        const before = new Map((previous[collection] || []).map(record => [record.id, record]));
+        const after = new Map((next[collection] || []).map(record => [record.id, record]));
+
+        after.forEach((record, id) => {
+            if (!before.has(id)) {
+                upserts.push({ entity, action: OUTBOX_ACTIONS.CREATE, recordId: id, payload: record, baseVersion: 0 });
+            } else if (JSON.stringify(before.get(id)) !== JSON.stringify(record)) {
+                upserts.push({ entity, action: OUTBOX_ACTIONS.UPDATE, recordId: id, payload: record, baseVersion: record.version || 0 });
+            }
+        });
+
+        before.forEach((record, id) => {
+            if (!after.has(id)) {
+                deletes.unshift({ entity, action: OUTBOX_ACTIONS.DELETE, recordId: id, payload: null, baseVersion: record.version || 0 });
+            }
+        });
+    });
+
+    const entityCollections = ENTITY_COLLECTIONS.map(({ collection }) => collection);
+    const replaces = Object.keys(next)
+        .filter(name => Array.isArray(next[name]) && !entityCollections.includes(name))
+        .filter(name => JSON.stringify(previous[name] || []) !== JSON.stringify(next[name]))
+        .map(name => ({ entity: OUTBOX_ENTITIES.COLLECTION, action: OUTBOX_ACTIONS.REPLACE, recordId: name, payload: next[name] }));
+
+    return [...upserts, ...deletes, ...replaces];
+}
+
+class OutboxService {
+    constructor() {
+        this.storageKey = APP_CONFIG.OUTBOX_KEY;
+        this.operations = this.load();
+        this.lastError = null;
+
+        // Replays are chained so two flushes never send the same operation
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Load pending operations from localStorage
+     * @returns {Array} Operations
+     */
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            console.error('Error loading outbox:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Store pending operations and notify the header indicator
+     */
+    persist() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.operations));
+        eventBus.emit(EVENTS.OUTBOX_CHANGED, { pending: this.operations.length, lastError: this.lastError });
+    }
+
+    /**
+     * Get the number of operations waiting for the server
+     * @returns {number} Pending operations
+     */
+    getPendingCount() {
+        return this.operations.length;
+    }
+
+    /**
+     * Add operations to the end of the outbox
+     * A pending replace of the same collection is dropped: the new one carries the latest content.
+     * @param {Array} operations - Operations from buildOperations
+     * @returns {Array} Recorded operations with their client id
+     */
+    record(operations) {
+        if (operations.length === 0) return [];
+
+        // Payloads are copied: the managers keep editing the records they came from
+        const recorded = operations.map(operation => ({
+            ...operation,
+            payload: operation.payload === null ? null : JSON.parse(JSON.stringify(operation.payload)),
+            clientId: createClientId(),
+            createdAt: new Date().toISOString()
+        }));
+
+        const replaced = recorded
+            .filter(op => op.action === OUTBOX_ACTIONS.REPLACE)
+            .map(op => op.recordId);
+        this.operations = this.operations
+            .filter(op => op.action !== OUTBOX_ACTIONS.REPLACE || !replaced.includes(op.recordId))
+            .concat(recorded);
+
+        this.persist();
+        return recorded;
+    }
+
+    /**
+     * Drop every pending operation, e.g. after the data was reset
+     */
+    clear() {
+        this.operations = [];
+        this.lastError = null;
+        this.persist();
+    }
+
+    /**
+     * Send pending operations in order
+     * Stops at the first network failure; operations the server rejects are
+     * dropped and returned so the caller can tell the user, except version
+     * conflicts, which go to the merge dialog.
+     * @returns {Promise<Object>} { sent, rejected: [{ operation, error }], conflicts: [{ operation, remote }] }
+     */
+    replay() {
+        const run = this.queue.then(() => this.flush());
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Send operations until the outbox is empty or the server is unreachable
+     * @returns {Promise<Object>} { sent, rejected, conflicts }
+     */
+    async flush() {
+        const result = { sent: 0, rejected: [], conflicts: [] };
+
+        while (this.operations.length > 0 && apiService.canReachServer()) {
+            const operation = this.operations[0];
+
+            try {
+                await this.send(operation);
+                result.sent++;
+                this.lastError = null;
+            } catch (error) {
+                if (error instanceof NetworkError) {
+                    this.lastError = error.message;
+                    break;
+                }
+
+                // Deleting what the server no longer has is what we wanted anyway
+                const alreadyDeleted = operation.action === OUTBOX_ACTIONS.DELETE &&
+                    error instanceof APIError && error.status === 404;
+                const remote = error instanceof ConflictError ? error.details?.[0]?.remote : null;
+
+                if (remote) {
+                    console.warn('Outbox operation conflicts with the server copy:', operation, remote);
+                    result.conflicts.push({ operation, remote });
+                    eventBus.emit(EVENTS.SYNC_CONFLICT, { operation, remote });
+                } else if (!alreadyDeleted) {
+                    console.error('Outbox operation rejected:', operation, error);
+                    result.rejected.push({ operation, error });
+                }
+            }
+
+            this.operations = this.operations.filter(op => op.clientId !== operation.clientId);
+            this.persist();
+        }
+
+        if (result.sent > 0 || result.rejected.length > 0 || result.conflicts.length > 0) {
+            console.log(`Outbox replayed: ${result.sent} sent, ${result.rejected.length} rejected, ` +
+                `${result.conflicts.length} in conflict, ${this.operations.length} pending`);
+        }
+        this.persist();
+        return result;
+    }
+
+    /**
+     * Send one operation to its endpoint
+     * @param {Object} operation - Operation
+     * @returns {Promise<Object>} Server response
+     */
+    send({ entity, action, recordId, payload, clientId, baseVersion }) {
+        const options = { idempotencyKey: clientId };
+        if (action === OUTBOX_ACTIONS.UPDATE || action === OUTBOX_ACTIONS.DELETE) options.ifMatch = baseVersion;
+
+        switch (`${entity}:${action}`) {
+        case 'employee:create': return apiService.createEmployee(payload, options);
+        case 'employee:update': return apiService.updateEmployee(recordId, payload, options);
+        case 'employee:delete': return apiService.deleteEmployee(recordId, options);
+        case 'parkingSpace:create': return apiService.createParkingSpace(payload, options);
+        case 'parkingSpace:update': return apiService.updateParkingSpace(recordId, payload, options);
+        case 'parkingSpace:delete': return apiService.deleteParkingSpace(recordId, options);
+        case 'assignment:create': return apiService.createAssignment(payload, options);
+        case 'assignment:update': return apiService.updateAssignment(recordId, payload, options);
+        case 'assignment:delete': return apiService.deleteAssignment(recordId, options);
+        case 'collection:replace': return apiService.updateCollections({ [recordId]: payload }, options);
+        default:
+            return Promise.reject(new Error(`Unknown outbox operation: ${entity}:${action}`));
+        }
+    }
+}
+
+// Create singleton instance
+const outboxService = new OutboxService();
+export default outboxService;
@@ -1,53 +1,302 @@
 /**
  * Data storage service
- * Handles local storage and prepares for future API integration
+ * IndexedDB holds the working copy (see database.js), with localStorage as
+ * the fallback where IndexedDB is unavailable; when the backend is enabled
+ * every save is also recorded in the outbox and pushed to the API.
+ * A snapshot of the stored data is kept in memory, so loads need no reads
+ * and saves write only the records that changed. Every save also adds to the
+ * audit log who changed which employee, space or assignment, and how.
  */
 
-import { APP_CONFIG } from '../utils/constants.js';
+import { APP_CONFIG, DATA_COLLECTIONS, ERROR_MESSAGES, OUTBOX_ENTITIES, PERMISSIONS } from '../utils/constants.js';
+import {
+    SCHEMA_VERSION,
+    SchemaVersionError,
+    isNewerSchema,
+    migrateData,
+    hasMigrationChanges,
+    describeMigrationReport
+} from '../utils/migrations.js';
+import { getCurrentDate } from '../utils/helpers.js';
+import { buildAuditEntries } from '../utils/audit.js';
+import apiService from './api.js';
+import outboxService, { buildOperations } from './outbox.js';
+import indexedDBAdapter, { getChanges, isEmptyChange } from './database.js';
+import authService from './auth.js';
+import eventBus, { EVENTS } from './eventBus.js';
 
 class StorageService {
     constructor() {
         this.storageKey = APP_CONFIG.STORAGE_KEY;
-        this.useAPI = false; // Set to true when backend is available
+        this.db = null;
+        this.snapshot = null;
+        this.migrationReport = null;
+        this.auditLog = [];
+        this.lastAuditId = 0;
+
+        // Remembered so changes made while the server is unreachable are still queued for it
+        this.useAPI = localStorage.getItem(APP_CONFIG.API_MODE_KEY) === 'true';
+
+        // Writes are chained so they reach the database in the order they were made
+        this.writeQueue = Promise.resolve();
+        this.ready = this.init();
+    }
+
+    /**
+     * Open IndexedDB, move the old localStorage data into it and load the snapshot
+     * Falls back to localStorage when IndexedDB cannot be opened.
+     * @returns {Promise<void>}
+     * @throws {SchemaVersionError} When the stored data comes from a newer version;
+     *                              loads and saves fail then, so it is never overwritten
+     */
+    async init() {
+        let data = null;
+
+        if (indexedDBAdapter.isSupported()) {
+            try {
+                await indexedDBAdapter.open();
+                this.db = indexedDBAdapter;
+                await this.migrateFromLocalStorage();
+                data = await this.db.readAll();
+                this.auditLog = await this.db.readAudit();
+            } catch (error) {
+                console.error('Error opening IndexedDB, using localStorage:', error);
+                this.db = null;
+            }
+        }
+
+        if (!this.db) {
+            data = this.loadFromLocalStorage();
+            this.auditLog = this.loadAuditFromLocalStorage();
+        }
+        this.lastAuditId = Math.max(0, ...this.auditLog.map(entry => entry.id));
+        await this.upgrade(data || this.getDefaultData());
+    }
+
+    /**
+     * Bring the stored data to the current schema and keep it as the snapshot
+     * @param {Object} data - Stored data
+     * @returns {Promise<void>}
+     * @throws {SchemaVersionError} When the data comes from a newer version
+     */
+    async upgrade(data) {
+        const { data: migrated, report } = migrateData(data);
+        this.snapshot = data;
+
+        if (!hasMigrationChanges(report)) {
+            this.snapshot = migrated;
+            return;
+        }
+
+        console.log(`Stored data migrated: ${describeMigrationReport(report)}`, report.applied);
+        if (report.repaired.length > 0) console.table(report.repaired);
+        this.migrationReport = report;
+        await this.writeLocal(migrated);
+    }
+
+    /**
+     * Get the report of the migration that ran on load, once
+     * @returns {Object|null} Report from migrateData, or null if nothing changed
+     */
+    takeMigrationReport() {
+        const report = this.migrationReport;
+        this.migrationReport = null;
+        return report;
+    }
+
+    /**
+     * Copy the data saved by earlier versions under the localStorage key into IndexedDB
+     * Runs once: the key is removed after the copy commits. If IndexedDB
+     * already has data, it wins and the key is left untouched.
+     * @returns {Promise<void>}
+     */
+    async migrateFromLocalStorage() {
+        const serializedData = localStorage.getItem(this.storageKey);
+        if (!serializedData) return;
+
+        if (await this.db.readAll()) {
+            console.warn(`IndexedDB already has data; ignoring localStorage key ${this.storageKey}`);
+            return;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(serializedData);
+        } catch (error) {
+            console.error('Error reading localStorage data, not migrated:', error);
+            return;
+        }
+
+        await this.db.write(getChanges({}, data));
+        localStorage.removeItem(this.storageKey);
+        console.log('Data migrated from localStorage to IndexedDB:', {
+            employees: data.empleados?.length || 0,
+            parkingSpaces: data.parqueaderos?.length || 0,
+            assignments: data.asignaciones?.length || 0
+        });
     }
 
     /**
      * Save data to storage
+     * The data is kept locally first; the changes are then sent to the server,
+     * or stay in the outbox while it cannot be reached. Every employee, space
+     * and assignment that changed gets the next version and updatedAt, and an
+     * audit entry naming the signed-in user.
      * @param {Object} data - Data to save
-     * @returns {Promise<boolean>} Success status
+     * @returns {Promise<boolean>} True once saved
+     * @throws {PermissionError} When the signed-in role may not change a collection that changed
+     * @throws {APIError} When the server rejects a change
+     * @throws {Error} When the browser cannot store the data
      */
     async saveData(data) {
-        try {
-            if (this.useAPI) {
-                return await this.saveToAPI(data);
-            } else {
-                return this.saveToLocalStorage(data);
+        await this.ready;
+        authService.checkWrite(this.snapshot, data);
+
+        const operations = buildOperations(this.snapshot, data);
+        const now = new Date().toISOString();
+        operations
+            .filter(op => op.payload && op.entity !== OUTBOX_ENTITIES.COLLECTION)
+            .forEach(op => {
+                op.payload.version = op.baseVersion + 1;
+                op.payload.updatedAt = now;
+            });
+
+        await this.writeLocal(data, this.createAuditEntries(this.snapshot, data, now));
+
+        if (!this.useAPI) return true;
+
+        outboxService.record(operations);
+        if (!apiService.canReachServer()) return true;
+
+        const { rejected } = await outboxService.replay();
+        if (rejected.length > 0) throw rejected[0].error;
+        return true;
+    }
+
+    /**
+     * Save some collections, keeping the rest of the data as stored
+     * What the managers use, so a change never needs the whole document.
+     * @param {Object} collections - Keys to replace, e.g. { empleados: [...] }
+     * @returns {Promise<boolean>} True once saved
+     */
+    async saveCollections(collections) {
+        await this.ready;
+        return this.saveData({ ...this.snapshot, ...collections });
+    }
+
+    /**
+     * Load data from storage
+     * @returns {Promise<Object>} Loaded data (a copy the caller may change)
+     */
+    async loadData() {
+        await this.ready;
+        return structuredClone(this.snapshot);
+    }
+
+    /**
+     * Describe a save for the audit log
+     * IDs grow with time and never repeat, even for entries created in the same millisecond.
+     * @param {Object} previous - Stored data
+     * @param {Object} next - Data about to be saved
+     * @param {string} fecha - ISO timestamp of the save
+     * @returns {Array} Audit entries (see buildAuditEntries) with their id
+     */
+    createAuditEntries(previous, next, fecha) {
+        return buildAuditEntries(previous, next, authService.getActor(), fecha).map(entry => {
+            this.lastAuditId = Math.max(this.lastAuditId + 1, Date.now() * 1000);
+            return { id: this.lastAuditId, ...entry };
+        });
+    }
+
+    /**
+     * Get the audit log
+     * @returns {Array} Entries, oldest first (a copy)
+     */
+    getAuditLog() {
+        return [...this.auditLog];
+    }
+
+    /**
+     * Store data locally and update the snapshot
+     * Only the records that changed are written, in one transaction together
+     * with the audit entries that describe them.
+     * @param {Object} data - Data to store
+     * @param {Array} audit - Audit entries of the change
+     * @returns {Promise<void>}
+     * @throws {Error} When the browser cannot store the data
+     */
+    async writeLocal(data, audit = []) {
+        const document = {
+            ...data,
+            version: APP_CONFIG.VERSION,
+            schemaVersion: SCHEMA_VERSION,
+            lastUpdated: new Date().toISOString()
+        };
+        const previous = this.snapshot;
+        const changes = getChanges(previous, document);
+
+        // The snapshot moves on at once, so the next save diffs against this one
+        const snapshot = structuredClone(document);
+        this.snapshot = snapshot;
+
+        // A failed write puts the stored data back, unless a later save already replaced it
+        const rollBack = () => {
+            if (this.snapshot === snapshot) this.snapshot = previous;
+            throw new Error(ERROR_MESSAGES.LOCAL_STORAGE_FAILED);
+        };
+
+        if (!this.db) {
+            if (!this.saveToLocalStorage(data)) rollBack();
+            this.saveAuditToLocalStorage(audit);
+        } else {
+            if (isEmptyChange(changes)) return;
+
+            const run = this.writeQueue.then(() => this.db.write(changes, audit));
+            this.writeQueue = run.catch(() => {});
+            try {
+                await run;
+            } catch (error) {
+                console.error('Error saving to IndexedDB:', error);
+                rollBack();
             }
+        }
+
+        if (audit.length === 0) return;
+        this.auditLog.push(...audit);
+        eventBus.emit(EVENTS.AUDIT_RECORDED, { entries: audit });
+    }
+
+    /**
+     * Add audit entries to localStorage
+     * Only used where IndexedDB is unavailable; the data is already saved, so a failure is only logged.
+     * @param {Array} audit - New entries
+     */
+    saveAuditToLocalStorage(audit) {
+        if (audit.length === 0) return;
+        try {
+            localStorage.setItem(APP_CONFIG.AUDIT_KEY, JSON.stringify([...this.auditLog, ...audit]));
         } catch (error) {
-            console.error('Error saving data:', error);
-            return false;
+            console.error('Error saving audit log to localStorage:', error);
         }
     }
 
     /**
-     * Load data from storage
-     * @returns {Promise<Object>} Loaded data
+     * Load the audit log from localStorage
+     * Only used where IndexedDB is unavailable.
+     * @returns {Array} Entries
      */
-    async loadData() {
+    loadAuditFromLocalStorage() {
         try {
-            if (this.useAPI) {
-                return await this.loadFromAPI();
-            } else {
-                return this.loadFromLocalStorage();
-            }
+            return JSON.parse(localStorage.getItem(APP_CONFIG.AUDIT_KEY)) || [];
         } catch (error) {
-            console.error('Error loading data:', error);
-            return this.getDefaultData();
+            console.error('Error loading audit log from localStorage:', error);
+            return [];
         }
     }
 
     /**
      * Save to localStorage
+     * Only used where IndexedDB is unavailable.
      * @param {Object} data - Data to save
      * @returns {boolean} Success status
      */
@@ -56,6 +305,7 @@ class StorageService {
             const serializedData = JSON.stringify({
                 ...data,
                 version: APP_CONFIG.VERSION,
+                schemaVersion: SCHEMA_VERSION,
                 lastUpdated: new Date().toISOString()
             });
             localStorage.setItem(this.storageKey, serializedData);
@@ -69,6 +319,7 @@ class StorageService {
 
     /**
      * Load from localStorage
+     * Only used where IndexedDB is unavailable.
      * @returns {Object} Loaded data
      */
     loadFromLocalStorage() {
@@ -89,53 +340,93 @@ class StorageService {
     }
 
     /**
-     * Save to API (future implementation)
-     * @param {Object} data - Data to save
-     * @returns {Promise<boolean>} Success status
+     * Save one record through saveData, as the managers do for a collection
+     * @param {string} collection - Collection name, e.g. 'empleados'
+     * @param {Object} record - Record to add or replace (matched by id)
+     * @returns {Promise<boolean>} True once saved
      */
-    async saveToAPI(data) {
-        try {
-            const response = await fetch(`${APP_CONFIG.API_BASE_URL}/data`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(data)
-            });
+    async saveRecord(collection, record) {
+        const data = await this.loadData();
+        data[collection] = this.putRecord(data[collection] || [], record);
+        return this.saveData(data);
+    }
 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
+    /**
+     * Put the server copy of a record in the local data without sending anything back
+     * @param {string} collection - Collection name, e.g. 'empleados'
+     * @param {Object} record - Server record (matched by id)
+     * @returns {Promise<void>}
+     */
+    async replaceLocalRecord(collection, record) {
+        const data = await this.loadData();
+        data[collection] = this.putRecord(data[collection] || [], record);
+        await this.writeLocal(data);
+    }
 
-            console.log('Data saved to API successfully');
-            return true;
-        } catch (error) {
-            console.error('Error saving to API:', error);
-            // Fallback to localStorage if API fails
-            return this.saveToLocalStorage(data);
-        }
+    /**
+     * Replace a record in a list, or add it at the end
+     * @param {Array} records - Records
+     * @param {Object} record - Record matched by id
+     * @returns {Array} New list
+     */
+    putRecord(records, record) {
+        const index = records.findIndex(item => item.id === record.id);
+        return index === -1 ?
+            [...records, record] :
+            records.map((item, i) => (i === index ? record : item));
     }
 
     /**
-     * Load from API (future implementation)
-     * @returns {Promise<Object>} Loaded data
+     * Find records through an IndexedDB index (cedula, placa, numero, empleadoId...)
+     * @param {string} collection - Collection name, e.g. 'empleados'
+     * @param {string} field - Indexed field
+     * @param {*} value - Value to look up
+     * @returns {Promise<Array>} Matching records
      */
-    async loadFromAPI() {
-        try {
-            const response = await fetch(`${APP_CONFIG.API_BASE_URL}/data`);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
+    async findRecords(collection, field, value) {
+        await this.ready;
+        if (this.db) return this.db.findBy(collection, field, value);
+        return (this.snapshot[collection] || []).filter(record => record[field] === value);
+    }
 
-            const data = await response.json();
-            console.log('Data loaded from API successfully');
-            return data;
-        } catch (error) {
-            console.error('Error loading from API:', error);
-            // Fallback to localStorage if API fails
-            return this.loadFromLocalStorage();
-        }
+    /**
+     * Reconcile the local copy with the server once the outbox is empty
+     * The browser copy only seeds an empty server (see /api/sync); otherwise
+     * the server copy replaces the local one, brought to the current schema,
+     * without recording operations.
+     * @returns {Promise<Object>} { source: 'client' | 'server', changed }
+     * @throws {APIError} When the server cannot be reached or refuses the data
+     * @throws {SchemaVersionError} When the server data comes from a newer version
+     */
+    async syncWithAPI() {
+        const local = await this.loadData();
+        const { source, data: serverData } = await apiService.syncData(local);
+        if (source !== 'server') return { source, changed: false };
+
+        const { data } = migrateData(serverData);
+        data.empleados = this.keepLocalPinHashes(data.empleados || [], local.empleados || []);
+
+        const changed = Object.keys(data)
+            .filter(name => Array.isArray(data[name]))
+            .some(name => JSON.stringify(local[name] || []) !== JSON.stringify(data[name]));
+
+        await this.writeLocal(data);
+        console.log(`Data synced from API (${changed ? 'updated' : 'unchanged'})`);
+        return { source, changed };
+    }
+
+    /**
+     * Keep the local PIN hashes in employees read from the server
+     * The server never sends PIN hashes (see conflictManager.fromRemote).
+     * @param {Array} employees - Server employees
+     * @param {Array} localEmployees - Local employees
+     * @returns {Array} Employees to store locally
+     */
+    keepLocalPinHashes(employees, localEmployees) {
+        return employees.map(({ tienePin, ...employee }) => {
+            const local = localEmployees.find(emp => emp.id === employee.id);
+            return local?.pinHash ? { ...employee, pinHash: local.pinHash } : employee;
+        });
     }
 
     /**
@@ -144,38 +435,33 @@ class StorageService {
      */
     getDefaultData() {
         return {
-            empleados: [],
-            parqueaderos: [],
-            asignaciones: [],
+            ...Object.fromEntries(DATA_COLLECTIONS.map(name => [name, []])),
             version: APP_CONFIG.VERSION,
+            schemaVersion: SCHEMA_VERSION,
             createdAt: new Date().toISOString(),
             lastUpdated: new Date().toISOString()
         };
     }
 
     /**
-     * Clear all data
-     * @returns {Promise<boolean>} Success status
+     * Clear all data; the audit log is kept
+     * @returns {Promise<boolean>} True once cleared
+     * @throws {PermissionError} When the signed-in role may not administer data
+     * @throws {APIError} When the server data cannot be deleted
      */
     async clearData() {
-        try {
-            if (this.useAPI) {
-                // API implementation for clearing data
-                const response = await fetch(`${APP_CONFIG.API_BASE_URL}/data`, {
-                    method: 'DELETE'
-                });
-                if (!response.ok) {
-                    throw new Error(`HTTP error! status: ${response.status}`);
-                }
-            }
-            
-            localStorage.removeItem(this.storageKey);
-            console.log('Data cleared successfully');
-            return true;
-        } catch (error) {
-            console.error('Error clearing data:', error);
-            return false;
+        authService.require(PERMISSIONS.ADMINISTRAR_DATOS);
+        if (this.useAPI) {
+            await apiService.deleteData();
         }
+
+        await this.ready;
+        if (this.db) await this.db.clear();
+        localStorage.removeItem(this.storageKey);
+        this.snapshot = this.getDefaultData();
+        outboxService.clear();
+        console.log('Data cleared successfully');
+        return true;
     }
 
     /**
@@ -188,7 +474,8 @@ class StorageService {
             const exportData = {
                 ...data,
                 exportedAt: new Date().toISOString(),
-                version: APP_CONFIG.VERSION
+                version: APP_CONFIG.VERSION,
+                schemaVersion: SCHEMA_VERSION
             };
             
             const blob = new Blob([JSON.stringify(exportData, null, 2)], {
@@ -198,7 +485,7 @@ class StorageService {
             const url = URL.createObjectURL(blob);
             const link = document.createElement('a');
             link.href = url;
-            link.download = `parqueadero-backup-${new Date().toISOString().split('T')[0]}.json`;
+            link.download = `parqueadero-backup-${getCurrentDate()}.json`;
             document.body.appendChild(link);
             link.click();
             document.body.removeChild(link);
@@ -213,37 +500,57 @@ class StorageService {
     }
 
     /**
-     * Import data from JSON file
-     * @param {File} file - File to import
-     * @returns {Promise<Object|null>} Imported data or null if failed
+     * Read a backup file (see exportData)
+     * Backups from older versions are migrated to the current schema; the
+     * report lists the steps applied and the records that were repaired.
+     * Nothing is saved: the caller decides whether to keep the result.
+     * @param {Blob} file - File to import
+     * @returns {Promise<Object>} { data, report } (see migrateData)
+     * @throws {SchemaVersionError} When the file comes from a newer version
+     * @throws {Error} When the file is not a backup of this application
      */
     async importData(file) {
+        let data;
         try {
-            return new Promise((resolve, reject) => {
-                const reader = new FileReader();
-                reader.onload = (e) => {
-                    try {
-                        const data = JSON.parse(e.target.result);
-                        
-                        // Validate data structure
-                        if (!this.validateImportData(data)) {
-                            reject(new Error('Invalid data format'));
-                            return;
-                        }
-                        
-                        console.log('Data imported successfully');
-                        resolve(data);
-                    } catch (error) {
-                        reject(error);
-                    }
-                };
-                reader.onerror = () => reject(new Error('Error reading file'));
-                reader.readAsText(file);
-            });
+            data = JSON.parse(await file.text());
         } catch (error) {
-            console.error('Error importing data:', error);
-            return null;
+            throw new Error(ERROR_MESSAGES.INVALID_BACKUP);
         }
+
+        // Files from a newer version may not even look like ours
+        if (isNewerSchema(data)) throw new SchemaVersionError(data.schemaVersion);
+        if (!this.validateImportData(data)) throw new Error(ERROR_MESSAGES.INVALID_BACKUP);
+
+        const result = migrateData(data);
+        console.log('Data imported successfully', describeMigrationReport(result.report));
+        return result;
+    }
+
+    /**
+     * Give the records of an imported document the versions of the stored ones
+     * A backup keeps the versions its records had when it was taken; saved as
+     * they are, the server would take them as edits of an old copy (see
+     * buildOperations). Records that are not stored yet start without one.
+     * @param {Object} data - Imported data, changed in place
+     * @returns {Object} The same data
+     */
+    adoptStoredVersions(data) {
+        Object.keys(data)
+            .filter(name => Array.isArray(data[name]))
+            .forEach(name => {
+                const stored = new Map((this.snapshot?.[name] || []).map(record => [record.id, record]));
+                data[name].forEach(record => {
+                    const current = stored.get(record.id);
+                    if (current?.version) {
+                        record.version = current.version;
+                        record.updatedAt = current.updatedAt;
+                    } else {
+                        delete record.version;
+                        delete record.updatedAt;
+                    }
+                });
+            });
+        return data;
     }
 
     /**
@@ -264,7 +571,7 @@ class StorageService {
      */
     getStorageStats() {
         try {
-            const data = this.loadFromLocalStorage();
+            const data = this.snapshot || this.getDefaultData();
             return {
                 employees: data.empleados?.length || 0,
                 parkingSpaces: data.parqueaderos?.length || 0,
@@ -285,6 +592,7 @@ class StorageService {
      */
     setAPIMode(useAPI) {
         this.useAPI = useAPI;
+        localStorage.setItem(APP_CONFIG.API_MODE_KEY, String(useAPI));
         console.log(`API mode ${useAPI ? 'enabled' : 'disabled'}`);
     }
 }
@@ -0,0 +1,107 @@
+/**
+ * Central application state
+ * Employees, parking spaces, assignments and daily loans are kept here once.
+ * The managers read and change these arrays instead of holding copies, save
+ * them with commit(), and every view subscribes to the collections it shows,
+ * so a change made by any module is stored once and re-rendered everywhere
+ * from the same data.
+ */
+
+import storageService from './storage.js';
+import { PermissionError } from './auth.js';
+
+// Collections shared by several modules
+export const STORE_KEYS = ['empleados', 'parqueaderos', 'asignaciones', 'prestamosDiarios'];
+
+class Store {
+    constructor() {
+        this.state = Object.fromEntries(STORE_KEYS.map(key => [key, []]));
+        this.subscribers = [];
+    }
+
+    /**
+     * Get a collection
+     * The array is the stored one: change it in place and commit() the key.
+     * @param {string} key - Collection name, e.g. 'empleados'
+     * @returns {Array} Records
+     */
+    get(key) {
+        return this.state[key];
+    }
+
+    /**
+     * Replace a collection in memory; commit() saves and announces it
+     * @param {string} key - Collection name
+     * @param {Array} records - New records
+     */
+    set(key, records) {
+        this.state[key] = records;
+    }
+
+    /**
+     * Take the collections of freshly loaded data and announce them, without saving
+     * @param {Object} data - Data document from StorageService
+     */
+    load(data) {
+        STORE_KEYS.forEach(key => { this.state[key] = data[key] || []; });
+        this.notify(STORE_KEYS);
+    }
+
+    /**
+     * Save collections and announce the change to their subscribers
+     * All the keys are written in one transaction. Subscribers are told even
+     * when the server refuses the change: the local copy was saved anyway.
+     * A change the signed-in role may not make was not saved at all, so the
+     * collections go back to the stored records before subscribers are told.
+     * @param {Array} keys - Changed collections
+     * @returns {Promise<void>}
+     * @throws {Error} When saving fails (see StorageService.saveData)
+     */
+    async commit(keys) {
+        try {
+            await storageService.saveCollections(Object.fromEntries(keys.map(key => [key, this.state[key]])));
+        } catch (error) {
+            if (error instanceof PermissionError) {
+                const stored = await storageService.loadData();
+                keys.forEach(key => { this.state[key] = stored[key] || []; });
+            }
+            throw error;
+        } finally {
+            this.notify(keys);
+        }
+    }
+
+    /**
+     * Call a listener whenever one of the collections changes
+     * @param {Array} keys - Collections to watch
+     * @param {Function} listener - (changedKeys) => void
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(keys, listener) {
+        const subscriber = { keys, listener };
+        this.subscribers.push(subscriber);
+        return () => {
+            this.subscribers = this.subscribers.filter(item => item !== subscriber);
+        };
+    }
+
+    /**
+     * Call the subscribers of the changed collections
+     * @param {Array} keys - Changed collections
+     */
+    notify(keys) {
+        this.subscribers
+            .filter(({ keys: watched }) => watched.some(key => keys.includes(key)))
+            .forEach(({ listener }) => {
+                try {
+                    listener(keys);
+                } catch (error) {
+                    console.error('Error in store subscriber:', error);
+                }
+            });
+    }
+}
+
+// Create singleton instance
+const store = new Store();
+export default store;
@@ -0,0 +1,198 @@
+/**
+ * Auto-assignment strategies
+ * Each strategy decides who is served first and which compatible space they get;
+ * buildAssignmentPlan runs the shared loop and never touches stored data.
+ * Compatible means the vehicle type matches and the space category is meant
+ * for the employee; strategies choose among the best-ranked category only,
+ * so category spaces go to their holders first and visitor spaces last.
+ */
+
+import {
+    AUTO_ASSIGNMENT_STRATEGIES,
+    PRIORITY_CONDITIONS,
+    PRIORITY_CONDITION_LABELS,
+    BASEMENT_LEVELS
+} from './constants.js';
+import {
+    formatDate,
+    getWorkSchedule,
+    canUseSpaceCategory,
+    getSpaceCategoryRank
+} from './helpers.js';
+
+/**
+ * Keep the employees in their current order
+ * @param {Array} employees - Employees to serve
+ * @returns {Array} Same employees
+ */
+function keepOrder(employees) {
+    return employees;
+}
+
+/**
+ * Take the first compatible space
+ * @param {Object} employee - Employee being served
+ * @param {Array} spaces - Compatible free spaces
+ * @returns {Object} Chosen space
+ */
+function firstSpace(employee, spaces) {
+    return spaces[0];
+}
+
+/**
+ * Take a space in the basement with the lowest occupancy ratio
+ * @param {Object} employee - Employee being served
+ * @param {Array} spaces - Compatible free spaces
+ * @param {Object} context - Plan context with basementLoad ({ [sotano]: { ocupados, total } })
+ * @returns {Object} Chosen space
+ */
+function leastLoadedBasementSpace(employee, spaces, context) {
+    const ratio = sotano => {
+        const load = context.basementLoad[sotano];
+        return load && load.total > 0 ? load.ocupados / load.total : 0;
+    };
+
+    return spaces.reduce((best, space) => ratio(space.sotano) < ratio(best.sotano) ? space : best);
+}
+
+/**
+ * Get the position of an employee's area or cargo in the priority list
+ * @param {Object} employee - Employee
+ * @param {Array} prioridades - Areas or cargos, most important first
+ * @returns {number} Index in the list, or the list length when not listed
+ */
+function getPriorityIndex(employee, prioridades) {
+    const values = [employee.area, employee.cargo]
+        .filter(Boolean)
+        .map(value => value.toLowerCase());
+    const index = prioridades.findIndex(prioridad => values.some(value => value.includes(prioridad.toLowerCase())));
+    return index === -1 ? prioridades.length : index;
+}
+
+/**
+ * Check if an employee has a disability or pregnancy priority
+ * @param {Object} employee - Employee
+ * @returns {boolean} True if the employee must be served first
+ */
+export function hasPriorityCondition(employee) {
+    return !!employee.condicionPrioritaria && employee.condicionPrioritaria !== PRIORITY_CONDITIONS.NINGUNA;
+}
+
+export const ASSIGNMENT_STRATEGIES = {
+    [AUTO_ASSIGNMENT_STRATEGIES.PRIMERO_DISPONIBLE]: {
+        label: 'Primer parqueadero disponible',
+        description: 'Empleados en el orden registrado, cada uno recibe el primer parqueadero compatible.',
+        rankEmployees: keepOrder,
+        pickSpace: firstSpace,
+        explain: () => ''
+    },
+    [AUTO_ASSIGNMENT_STRATEGIES.BALANCE_SOTANOS]: {
+        label: 'Balancear sótanos -1 / -3',
+        description: 'Cada parqueadero se toma del sótano con menor ocupación proporcional.',
+        rankEmployees: keepOrder,
+        pickSpace: leastLoadedBasementSpace,
+        explain: () => ''
+    },
+    [AUTO_ASSIGNMENT_STRATEGIES.ANTIGUEDAD]: {
+        label: 'Antigüedad',
+        description: 'Primero los empleados con fecha de ingreso más antigua; sin fecha van al final.',
+        rankEmployees: employees => [...employees].sort((a, b) =>
+            (a.fechaIngreso || '9999-12-31').localeCompare(b.fechaIngreso || '9999-12-31')
+        ),
+        pickSpace: firstSpace,
+        explain: employee => employee.fechaIngreso ? `Ingreso ${formatDate(employee.fechaIngreso)}` : 'Sin fecha de ingreso'
+    },
+    [AUTO_ASSIGNMENT_STRATEGIES.PRIORIDAD_AREA]: {
+        label: 'Prioridad por área o cargo',
+        description: 'Primero las áreas o cargos de la lista de prioridad, en el orden indicado.',
+        rankEmployees: (employees, context) => [...employees].sort((a, b) =>
+            getPriorityIndex(a, context.prioridades) - getPriorityIndex(b, context.prioridades)
+        ),
+        pickSpace: firstSpace,
+        explain: (employee, context) => {
+            const index = getPriorityIndex(employee, context.prioridades);
+            if (index === context.prioridades.length) return 'Sin prioridad';
+            return `Prioridad ${index + 1}: ${[employee.area, employee.cargo].filter(Boolean).join(' / ')}`;
+        }
+    },
+    [AUTO_ASSIGNMENT_STRATEGIES.CONDICION_ESPECIAL]: {
+        label: 'Discapacidad / embarazo primero',
+        description: 'Empleados con condición prioritaria primero y en el sótano -1, el más cercano al acceso.',
+        rankEmployees: employees => [...employees].sort((a, b) => hasPriorityCondition(b) - hasPriorityCondition(a)),
+        pickSpace: (employee, spaces) => hasPriorityCondition(employee) ?
+            spaces.find(space => space.sotano === BASEMENT_LEVELS.MINUS_ONE) || spaces[0] :
+            spaces[0],
+        explain: employee => {
+            if (!hasPriorityCondition(employee)) return '';
+            const { icon, label } = PRIORITY_CONDITION_LABELS[employee.condicionPrioritaria] || {};
+            return `${icon || ''} ${label || employee.condicionPrioritaria}`.trim();
+        }
+    },
+    [AUTO_ASSIGNMENT_STRATEGIES.DIAS_PRESENCIALES]: {
+        label: 'Más días presenciales',
+        description: 'Primero quienes vienen más días a la semana según su horario; quienes vienen pocos días pueden compartir.',
+        rankEmployees: employees => [...employees].sort((a, b) =>
+            getWorkSchedule(b).dias.length - getWorkSchedule(a).dias.length
+        ),
+        pickSpace: firstSpace,
+        explain: employee => `${getWorkSchedule(employee).dias.length} días presenciales`
+    }
+};
+
+/**
+ * Count occupied and total spaces per basement
+ * @param {Array} spaces - All parking spaces
+ * @param {Array} freeSpaces - Spaces free for the period
+ * @returns {Object} { [sotano]: { ocupados, total } }
+ */
+export function getBasementLoad(spaces, freeSpaces) {
+    return spaces.reduce((acc, space) => {
+        const load = acc[space.sotano] || (acc[space.sotano] = { ocupados: 0, total: 0 });
+        load.total += 1;
+        if (!freeSpaces.includes(space)) load.ocupados += 1;
+        return acc;
+    }, {});
+}
+
+/**
+ * Propose employee → space pairs without saving anything
+ * @param {string} strategyId - One of AUTO_ASSIGNMENT_STRATEGIES
+ * @param {Array} employees - Employees without a space for the period
+ * @param {Array} freeSpaces - Spaces free for the period
+ * @param {Object} context - { basementLoad, prioridades }
+ * @returns {Object} { strategy, pairs: [{ employee, space, motivo }], unassigned }
+ */
+export function buildAssignmentPlan(strategyId, employees, freeSpaces, context = {}) {
+    const strategy = ASSIGNMENT_STRATEGIES[strategyId] || ASSIGNMENT_STRATEGIES[AUTO_ASSIGNMENT_STRATEGIES.PRIMERO_DISPONIBLE];
+    const planContext = {
+        prioridades: [],
+        ...context,
+        basementLoad: JSON.parse(JSON.stringify(context.basementLoad || {}))
+    };
+
+    const remaining = [...freeSpaces];
+    const pairs = [];
+    const unassigned = [];
+
+    strategy.rankEmployees(employees, planContext).forEach(employee => {
+        const compatible = remaining.filter(space =>
+            space.tipo === employee.tipoVehiculo && canUseSpaceCategory(employee, space)
+        );
+        if (compatible.length === 0) {
+            unassigned.push(employee);
+            return;
+        }
+
+        const bestRank = Math.min(...compatible.map(space => getSpaceCategoryRank(employee, space)));
+        const preferred = compatible.filter(space => getSpaceCategoryRank(employee, space) === bestRank);
+        const space = strategy.pickSpace(employee, preferred, planContext);
+        remaining.splice(remaining.indexOf(space), 1);
+
+        const load = planContext.basementLoad[space.sotano];
+        if (load) load.ocupados += 1;
+
+        pairs.push({ employee, space, motivo: strategy.explain(employee, planContext) });
+    });
+
+    return { strategy, pairs, unassigned };
+}
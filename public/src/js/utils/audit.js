@@ -0,0 +1,118 @@
+/**
+ * Audit trail
+ * Compares the stored data with the data about to be saved and describes
+ * every employee, space and assignment that was created, changed or deleted,
+ * field by field, so the log can say who changed what and from which value.
+ */
+
+import { AUDIT_ACTIONS, AUDIT_ENTITY_LABELS } from './constants.js';
+import { getAssignmentEmployeeIds } from './helpers.js';
+
+// The id is the entry's entidadId; version and updatedAt are set on every save, not changes anyone made
+const IGNORED_FIELDS = ['id', 'version', 'updatedAt'];
+
+/**
+ * List the fields that differ between two versions of a record
+ * @param {Object} before - Stored record ({} when created)
+ * @param {Object} after - Saved record ({} when deleted)
+ * @returns {Array} { campo, antes, despues }, missing values as null
+ */
+export function diffRecords(before, after) {
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .filter(field => !IGNORED_FIELDS.includes(field));
+
+    return fields
+        .map(campo => ({ campo, antes: before[campo] ?? null, despues: after[campo] ?? null }))
+        .filter(({ antes, despues }) => JSON.stringify(antes) !== JSON.stringify(despues));
+}
+
+/**
+ * Name a record the way people look it up, so the entry still reads well after it is deleted
+ * @param {string} collection - 'empleados', 'parqueaderos' or 'asignaciones'
+ * @param {Object} record - Record
+ * @param {Object} data - Data document used to name the space and employees of an assignment
+ * @returns {string} Label
+ */
+export function describeAuditEntity(collection, record, data) {
+    if (collection === 'empleados') return `${record.nombre || ''} (${record.cedula || record.id})`;
+    if (collection === 'parqueaderos') return String(record.numero || record.id);
+
+    const space = (data.parqueaderos || []).find(s => s.id === record.parqueaderoId);
+    const names = getAssignmentEmployeeIds(record)
+        .map(id => (data.empleados || []).find(emp => emp.id === id)?.nombre || `#${id}`);
+    return `${space ? space.numero : `#${record.parqueaderoId}`} → ${names.join(' / ')}`;
+}
+
+/**
+ * Describe the changes between the stored data and the data about to be saved
+ * @param {Object} previous - Stored data
+ * @param {Object} next - Data about to be saved
+ * @param {Object} actor - { usuarioId, usuario, rol } who saves
+ * @param {string} fecha - ISO timestamp of the save
+ * @returns {Array} Entries { fecha, usuarioId, usuario, rol, entidad, entidadId, etiqueta, accion, cambios }
+ */
+export function buildAuditEntries(previous, next, actor, fecha) {
+    const entries = [];
+
+    Object.keys(AUDIT_ENTITY_LABELS).forEach(entidad => {
+        const before = new Map((previous[entidad] || []).map(record => [record.id, record]));
+        const after = new Map((next[entidad] || []).map(record => [record.id, record]));
+        const add = (accion, record, cambios, data) => entries.push({
+            fecha,
+            ...actor,
+            entidad,
+            entidadId: record.id,
+            etiqueta: describeAuditEntity(entidad, record, data),
+            accion,
+            cambios
+        });
+
+        after.forEach((record, id) => {
+            if (!before.has(id)) {
+                add(AUDIT_ACTIONS.CREAR, record, diffRecords({}, record), next);
+                return;
+            }
+            const cambios = diffRecords(before.get(id), record);
+            if (cambios.length > 0) add(AUDIT_ACTIONS.MODIFICAR, record, cambios, next);
+        });
+
+        before.forEach((record, id) => {
+            if (!after.has(id)) add(AUDIT_ACTIONS.ELIMINAR, record, diffRecords(record, {}), previous);
+        });
+    });
+
+    return entries;
+}
+
+/**
+ * Show a logged value as text
+ * @param {*} value - Field value
+ * @returns {string} Text ('' for no value)
+ */
+export function formatAuditValue(value) {
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Filter audit entries
+ * @param {Array} entries - Entries
+ * @param {Object} filters - { texto, entidad, entidadId, usuario, desde, hasta } (dates YYYY-MM-DD)
+ * @returns {Array} Matching entries, newest first
+ */
+export function filterAuditEntries(entries, { texto = '', entidad = '', entidadId = null, usuario = '', desde = '', hasta = '' } = {}) {
+    const term = texto.trim().toLowerCase();
+
+    return entries
+        .filter(entry => !entidad || entry.entidad === entidad)
+        .filter(entry => entidadId === null || entry.entidadId === entidadId)
+        .filter(entry => !usuario || entry.usuario === usuario)
+        .filter(entry => !desde || entry.fecha.slice(0, 10) >= desde)
+        .filter(entry => !hasta || entry.fecha.slice(0, 10) <= hasta)
+        .filter(entry => !term || [
+            entry.etiqueta,
+            entry.usuario,
+            ...entry.cambios.flatMap(({ campo, antes, despues }) => [campo, formatAuditValue(antes), formatAuditValue(despues)])
+        ].some(text => String(text).toLowerCase().includes(term)))
+        .sort((a, b) => b.fecha.localeCompare(a.fecha) || b.id - a.id);
+}
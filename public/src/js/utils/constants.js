@@ -5,8 +5,61 @@
 export const APP_CONFIG = {
     MAX_PARKING_SPACES: 300,
     STORAGE_KEY: 'parqueadero-slud-data',
+    DB_NAME: 'parqueadero-slud',
+    DB_VERSION: 2,
     VERSION: '1.0.0',
-    API_BASE_URL: '/api'
+    SCHEMA_VERSION: 4,
+    API_BASE_URL: '/api',
+    API_TIMEOUT: 15000,
+    API_MAX_RETRIES: 3,
+    API_RETRY_DELAY: 500,
+    OFFLINE_MODE_KEY: 'parqueadero-slud-offline',
+    API_MODE_KEY: 'parqueadero-slud-api',
+    API_TOKEN_KEY: 'parqueadero-slud-api-token',
+    OUTBOX_KEY: 'parqueadero-slud-outbox',
+    EVENT_LOG_KEY: 'parqueadero-slud-event-log',
+    USERS_KEY: 'parqueadero-slud-users',
+    SESSION_KEY: 'parqueadero-slud-session',
+    AUDIT_KEY: 'parqueadero-slud-audit',
+    MIN_PASSWORD_LENGTH: 8,
+    EVENT_LOG_SIZE: 200,
+    UNDO_LIMIT: 20,
+    EMPLOYEE_RETENTION_DAYS: 1825 // Retired employees may be purged five years after leaving
+};
+
+// Lists kept in the data document (see StorageService.getDefaultData)
+export const DATA_COLLECTIONS = [
+    'empleados',
+    'parqueaderos',
+    'asignaciones',
+    'reglasPicoPlaca',
+    'diasNoLaborales',
+    'prestamosDiarios',
+    'colaRotacion',
+    'historialRotacion',
+    'solicitudesParqueadero'
+];
+
+export const API_ERROR_TYPES = {
+    NETWORK: 'network',
+    VALIDATION: 'validation',
+    CONFLICT: 'conflict',
+    AUTH: 'auth',
+    SERVER: 'server'
+};
+
+export const OUTBOX_ENTITIES = {
+    EMPLOYEE: 'employee',
+    PARKING_SPACE: 'parkingSpace',
+    ASSIGNMENT: 'assignment',
+    COLLECTION: 'collection'
+};
+
+export const OUTBOX_ACTIONS = {
+    CREATE: 'create',
+    UPDATE: 'update',
+    DELETE: 'delete',
+    REPLACE: 'replace'
 };
 
 export const VEHICLE_TYPES = {
@@ -15,12 +68,143 @@ export const VEHICLE_TYPES = {
     BICICLETA: 'bicicleta'
 };
 
+// Disponible and ocupado follow the assignments; the rest take the space out of assignment
+// and carry a reason (motivoEstado) and an optional last day (estadoHasta)
 export const PARKING_STATUS = {
     DISPONIBLE: 'disponible',
     OCUPADO: 'ocupado',
-    MANTENIMIENTO: 'mantenimiento'
+    MANTENIMIENTO: 'mantenimiento',
+    RESERVADA: 'reservada',
+    BLOQUEADA: 'bloqueada'              // Temporarily blocked (works, events, ...)
+};
+
+export const PARKING_STATUS_LABELS = {
+    [PARKING_STATUS.DISPONIBLE]: { icon: '✅', label: 'Disponible' },
+    [PARKING_STATUS.OCUPADO]: { icon: '🚗', label: 'Ocupado' },
+    [PARKING_STATUS.MANTENIMIENTO]: { icon: '🔧', label: 'Mantenimiento' },
+    [PARKING_STATUS.RESERVADA]: { icon: '📌', label: 'Reservada' },
+    [PARKING_STATUS.BLOQUEADA]: { icon: '⛔', label: 'Bloqueada temporalmente' }
+};
+
+// What a space is meant for (categoria), independent of its state; any
+// category can be assigned, but only to the employees it is meant for
+export const PARKING_CATEGORIES = {
+    GENERAL: '',
+    DISCAPACIDAD: 'discapacidad',       // Employees with a disability (priority condition or exemption)
+    CARGA_ELECTRICA: 'carga-electrica', // Employees with the electric vehicle exemption
+    VISITANTES: 'visitantes'            // Anyone, once the general spaces are taken
+};
+
+export const PARKING_CATEGORY_LABELS = {
+    [PARKING_CATEGORIES.GENERAL]: { icon: '', label: 'General' },
+    [PARKING_CATEGORIES.DISCAPACIDAD]: { icon: '♿', label: 'Discapacidad' },
+    [PARKING_CATEGORIES.CARGA_ELECTRICA]: { icon: '🔌', label: 'Carga eléctrica' },
+    [PARKING_CATEGORIES.VISITANTES]: { icon: '🧳', label: 'Visitantes' }
+};
+
+export const REQUEST_STATUS = {
+    PENDIENTE: 'pendiente',
+    ATENDIDA: 'atendida',       // The employee got an assignment
+    RECHAZADA: 'rechazada'
+};
+
+export const PLANNER_VIEWS = {
+    SEMANA: 'semana',
+    MES: 'mes'
+};
+
+export const ASSIGNMENT_TYPES = {
+    INDIVIDUAL: 'individual',
+    COMPARTIDA: 'compartida'    // Several employees on complementary weekdays
+};
+
+export const ASSIGNMENT_STATUS = {
+    PROGRAMADA: 'programada',   // Starts in the future
+    ACTIVA: 'activa',
+    FINALIZADA: 'finalizada',   // fechaFin has passed
+    CANCELADA: 'cancelada'      // Ended before it started
+};
+
+export const ASSIGNMENT_STATUS_LABELS = {
+    [ASSIGNMENT_STATUS.PROGRAMADA]: { icon: '🕒', label: 'Programada' },
+    [ASSIGNMENT_STATUS.ACTIVA]: { icon: '✅', label: 'Activa' },
+    [ASSIGNMENT_STATUS.FINALIZADA]: { icon: '🏁', label: 'Finalizada' },
+    [ASSIGNMENT_STATUS.CANCELADA]: { icon: '🚫', label: 'Cancelada' }
+};
+
+export const LOAN_STATUS = {
+    ACTIVO: 'activo',           // Guest uses the space on the loan date
+    CANCELADO: 'cancelado',     // Owner or admin cancelled it
+    LIBERADO: 'liberado'        // Released automatically after the loan date
+};
+
+export const ROTATION_STRATEGIES = {
+    ROUND_ROBIN: 'round_robin',           // Served employees go to the end of the queue
+    MENOS_RECIENTE: 'menos_reciente'      // Longest time since the last freed space first
+};
+
+export const AUTO_ASSIGNMENT_STRATEGIES = {
+    PRIMERO_DISPONIBLE: 'primero_disponible',
+    BALANCE_SOTANOS: 'balance_sotanos',
+    ANTIGUEDAD: 'antiguedad',
+    PRIORIDAD_AREA: 'prioridad_area',
+    CONDICION_ESPECIAL: 'condicion_especial',
+    DIAS_PRESENCIALES: 'dias_presenciales'
+};
+
+export const PRIORITY_CONDITIONS = {
+    NINGUNA: '',
+    DISCAPACIDAD: 'discapacidad',
+    EMBARAZO: 'embarazo'
+};
+
+export const PRIORITY_CONDITION_LABELS = {
+    [PRIORITY_CONDITIONS.NINGUNA]: { icon: '', label: 'Ninguna' },
+    [PRIORITY_CONDITIONS.DISCAPACIDAD]: { icon: '♿', label: 'Discapacidad' },
+    [PRIORITY_CONDITIONS.EMBARAZO]: { icon: '🤰', label: 'Embarazo' }
+};
+
+// Shifts of the structured weekly schedule (horario)
+export const WORK_SHIFTS = {
+    COMPLETO: 'completo',
+    MANANA: 'manana',
+    TARDE: 'tarde',
+    NOCHE: 'noche'
 };
 
+export const WORK_SHIFT_LABELS = {
+    [WORK_SHIFTS.COMPLETO]: { icon: '🕘', label: 'Jornada completa' },
+    [WORK_SHIFTS.MANANA]: { icon: '🌅', label: 'Mañana' },
+    [WORK_SHIFTS.TARDE]: { icon: '🌇', label: 'Tarde' },
+    [WORK_SHIFTS.NOCHE]: { icon: '🌙', label: 'Noche' }
+};
+
+// Dated absences that free the employee's space
+export const ABSENCE_TYPES = {
+    VACACIONES: 'vacaciones',
+    INCAPACIDAD: 'incapacidad',
+    TELETRABAJO: 'teletrabajo',
+    COMISION: 'comision'
+};
+
+// Effective day status shown in the employee table (absence types, portal declarations and the manual "Estado Hoy")
+export const DAY_STATUS_LABELS = {
+    presente: { icon: '✅', label: 'Presente' },
+    ausente: { icon: '❌', label: 'Ausente' },
+    [ABSENCE_TYPES.VACACIONES]: { icon: '🏖️', label: 'Vacaciones' },
+    [ABSENCE_TYPES.INCAPACIDAD]: { icon: '🏥', label: 'Incapacidad' },
+    [ABSENCE_TYPES.TELETRABAJO]: { icon: '🏠', label: 'Teletrabajo' },
+    [ABSENCE_TYPES.COMISION]: { icon: '✈️', label: 'Comisión' },
+    licencia: { icon: '📋', label: 'Licencia' },
+    tarde: { icon: '⏰', label: 'Llegó tarde' },
+    remoto: { icon: '🏠', label: 'Trabajo remoto' },
+    no_asiste: { icon: '📆', label: 'No asiste (declarado)' },
+    no_programado: { icon: '🗓️', label: 'Sin turno presencial' }
+};
+
+// Manual "Estado Hoy" values that mean the employee does not use the space
+export const ABSENT_DAY_STATUSES = ['ausente', 'vacaciones', 'incapacidad', 'licencia', 'remoto'];
+
 export const BASEMENT_LEVELS = {
     MINUS_ONE: '-1',
     MINUS_THREE: '-3'
@@ -49,7 +233,8 @@ export const FORM_VALIDATION = {
     MIN_CEDULA_LENGTH: 6,
     MAX_CEDULA_LENGTH: 15,
     PLATE_REGEX: /^[A-Z]{3}[0-9]{3}$/,
-    PHONE_REGEX: /^[0-9]{10}$/
+    PHONE_REGEX: /^[0-9]{10}$/,
+    PIN_REGEX: /^[0-9]{4,6}$/
 };
 
 export const PARKING_DISTRIBUTION = {
@@ -66,12 +251,16 @@ export const UI_ELEMENTS = {
         EMPLEADOS: 'empleados',
         PARQUEADEROS: 'parqueaderos',
         ASIGNACIONES: 'asignaciones',
-        DISPONIBILIDAD: 'disponibilidad'
+        DISPONIBILIDAD: 'disponibilidad',
+        PICO_PLACA: 'picoplaca',
+        HISTORIAL: 'historial'
     },
     FORMS: {
         EMPLEADO: 'empleadoForm',
         PARQUEADERO: 'parqueaderoForm',
-        ASIGNACION: 'asignacionForm'
+        ASIGNACION: 'asignacionForm',
+        REGLA_PICO_PLACA: 'reglaPicoPlacaForm',
+        DIA_NO_LABORAL: 'diaNoLaboralForm'
     }
 };
 
@@ -81,22 +270,61 @@ export const ERROR_MESSAGES = {
     DUPLICATE_PLATE: 'Ya existe un empleado con esta placa',
     DUPLICATE_PARKING: 'Ya existe un parqueadero con este número',
     VEHICLE_TYPE_MISMATCH: 'El tipo de vehículo del empleado no coincide con el tipo de parqueadero',
+    SPACE_CATEGORY_NOT_ALLOWED: 'El parqueadero es de una categoría reservada (discapacidad o carga eléctrica) que no corresponde al empleado',
+    INVALID_CREDENTIALS: 'Cédula o PIN incorrectos',
+    INVALID_PIN: 'El PIN debe tener entre 4 y 6 dígitos',
+    ABSENCE_OVERLAP: 'El empleado ya tiene una ausencia registrada en esas fechas',
     EMPLOYEE_ALREADY_ASSIGNED: 'El empleado ya tiene un parqueadero asignado',
     PARKING_ALREADY_ASSIGNED: 'El parqueadero ya está asignado a otro empleado',
+    EMPLOYEE_NOT_FOUND: 'Empleado no encontrado',
+    PARKING_NOT_FOUND: 'Parqueadero no encontrado',
+    INVALID_DATE_RANGE: 'La fecha de fin debe ser posterior o igual a la fecha de inicio',
     INVALID_PLATE_FORMAT: 'El formato de la placa debe ser ABC123',
-    INVALID_PHONE_FORMAT: 'El teléfono debe tener 10 dígitos'
+    INVALID_PHONE_FORMAT: 'El teléfono debe tener 10 dígitos',
+    OFFLINE_MODE: 'El modo sin conexión está activo',
+    SAVED_LOCALLY_ONLY: 'Sin conexión con el servidor: los cambios quedaron guardados solo en este equipo',
+    CHANGE_REJECTED: 'El servidor rechazó un cambio pendiente',
+    STALE_RECORD: 'Otro administrador modificó este registro mientras usted lo editaba',
+    LOCAL_STORAGE_FAILED: 'No se pudieron guardar los datos en este navegador',
+    INVALID_BACKUP: 'El archivo no es un respaldo válido del sistema de parqueaderos',
+    INVALID_LOGIN: 'Usuario o contraseña incorrectos',
+    PERMISSION_DENIED: 'Su rol no tiene permiso para esta acción',
+    STATUS_REASON_REQUIRED: 'Indique el motivo del estado del parqueadero',
+    INVALID_STATUS_END: 'La fecha de fin del estado no puede ser anterior a hoy',
+    PARKING_TYPE_LOCKED: 'No se puede cambiar el tipo de un parqueadero con asignaciones vigentes',
+    PARKING_CATEGORY_LOCKED: 'La nueva categoría no corresponde a los empleados con asignaciones vigentes en este parqueadero',
+    RETIRED_CEDULA: 'Ya existe un empleado retirado con esta cédula; restáurelo desde 🗄️ Retirados',
+    RETENTION_NOT_MET: 'Solo se pueden eliminar definitivamente los empleados retirados cuyo periodo de retención terminó',
+    INVALID_RETIREMENT_DATE: 'La fecha de retiro no puede ser futura',
+    DUPLICATE_USER: 'Ya existe un usuario con ese nombre de usuario',
+    LAST_ADMIN: 'Debe quedar al menos un administrador activo',
+    WEAK_PASSWORD: 'La contraseña debe tener al menos 8 caracteres'
 };
 
 export const SUCCESS_MESSAGES = {
     EMPLOYEE_ADDED: 'Empleado agregado exitosamente',
     EMPLOYEE_DELETED: 'Empleado eliminado exitosamente',
+    EMPLOYEE_ARCHIVED: 'Empleado retirado y archivado',
+    EMPLOYEE_RESTORED: 'Empleado restaurado',
+    DATA_IMPORTED: 'Respaldo importado exitosamente',
     PARKING_ADDED: 'Parqueadero agregado exitosamente',
     PARKING_DELETED: 'Parqueadero eliminado exitosamente',
+    PARKING_UPDATED: 'Parqueadero actualizado exitosamente',
+    PARKING_RELOCATED: 'Asignaciones reubicadas',
     PARKING_ASSIGNED: 'Parqueadero asignado exitosamente',
+    SHARED_ASSIGNMENT_CREATED: 'Parqueadero compartido asignado exitosamente',
+    ABSENCE_DECLARED: 'Día registrado: su parqueadero quedará libre esa fecha',
+    ABSENCE_ADDED: 'Ausencia registrada: el parqueadero queda libre en esas fechas',
+    PARKING_REQUEST_SENT: 'Solicitud de parqueadero enviada',
     ASSIGNMENT_ENDED: 'Asignación terminada exitosamente',
     BULK_PARKING_GENERATED: '300 parqueaderos generados automáticamente',
     AUTO_ASSIGNMENTS_COMPLETED: 'Asignaciones automáticas completadas',
-    PICO_PLACA_REASSIGNED: 'Parqueadero reasignado por pico y placa'
+    PICO_PLACA_REASSIGNED: 'Parqueadero reasignado por pico y placa',
+    DAILY_LOAN_CANCELLED: 'Cupo del día cancelado: el parqueadero vuelve a su titular',
+    RULE_SET_SAVED: 'Reglas de pico y placa guardadas exitosamente',
+    RULE_SET_DELETED: 'Reglas de pico y placa eliminadas exitosamente',
+    NON_WORKING_DAY_SAVED: 'Día no laboral registrado exitosamente',
+    NON_WORKING_DAY_DELETED: 'Día no laboral eliminado exitosamente'
 };
 
 export const PICO_PLACA_CONFIG = {
@@ -105,4 +333,105 @@ export const PICO_PLACA_CONFIG = {
     MIERCOLES: { lastDigits: [5, 6], day: 'miércoles' },
     JUEVES: { lastDigits: [7, 8], day: 'jueves' },
     VIERNES: { lastDigits: [9, 0], day: 'viernes' }
-};
\ No newline at end of file
+};
+
+export const PICO_PLACA_STRATEGIES = {
+    NINGUNA: 'ninguna',            // Vehicle type without restriction
+    ULTIMO_DIGITO: 'ultimo_digito', // Digit-to-weekday mapping on the last plate digit
+    PRIMER_DIGITO: 'primer_digito', // Digit-to-weekday mapping on the first plate digit (motos)
+    PAR_IMPAR: 'par_impar'          // Plate digit parity against calendar day parity
+};
+
+export const PICO_PLACA_WEEKDAYS = ['lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'];
+
+export const PICO_PLACA_EXEMPTIONS = {
+    NINGUNA: 'no',
+    DISCAPACIDAD: 'discapacidad',
+    MEDICO: 'medico',
+    EMERGENCIA: 'emergencia',
+    DIPLOMATICO: 'diplomatico',
+    ELECTRICO: 'electrico',
+    HIBRIDO: 'hibrido',
+    CARRO_COMPARTIDO: 'carro_compartido',
+    OTRO: 'otro'
+};
+
+export const PICO_PLACA_EXEMPTION_LABELS = {
+    no: { icon: '❌', label: 'No tiene exención' },
+    discapacidad: { icon: '♿', label: 'Por discapacidad' },
+    medico: { icon: '🏥', label: 'Personal médico' },
+    emergencia: { icon: '🚨', label: 'Vehículo de emergencia' },
+    diplomatico: { icon: '🏛️', label: 'Cuerpo diplomático' },
+    electrico: { icon: '🔌', label: 'Vehículo eléctrico' },
+    hibrido: { icon: '🔋', label: 'Vehículo híbrido' },
+    carro_compartido: { icon: '👥', label: 'Carro compartido registrado' },
+    otro: { icon: '⚠️', label: 'Otra exención' }
+};
+
+export const EXEMPTION_EXPIRY_WARNING_DAYS = 30;
+
+export const NON_WORKING_DAY_TYPES = {
+    FESTIVO: 'festivo',
+    EMPRESA: 'empresa'
+};
+
+export const USER_ROLES = {
+    ADMIN: 'admin',
+    SEGURIDAD: 'seguridad',
+    RRHH: 'rrhh',
+    CONSULTA: 'consulta'
+};
+
+export const USER_ROLE_LABELS = {
+    admin: 'Administrador',
+    seguridad: 'Seguridad / Portería',
+    rrhh: 'Recursos Humanos',
+    consulta: 'Consulta'
+};
+
+// Actions a role may perform; elements marked data-permiso="..." are hidden without them
+export const PERMISSIONS = {
+    EDITAR_EMPLEADOS: 'empleados-editar',
+    ELIMINAR_EMPLEADOS: 'empleados-eliminar',
+    GESTIONAR_PARQUEADEROS: 'parqueaderos-gestionar',
+    GESTIONAR_ASIGNACIONES: 'asignaciones-gestionar',
+    REGISTRAR_INGRESOS: 'ingresos-registrar',
+    GESTIONAR_REGLAS: 'reglas-gestionar',
+    ADMINISTRAR_DATOS: 'datos-administrar',
+    GESTIONAR_USUARIOS: 'usuarios-gestionar',
+    VER_REPORTES: 'reportes-ver',
+    PORTAL_EMPLEADO: 'portal-empleado'
+};
+
+export const ROLE_PERMISSIONS = {
+    admin: Object.values(PERMISSIONS).filter(permission => permission !== PERMISSIONS.PORTAL_EMPLEADO),
+    seguridad: [PERMISSIONS.REGISTRAR_INGRESOS],
+    rrhh: [PERMISSIONS.EDITAR_EMPLEADOS, PERMISSIONS.VER_REPORTES],
+    consulta: [PERMISSIONS.VER_REPORTES]
+};
+
+export const ROLE_TABS = {
+    admin: Object.values(UI_ELEMENTS.TABS),
+    seguridad: [UI_ELEMENTS.TABS.DASHBOARD, UI_ELEMENTS.TABS.DISPONIBILIDAD],
+    rrhh: [UI_ELEMENTS.TABS.DASHBOARD, UI_ELEMENTS.TABS.EMPLEADOS],
+    consulta: [UI_ELEMENTS.TABS.DASHBOARD, UI_ELEMENTS.TABS.DISPONIBILIDAD, UI_ELEMENTS.TABS.HISTORIAL]
+};
+
+// Collections whose records are written to the audit log, and how each entity is named
+export const AUDIT_ENTITY_LABELS = {
+    empleados: 'Empleado',
+    parqueaderos: 'Parqueadero',
+    asignaciones: 'Asignación'
+};
+
+export const AUDIT_ACTIONS = {
+    CREAR: 'crear',
+    MODIFICAR: 'modificar',
+    ELIMINAR: 'eliminar'
+};
+
+export const AUDIT_ACTION_LABELS = {
+    crear: { icon: '➕', label: 'Creación' },
+    modificar: { icon: '✏️', label: 'Modificación' },
+    eliminar: { icon: '🗑️', label: 'Eliminación' }
+};
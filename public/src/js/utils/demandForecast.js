@@ -0,0 +1,65 @@
+/**
+ * Space demand forecast
+ * Compares, per weekday, the drivers expected in the office with the
+ * spaces of each vehicle type
+ */
+
+import { VEHICLE_TYPES, WORK_SHIFTS } from './constants.js';
+import {
+    getDayOfWeek,
+    getWorkSchedule,
+    getEmployeeAbsence,
+    isEmployeePicoPlaca,
+    isSpaceAssignable
+} from './helpers.js';
+import { getNonWorkingDay } from './holidays.js';
+
+// Employee statuses that never come to the office
+const INACTIVE_STATUSES = ['inactivo', 'suspendido', 'retirado'];
+
+/**
+ * Check if an employee is expected to drive to the office on a date
+ * Scheduled weekday, no absence and no pico y placa.
+ * @param {Object} employee - Employee
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {boolean} True if the employee needs a space that day
+ */
+export function isExpectedDriver(employee, date) {
+    return !INACTIVE_STATUSES.includes(employee.estadoEmpleado) &&
+        !getEmployeeAbsence(employee, date) &&
+        !isEmployeePicoPlaca(employee, date);
+}
+
+/**
+ * Build the demand forecast for a list of dates
+ * @param {Array} employees - All employees
+ * @param {Array} parkingSpaces - All parking spaces
+ * @param {Array} dates - Dates in YYYY-MM-DD format
+ * @returns {Object} { tipos, rows: [{ date, weekday, nonWorkingDay, porTipo: { [tipo]: { esperados, espacios, deficit } }, porTurno }] }
+ */
+export function buildDemandForecast(employees, parkingSpaces, dates) {
+    const usableSpaces = parkingSpaces.filter(space => isSpaceAssignable(space));
+    const tipos = Object.values(VEHICLE_TYPES).filter(tipo =>
+        employees.some(emp => emp.tipoVehiculo === tipo) || usableSpaces.some(space => space.tipo === tipo)
+    );
+    const espacios = Object.fromEntries(tipos.map(tipo => [tipo, usableSpaces.filter(space => space.tipo === tipo).length]));
+
+    const rows = dates.map(date => {
+        const nonWorkingDay = getNonWorkingDay(date);
+        const drivers = nonWorkingDay ? [] : employees.filter(emp => isExpectedDriver(emp, date));
+
+        const porTipo = Object.fromEntries(tipos.map(tipo => {
+            const esperados = drivers.filter(emp => emp.tipoVehiculo === tipo).length;
+            return [tipo, { esperados, espacios: espacios[tipo], deficit: Math.max(0, esperados - espacios[tipo]) }];
+        }));
+
+        const porTurno = Object.fromEntries(Object.values(WORK_SHIFTS).map(turno => [
+            turno,
+            drivers.filter(emp => getWorkSchedule(emp).turno === turno).length
+        ]));
+
+        return { date, weekday: getDayOfWeek(date), nonWorkingDay, porTipo, porTurno };
+    });
+
+    return { tipos, rows };
+}
@@ -2,22 +2,64 @@
  * Utility helper functions
  */
 
-import { DAYS_OF_WEEK, FORM_VALIDATION } from './constants.js';
+import { 
+    DAYS_OF_WEEK, 
+    FORM_VALIDATION, 
+    VEHICLE_TYPES, 
+    PICO_PLACA_EXEMPTIONS, 
+    ASSIGNMENT_STATUS,
+    ASSIGNMENT_TYPES,
+    LOAN_STATUS,
+    PARKING_STATUS,
+    PARKING_CATEGORIES,
+    PRIORITY_CONDITIONS,
+    ABSENCE_TYPES,
+    ABSENT_DAY_STATUSES,
+    DAY_STATUS_LABELS,
+    PICO_PLACA_WEEKDAYS,
+    WORK_SHIFTS,
+    WORK_SHIFT_LABELS
+} from './constants.js';
+import { isPlateRestricted, describePlateRestriction } from './picoPlaca.js';
+import { getNonWorkingDay, isNonWorkingDay } from './holidays.js';
+
+// Last ID handed out, so IDs created in the same millisecond never repeat
+let lastGeneratedId = 0;
 
 /**
  * Generate unique ID based on timestamp and random number
+ * Each ID is greater than the previous one, even inside a loop.
  * @returns {number} Unique ID
  */
 export function generateId() {
-    return Date.now() + Math.floor(Math.random() * 1000);
+    lastGeneratedId = Math.max(Date.now() + Math.floor(Math.random() * 1000), lastGeneratedId + 1);
+    return lastGeneratedId;
 }
 
 /**
  * Get current date in YYYY-MM-DD format
+ * The date is the local one, so the day changes at midnight where the app
+ * runs and not at midnight UTC (19:00 in Colombia). Every "today" of the
+ * application comes from here.
  * @returns {string} Current date
  */
 export function getCurrentDate() {
-    return new Date().toISOString().split('T')[0];
+    const now = new Date();
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    const day = String(now.getDate()).padStart(2, '0');
+    return `${now.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Add days to a date string
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {string} Resulting date in YYYY-MM-DD format
+ */
+export function addDays(dateString, days) {
+    const dateObj = new Date(dateString + 'T00:00:00Z');
+    dateObj.setUTCDate(dateObj.getUTCDate() + days);
+    return dateObj.toISOString().split('T')[0];
 }
 
 /**
@@ -34,63 +76,429 @@ export function getDayOfWeek(dateString) {
 /**
  * Calculate pico y placa day based on plate number
  * @param {string} placa - Vehicle plate (e.g., "ABC123")
- * @returns {string} Day of pico y placa restriction
+ * @param {string} tipoVehiculo - Vehicle type
+ * @param {string} date - Date whose effective rule set applies (YYYY-MM-DD)
+ * @returns {string} Day(s) of pico y placa restriction
  */
-export function calculatePicoPlacaDay(placa) {
+export function calculatePicoPlacaDay(placa, tipoVehiculo = VEHICLE_TYPES.CARRO, date = getCurrentDate()) {
     if (!placa || placa.length < 3) return null;
-    
-    const lastDigit = parseInt(placa.slice(-1));
-    
-    if (lastDigit === 1 || lastDigit === 2) return 'lunes';
-    if (lastDigit === 3 || lastDigit === 4) return 'martes';
-    if (lastDigit === 5 || lastDigit === 6) return 'miércoles';
-    if (lastDigit === 7 || lastDigit === 8) return 'jueves';
-    if (lastDigit === 9 || lastDigit === 0) return 'viernes';
-    
-    return null;
+    return describePlateRestriction(placa, tipoVehiculo, date);
 }
 
 /**
  * Check if today is pico y placa day for a given plate
  * @param {string} placa - Vehicle plate
+ * @param {string} tipoVehiculo - Vehicle type
  * @returns {boolean} True if today is pico y placa day
  */
-export function isTodayPicoPlaca(placa) {
-    const today = getDayOfWeek(getCurrentDate());
-    const picoPlacaDay = calculatePicoPlacaDay(placa);
-    return today === picoPlacaDay;
+export function isTodayPicoPlaca(placa, tipoVehiculo = VEHICLE_TYPES.CARRO) {
+    return isPlateRestricted(placa, tipoVehiculo, getCurrentDate());
+}
+
+/**
+ * Normalize a weekday name for comparison (lowercase, without accents)
+ * @param {string} day - Day name
+ * @returns {string} Normalized day
+ */
+function normalizeDay(day) {
+    return day.trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Check if an employee's pico y placa exemption is in force on a date
+ * Exemptions without expiry date (legacy or imported records) never expire.
+ * @param {Object} employee - Employee data
+ * @param {string} date - Date to check (YYYY-MM-DD)
+ * @returns {boolean} True if the employee is exempt that day
+ */
+export function hasActiveExemption(employee, date = getCurrentDate()) {
+    const tipo = employee?.exencionPicoPlaca;
+    if (!tipo || tipo === PICO_PLACA_EXEMPTIONS.NINGUNA) return false;
+    return !employee.exencionVence || date <= employee.exencionVence;
+}
+
+/**
+ * Check if an employee has pico y placa on a date
+ * Active exemptions lift the restriction; a manually selected restriction overrides the effective rule set.
+ * @param {Object} employee - Employee data
+ * @param {string} date - Date to check (YYYY-MM-DD)
+ * @returns {boolean} True if the employee's vehicle is restricted
+ */
+export function isEmployeePicoPlaca(employee, date) {
+    if (!employee || isNonWorkingDay(date) || hasActiveExemption(employee, date)) return false;
+
+    if (employee.picoPlacaManual && employee.picoPlaca) {
+        if (employee.picoPlaca === 'sin_restriccion') return false;
+        const dayOfWeek = normalizeDay(getDayOfWeek(date));
+        return employee.picoPlaca.split(',').some(day => normalizeDay(day) === dayOfWeek);
+    }
+
+    return isPlateRestricted(employee.placa, employee.tipoVehiculo, date);
+}
+
+/**
+ * Check if an employee left the company (archived with estado "retirado")
+ * Retired employees keep their records and assignment history but are left
+ * out of selectors, rotation and automatic assignment.
+ * @param {Object} employee - Employee data
+ * @returns {boolean} True if retired
+ */
+export function isRetiredEmployee(employee) {
+    return !!employee && employee.estadoEmpleado === 'retirado';
+}
+
+/**
+ * Get the first date a retired employee may be purged
+ * @param {Object} employee - Retired employee
+ * @param {number} retentionDays - Days records are kept after fechaRetiro
+ * @returns {string|null} Date (YYYY-MM-DD), or null if the employee is not retired
+ */
+export function getPurgeDate(employee, retentionDays) {
+    if (!isRetiredEmployee(employee) || !employee.fechaRetiro) return null;
+    return addDays(employee.fechaRetiro, retentionDays);
+}
+
+/**
+ * Check if an employee declared they will not come on a date
+ * @param {Object} employee - Employee data
+ * @param {string} date - Date to check (YYYY-MM-DD)
+ * @returns {boolean} True if the date is in the employee's diasNoAsistencia
+ */
+export function hasDeclaredAbsence(employee, date) {
+    return !!employee && (employee.diasNoAsistencia || []).includes(date);
+}
+
+/**
+ * Get the weekly schedule of an employee
+ * Employees without a structured schedule are expected every weekday.
+ * @param {Object} employee - Employee data
+ * @returns {Object} { dias, turno }
+ */
+export function getWorkSchedule(employee) {
+    return {
+        dias: employee?.horario?.dias || PICO_PLACA_WEEKDAYS,
+        turno: employee?.horario?.turno || WORK_SHIFTS.COMPLETO
+    };
+}
+
+/**
+ * Check if a date is one of the employee's in-office weekdays
+ * @param {Object} employee - Employee data
+ * @param {string} date - Date to check (YYYY-MM-DD)
+ * @returns {boolean} True if the schedule includes the weekday
+ */
+export function isScheduledWorkDay(employee, date) {
+    return getWorkSchedule(employee).dias.includes(getDayOfWeek(date));
+}
+
+/**
+ * Describe an employee's weekly schedule for display
+ * @param {Object} employee - Employee data
+ * @returns {string} Days and shift, e.g. "lunes, martes - Mañana"
+ */
+export function describeWorkSchedule(employee) {
+    const { dias, turno } = getWorkSchedule(employee);
+    const days = dias.length === PICO_PLACA_WEEKDAYS.length ? 'Lunes a sábado' :
+        dias.length === 0 ? 'Sin días presenciales' :
+        dias.join(', ');
+    return `${days} - ${WORK_SHIFT_LABELS[turno]?.label || turno}`;
+}
+
+/**
+ * Find why an employee will not use their space on a date
+ * Dated absences come first, then days declared in the portal, the manual
+ * "Estado Hoy" (only on the day it was set), recurring remote-work weekdays and
+ * weekdays outside the employee's structured schedule.
+ * @param {Object} employee - Employee data
+ * @param {string} date - Date to check (YYYY-MM-DD)
+ * @returns {Object|null} Absence ({ tipo, ... }) or null if the employee comes in
+ */
+export function getEmployeeAbsence(employee, date) {
+    if (!employee) return null;
+
+    const absence = (employee.ausencias || []).find(a => a.fechaInicio <= date && date <= a.fechaFin);
+    if (absence) return absence;
+
+    if (hasDeclaredAbsence(employee, date)) return { tipo: 'no_asiste' };
+
+    if (employee.estadoHoyFecha === date && ABSENT_DAY_STATUSES.includes(employee.estadoHoy)) {
+        return { tipo: employee.estadoHoy };
+    }
+
+    if ((employee.diasTeletrabajo || []).includes(getDayOfWeek(date))) {
+        return { tipo: ABSENCE_TYPES.TELETRABAJO, recurrente: true };
+    }
+
+    if (employee.horario && !isScheduledWorkDay(employee, date)) {
+        return { tipo: 'no_programado', recurrente: true };
+    }
+
+    return null;
+}
+
+/**
+ * Get the effective status of an employee on a date
+ * @param {Object} employee - Employee data
+ * @param {string} date - Date to check (YYYY-MM-DD)
+ * @returns {string} One of the DAY_STATUS_LABELS keys
+ */
+export function getEmployeeDayStatus(employee, date) {
+    const absence = getEmployeeAbsence(employee, date);
+    if (absence) return absence.tipo;
+    return employee.estadoHoyFecha === date && employee.estadoHoy ? employee.estadoHoy : 'presente';
+}
+
+/**
+ * Find the next date an employee has pico y placa
+ * @param {Object} employee - Employee data
+ * @param {string} fromDate - First date to check (YYYY-MM-DD)
+ * @param {number} maxDays - Days to look ahead
+ * @returns {string|null} Date in YYYY-MM-DD format or null if none in range
+ */
+export function getNextPicoPlacaDate(employee, fromDate = getCurrentDate(), maxDays = 60) {
+    for (let offset = 0; offset < maxDays; offset++) {
+        const date = addDays(fromDate, offset);
+        if (isEmployeePicoPlaca(employee, date)) return date;
+    }
+    return null;
+}
+
+/**
+ * Hash a portal PIN (SHA-256, salted with the employee ID)
+ * @param {string} pin - PIN typed by the employee
+ * @param {number|string} salt - Employee ID
+ * @returns {Promise<string>} Hex digest
+ */
+export async function hashPin(pin, salt) {
+    const bytes = new TextEncoder().encode(`${salt}:${pin}`);
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Describe an employee's pico y placa restriction for display
+ * @param {Object} employee - Employee data
+ * @param {string} date - Date whose effective rule set applies (YYYY-MM-DD)
+ * @returns {string|null} Restriction description or null if unrestricted
+ */
+export function describeEmployeePicoPlaca(employee, date = getCurrentDate()) {
+    if (!employee) return null;
+
+    if (employee.picoPlacaManual && employee.picoPlaca) {
+        return employee.picoPlaca === 'sin_restriccion' ? null : employee.picoPlaca.split(',').join(', ');
+    }
+
+    return calculatePicoPlacaDay(employee.placa, employee.tipoVehiculo, date);
+}
+
+/**
+ * Get the status of an assignment on a date from its interval
+ * @param {Object} assignment - Assignment with fechaInicio and optional fechaFin
+ * @param {string} date - Date to check (YYYY-MM-DD)
+ * @returns {string} One of ASSIGNMENT_STATUS
+ */
+export function getAssignmentStatus(assignment, date = getCurrentDate()) {
+    if (assignment.estado === ASSIGNMENT_STATUS.CANCELADA) return ASSIGNMENT_STATUS.CANCELADA;
+    if (date < assignment.fechaInicio) return ASSIGNMENT_STATUS.PROGRAMADA;
+    if (assignment.fechaFin && date > assignment.fechaFin) return ASSIGNMENT_STATUS.FINALIZADA;
+    return ASSIGNMENT_STATUS.ACTIVA;
+}
+
+/**
+ * Check if an assignment is in force on a date
+ * @param {Object} assignment - Assignment
+ * @param {string} date - Date to check (YYYY-MM-DD)
+ * @returns {boolean} True if the date is inside the assignment interval
+ */
+export function isAssignmentActiveOn(assignment, date) {
+    return getAssignmentStatus(assignment, date) === ASSIGNMENT_STATUS.ACTIVA;
+}
+
+/**
+ * Check if a space can be assigned to employees
+ * Only disponible and ocupado spaces can; any other state (maintenance,
+ * reserved, blocked) takes the space out until its estadoHasta. The
+ * category of the space does not count here (see canUseSpaceCategory).
+ * @param {Object} space - Parking space
+ * @param {string} date - Optional date (YYYY-MM-DD) after which an ended state no longer counts
+ * @returns {boolean} True if assignable
+ */
+export function isSpaceAssignable(space, date = null) {
+    if (space.estado === PARKING_STATUS.DISPONIBLE || space.estado === PARKING_STATUS.OCUPADO) return true;
+    return !!date && !!space.estadoHasta && space.estadoHasta < date;
+}
+
+/**
+ * Check if an employee may hold a space of its category
+ * Disability spaces go to employees with the discapacidad priority condition
+ * or pico y placa exemption; charging spaces to those whose exemption says
+ * the vehicle is electric.
+ * @param {Object} employee - Employee
+ * @param {Object} space - Parking space
+ * @returns {boolean} True if the category is meant for the employee
+ */
+export function canUseSpaceCategory(employee, space) {
+    switch (space.categoria || PARKING_CATEGORIES.GENERAL) {
+    case PARKING_CATEGORIES.DISCAPACIDAD:
+        return employee.condicionPrioritaria === PRIORITY_CONDITIONS.DISCAPACIDAD ||
+            employee.exencionPicoPlaca === PICO_PLACA_EXEMPTIONS.DISCAPACIDAD;
+    case PARKING_CATEGORIES.CARGA_ELECTRICA:
+        return employee.exencionPicoPlaca === PICO_PLACA_EXEMPTIONS.ELECTRICO;
+    default:
+        return true;
+    }
+}
+
+/**
+ * Rank a space category for an employee, lower first
+ * Spaces of the employee's own category come first, then general spaces;
+ * visitor spaces are used last so they stay free as long as possible.
+ * Reserved spaces the employee may not use rank after everything.
+ * @param {Object} employee - Employee
+ * @param {Object} space - Parking space
+ * @returns {number} 0 (own category), 1 (general), 2 (visitors) or Infinity (not allowed)
+ */
+export function getSpaceCategoryRank(employee, space) {
+    const categoria = space.categoria || PARKING_CATEGORIES.GENERAL;
+    if (categoria === PARKING_CATEGORIES.GENERAL) return 1;
+    if (categoria === PARKING_CATEGORIES.VISITANTES) return 2;
+    return canUseSpaceCategory(employee, space) ? 0 : Infinity;
+}
+
+/**
+ * Check if an assignment is a shared space with a weekly day pattern
+ * @param {Object} assignment - Assignment
+ * @returns {boolean} True for shared assignments
+ */
+export function isSharedAssignment(assignment) {
+    return assignment.tipo === ASSIGNMENT_TYPES.COMPARTIDA;
+}
+
+/**
+ * Get the employees holding an assignment
+ * @param {Object} assignment - Individual or shared assignment
+ * @returns {Array} Employee IDs
+ */
+export function getAssignmentEmployeeIds(assignment) {
+    return isSharedAssignment(assignment) ? assignment.empleadoIds || [] : [assignment.empleadoId];
+}
+
+/**
+ * Get the employee that uses the space of an assignment on a date
+ * Shared assignments follow their weekly pattern; days without an entry are free.
+ * @param {Object} assignment - Individual or shared assignment
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {number|null} Employee ID or null if nobody uses it that day
+ */
+export function getAssignmentHolderOn(assignment, date) {
+    if (!isSharedAssignment(assignment)) return assignment.empleadoId;
+    return assignment.patronSemanal?.[getDayOfWeek(date)] || null;
+}
+
+/**
+ * Get the weekdays an assignment takes, optionally only those of one employee
+ * @param {Object} assignment - Individual or shared assignment
+ * @param {number} employeeId - Optional employee ID
+ * @returns {Array|null} Weekdays, or null when it takes every day
+ */
+export function getAssignmentWeekdays(assignment, employeeId = null) {
+    if (!isSharedAssignment(assignment)) return null;
+    return Object.entries(assignment.patronSemanal || {})
+        .filter(([, holderId]) => holderId && (employeeId === null || holderId === employeeId))
+        .map(([day]) => day);
+}
+
+/**
+ * Check if two weekday sets share a day (null means every day)
+ * @param {Array|null} a - Weekdays
+ * @param {Array|null} b - Weekdays
+ * @returns {boolean} True if at least one weekday is shared
+ */
+export function weekdaysOverlap(a, b) {
+    if (a === null || b === null) return true;
+    return a.some(day => b.includes(day));
+}
+
+/**
+ * Check if two date intervals overlap (a missing end date means open-ended)
+ * @param {Object} a - Interval with fechaInicio and optional fechaFin
+ * @param {Object} b - Interval with fechaInicio and optional fechaFin
+ * @returns {boolean} True if at least one day is shared
+ */
+export function dateRangesOverlap(a, b) {
+    const endA = a.fechaFin || '9999-12-31';
+    const endB = b.fechaFin || '9999-12-31';
+    return a.fechaInicio <= endB && b.fechaInicio <= endA;
 }
 
 /**
  * Get available parking spaces for a given date considering pico y placa
+ * Holidays and company non-working days have no restriction. When assignments
+ * are given, the holder of each space is the one whose interval (and weekly
+ * pattern, for shared spaces) covers the date; otherwise the current
+ * `empleadoAsignado` is used. Spaces freed by pico y placa
+ * that were lent for the date ("cupo del día") are returned apart as `loaned`,
+ * and spaces whose holder is absent (vacation, sick leave, remote work, a day
+ * declared in the portal...) are returned as `released`.
  * @param {Array} parkingSpaces - All parking spaces
  * @param {Array} employees - All employees
  * @param {string} date - Date to check (YYYY-MM-DD)
- * @returns {Object} Available spaces and pico y placa affected spaces
+ * @param {Object} context - Optional data ({ assignments, loans })
+ * @returns {Object} Available, released, pico y placa, loaned and occupied spaces and the non-working day, if any
  */
-export function calculateDailyAvailability(parkingSpaces, employees, date) {
+export function calculateDailyAvailability(parkingSpaces, employees, date, context = {}) {
     const dayOfWeek = getDayOfWeek(date);
+    const nonWorkingDay = getNonWorkingDay(date);
     const availableSpaces = [];
     const picoPlacaSpaces = [];
+    const releasedSpaces = [];
+    const loanedSpaces = [];
     const occupiedSpaces = [];
+
+    const holderOf = (space) => {
+        if (!context.assignments) return space.empleadoAsignado;
+        const holders = context.assignments
+            .filter(a => a.parqueaderoId === space.id && isAssignmentActiveOn(a, date))
+            .map(a => getAssignmentHolderOn(a, date));
+        return holders.find(Boolean) || null;
+    };
     
     parkingSpaces.forEach(space => {
-        if (space.estado === 'mantenimiento') return;
+        if (!isSpaceAssignable(space, date)) return;
         
-        if (!space.empleadoAsignado) {
+        const holderId = holderOf(space);
+        if (!holderId) {
             availableSpaces.push({...space, motivo: 'Sin asignación'});
             return;
         }
         
-        const employee = employees.find(emp => emp.id === space.empleadoAsignado);
+        const employee = employees.find(emp => emp.id === holderId);
         if (!employee) {
             availableSpaces.push({...space, motivo: 'Empleado no encontrado'});
             return;
         }
         
-        const employeePicoPlacaDay = calculatePicoPlacaDay(employee.placa);
-        
-        if (dayOfWeek === employeePicoPlacaDay) {
+        const loan = context.loans?.find(l =>
+            l.parqueaderoId === space.id && l.fecha === date && l.estado === LOAN_STATUS.ACTIVO
+        );
+        const absence = getEmployeeAbsence(employee, date);
+
+        if (loan) {
+            const guest = employees.find(emp => emp.id === loan.empleadoId);
+            loanedSpaces.push({
+                ...space,
+                empleado: employee,
+                invitado: guest,
+                prestamo: loan,
+                motivo: `Cupo del día - ${guest ? guest.nombre : 'Empleado no encontrado'}`
+            });
+        } else if (absence) {
+            releasedSpaces.push({
+                ...space,
+                empleado: employee,
+                motivo: `Liberado por el titular - ${DAY_STATUS_LABELS[absence.tipo]?.label || absence.tipo}`
+            });
+        } else if (isEmployeePicoPlaca(employee, date)) {
             picoPlacaSpaces.push({
                 ...space,
                 empleado: employee,
@@ -100,7 +508,7 @@ export function calculateDailyAvailability(parkingSpaces, employees, date) {
             occupiedSpaces.push({
                 ...space,
                 empleado: employee,
-                motivo: 'Ocupado normalmente'
+                motivo: nonWorkingDay ? `Sin pico y placa - ${nonWorkingDay.nombre}` : 'Ocupado normalmente'
             });
         }
     });
@@ -108,12 +516,17 @@ export function calculateDailyAvailability(parkingSpaces, employees, date) {
     return {
         available: availableSpaces,
         picoPlaca: picoPlacaSpaces,
+        released: releasedSpaces,
+        loaned: loanedSpaces,
         occupied: occupiedSpaces,
+        nonWorkingDay,
         summary: {
-            totalAvailable: availableSpaces.length + picoPlacaSpaces.length,
+            totalAvailable: availableSpaces.length + picoPlacaSpaces.length + releasedSpaces.length,
             normallyAvailable: availableSpaces.length,
             picoPlacaAvailable: picoPlacaSpaces.length,
-            occupied: occupiedSpaces.length
+            released: releasedSpaces.length,
+            loaned: loanedSpaces.length,
+            occupied: occupiedSpaces.length + loanedSpaces.length
         }
     };
 }
@@ -140,7 +553,7 @@ export function formatDate(dateString) {
  */
 export function validateEmployeeData(employeeData) {
     const errors = [];
-    const { nombre, cedula, placa, tipoVehiculo, telefono } = employeeData;
+    const { nombre, cedula, placa, tipoVehiculo, telefono, exencionPicoPlaca, exencionVence } = employeeData;
 
     // Required fields validation
     if (!nombre?.trim()) errors.push('El nombre es requerido');
@@ -169,6 +582,11 @@ export function validateEmployeeData(employeeData) {
         errors.push('El teléfono debe tener 10 dígitos');
     }
 
+    // Pico y placa exemptions must have an expiry date
+    if (exencionPicoPlaca && exencionPicoPlaca !== PICO_PLACA_EXEMPTIONS.NINGUNA && !exencionVence) {
+        errors.push('La exención de pico y placa requiere fecha de vencimiento');
+    }
+
     return {
         isValid: errors.length === 0,
         errors
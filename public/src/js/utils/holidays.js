@@ -0,0 +1,173 @@
+/**
+ * Colombian holiday calendar
+ * Fixed holidays, Ley Emiliani holidays moved to Monday, Easter-based holidays
+ * and company-specific non-working days
+ */
+
+import { NON_WORKING_DAY_TYPES } from './constants.js';
+
+// Holidays that are always observed on their date
+const FIXED_HOLIDAYS = [
+    { month: 1, day: 1, nombre: 'Año Nuevo' },
+    { month: 5, day: 1, nombre: 'Día del Trabajo' },
+    { month: 7, day: 20, nombre: 'Día de la Independencia' },
+    { month: 8, day: 7, nombre: 'Batalla de Boyacá' },
+    { month: 12, day: 8, nombre: 'Inmaculada Concepción' },
+    { month: 12, day: 25, nombre: 'Navidad' }
+];
+
+// Ley Emiliani (Ley 51 de 1983): observed on the following Monday
+const MOVABLE_HOLIDAYS = [
+    { month: 1, day: 6, nombre: 'Día de los Reyes Magos' },
+    { month: 3, day: 19, nombre: 'Día de San José' },
+    { month: 6, day: 29, nombre: 'San Pedro y San Pablo' },
+    { month: 8, day: 15, nombre: 'Asunción de la Virgen' },
+    { month: 10, day: 12, nombre: 'Día de la Raza' },
+    { month: 11, day: 1, nombre: 'Todos los Santos' },
+    { month: 11, day: 11, nombre: 'Independencia de Cartagena' }
+];
+
+// Offsets in days from Easter Sunday
+const EASTER_HOLIDAYS = [
+    { offset: -3, nombre: 'Jueves Santo', moveToMonday: false },
+    { offset: -2, nombre: 'Viernes Santo', moveToMonday: false },
+    { offset: 39, nombre: 'Ascensión del Señor', moveToMonday: true },
+    { offset: 60, nombre: 'Corpus Christi', moveToMonday: true },
+    { offset: 68, nombre: 'Sagrado Corazón', moveToMonday: true }
+];
+
+const holidayCache = new Map();
+let companyDays = [];
+
+/**
+ * Build a UTC date
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {Date} Date at UTC midnight
+ */
+function utcDate(year, month, day) {
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Format a UTC date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} Formatted date
+ */
+function toDateString(date) {
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Add days to a UTC date
+ * @param {Date} date - Date
+ * @param {number} days - Days to add
+ * @returns {Date} New date
+ */
+function addDays(date, days) {
+    return new Date(date.getTime() + days * 86400000);
+}
+
+/**
+ * Move a date to the next Monday (unchanged if it already is Monday)
+ * @param {Date} date - Date
+ * @returns {Date} Monday date
+ */
+function moveToMonday(date) {
+    const weekday = date.getUTCDay();
+    return weekday === 1 ? date : addDays(date, (8 - weekday) % 7);
+}
+
+/**
+ * Calculate Easter Sunday (anonymous Gregorian algorithm)
+ * @param {number} year - Year
+ * @returns {Date} Easter Sunday
+ */
+export function calculateEasterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return utcDate(year, month, day);
+}
+
+/**
+ * Get the Colombian national holidays of a year
+ * @param {number} year - Year
+ * @returns {Array} Holidays sorted by date ({ fecha, nombre, tipo })
+ */
+export function getColombianHolidays(year) {
+    if (holidayCache.has(year)) return holidayCache.get(year);
+
+    const easter = calculateEasterSunday(year);
+    const holidays = [
+        ...FIXED_HOLIDAYS.map(({ month, day, nombre }) => ({ date: utcDate(year, month, day), nombre })),
+        ...MOVABLE_HOLIDAYS.map(({ month, day, nombre }) => ({ date: moveToMonday(utcDate(year, month, day)), nombre })),
+        ...EASTER_HOLIDAYS.map(({ offset, nombre, moveToMonday: move }) => {
+            const date = addDays(easter, offset);
+            return { date: move ? moveToMonday(date) : date, nombre };
+        })
+    ]
+        .map(({ date, nombre }) => ({ fecha: toDateString(date), nombre, tipo: NON_WORKING_DAY_TYPES.FESTIVO }))
+        .sort((a, b) => a.fecha.localeCompare(b.fecha));
+
+    holidayCache.set(year, holidays);
+    return holidays;
+}
+
+/**
+ * Replace the company-specific non-working days
+ * @param {Array} days - Non-working days ({ id, fecha, nombre })
+ */
+export function setCompanyNonWorkingDays(days) {
+    companyDays = Array.isArray(days) ? days : [];
+}
+
+/**
+ * Get the non-working day registered for a date
+ * Company days take precedence over national holidays.
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Object|null} Non-working day ({ fecha, nombre, tipo }) or null
+ */
+export function getNonWorkingDay(date) {
+    if (!date) return null;
+
+    const companyDay = companyDays.find(day => day.fecha === date);
+    if (companyDay) return { ...companyDay, tipo: NON_WORKING_DAY_TYPES.EMPRESA };
+
+    const year = parseInt(date.slice(0, 4));
+    return getColombianHolidays(year).find(holiday => holiday.fecha === date) || null;
+}
+
+/**
+ * Check if a date is a holiday or company non-working day
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {boolean} True if nobody is expected to commute that day
+ */
+export function isNonWorkingDay(date) {
+    return getNonWorkingDay(date) !== null;
+}
+
+/**
+ * Get the first date on or after a date that is not a holiday or company day
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {string} Working date in YYYY-MM-DD format
+ */
+export function getNextWorkingDay(date) {
+    let current = date;
+    while (isNonWorkingDay(current)) {
+        current = toDateString(addDays(new Date(current + 'T00:00:00Z'), 1));
+    }
+    return current;
+}
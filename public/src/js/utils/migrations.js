@@ -0,0 +1,268 @@
+/**
+ * Data schema versions and migrations
+ * Every saved document carries `schemaVersion`. On load and on import a
+ * validation pass first repairs what no migration can express (broken
+ * references, ids stored as text...), then the migrations newer than that
+ * version run in order; the report lists every record that was touched.
+ * Documents written by a newer version of the application are refused
+ * instead of being half understood.
+ * Shared with the Netlify Functions, so it must stay free of browser APIs.
+ */
+
+import { APP_CONFIG, ASSIGNMENT_STATUS, DATA_COLLECTIONS, PARKING_CATEGORIES, PARKING_STATUS } from './constants.js';
+import {
+    addDays,
+    generateId,
+    getAssignmentEmployeeIds,
+    getAssignmentHolderOn,
+    getAssignmentStatus,
+    getCurrentDate
+} from './helpers.js';
+
+export const SCHEMA_VERSION = APP_CONFIG.SCHEMA_VERSION;
+
+// Documents saved before schemaVersion existed
+const INITIAL_SCHEMA_VERSION = 1;
+
+// Collections whose records are referenced by id
+const ENTITY_COLLECTIONS = ['empleados', 'parqueaderos', 'asignaciones', 'historialRotacion'];
+
+export class SchemaVersionError extends Error {
+    /**
+     * @param {number} version - Schema version of the refused document
+     */
+    constructor(version) {
+        super(`Los datos fueron guardados con una versión más reciente de la aplicación (esquema ${version}, ` +
+            `esta versión usa el ${SCHEMA_VERSION}). Actualice la aplicación para abrirlos.`);
+        this.name = 'SchemaVersionError';
+        this.version = version;
+    }
+}
+
+/**
+ * Ordered migrations; each one takes a document from version - 1 to version
+ * migrate(data, { today, repair }) changes data in place.
+ */
+export const MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Asignaciones como intervalos de fechas con estado',
+        migrate(data, { today }) {
+            data.asignaciones.forEach(assignment => {
+                if (assignment.estado) return;
+                if (!assignment.fechaInicio) assignment.fechaInicio = assignment.fechaCreacion || today;
+
+                // Records ended before intervals existed: close the interval the day before
+                if (assignment.activa === false) {
+                    const lastDay = addDays(today, -1);
+                    if (!assignment.fechaFin || assignment.fechaFin > lastDay) assignment.fechaFin = lastDay;
+                    if (assignment.fechaFin < assignment.fechaInicio) assignment.estado = ASSIGNMENT_STATUS.CANCELADA;
+                }
+
+                assignment.fechaFin = assignment.fechaFin || null;
+                assignment.estado = getAssignmentStatus(assignment, today);
+                assignment.activa = assignment.estado === ASSIGNMENT_STATUS.ACTIVA;
+            });
+        }
+    },
+    {
+        version: 3,
+        description: 'Ocupación de parqueaderos registrada como asignaciones',
+        migrate(data, { today, repair }) {
+            // Old versions could mark a space as taken (empleadoAsignado) without an assignment record
+            data.parqueaderos.forEach(space => {
+                if (!space.empleadoAsignado) return;
+
+                const covered = data.asignaciones.some(assignment =>
+                    assignment.parqueaderoId === space.id &&
+                    assignment.estado !== ASSIGNMENT_STATUS.CANCELADA &&
+                    getAssignmentEmployeeIds(assignment).includes(space.empleadoAsignado)
+                );
+                if (covered) return;
+
+                const assignment = {
+                    id: generateId(),
+                    empleadoId: space.empleadoAsignado,
+                    parqueaderoId: space.id,
+                    fechaInicio: space.fechaAsignacion || today,
+                    fechaFin: null,
+                    fechaCreacion: today
+                };
+                assignment.estado = getAssignmentStatus(assignment, today);
+                assignment.activa = assignment.estado === ASSIGNMENT_STATUS.ACTIVA;
+                data.asignaciones.push(assignment);
+                repair('asignaciones', assignment.id, `creada a partir del parqueadero ${space.numero || space.id}`);
+            });
+        }
+    },
+    {
+        version: 4,
+        description: 'Discapacidad, carga eléctrica y visitantes como categoría del parqueadero',
+        migrate(data, { today }) {
+            // These were states that kept the space out of assignment
+            const categories = [
+                PARKING_CATEGORIES.DISCAPACIDAD,
+                PARKING_CATEGORIES.CARGA_ELECTRICA,
+                PARKING_CATEGORIES.VISITANTES
+            ];
+            data.parqueaderos.forEach(space => {
+                if (!categories.includes(space.estado)) return;
+
+                // Occupancy comes from the assignments since schema 3, like AssignmentManager.refreshAssignmentStates
+                const current = data.asignaciones.filter(a =>
+                    a.parqueaderoId === space.id && a.estado === ASSIGNMENT_STATUS.ACTIVA);
+                space.categoria = space.estado;
+                space.empleadoAsignado = current.map(a => getAssignmentHolderOn(a, today)).find(Boolean) ||
+                    (current.length > 0 ? getAssignmentEmployeeIds(current[0])[0] : null);
+                space.estado = space.empleadoAsignado ? PARKING_STATUS.OCUPADO : PARKING_STATUS.DISPONIBLE;
+                space.motivoEstado = null;
+                space.estadoHasta = null;
+            });
+        }
+    }
+];
+
+/**
+ * Get the schema version of a document
+ * @param {Object} data - Data document
+ * @returns {number} Schema version
+ */
+export function getSchemaVersion(data) {
+    return Number.isInteger(data?.schemaVersion) ? data.schemaVersion : INITIAL_SCHEMA_VERSION;
+}
+
+/**
+ * Check whether a document comes from a newer version of the application
+ * @param {Object} data - Data document
+ * @returns {boolean} True if it cannot be read
+ */
+export function isNewerSchema(data) {
+    return getSchemaVersion(data) > SCHEMA_VERSION;
+}
+
+/**
+ * Turn an id stored as text back into a number
+ * @param {*} value - Id
+ * @returns {*} Number for numeric text, the value otherwise
+ */
+function toId(value) {
+    return typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * Repair what the migrations leave inconsistent
+ * Runs on every load, so it only changes records that are actually broken.
+ * @param {Object} data - Data document, changed in place
+ * @param {Function} repair - (collection, id, problem) => void
+ */
+export function validateData(data, repair) {
+    DATA_COLLECTIONS.forEach(name => {
+        if (!Array.isArray(data[name])) {
+            if (data[name] !== undefined) repair(name, null, 'no era una lista; se reinició vacía');
+            data[name] = [];
+        }
+
+        const records = data[name].filter(record => record && typeof record === 'object');
+        if (records.length !== data[name].length) {
+            repair(name, null, `${data[name].length - records.length} registro(s) ilegible(s) descartado(s)`);
+            data[name] = records;
+        }
+    });
+
+    ENTITY_COLLECTIONS.forEach(name => {
+        data[name].forEach(record => {
+            const id = toId(record.id);
+            if (id === undefined || id === null || id === '') {
+                record.id = generateId();
+                repair(name, record.id, 'sin identificador; se asignó uno nuevo');
+            } else if (id !== record.id) {
+                record.id = id;
+                repair(name, id, 'identificador guardado como texto');
+            }
+        });
+    });
+
+    const employeeIds = new Set(data.empleados.map(employee => employee.id));
+    const spaceIds = new Set(data.parqueaderos.map(space => space.id));
+
+    data.asignaciones = data.asignaciones.filter(assignment => {
+        ['empleadoId', 'parqueaderoId'].forEach(field => {
+            if (assignment[field] !== undefined) assignment[field] = toId(assignment[field]);
+        });
+        if (Array.isArray(assignment.empleadoIds)) assignment.empleadoIds = assignment.empleadoIds.map(toId);
+
+        const missingEmployee = getAssignmentEmployeeIds(assignment).find(id => !employeeIds.has(id));
+        if (!spaceIds.has(assignment.parqueaderoId) || missingEmployee !== undefined) {
+            repair('asignaciones', assignment.id, missingEmployee !== undefined ?
+                `eliminada: el empleado ${missingEmployee} no existe` :
+                `eliminada: el parqueadero ${assignment.parqueaderoId} no existe`);
+            return false;
+        }
+        return true;
+    });
+
+    data.parqueaderos.forEach(space => {
+        if (!space.empleadoAsignado) return;
+        space.empleadoAsignado = toId(space.empleadoAsignado);
+        if (employeeIds.has(space.empleadoAsignado)) return;
+
+        repair('parqueaderos', space.id, `liberado: el empleado asignado ${space.empleadoAsignado} no existe`);
+        space.empleadoAsignado = null;
+        if (space.estado === PARKING_STATUS.OCUPADO) space.estado = PARKING_STATUS.DISPONIBLE;
+    });
+}
+
+/**
+ * Bring a document to the current schema
+ * @param {Object} data - Data document (not changed; a migrated copy is returned)
+ * @param {string} today - Reference date for interval migrations (YYYY-MM-DD)
+ * @returns {Object} { data, report: { fromVersion, toVersion, applied: [{ version, description }],
+ *                   repaired: [{ collection, id, problem }] } }
+ * @throws {SchemaVersionError} When the document comes from a newer version
+ */
+export function migrateData(data, today = getCurrentDate()) {
+    const fromVersion = getSchemaVersion(data);
+    if (fromVersion > SCHEMA_VERSION) throw new SchemaVersionError(fromVersion);
+
+    const migrated = JSON.parse(JSON.stringify(data));
+    const report = { fromVersion, toVersion: SCHEMA_VERSION, applied: [], repaired: [] };
+    const repair = (collection, id, problem) => report.repaired.push({ collection, id, problem });
+
+    // Migrations can rely on the entity collections being lists
+    validateData(migrated, repair);
+
+    MIGRATIONS
+        .filter(migration => migration.version > fromVersion)
+        .forEach(migration => {
+            migration.migrate(migrated, { today, repair });
+            report.applied.push({ version: migration.version, description: migration.description });
+        });
+
+    migrated.schemaVersion = SCHEMA_VERSION;
+    return { data: migrated, report };
+}
+
+/**
+ * Check whether a migration changed anything worth saving
+ * @param {Object} report - From migrateData
+ * @returns {boolean} True if migrations ran or records were repaired
+ */
+export function hasMigrationChanges(report) {
+    return report.applied.length > 0 || report.repaired.length > 0;
+}
+
+/**
+ * Describe a migration report for the user
+ * @param {Object} report - From migrateData
+ * @returns {string} Summary, e.g. "Datos actualizados del esquema 1 al 3; 2 registro(s) reparado(s)"
+ */
+export function describeMigrationReport(report) {
+    const parts = [];
+    if (report.applied.length > 0) {
+        parts.push(`Datos actualizados del esquema ${report.fromVersion} al ${report.toVersion}`);
+    }
+    if (report.repaired.length > 0) {
+        parts.push(`${report.repaired.length} registro(s) reparado(s)`);
+    }
+    return parts.join('; ');
+}
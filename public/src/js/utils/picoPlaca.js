@@ -0,0 +1,230 @@
+/**
+ * Pico y placa rules engine
+ * Resolves plate restrictions from named rule sets with validity ranges
+ */
+
+import {
+    DAYS_OF_WEEK,
+    VEHICLE_TYPES,
+    PICO_PLACA_CONFIG,
+    PICO_PLACA_STRATEGIES,
+    PICO_PLACA_WEEKDAYS
+} from './constants.js';
+import { isNonWorkingDay } from './holidays.js';
+
+const DEFAULT_RULE_SET_ID = 'base';
+
+let ruleSets = [];
+
+/**
+ * Build the built-in rule set from PICO_PLACA_CONFIG
+ * @returns {Object} Default rule set without validity limits
+ */
+export function createDefaultRuleSet() {
+    const digitosPorDia = Object.values(PICO_PLACA_CONFIG).reduce((acc, { day, lastDigits }) => {
+        acc[day] = [...lastDigits];
+        return acc;
+    }, {});
+
+    return {
+        id: DEFAULT_RULE_SET_ID,
+        nombre: 'Bogotá - Base',
+        vigenciaDesde: null,
+        vigenciaHasta: null,
+        reglas: {
+            [VEHICLE_TYPES.CARRO]: { estrategia: PICO_PLACA_STRATEGIES.ULTIMO_DIGITO, digitosPorDia },
+            [VEHICLE_TYPES.MOTO]: { estrategia: PICO_PLACA_STRATEGIES.ULTIMO_DIGITO, digitosPorDia: { ...digitosPorDia } },
+            [VEHICLE_TYPES.BICICLETA]: { estrategia: PICO_PLACA_STRATEGIES.NINGUNA }
+        }
+    };
+}
+
+/**
+ * Replace the rule sets used by the engine
+ * @param {Array} sets - Rule sets (falls back to the default set when empty)
+ */
+export function setPicoPlacaRuleSets(sets) {
+    ruleSets = Array.isArray(sets) && sets.length > 0 ? sets : [createDefaultRuleSet()];
+}
+
+/**
+ * Get the rule sets known to the engine
+ * @returns {Array} Rule sets
+ */
+export function getPicoPlacaRuleSets() {
+    if (ruleSets.length === 0) setPicoPlacaRuleSets([]);
+    return ruleSets;
+}
+
+/**
+ * Check if a rule set is valid on a date
+ * @param {Object} ruleSet - Rule set
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {boolean} True if the date is inside the validity range
+ */
+export function isRuleSetValidOn(ruleSet, date) {
+    if (ruleSet.vigenciaDesde && date < ruleSet.vigenciaDesde) return false;
+    if (ruleSet.vigenciaHasta && date > ruleSet.vigenciaHasta) return false;
+    return true;
+}
+
+/**
+ * Resolve the rule set effective on a date
+ * The valid set with the most recent start date wins; open-ended sets act as fallback.
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Object} Effective rule set
+ */
+export function getEffectiveRuleSet(date) {
+    const candidates = getPicoPlacaRuleSets().filter(set => isRuleSetValidOn(set, date));
+    if (candidates.length === 0) return createDefaultRuleSet();
+
+    return candidates.reduce((best, set) =>
+        (set.vigenciaDesde || '') > (best.vigenciaDesde || '') ? set : best
+    );
+}
+
+/**
+ * Get a digit from a plate
+ * @param {string} placa - Vehicle plate (e.g., "ABC123" or "ABC12D")
+ * @param {string} position - 'primero' or 'ultimo'
+ * @returns {number|null} Digit or null if the plate has no digits
+ */
+export function getPlateDigit(placa, position = 'ultimo') {
+    const digits = (placa || '').replace(/\D/g, '');
+    if (!digits) return null;
+    return parseInt(position === 'primero' ? digits[0] : digits[digits.length - 1]);
+}
+
+/**
+ * Get the weekday name of a date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {string} Day of the week in Spanish
+ */
+function getWeekday(date) {
+    return Object.values(DAYS_OF_WEEK)[new Date(date + 'T00:00:00').getDay()];
+}
+
+/**
+ * Get the rule for a vehicle type in the set effective on a date
+ * @param {string} tipoVehiculo - Vehicle type
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Object|null} Rule or null if the type is not restricted
+ */
+function getRule(tipoVehiculo, date) {
+    const rule = getEffectiveRuleSet(date).reglas?.[tipoVehiculo || VEHICLE_TYPES.CARRO];
+    if (!rule || rule.estrategia === PICO_PLACA_STRATEGIES.NINGUNA) return null;
+    return rule;
+}
+
+/**
+ * Check if a plate is restricted on a date
+ * @param {string} placa - Vehicle plate
+ * @param {string} tipoVehiculo - Vehicle type
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {boolean} True if the plate cannot circulate that day
+ */
+export function isPlateRestricted(placa, tipoVehiculo, date) {
+    // Pico y placa does not apply on holidays or company non-working days
+    if (isNonWorkingDay(date)) return false;
+
+    const rule = getRule(tipoVehiculo, date);
+    if (!rule) return false;
+
+    const weekday = getWeekday(date);
+
+    switch (rule.estrategia) {
+        case PICO_PLACA_STRATEGIES.ULTIMO_DIGITO:
+        case PICO_PLACA_STRATEGIES.PRIMER_DIGITO: {
+            const position = rule.estrategia === PICO_PLACA_STRATEGIES.PRIMER_DIGITO ? 'primero' : 'ultimo';
+            const digit = getPlateDigit(placa, position);
+            return digit !== null && (rule.digitosPorDia?.[weekday] || []).includes(digit);
+        }
+        case PICO_PLACA_STRATEGIES.PAR_IMPAR: {
+            if (!(rule.diasAplica || []).includes(weekday)) return false;
+            const digit = getPlateDigit(placa, rule.posicion);
+            if (digit === null) return false;
+
+            const isEvenDay = parseInt(date.slice(-2)) % 2 === 0;
+            const restrictedParity = isEvenDay ? rule.paridadDiaPar : (rule.paridadDiaPar === 'par' ? 'impar' : 'par');
+            return (digit % 2 === 0 ? 'par' : 'impar') === restrictedParity;
+        }
+        default:
+            return false;
+    }
+}
+
+/**
+ * Describe the restriction of a plate under the rule set effective on a date
+ * @param {string} placa - Vehicle plate
+ * @param {string} tipoVehiculo - Vehicle type
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {string|null} Restricted weekdays (e.g., "lunes") or parity description
+ */
+export function describePlateRestriction(placa, tipoVehiculo, date) {
+    const rule = getRule(tipoVehiculo, date);
+    if (!rule) return null;
+
+    if (rule.estrategia === PICO_PLACA_STRATEGIES.PAR_IMPAR) {
+        const digit = getPlateDigit(placa, rule.posicion);
+        if (digit === null) return null;
+        const digitParity = digit % 2 === 0 ? 'par' : 'impar';
+        return digitParity === rule.paridadDiaPar ? 'días pares' : 'días impares';
+    }
+
+    const position = rule.estrategia === PICO_PLACA_STRATEGIES.PRIMER_DIGITO ? 'primero' : 'ultimo';
+    const digit = getPlateDigit(placa, position);
+    if (digit === null) return null;
+
+    const days = PICO_PLACA_WEEKDAYS.filter(day => (rule.digitosPorDia?.[day] || []).includes(digit));
+    return days.length > 0 ? days.join(', ') : null;
+}
+
+/**
+ * Validate a rule set before saving
+ * @param {Object} ruleSet - Rule set to validate
+ * @returns {Object} Validation result with isValid and errors
+ */
+export function validateRuleSet(ruleSet) {
+    const errors = [];
+    const { nombre, vigenciaDesde, vigenciaHasta, reglas } = ruleSet;
+
+    if (!nombre?.trim()) errors.push('El nombre del conjunto de reglas es requerido');
+
+    if (vigenciaDesde && vigenciaHasta && vigenciaDesde > vigenciaHasta) {
+        errors.push('La fecha de inicio de vigencia debe ser anterior a la fecha final');
+    }
+
+    Object.entries(reglas || {}).forEach(([tipo, rule]) => {
+        if (rule.estrategia === PICO_PLACA_STRATEGIES.PAR_IMPAR) {
+            if (!rule.diasAplica || rule.diasAplica.length === 0) {
+                errors.push(`Reglas de ${tipo}: seleccione al menos un día de aplicación`);
+            }
+            return;
+        }
+
+        if (rule.estrategia !== PICO_PLACA_STRATEGIES.ULTIMO_DIGITO &&
+            rule.estrategia !== PICO_PLACA_STRATEGIES.PRIMER_DIGITO) return;
+
+        const seen = new Map();
+        Object.entries(rule.digitosPorDia || {}).forEach(([day, digits]) => {
+            digits.forEach(digit => {
+                if (!Number.isInteger(digit) || digit < 0 || digit > 9) {
+                    errors.push(`Reglas de ${tipo}: "${digit}" no es un dígito válido (${day})`);
+                } else if (seen.has(digit)) {
+                    errors.push(`Reglas de ${tipo}: el dígito ${digit} está en ${seen.get(digit)} y ${day}`);
+                } else {
+                    seen.set(digit, day);
+                }
+            });
+        });
+
+        if (seen.size === 0) {
+            errors.push(`Reglas de ${tipo}: asigne al menos un dígito a algún día`);
+        }
+    });
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
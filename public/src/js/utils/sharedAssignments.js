@@ -0,0 +1,130 @@
+/**
+ * Shared space planning
+ * Builds weekly day patterns for employees whose pico y placa days differ
+ * and proposes pairs from the employees waiting for a space
+ */
+
+import { PICO_PLACA_WEEKDAYS } from './constants.js';
+import { addDays, getDayOfWeek, isEmployeePicoPlaca } from './helpers.js';
+
+/**
+ * Get the weekdays an employee cannot drive, from the rules in force on a date
+ * Two weeks are checked so a holiday does not hide a restricted weekday.
+ * @param {Object} employee - Employee
+ * @param {string} referenceDate - First date to check (YYYY-MM-DD)
+ * @returns {Array} Restricted weekdays
+ */
+export function getRestrictedWeekdays(employee, referenceDate) {
+    const days = new Set();
+    for (let offset = 0; offset < 14; offset++) {
+        const date = addDays(referenceDate, offset);
+        if (isEmployeePicoPlaca(employee, date)) days.add(getDayOfWeek(date));
+    }
+    return PICO_PLACA_WEEKDAYS.filter(day => days.has(day));
+}
+
+/**
+ * Split the weekdays among employees, never giving a day to someone restricted on it
+ * Each day goes to the allowed employee with the fewest days so far.
+ * @param {Array} employees - Employees sharing the space
+ * @param {string} referenceDate - Date whose rules apply (YYYY-MM-DD)
+ * @returns {Object} Pattern { [weekday]: employeeId | null }
+ */
+export function buildSharedPattern(employees, referenceDate) {
+    const restricted = new Map(employees.map(emp => [emp.id, getRestrictedWeekdays(emp, referenceDate)]));
+    const load = new Map(employees.map(emp => [emp.id, 0]));
+
+    return PICO_PLACA_WEEKDAYS.reduce((pattern, day) => {
+        const allowed = employees.filter(emp => !restricted.get(emp.id).includes(day));
+        const holder = allowed.reduce((best, emp) => !best || load.get(emp.id) < load.get(best.id) ? emp : best, null);
+
+        pattern[day] = holder ? holder.id : null;
+        if (holder) load.set(holder.id, load.get(holder.id) + 1);
+        return pattern;
+    }, {});
+}
+
+/**
+ * Find problems in a weekly pattern
+ * @param {Object} pattern - { [weekday]: employeeId | null }
+ * @param {Array} employees - Employees sharing the space
+ * @param {string} referenceDate - Date whose rules apply (YYYY-MM-DD)
+ * @returns {Array} Messages, empty if the pattern is usable
+ */
+export function findPatternIssues(pattern, employees, referenceDate) {
+    const issues = [];
+
+    if (employees.length < 2) {
+        issues.push('Un parqueadero compartido necesita al menos dos empleados');
+    }
+
+    const tipos = new Set(employees.map(emp => emp.tipoVehiculo));
+    if (tipos.size > 1) {
+        issues.push('Los empleados deben tener el mismo tipo de vehículo');
+    }
+
+    employees.forEach(emp => {
+        const days = Object.keys(pattern).filter(day => pattern[day] === emp.id);
+        if (days.length === 0) {
+            issues.push(`${emp.nombre} no tiene ningún día asignado`);
+            return;
+        }
+
+        const restricted = getRestrictedWeekdays(emp, referenceDate);
+        days.filter(day => restricted.includes(day)).forEach(day => {
+            issues.push(`${emp.nombre} tiene pico y placa el ${day}`);
+        });
+    });
+
+    return issues;
+}
+
+/**
+ * Propose pairs of employees with complementary pico y placa days
+ * Employees are grouped by vehicle type and restricted days; each pair takes one
+ * employee from the two largest compatible groups, which leaves the fewest alone.
+ * @param {Array} employees - Employees waiting for a space
+ * @param {string} referenceDate - Date whose rules apply (YYYY-MM-DD)
+ * @returns {Object} { pairs: [{ employees, pattern }], unpaired }
+ */
+export function suggestPairs(employees, referenceDate) {
+    const restricted = new Map(employees.map(emp => [emp.id, getRestrictedWeekdays(emp, referenceDate)]));
+    const groups = new Map();
+
+    employees.forEach(emp => {
+        const key = `${emp.tipoVehiculo}|${restricted.get(emp.id).join(',')}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(emp);
+    });
+
+    const compatible = (a, b) =>
+        a.tipoVehiculo === b.tipoVehiculo &&
+        !restricted.get(a.id).some(day => restricted.get(b.id).includes(day));
+
+    const pairs = [];
+    const unpaired = [];
+
+    for (;;) {
+        const ordered = [...groups.values()]
+            .filter(group => group.length > 0)
+            .sort((a, b) => b.length - a.length);
+        if (ordered.length === 0) break;
+
+        const first = ordered[0][0];
+        const partnerGroup = ordered.find(group => group.some(emp => emp !== first && compatible(first, emp)));
+
+        ordered[0].shift();
+        if (!partnerGroup) {
+            unpaired.push(first);
+            continue;
+        }
+
+        const partner = partnerGroup.find(emp => emp !== first && compatible(first, emp));
+        partnerGroup.splice(partnerGroup.indexOf(partner), 1);
+
+        const pair = [first, partner];
+        pairs.push({ employees: pair, pattern: buildSharedPattern(pair, referenceDate) });
+    }
+
+    return { pairs, unpaired };
+}
@@ -0,0 +1,94 @@
+/**
+ * Whole-document writes of the API (/api/data)
+ * Run with: node --test tests/
+ * The data file lives in a temporary directory removed at the end.
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+const dataDir = await mkdtemp(path.join(tmpdir(), 'parking-data-'));
+process.env.PARKING_DATA_FILE = path.join(dataDir, 'parking-data.json');
+process.env.PARKING_API_TOKEN = 'clave-de-prueba';
+
+const { handler } = await import('../netlify/functions/data.mjs');
+const { handler: employeesHandler } = await import('../netlify/functions/employees.mjs');
+
+after(() => rm(dataDir, { recursive: true, force: true }));
+
+const request = async (fn, method, urlPath, body) => {
+    const response = await fn({
+        httpMethod: method,
+        path: urlPath,
+        headers: { authorization: 'Bearer clave-de-prueba', 'content-type': 'application/json' },
+        body: body === undefined ? null : JSON.stringify(body),
+        queryStringParameters: {}
+    }, {});
+    return { status: response.statusCode, body: JSON.parse(response.body) };
+};
+
+const employee = {
+    id: 1,
+    nombre: 'Ana Gómez',
+    cedula: '1020304050',
+    placa: 'ABC123',
+    tipoVehiculo: 'carro',
+    area: 'Finanzas'
+};
+const space = { id: 2, numero: 'S1-001', sotano: 1, tipo: 'carro', estado: 'disponible', empleadoAsignado: null };
+const document = {
+    schemaVersion: 4,
+    empleados: [employee],
+    parqueaderos: [space],
+    asignaciones: [{ id: 3, empleadoId: 1, parqueaderoId: 2, fechaInicio: '2026-10-01', fechaFin: null, estado: 'activa', activa: true }]
+};
+
+test('POST refuses records the record endpoints would refuse', async () => {
+    const response = await request(handler, 'POST', '/api/data', {
+        ...document,
+        parqueaderos: [space, { ...space, id: 5 }]
+    });
+
+    assert.equal(response.status, 422);
+    assert.ok(response.body.details.some(detail => detail.startsWith('Parqueadero 5')));
+});
+
+test('POST refuses assignments that break the assignment rules', async () => {
+    const response = await request(handler, 'POST', '/api/data', {
+        ...document,
+        parqueaderos: [{ ...space, tipo: 'moto' }]
+    });
+
+    assert.equal(response.status, 422);
+    assert.ok(response.body.details.some(detail => detail.startsWith('Asignación 3')));
+});
+
+test('POST stores a valid document and refuses one older than the stored records', async () => {
+    assert.equal((await request(handler, 'POST', '/api/data', document)).status, 200);
+    assert.equal((await request(employeesHandler, 'PUT', '/api/employees/1', { ...employee, nombre: 'Ana María Gómez' })).status, 200);
+
+    const response = await request(handler, 'POST', '/api/data', document);
+    assert.equal(response.status, 409);
+    assert.deepEqual(response.body.details, [{ collection: 'empleados', id: 1, version: 0, storedVersion: 1 }]);
+});
+
+test('PATCH only takes collections without their own endpoint', async () => {
+    const refused = await request(handler, 'PATCH', '/api/data', { empleados: [] });
+    assert.equal(refused.status, 422);
+    assert.deepEqual(refused.body.details, ['empleados']);
+
+    const accepted = await request(handler, 'PATCH', '/api/data', { reglasPicoPlaca: [] });
+    assert.equal(accepted.status, 200);
+});
+
+test('reads need the server key too', async () => {
+    const response = await handler({ httpMethod: 'GET', path: '/api/data', headers: {}, body: null, queryStringParameters: {} }, {});
+    assert.equal(response.statusCode, 401);
+
+    const allowed = await request(handler, 'GET', '/api/data');
+    assert.equal(allowed.status, 200);
+    assert.equal(allowed.body.empleados[0].pinHash, undefined);
+});
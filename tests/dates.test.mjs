@@ -0,0 +1,107 @@
+/**
+ * Day boundaries in the local time zone
+ * Run with: node --test tests/
+ * The clock is set to 20:00 in Bogotá (UTC-5), when the UTC date is already
+ * the next day. The services expect a browser, so localStorage, window,
+ * document and navigator are replaced by in-memory versions before they are loaded.
+ */
+
+import { test, mock, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.TZ = 'America/Bogota';
+mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-21T01:00:00Z') });
+
+const memoryStorage = () => {
+    const items = new Map();
+    return {
+        getItem: key => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        clear: () => items.clear()
+    };
+};
+const element = () => ({
+    addEventListener() {},
+    appendChild() {},
+    setAttribute() {},
+    remove() {},
+    classList: { add() {}, remove() {}, toggle() {} },
+    style: {},
+    querySelector: () => null,
+    querySelectorAll: () => []
+});
+globalThis.localStorage = memoryStorage();
+globalThis.sessionStorage = memoryStorage();
+globalThis.window = globalThis;
+globalThis.addEventListener = () => {};
+globalThis.location = { hash: '' };
+globalThis.document = {
+    getElementById: () => null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    createElement: element,
+    addEventListener() {},
+    body: element(),
+    readyState: 'complete'
+};
+globalThis.confirm = () => true;
+Object.defineProperty(globalThis, 'navigator', { value: { onLine: false }, configurable: true });
+
+const { getCurrentDate, getAssignmentStatus } = await import('../public/src/js/utils/helpers.js');
+const { ASSIGNMENT_STATUS, PARKING_STATUS } = await import('../public/src/js/utils/constants.js');
+const { default: assignmentManager } = await import('../public/src/js/modules/assignments.js');
+
+// Only the dates are under test: nothing is stored
+assignmentManager.saveData = async () => {};
+assignmentManager.syncRotationQueue = async () => {};
+
+after(() => clearTimeout(assignmentManager.midnightTimer));
+
+const setup = () => {
+    assignmentManager.loans = [];
+    assignmentManager.parkingSpaces = [{ id: 10, numero: 'S1-010', estado: PARKING_STATUS.OCUPADO, empleadoAsignado: 1 }];
+    assignmentManager.assignments = [{
+        id: 100,
+        empleadoId: 1,
+        parqueaderoId: 10,
+        fechaInicio: '2026-10-01',
+        fechaFin: null,
+        estado: ASSIGNMENT_STATUS.ACTIVA,
+        activa: true
+    }];
+};
+
+test('today is the local date, not the UTC one', () => {
+    assert.equal(new Date().toISOString().split('T')[0], '2026-10-21');
+    assert.equal(getCurrentDate(), '2026-10-20');
+});
+
+test('an assignment ended in the evening stays ended after the refresh', async () => {
+    setup();
+    await assignmentManager.endAssignment(100);
+    const [assignment] = assignmentManager.assignments;
+
+    assert.equal(assignment.fechaFin, '2026-10-19');
+    assert.equal(assignment.estado, ASSIGNMENT_STATUS.FINALIZADA);
+
+    await assignmentManager.refreshAssignmentStates();
+    assert.equal(assignment.estado, ASSIGNMENT_STATUS.FINALIZADA);
+    assert.equal(assignmentManager.parkingSpaces[0].estado, PARKING_STATUS.DISPONIBLE);
+    assert.equal(assignmentManager.parkingSpaces[0].empleadoAsignado, null);
+});
+
+test('an assignment starting tomorrow is scheduled, not active', async () => {
+    setup();
+    assignmentManager.assignments = [];
+    assignmentManager.parkingSpaces[0] = { id: 10, numero: 'S1-010', estado: PARKING_STATUS.DISPONIBLE, empleadoAsignado: null };
+
+    const assignment = assignmentManager.buildAssignment({ empleadoId: 1, parqueaderoId: 10, fechaInicio: '2026-10-21', fechaFin: null });
+    assert.equal(assignment.estado, ASSIGNMENT_STATUS.PROGRAMADA);
+    assert.equal(assignment.fechaCreacion, '2026-10-20');
+
+    await assignmentManager.refreshAssignmentStates();
+    assert.equal(assignment.estado, ASSIGNMENT_STATUS.PROGRAMADA);
+    assert.equal(getAssignmentStatus(assignment), ASSIGNMENT_STATUS.PROGRAMADA);
+    assert.equal(assignmentManager.parkingSpaces[0].estado, PARKING_STATUS.DISPONIBLE);
+});
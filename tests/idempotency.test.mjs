@@ -0,0 +1,68 @@
+/**
+ * Idempotency keys of the API writes (withIdempotency)
+ * Run with: node --test tests/
+ * The data and key files live in a temporary directory removed at the end.
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+const dataDir = await mkdtemp(path.join(tmpdir(), 'parking-keys-'));
+process.env.PARKING_DATA_FILE = path.join(dataDir, 'parking-data.json');
+process.env.PARKING_IDEMPOTENCY_FILE = path.join(dataDir, 'idempotency-keys.json');
+
+const { withIdempotency } = await import('../netlify/lib/idempotency.mjs');
+const { json } = await import('../netlify/lib/http.mjs');
+
+after(() => rm(dataDir, { recursive: true, force: true }));
+
+const event = (key) => ({
+    httpMethod: 'POST',
+    path: '/api/employees',
+    headers: { 'idempotency-key': key },
+    body: '{}',
+    queryStringParameters: {}
+});
+
+test('a replay sent while the first request runs does not run the write again', async () => {
+    let calls = 0;
+    let finish;
+    const handler = withIdempotency(async () => {
+        calls++;
+        await new Promise(resolve => { finish = resolve; });
+        return json(201, { id: calls });
+    });
+
+    const first = handler(event('clave-1'), {});
+    while (!finish) await new Promise(resolve => setTimeout(resolve, 5));
+
+    const concurrent = await handler(event('clave-1'), {});
+    assert.equal(concurrent.statusCode, 429);
+    assert.ok(concurrent.headers['Retry-After']);
+
+    finish();
+    assert.equal((await first).statusCode, 201);
+
+    const replayed = await handler(event('clave-1'), {});
+    assert.equal(replayed.statusCode, 201);
+    assert.equal(replayed.headers['Idempotent-Replayed'], 'true');
+    assert.equal(calls, 1);
+});
+
+test('a server error frees the key so the retry runs again', async () => {
+    let calls = 0;
+    const handler = withIdempotency(async () => {
+        calls++;
+        return calls === 1 ? json(500, { success: false }) : json(201, { id: calls });
+    });
+
+    assert.equal((await handler(event('clave-2'), {})).statusCode, 500);
+    const retried = await handler(event('clave-2'), {});
+
+    assert.equal(retried.statusCode, 201);
+    assert.equal(retried.headers['Idempotent-Replayed'], undefined);
+    assert.equal(calls, 2);
+});
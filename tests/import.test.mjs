@@ -0,0 +1,129 @@
+/**
+ * Importing backups (StorageService.importData)
+ * Run with: node --test tests/
+ * The services expect a browser, so localStorage, window and navigator are
+ * replaced by in-memory versions (offline) before they are loaded.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+const memoryStorage = () => {
+    const items = new Map();
+    return {
+        getItem: key => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        clear: () => items.clear()
+    };
+};
+globalThis.localStorage = memoryStorage();
+globalThis.sessionStorage = memoryStorage();
+globalThis.window = globalThis;
+globalThis.addEventListener = () => {};
+Object.defineProperty(globalThis, 'navigator', { value: { onLine: false }, configurable: true });
+
+const { default: storageService } = await import('../public/src/js/services/storage.js');
+const { SCHEMA_VERSION, SchemaVersionError } = await import('../public/src/js/utils/migrations.js');
+const { ASSIGNMENT_STATUS, ERROR_MESSAGES, PARKING_STATUS } = await import('../public/src/js/utils/constants.js');
+
+const fixture = await readFile(new URL('./fixtures/respaldo-esquema-1.json', import.meta.url), 'utf8');
+const backup = (contents) => new Blob([contents], { type: 'application/json' });
+
+test('a backup without schemaVersion is migrated from the first schema', async () => {
+    const { data, report } = await storageService.importData(backup(fixture));
+
+    assert.equal(report.fromVersion, 1);
+    assert.equal(report.toVersion, SCHEMA_VERSION);
+    assert.deepEqual(report.applied.map(step => step.version), [2, 3, 4]);
+    assert.equal(data.schemaVersion, SCHEMA_VERSION);
+});
+
+test('assignments become date intervals with a status', async () => {
+    const { data } = await storageService.importData(backup(fixture));
+    const active = data.asignaciones.find(a => a.id === 3001);
+    const ended = data.asignaciones.find(a => a.id === 3002);
+
+    assert.equal(active.fechaInicio, '2024-01-15');
+    assert.equal(active.estado, ASSIGNMENT_STATUS.ACTIVA);
+    assert.equal(active.empleadoId, 1001);
+    assert.equal(active.parqueaderoId, 2003);
+    assert.notEqual(ended.estado, ASSIGNMENT_STATUS.ACTIVA);
+    assert.equal(ended.activa, false);
+});
+
+test('spaces taken without an assignment get one and are reported as repaired', async () => {
+    const { data, report } = await storageService.importData(backup(fixture));
+    const created = data.asignaciones.find(a => a.parqueaderoId === 2001 && a.empleadoId === 1002);
+
+    assert.ok(created);
+    assert.equal(created.fechaInicio, '2024-02-01');
+    assert.ok(report.repaired.some(entry => entry.collection === 'asignaciones' && entry.id === created.id));
+});
+
+test('records that point to missing employees are dropped and reported', async () => {
+    const { data, report } = await storageService.importData(backup(fixture));
+
+    assert.equal(data.asignaciones.some(a => a.id === 3003), false);
+    assert.ok(report.repaired.some(entry => entry.id === 3003));
+    assert.ok(report.repaired.some(entry => entry.collection === 'empleados' && entry.id === 1001));
+});
+
+test('old category states become the category of the space', async () => {
+    const { data } = await storageService.importData(backup(fixture));
+    const space = data.parqueaderos.find(s => s.id === 2002);
+
+    assert.equal(space.categoria, 'discapacidad');
+    assert.equal(space.estado, PARKING_STATUS.DISPONIBLE);
+});
+
+test('category states of schema 3 take their occupancy from the assignments', async () => {
+    const schema3 = await readFile(new URL('./fixtures/respaldo-esquema-3.json', import.meta.url), 'utf8');
+    const { data, report } = await storageService.importData(backup(schema3));
+    const assigned = data.parqueaderos.find(s => s.id === 2001);
+    const stale = data.parqueaderos.find(s => s.id === 2002);
+
+    assert.deepEqual(report.applied.map(step => step.version), [4]);
+    assert.equal(assigned.categoria, 'discapacidad');
+    assert.equal(assigned.estado, PARKING_STATUS.OCUPADO);
+    assert.equal(assigned.empleadoAsignado, 1001);
+    assert.equal(assigned.motivoEstado, null);
+
+    // Its only assignment ended, so the stored holder is stale
+    assert.equal(stale.categoria, 'carga-electrica');
+    assert.equal(stale.estado, PARKING_STATUS.DISPONIBLE);
+    assert.equal(stale.empleadoAsignado, null);
+});
+
+test('backups from a newer version are refused', async () => {
+    const newer = JSON.stringify({ ...JSON.parse(fixture), schemaVersion: SCHEMA_VERSION + 1 });
+
+    await assert.rejects(storageService.importData(backup(newer)), SchemaVersionError);
+});
+
+test('files that are not backups are refused', async () => {
+    await assert.rejects(storageService.importData(backup('no es JSON')), { message: ERROR_MESSAGES.INVALID_BACKUP });
+    await assert.rejects(storageService.importData(backup('{"empleados": []}')), { message: ERROR_MESSAGES.INVALID_BACKUP });
+});
+
+test('imported records take the stored versions before they are saved', async () => {
+    await storageService.ready;
+    storageService.snapshot = {
+        ...storageService.getDefaultData(),
+        empleados: [{ id: 1001, nombre: 'Ana Gómez', version: 7, updatedAt: '2026-10-01T10:00:00.000Z' }]
+    };
+    const { data } = await storageService.importData(backup(JSON.stringify({
+        ...JSON.parse(fixture),
+        empleados: JSON.parse(fixture).empleados.map(employee => ({ ...employee, version: 2, updatedAt: '2024-03-01T12:00:00.000Z' }))
+    })));
+
+    storageService.adoptStoredVersions(data);
+
+    const stored = data.empleados.find(employee => employee.id === 1001);
+    const added = data.empleados.find(employee => employee.id === 1002);
+    assert.equal(stored.version, 7);
+    assert.equal(stored.updatedAt, '2026-10-01T10:00:00.000Z');
+    assert.equal(added.version, undefined);
+    assert.equal(added.updatedAt, undefined);
+});